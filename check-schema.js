@@ -1,26 +0,0 @@
-import pkg from 'pg';
-const { Pool } = pkg;
-
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: { rejectUnauthorized: false }
-});
-
-async function checkSchema() {
-  try {
-    const res = await pool.query(`
-      SELECT column_name, data_type 
-      FROM information_schema.columns 
-      WHERE table_name = 'categories' 
-      ORDER BY ordinal_position
-    `);
-    console.log('Categories schema:');
-    res.rows.forEach(r => console.log(`  ${r.column_name}: ${r.data_type}`));
-  } catch (error) {
-    console.error('Error:', error.message);
-  } finally {
-    await pool.end();
-  }
-}
-
-checkSchema();
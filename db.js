@@ -1,21 +1,48 @@
+import { AsyncLocalStorage } from "async_hooks";
 import pg from "pg";
 import mysql from "mysql2/promise";
 import dotenv from "dotenv";
 
 dotenv.config();
 
-// Detect which database to use
-const usePostgres = !!process.env.DATABASE_URL;
+// Detect which database to use:
+//   DATABASE_URL=sqlite:./evenza.db  -> SQLite file (sqlite::memory: for an in-memory db)
+//   DATABASE_URL=postgres://...       -> PostgreSQL
+//   otherwise                         -> MySQL from DB_* variables
+const databaseUrl = process.env.DATABASE_URL || "";
+const useSqlite = databaseUrl.startsWith("sqlite:");
+const usePostgres = !!databaseUrl && !useSqlite;
 
 let pool;
 let dbType;
 
-if (usePostgres) {
+if (useSqlite) {
+  // SQLite for local development and tests (no database server needed)
+  dbType = 'sqlite';
+  const file = databaseUrl.slice("sqlite:".length) || "./evenza.db";
+  console.log(`🔍 Using SQLite (${file})`);
+
+  let Database;
+  try {
+    ({ default: Database } = await import("better-sqlite3"));
+  } catch (err) {
+    throw new Error("DATABASE_URL points to SQLite but better-sqlite3 is not installed (npm install better-sqlite3)");
+  }
+  pool = new Database(file);
+  pool.pragma("journal_mode = WAL");
+  pool.pragma("foreign_keys = ON");
+
+  // Functions the routes use that SQLite lacks. Timestamps are stored as ISO-8601
+  // UTC text, which sorts and compares correctly as strings.
+  pool.function("NOW", () => new Date().toISOString());
+  pool.function("JSON_UNQUOTE", (v) => v);
+  console.log("✅ SQLite database opened!");
+} else if (usePostgres) {
   // PostgreSQL for production (Render)
   const { Pool } = pg;
   dbType = 'postgres';
   console.log("🔍 Using PostgreSQL");
-  
+
   pool = new Pool({
     connectionString: process.env.DATABASE_URL,
     ssl: { rejectUnauthorized: false }
@@ -34,7 +61,7 @@ if (usePostgres) {
   // MySQL for local development
   dbType = 'mysql';
   console.log("🔍 Using MySQL (local development)");
-  
+
   pool = mysql.createPool({
     host: process.env.DB_HOST || 'localhost',
     user: process.env.DB_USER || 'root',
@@ -57,59 +84,310 @@ if (usePostgres) {
   }
 }
 
-// Create a unified wrapper that works for both MySQL and PostgreSQL
+// Convert MySQL ? placeholders to PostgreSQL $1, $2, etc.
+function toPgSql(sql) {
+  let paramIndex = 1;
+  return sql.replace(/\?/g, () => `$${paramIndex++}`);
+}
+
+// Run a statement on a pg Pool or PoolClient and return a mysql2-shaped result.
+// Write statements also expose affectedRows on the returned rows array.
+async function pgQuery(target, sql, params) {
+  const result = await target.query(toPgSql(sql), params);
+  const rows = result.rows || [];
+  rows.affectedRows = result.rowCount ?? 0;
+  return [rows, result.fields];
+}
+
+// better-sqlite3 binds only numbers, strings, bigints, buffers and null
+function toSqliteParam(v) {
+  if (v === undefined || v === null) return null;
+  if (v instanceof Date) return v.toISOString();
+  if (typeof v === "boolean") return v ? 1 : 0;
+  if (typeof v === "object" && !Buffer.isBuffer(v)) return JSON.stringify(v);
+  return v;
+}
+
+// Run a statement on the SQLite handle and return a mysql2-shaped result
+function sqliteQuery(sql, params) {
+  // Row locks are implicit: SQLite transactions lock the whole database
+  const stmt = pool.prepare(sql.replace(/\s+FOR\s+UPDATE\b/gi, ""));
+  const args = (params || []).map(toSqliteParam);
+  if (stmt.reader) {
+    const rows = stmt.all(args);
+    rows.affectedRows = rows.length;
+    return [rows, undefined];
+  }
+  const info = stmt.run(args);
+  return [{ affectedRows: info.changes, insertId: Number(info.lastInsertRowid) }, undefined];
+}
+
+// SQLite has a single connection, so everything that uses it takes turns through
+// this queue: a transaction holds its turn until release(), a pool-level
+// statement only for itself
+let sqliteTxQueue = Promise.resolve();
+
+// The transaction whose db.transaction() callback is running; pool-level
+// statements issued from inside it belong to it and must not wait their turn
+const sqliteTxOwner = new AsyncLocalStorage();
+
+// Wait for the connection; resolves to the callback that passes it on
+async function sqliteTurn() {
+  let release;
+  const turn = new Promise((resolve) => { release = resolve; });
+  const previous = sqliteTxQueue;
+  sqliteTxQueue = previous.then(() => turn);
+  await previous;
+  return release;
+}
+
+async function sqlitePoolQuery(sql, params) {
+  if (sqliteTxOwner.getStore()?.held) return sqliteQuery(sql, params);
+  const release = await sqliteTurn();
+  try {
+    return sqliteQuery(sql, params);
+  } finally {
+    release();
+  }
+}
+
+// ----------------- Dialect-neutral helpers -----------------
+// Marks a SQL fragment (e.g. NOW()) to be inlined instead of bound as a parameter.
+class RawSql {
+  constructor(sql) {
+    this.sql = sql;
+  }
+}
+const raw = (sql) => new RawSql(sql);
+
+function valueSql(value, params) {
+  if (value instanceof RawSql) return value.sql;
+  params.push(value === undefined ? null : value);
+  return "?";
+}
+
+// Placeholder list for an IN (...) clause; an empty list matches nothing.
+function inList(values) {
+  if (!Array.isArray(values) || values.length === 0) return "NULL";
+  return values.map(() => "?").join(", ");
+}
+
+// Build helpers on top of anything exposing query(sql, params) -> [rows].
+// Used for the pool-level db object and for transaction connections alike.
+function withHelpers(target) {
+  const helpers = {
+    dialect: dbType,
+    raw,
+    inList,
+
+    /**
+     * INSERT a single row and return the generated id.
+     * insert("users", { username, email }, "user_id")
+     */
+    insert: async (table, data, idColumn) => {
+      const cols = Object.keys(data);
+      const params = [];
+      const values = cols.map((c) => valueSql(data[c], params));
+      let sql = `INSERT INTO ${table} (${cols.join(", ")}) VALUES (${values.join(", ")})`;
+      if (dbType === "postgres" && idColumn) sql += ` RETURNING ${idColumn}`;
+      const [result] = await target.query(sql, params);
+      if (dbType === "postgres") return result && result[0] ? result[0][idColumn] : undefined;
+      return result.insertId;
+    },
+
+    /**
+     * INSERT or UPDATE on a unique-key conflict.
+     * conflict: columns of the unique key (required by Postgres)
+     * update: columns to overwrite from the new row, or an object of
+     *         { column: value|raw() }; empty means "insert if missing".
+     */
+    upsert: async (table, data, { conflict, update } = {}) => {
+      const cols = Object.keys(data);
+      const params = [];
+      const values = cols.map((c) => valueSql(data[c], params));
+      const updateCols = update === undefined
+        ? cols.filter((c) => !(conflict || []).includes(c))
+        : update;
+
+      const sets = [];
+      const setParams = [];
+      if (Array.isArray(updateCols)) {
+        for (const c of updateCols) {
+          sets.push(dbType === "mysql" ? `${c} = VALUES(${c})` : `${c} = EXCLUDED.${c}`);
+        }
+      } else if (updateCols && typeof updateCols === "object") {
+        for (const [c, v] of Object.entries(updateCols)) {
+          sets.push(`${c} = ${valueSql(v, setParams)}`);
+        }
+      }
+
+      let sql;
+      if (dbType === "postgres" || dbType === "sqlite") {
+        sql = `INSERT INTO ${table} (${cols.join(", ")}) VALUES (${values.join(", ")}) ON CONFLICT (${(conflict || []).join(", ")})`;
+        sql += sets.length ? ` DO UPDATE SET ${sets.join(", ")}` : " DO NOTHING";
+      } else if (sets.length) {
+        sql = `INSERT INTO ${table} (${cols.join(", ")}) VALUES (${values.join(", ")}) ON DUPLICATE KEY UPDATE ${sets.join(", ")}`;
+      } else {
+        sql = `INSERT IGNORE INTO ${table} (${cols.join(", ")}) VALUES (${values.join(", ")})`;
+      }
+      const [result] = await target.query(sql, [...params, ...setParams]);
+      return result.affectedRows ?? 0;
+    },
+
+    /**
+     * Multi-row INSERT. rows is an array of arrays aligned to columns.
+     * With { ignore: true } rows that hit a unique key are skipped.
+     */
+    bulkInsert: async (table, columns, rows, { ignore = false } = {}) => {
+      if (!Array.isArray(rows) || rows.length === 0) return 0;
+      const params = [];
+      const tuples = rows.map((row) => `(${columns.map((_, i) => valueSql(row[i], params)).join(", ")})`);
+      const verb = !ignore ? "INSERT" : dbType === "mysql" ? "INSERT IGNORE" : dbType === "sqlite" ? "INSERT OR IGNORE" : "INSERT";
+      let sql = `${verb} INTO ${table} (${columns.join(", ")}) VALUES ${tuples.join(", ")}`;
+      if (ignore && dbType === "postgres") sql += " ON CONFLICT DO NOTHING";
+      const [result] = await target.query(sql, params);
+      return result.affectedRows ?? 0;
+    },
+
+    /**
+     * UPDATE rows of one table filtered through a join.
+     * updateJoin({
+     *   table: "registrations", alias: "r",
+     *   join: "events", joinAlias: "e", on: "r.event_id = e.event_id",
+     *   set: { status: "confirmed" },
+     *   where: "r.registration_id = ? AND e.created_by = ?", params: [id, ownerId],
+     * })
+     */
+    updateJoin: async ({ table, alias, join, joinAlias, on, set, where = "1=1", params = [] }) => {
+      const setParams = [];
+      const assignments = Object.entries(set).map(([c, v]) => ({ c, v: valueSql(v, setParams) }));
+      let sql;
+      if (dbType === "postgres" || dbType === "sqlite") {
+        // Postgres does not allow a table alias on the SET target column; SQLite needs AS
+        sql = `UPDATE ${table} AS ${alias} SET ${assignments.map((a) => `${a.c} = ${a.v}`).join(", ")}
+               FROM ${join} ${joinAlias} WHERE ${on} AND (${where})`;
+      } else {
+        sql = `UPDATE ${table} ${alias} JOIN ${join} ${joinAlias} ON ${on}
+               SET ${assignments.map((a) => `${alias}.${a.c} = ${a.v}`).join(", ")} WHERE ${where}`;
+      }
+      const [result] = await target.query(sql, [...setParams, ...params]);
+      return result.affectedRows ?? 0;
+    },
+
+    // Schema introspection, for code that must cope with older schemas
+    hasTable: async (table) => {
+      const sql = {
+        mysql: "SELECT 1 FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = ?",
+        postgres: "SELECT 1 FROM information_schema.tables WHERE table_schema = current_schema() AND table_name = ?",
+        sqlite: "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?",
+      }[dbType];
+      const [rows] = await target.query(sql, [table]);
+      return rows.length > 0;
+    },
+
+    hasColumn: async (table, column) => {
+      const sql = {
+        mysql: "SELECT 1 FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = ? AND column_name = ?",
+        postgres: "SELECT 1 FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = ? AND column_name = ?",
+        sqlite: "SELECT 1 FROM pragma_table_info(?) WHERE name = ?",
+      }[dbType];
+      const [rows] = await target.query(sql, [table, column]);
+      return rows.length > 0;
+    },
+  };
+  return helpers;
+}
+
+// Wrap a pooled connection so transactions look the same on both engines
+function wrapConnection(conn) {
+  let wrapped;
+  if (dbType === 'sqlite') {
+    // conn is the queue release callback for this transaction slot
+    wrapped = {
+      beginTransaction: async () => sqliteQuery('BEGIN IMMEDIATE'),
+      commit: async () => sqliteQuery('COMMIT'),
+      rollback: async () => { if (pool.inTransaction) sqliteQuery('ROLLBACK'); },
+      execute: async (sql, params) => sqliteQuery(sql, params),
+      query: async (sql, params) => sqliteQuery(sql, params),
+      release: () => conn()
+    };
+  } else if (dbType === 'postgres') {
+    wrapped = {
+      beginTransaction: async () => conn.query('BEGIN'),
+      commit: async () => conn.query('COMMIT'),
+      rollback: async () => conn.query('ROLLBACK'),
+      execute: async (sql, params) => pgQuery(conn, sql, params),
+      query: async (sql, params) => pgQuery(conn, sql, params),
+      release: () => conn.release()
+    };
+  } else {
+    wrapped = {
+      beginTransaction: async () => conn.beginTransaction(),
+      commit: async () => conn.commit(),
+      rollback: async () => conn.rollback(),
+      execute: async (sql, params) => conn.execute(sql, params),
+      query: async (sql, params) => conn.query(sql, params),
+      release: () => conn.release()
+    };
+  }
+  return Object.assign(wrapped, withHelpers(wrapped));
+}
+
+// Create a unified wrapper that works for MySQL, PostgreSQL and SQLite
 const db = {
   query: async (sql, params) => {
-    if (dbType === 'postgres') {
-      // Convert MySQL ? placeholders to PostgreSQL $1, $2, etc.
-      let paramIndex = 1;
-      const pgSql = sql.replace(/\?/g, () => `$${paramIndex++}`);
-      const result = await pool.query(pgSql, params);
-      return [result.rows, result.fields];
-    } else {
-      // MySQL - use as is
-      return await pool.query(sql, params);
-    }
+    if (dbType === 'sqlite') return sqlitePoolQuery(sql, params);
+    if (dbType === 'postgres') return pgQuery(pool, sql, params);
+    // MySQL - use as is
+    return await pool.query(sql, params);
   },
-  
+
   execute: async (sql, params) => {
-    if (dbType === 'postgres') {
-      let paramIndex = 1;
-      const pgSql = sql.replace(/\?/g, () => `$${paramIndex++}`);
-      const result = await pool.query(pgSql, params);
-      return [result.rows, result.fields];
-    } else {
-      return await pool.execute(sql, params);
-    }
+    if (dbType === 'sqlite') return sqlitePoolQuery(sql, params);
+    if (dbType === 'postgres') return pgQuery(pool, sql, params);
+    return await pool.execute(sql, params);
   },
-  
+
   getConnection: async () => {
+    if (dbType === 'sqlite') {
+      // Wait for the previous holder to release before handing out the connection
+      const release = await sqliteTurn();
+      let released = false;
+      return wrapConnection(() => {
+        if (released) return;
+        released = true;
+        release();
+      });
+    }
     if (dbType === 'postgres') {
-      const client = await pool.connect();
-      return {
-        beginTransaction: async () => client.query('BEGIN'),
-        commit: async () => client.query('COMMIT'),
-        rollback: async () => client.query('ROLLBACK'),
-        execute: async (sql, params) => {
-          let paramIndex = 1;
-          const pgSql = sql.replace(/\?/g, () => `$${paramIndex++}`);
-          const result = await client.query(pgSql, params);
-          return [result.rows, result.fields];
-        },
-        query: async (sql, params) => {
-          let paramIndex = 1;
-          const pgSql = sql.replace(/\?/g, () => `$${paramIndex++}`);
-          const result = await client.query(pgSql, params);
-          return [result.rows, result.fields];
-        },
-        release: () => client.release()
-      };
-    } else {
-      // MySQL connection
-      const connection = await pool.getConnection();
-      return connection;
+      return wrapConnection(await pool.connect());
+    }
+    return wrapConnection(await pool.getConnection());
+  },
+
+  /**
+   * Run fn(conn) inside a transaction; commits on success, rolls back on throw.
+   * The connection carries the same helpers as db (insert, upsert, ...).
+   * On SQLite, db.query() calls made from inside fn run in the transaction.
+   */
+  transaction: async (fn) => {
+    const conn = await db.getConnection();
+    const owner = { held: true };
+    try {
+      await conn.beginTransaction();
+      const result = dbType === 'sqlite' ? await sqliteTxOwner.run(owner, () => fn(conn)) : await fn(conn);
+      await conn.commit();
+      return result;
+    } catch (err) {
+      try { await conn.rollback(); } catch (e) {}
+      throw err;
+    } finally {
+      owner.held = false;
+      conn.release();
     }
   }
 };
 
+Object.assign(db, withHelpers(db));
+
 export default db;
@@ -1,30 +1,185 @@
 import jwt from "jsonwebtoken";
+import { getActiveSession } from "../utils/sessions.js";
+import { twoFactorRequired } from "../utils/twoFactor.js";
+import { API_KEY_SCOPES, findActiveApiKey, isApiKey, touchApiKey } from "../utils/apiKeys.js";
+import { rateLimit } from "./rateLimit.js";
 
-// Middleware to verify JWT token
-export const verifyToken = (req, res, next) => {
+function bearerToken(req) {
   const authHeader = req.headers.authorization || req.headers.Authorization;
+  if (!authHeader || !authHeader.startsWith("Bearer ")) return null;
+  return authHeader.split(" ")[1];
+}
 
-  if (!authHeader || !authHeader.startsWith("Bearer ")) {
-    return res.status(401).json({ message: "Unauthorized: No token provided" });
+// Personal API keys ("evz_...") are accepted as bearer tokens too, but only
+// on routes that opt in with verifyTokenOrApiKey(scope); elsewhere they get 403.
+async function authenticateApiKey(req, res, next, token, scope) {
+  if (!scope) {
+    return res.status(403).json({ message: "Forbidden: API keys are not accepted on this endpoint" });
   }
 
-  const token = authHeader.split(" ")[1];
-
+  let key;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || "your_jwt_secret");
-
-    if (!decoded.user_id) {
-      return res.status(400).json({ message: "Invalid token payload: user_id missing" });
+    key = await findActiveApiKey(token);
+    if (!key) return res.status(401).json({ message: "Unauthorized: Invalid, expired or revoked API key" });
+    if (!key.scopes.includes(scope)) {
+      return res.status(403).json({ message: `Forbidden: API key lacks the ${scope} scope` });
     }
+    if (twoFactorRequired(key.role) && !Number(key.totp_enabled)) {
+      return res.status(403).json({ message: "2FA enrollment required", code: "two_factor_setup_required" });
+    }
+  } catch (err) {
+    console.error("API key lookup failed:", err.message);
+    return res.status(500).json({ message: "Server error" });
+  }
 
+  const limiter = rateLimit({
+    name: "api-key",
+    windowMs: 60 * 1000,
+    max: Number(key.rate_limit_per_minute),
+    keyBy: () => key.key_id,
+    message: "API key rate limit exceeded",
+  });
+  return limiter(req, res, () => {
+    touchApiKey(key.key_id, req.ip).catch((err) => console.error("API key last-used update failed:", err.message));
     req.user = {
-      user_id: decoded.user_id,
-      username: decoded.username,
-      role: decoded.role,
+      user_id: key.user_id,
+      username: key.username,
+      role: key.role,
+      api_key_id: key.key_id,
+      scopes: key.scopes,
     };
     next();
+  });
+}
+
+// Verify the JWT and that its session has not been revoked, or an API key
+// holding apiKeyScope. Staff accounts the 2FA policy covers are refused until
+// they enroll, except on the enrollment routes themselves (allowUnenrolled).
+async function authenticate(req, res, next, { apiKeyScope = null, allowUnenrolled = false } = {}) {
+  const token = bearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({ message: "Unauthorized: No token provided" });
+  }
+  if (isApiKey(token)) return authenticateApiKey(req, res, next, token, apiKeyScope);
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET || "your_jwt_secret");
   } catch (err) {
     console.error("JWT verification failed:", err.message);
     return res.status(403).json({ message: "Forbidden: Invalid token" });
   }
+
+  if (!decoded.user_id) {
+    return res.status(400).json({ message: "Invalid token payload: user_id missing" });
+  }
+
+  try {
+    // Tokens minted before sessions existed carry no `sid` and cannot be revoked
+    const session = decoded.sid ? await getActiveSession(decoded.sid, decoded.user_id) : null;
+    if (!session) {
+      return res.status(401).json({ message: "Unauthorized: Session expired or revoked" });
+    }
+    // Role changed since the token was issued: the client must call /api/auth/refresh
+    if (session.role !== decoded.role) {
+      return res.status(401).json({ message: "Unauthorized: Role changed, refresh your token", code: "role_changed" });
+    }
+    if (!allowUnenrolled && twoFactorRequired(session.role) && !session.two_factor_enabled) {
+      return res.status(403).json({ message: "2FA enrollment required", code: "two_factor_setup_required" });
+    }
+  } catch (err) {
+    console.error("Session lookup failed:", err.message);
+    return res.status(500).json({ message: "Server error" });
+  }
+
+  req.user = {
+    user_id: decoded.user_id,
+    username: decoded.username,
+    role: decoded.role,
+    session_id: decoded.sid,
+  };
+  next();
+}
+
+// Middleware to verify JWT token and that its session has not been revoked
+export const verifyToken = (req, res, next) => authenticate(req, res, next);
+
+// verifyToken for the 2FA enrollment routes, which staff must reach before enrolling
+export const verifyTokenForEnrollment = (req, res, next) => authenticate(req, res, next, { allowUnenrolled: true });
+
+// Middleware for integration-friendly routes: a JWT, or an API key holding `scope`.
+// Role checks (requirePermission) still apply to the key owner's current role.
+export const verifyTokenOrApiKey = (scope) => {
+  if (!API_KEY_SCOPES[scope]) throw new Error(`Unknown API key scope "${scope}"`);
+  return (req, res, next) => authenticate(req, res, next, { apiKeyScope: scope });
+};
+
+// Middleware for public routes that show more to signed-in callers:
+// sets req.user when a valid token is sent, otherwise continues anonymously.
+export const optionalToken = (req, res, next) => {
+  if (!bearerToken(req)) return next();
+  return verifyToken(req, res, next);
+};
+
+// ----------------- Roles & permissions -----------------
+//
+// Every authenticated account can act on its own data (register, save events,
+// review, chat, friends, own notifications). Anything beyond that is granted
+// by role through the matrix below:
+//
+//   permission          | user | admin | owner | covers
+//   --------------------+------+-------+-------+-----------------------------------------------
+//   events:manage       |      |   ✓   |   ✓   | submit drafts; attendees, registrations,
+//                       |      |       |       | chatrooms, notifications and announcements
+//                       |      |       |       | for events they created
+//   events:manage_any   |      |       |   ✓   | the above for events created by anyone
+//   drafts:review       |      |   ✓   |   ✓   | list all drafts, approve / reject
+//   reviews:moderate    |      |   ✓   |   ✓   | read reviews (admin: own events, owner: all)
+//   faqs:manage         |      |   ✓   |   ✓   | add FAQs
+//   categories:manage   |      |   ✓   |   ✓   | create / edit / delete event categories
+//   chatrooms:monitor   |      |       |   ✓   | read / post in every event chatroom
+//   roles:manage        |      |       |   ✓   | role request queue, grant / revoke roles, audit
+//   users:manage        |      |   ✓   |   ✓   | edit other users' profiles, see private contact
+//                       |      |       |       | details (passwords stay self-service)
+//   system:maintain     |      |       |   ✓   | data import endpoints, bulk clean-up
+//   api_keys:manage     |      |   ✓   |   ✓   | create / revoke personal API keys for integrations
+export const ROLES = ["user", "admin", "owner"];
+
+export const PERMISSIONS = {
+  "events:manage": ["admin", "owner"],
+  "events:manage_any": ["owner"],
+  "drafts:review": ["admin", "owner"],
+  "reviews:moderate": ["admin", "owner"],
+  "faqs:manage": ["admin", "owner"],
+  "categories:manage": ["admin", "owner"],
+  "chatrooms:monitor": ["owner"],
+  "roles:manage": ["owner"],
+  "users:manage": ["admin", "owner"],
+  "system:maintain": ["owner"],
+  "api_keys:manage": ["admin", "owner"],
+};
+
+const roleOf = (user) => String(user?.role || "").toLowerCase();
+
+// Inline check for handlers whose behaviour depends on the caller's role
+export function hasPermission(user, permission) {
+  const roles = PERMISSIONS[permission];
+  if (!roles) throw new Error(`Unknown permission "${permission}"`);
+  return roles.includes(roleOf(user));
+}
+
+// Middleware: allow only the listed roles. Use after verifyToken.
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) return res.status(401).json({ message: "Unauthorized: No token provided" });
+  if (!roles.includes(roleOf(req.user))) {
+    return res.status(403).json({ message: "Forbidden: insufficient role" });
+  }
+  next();
+};
+
+// Middleware: allow roles granted `permission` in the matrix above. Use after verifyToken.
+export const requirePermission = (permission) => {
+  if (!PERMISSIONS[permission]) throw new Error(`Unknown permission "${permission}"`);
+  return requireRole(...PERMISSIONS[permission]);
 };
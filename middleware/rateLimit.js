@@ -0,0 +1,148 @@
+// middleware/rateLimit.js
+// Fixed-window rate limiting and temporary account lockout.
+//
+// Counters live in a store with the interface
+//   hit(key, windowMs)  -> { count, resetAt }   increment, starting a new window if expired
+//   get(key)            -> { count, resetAt } | null
+//   reset(key)
+// RATE_LIMIT_STORE=memory (default, per process) or db (the rate_limits table,
+// shared by every instance pointing at the same database).
+import db from "../db.js";
+
+export function createMemoryStore({ sweepMs = 60 * 1000 } = {}) {
+  const windows = new Map();
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, w] of windows) if (w.resetAt <= now) windows.delete(key);
+  }, sweepMs);
+  sweeper.unref?.();
+
+  return {
+    name: "memory",
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let w = windows.get(key);
+      if (!w || w.resetAt <= now) {
+        w = { count: 0, resetAt: now + windowMs };
+        windows.set(key, w);
+      }
+      w.count += 1;
+      return { count: w.count, resetAt: w.resetAt };
+    },
+    async get(key) {
+      const w = windows.get(key);
+      return w && w.resetAt > Date.now() ? { count: w.count, resetAt: w.resetAt } : null;
+    },
+    async reset(key) {
+      windows.delete(key);
+    },
+  };
+}
+
+export function createDatabaseStore() {
+  return {
+    name: "db",
+    async hit(key, windowMs) {
+      const now = Date.now();
+      await db.upsert("rate_limits", { rl_key: key, hits: 0, reset_at: new Date(now + windowMs) }, {
+        conflict: ["rl_key"],
+        update: [],
+      });
+      return db.transaction(async (conn) => {
+        const [rows] = await conn.query("SELECT hits, reset_at FROM rate_limits WHERE rl_key = ? FOR UPDATE", [key]);
+        const expired = new Date(rows[0].reset_at).getTime() <= now;
+        const count = expired ? 1 : Number(rows[0].hits) + 1;
+        const resetAt = expired ? now + windowMs : new Date(rows[0].reset_at).getTime();
+        await conn.query("UPDATE rate_limits SET hits = ?, reset_at = ? WHERE rl_key = ?", [count, new Date(resetAt), key]);
+        return { count, resetAt };
+      });
+    },
+    async get(key) {
+      const [rows] = await db.query("SELECT hits, reset_at FROM rate_limits WHERE rl_key = ? LIMIT 1", [key]);
+      const resetAt = rows[0] ? new Date(rows[0].reset_at).getTime() : 0;
+      return resetAt > Date.now() ? { count: Number(rows[0].hits), resetAt } : null;
+    },
+    async reset(key) {
+      await db.query("DELETE FROM rate_limits WHERE rl_key = ?", [key]);
+    },
+  };
+}
+
+let defaultStore = null;
+
+export function getRateLimitStore() {
+  if (!defaultStore) {
+    const name = process.env.RATE_LIMIT_STORE || "memory";
+    if (name === "memory") defaultStore = createMemoryStore();
+    else if (name === "db") defaultStore = createDatabaseStore();
+    else throw new Error(`Unknown RATE_LIMIT_STORE "${name}". Use memory or db.`);
+  }
+  return defaultStore;
+}
+
+// Key functions: who a limit applies to
+export const byIp = (req) => `ip:${req.ip}`;
+export const byUser = (req) => (req.user?.user_id ? `user:${req.user.user_id}` : byIp(req));
+
+function tooMany(res, resetAt, message) {
+  res.set("Retry-After", String(Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))));
+  return res.status(429).json({ message });
+}
+
+/**
+ * Middleware allowing `max` requests per `windowMs` for each key.
+ * rateLimit({ name: "chat", windowMs: 60_000, max: 30, keyBy: byUser })
+ * Put it after verifyToken when keying by user. If the store fails the
+ * request is let through rather than taking the endpoint down.
+ */
+export function rateLimit({
+  name,
+  windowMs,
+  max,
+  keyBy = byIp,
+  message = "Too many requests, please try again later.",
+  store = null,
+}) {
+  return async (req, res, next) => {
+    let result;
+    try {
+      result = await (store || getRateLimitStore()).hit(`${name}:${keyBy(req)}`, windowMs);
+    } catch (err) {
+      console.error(`[rateLimit:${name}] store error:`, err.message);
+      return next();
+    }
+    res.set("RateLimit-Limit", String(max));
+    res.set("RateLimit-Remaining", String(Math.max(0, max - result.count)));
+    if (result.count > max) return tooMany(res, result.resetAt, message);
+    next();
+  };
+}
+
+// Budgets shared by several routers, so every endpoint counts against the
+// same window: direct and chatroom messages, and notifications sent by
+// organizers (notifications, announcements, registration reminders).
+export const chatMessageLimiter = rateLimit({ name: "chat-message", windowMs: 60 * 1000, max: 30, keyBy: byUser });
+export const notificationLimiter = rateLimit({ name: "notification-create", windowMs: 60 * 1000, max: 20, keyBy: byUser });
+
+/**
+ * Temporary lockout after `threshold` failures within `windowMs` for a key
+ * (e.g. a username). The lock lifts when the window ends.
+ */
+export function accountLockout({ name = "lockout", threshold, windowMs, store = null }) {
+  const s = () => store || getRateLimitStore();
+  const k = (key) => `${name}:${String(key).toLowerCase()}`;
+  return {
+    // Returns the time the lock lifts (ms epoch) or null when not locked
+    async lockedUntil(key) {
+      const w = await s().get(k(key));
+      return w && w.count >= threshold ? w.resetAt : null;
+    },
+    async recordFailure(key) {
+      await s().hit(k(key), windowMs);
+    },
+    async clear(key) {
+      await s().reset(k(key));
+    },
+    respond: (res, resetAt) => tooMany(res, resetAt, "Too many failed attempts. Please try again later."),
+  };
+}
@@ -0,0 +1,277 @@
+// Baseline schema: every table the routes read or write today.
+// Uses CREATE TABLE IF NOT EXISTS so it can be applied to databases that
+// were set up by hand before the migration runner existed.
+
+const TABLES = [
+  "users",
+  "categories",
+  "events",
+  "draft_events",
+  "registrations",
+  "tickets",
+  "saved_events",
+  "faqs",
+  "chatrooms",
+  "chat_messages",
+  "friends",
+  "fmessages",
+  "notifications",
+  "announcements",
+  "ratings_reviews",
+  "badges",
+  "user_badges",
+  "user_certificates",
+];
+
+export async function up({ db, t, addIndex }) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      user_id ${t.id},
+      username VARCHAR(100) NOT NULL UNIQUE,
+      email VARCHAR(255) NOT NULL UNIQUE,
+      password VARCHAR(255) NOT NULL,
+      role VARCHAR(20) NOT NULL DEFAULT 'user',
+      bio TEXT NULL,
+      avatar VARCHAR(255) NULL,
+      contact_phone VARCHAR(30) NULL,
+      status VARCHAR(20) DEFAULT 'Offline',
+      last_seen ${t.timestamp} NULL,
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now}
+    )${t.tableOptions}
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS categories (
+      category_id ${t.id},
+      name VARCHAR(100) NOT NULL,
+      description TEXT NULL,
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now}
+    )${t.tableOptions}
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS events (
+      event_id ${t.id},
+      title VARCHAR(255) NOT NULL,
+      description TEXT NULL,
+      capacity ${t.int} NULL,
+      location VARCHAR(255) NULL,
+      locations ${t.json} NULL,
+      sessions ${t.json} NULL,
+      documents ${t.json} NULL,
+      category_id ${t.int} NULL,
+      start_time ${t.timestamp} NULL,
+      end_time ${t.timestamp} NULL,
+      latitude DECIMAL(9,6) NULL,
+      longitude DECIMAL(9,6) NULL,
+      image VARCHAR(255) DEFAULT '/uploads/events/default-event.png',
+      created_by ${t.int} NOT NULL,
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now}
+    )${t.tableOptions}
+  `);
+  await addIndex("events", "idx_events_created_by", ["created_by"]);
+  await addIndex("events", "idx_events_category", ["category_id"]);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS draft_events (
+      draft_id ${t.id},
+      title VARCHAR(255) NULL,
+      description TEXT NULL,
+      capacity ${t.int} NULL,
+      locations ${t.json} NULL,
+      sessions ${t.json} NULL,
+      documents ${t.json} NULL,
+      attachments ${t.json} NULL,
+      category_id ${t.int} NULL,
+      start_time ${t.timestamp} NULL,
+      end_time ${t.timestamp} NULL,
+      requires_approval ${t.bool} NOT NULL DEFAULT 0,
+      submitted_by ${t.int} NULL,
+      submitted_at ${t.timestamp} NULL,
+      status VARCHAR(50) NOT NULL DEFAULT 'draft',
+      review_notes TEXT NULL,
+      collaborators TEXT NULL,
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+      updated_at ${t.timestamp} NOT NULL DEFAULT ${t.now}
+    )${t.tableOptions}
+  `);
+  await addIndex("draft_events", "idx_drafts_submitted_by", ["submitted_by"]);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS registrations (
+      registration_id ${t.id},
+      user_id ${t.int} NOT NULL,
+      event_id ${t.int} NOT NULL,
+      status VARCHAR(32) NOT NULL DEFAULT 'pending',
+      ticket_type VARCHAR(100) DEFAULT 'General',
+      amount DECIMAL(10,2) DEFAULT 0.00,
+      attended ${t.bool} NOT NULL DEFAULT 0,
+      registered_at ${t.timestamp} NULL,
+      registration_time ${t.timestamp} NULL
+    )${t.tableOptions}
+  `);
+  await addIndex("registrations", "idx_registrations_user", ["user_id"]);
+  await addIndex("registrations", "idx_registrations_event", ["event_id"]);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS tickets (
+      ticket_id ${t.id},
+      registration_id ${t.int} NOT NULL,
+      ticket_code VARCHAR(100) NOT NULL UNIQUE,
+      issue_time ${t.timestamp} NOT NULL DEFAULT ${t.now},
+      status VARCHAR(32) NOT NULL DEFAULT 'active'
+    )${t.tableOptions}
+  `);
+  await addIndex("tickets", "idx_tickets_registration", ["registration_id"]);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS saved_events (
+      saved_id ${t.id},
+      user_id ${t.int} NOT NULL,
+      event_id ${t.int} NOT NULL,
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+      UNIQUE (user_id, event_id)
+    )${t.tableOptions}
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS faqs (
+      faq_id ${t.id},
+      event_id ${t.int} NULL,
+      question TEXT NOT NULL,
+      answer TEXT NOT NULL,
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now}
+    )${t.tableOptions}
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS chatrooms (
+      chatroom_id ${t.id},
+      name VARCHAR(255) NULL,
+      type VARCHAR(20) NOT NULL DEFAULT 'event',
+      event_id ${t.int} NULL,
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now}
+    )${t.tableOptions}
+  `);
+  await addIndex("chatrooms", "idx_chatrooms_event", ["event_id"]);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS chat_messages (
+      message_id ${t.id},
+      chatroom_id ${t.int} NOT NULL,
+      user_id ${t.int} NOT NULL,
+      message TEXT NOT NULL,
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now}
+    )${t.tableOptions}
+  `);
+  await addIndex("chat_messages", "idx_chat_messages_room", ["chatroom_id", "created_at"]);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS friends (
+      id ${t.id},
+      user_id ${t.int} NOT NULL,
+      friend_id ${t.int} NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+      UNIQUE (user_id, friend_id)
+    )${t.tableOptions}
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS fmessages (
+      message_id ${t.id},
+      sender_id ${t.int} NOT NULL,
+      receiver_id ${t.int} NOT NULL,
+      message TEXT NOT NULL,
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now}
+    )${t.tableOptions}
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS notifications (
+      notification_id ${t.id},
+      user_id ${t.int} NOT NULL,
+      event_id ${t.int} NULL,
+      created_by ${t.int} NULL,
+      type VARCHAR(32) NOT NULL DEFAULT 'in-app',
+      title VARCHAR(255) NULL,
+      message TEXT NOT NULL,
+      status VARCHAR(32) NOT NULL DEFAULT 'pending',
+      is_read ${t.bool} NOT NULL DEFAULT 0,
+      scheduled_at ${t.timestamp} NULL,
+      scheduled_by ${t.int} NULL,
+      attempts ${t.int} NOT NULL DEFAULT 0,
+      error_message VARCHAR(255) NULL,
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+      sent_at ${t.timestamp} NULL
+    )${t.tableOptions}
+  `);
+  await addIndex("notifications", "idx_notifications_user_read", ["user_id", "is_read"]);
+  await addIndex("notifications", "idx_notifications_event", ["event_id"]);
+  await addIndex("notifications", "idx_notifications_status_sched", ["status", "scheduled_at"]);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS announcements (
+      announcement_id ${t.id},
+      event_id ${t.int} NULL,
+      title VARCHAR(255) NOT NULL,
+      message TEXT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'draft',
+      scheduled_at ${t.timestamp} NULL,
+      created_by ${t.int} NOT NULL,
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+      updated_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+      sent_at ${t.timestamp} NULL
+    )${t.tableOptions}
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS ratings_reviews (
+      review_id ${t.id},
+      user_id ${t.int} NOT NULL,
+      event_id ${t.int} NOT NULL,
+      rating SMALLINT NULL,
+      review TEXT NULL,
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+      UNIQUE (user_id, event_id)
+    )${t.tableOptions}
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS badges (
+      badge_id ${t.id},
+      ${t.ident("key")} VARCHAR(64) NOT NULL UNIQUE,
+      title VARCHAR(255) NOT NULL,
+      description TEXT NULL,
+      criteria_type VARCHAR(32) NOT NULL,
+      threshold ${t.int} NOT NULL DEFAULT 1,
+      xp ${t.int} NOT NULL DEFAULT 0
+    )${t.tableOptions}
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS user_badges (
+      user_id ${t.int} NOT NULL,
+      badge_id ${t.int} NOT NULL,
+      awarded_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+      PRIMARY KEY (user_id, badge_id)
+    )${t.tableOptions}
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS user_certificates (
+      cert_id ${t.id},
+      user_id ${t.int} NOT NULL,
+      event_id ${t.int} NOT NULL,
+      issued_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+      file_path VARCHAR(255) NULL,
+      UNIQUE (user_id, event_id)
+    )${t.tableOptions}
+  `);
+}
+
+export async function down({ db }) {
+  for (const table of [...TABLES].reverse()) {
+    await db.query(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
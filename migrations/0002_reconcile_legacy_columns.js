@@ -0,0 +1,87 @@
+// Bring databases created by the old one-off scripts (the PostgreSQL
+// /api/migration/setup-schema endpoint, the registrations ticket-fields
+// script and the notifications recreate script) in line with the baseline.
+// Every step checks the current shape first, so fresh databases are untouched.
+
+export async function up({ db, dialect, t, hasColumn, addColumn }) {
+  // notifications: legacy Postgres tables used `read BOOLEAN` and had no title/status
+  if (!(await hasColumn("notifications", "is_read"))) {
+    await addColumn("notifications", "is_read", `${t.bool} NOT NULL DEFAULT 0`);
+    if (await hasColumn("notifications", "read")) {
+      const read = t.ident("read");
+      await db.query(`UPDATE notifications SET is_read = CASE WHEN ${read} THEN 1 ELSE 0 END`);
+      await db.query(`ALTER TABLE notifications DROP COLUMN ${read}`);
+    }
+  }
+  await addColumn("notifications", "event_id", `${t.int} NULL`);
+  if (await hasColumn("notifications", "related_id")) {
+    await db.query("UPDATE notifications SET event_id = related_id WHERE event_id IS NULL");
+  }
+  await addColumn("notifications", "created_by", `${t.int} NULL`);
+  await addColumn("notifications", "title", "VARCHAR(255) NULL");
+  await addColumn("notifications", "status", "VARCHAR(32) NOT NULL DEFAULT 'pending'");
+  await addColumn("notifications", "scheduled_at", `${t.timestamp} NULL`);
+  await addColumn("notifications", "scheduled_by", `${t.int} NULL`);
+  await addColumn("notifications", "attempts", `${t.int} NOT NULL DEFAULT 0`);
+  await addColumn("notifications", "error_message", "VARCHAR(255) NULL");
+  await addColumn("notifications", "sent_at", `${t.timestamp} NULL`);
+
+  // registrations: ticket fields (formerly migrations/20251029_add_ticket_fields_to_registrations.js)
+  await addColumn("registrations", "ticket_type", "VARCHAR(100) DEFAULT 'General'");
+  await addColumn("registrations", "amount", "DECIMAL(10,2) DEFAULT 0.00");
+  await addColumn("registrations", "attended", `${t.bool} NOT NULL DEFAULT 0`);
+  if (await addColumn("registrations", "registered_at", `${t.timestamp} NULL`)) {
+    if (await hasColumn("registrations", "registration_date")) {
+      await db.query("UPDATE registrations SET registered_at = registration_date");
+    }
+  }
+  await addColumn("registrations", "registration_time", `${t.timestamp} NULL`);
+  await db.query("UPDATE registrations SET ticket_type = 'General' WHERE ticket_type IS NULL");
+  await db.query("UPDATE registrations SET amount = 0.00 WHERE amount IS NULL");
+
+  // tickets: legacy Postgres used ticket_number/created_at
+  if (await addColumn("tickets", "ticket_code", "VARCHAR(100) NULL")) {
+    if (await hasColumn("tickets", "ticket_number")) {
+      await db.query("UPDATE tickets SET ticket_code = ticket_number");
+    }
+  }
+  if (await addColumn("tickets", "issue_time", `${t.timestamp} NULL`)) {
+    if (await hasColumn("tickets", "created_at")) {
+      await db.query("UPDATE tickets SET issue_time = created_at");
+    }
+  }
+
+  // draft_events: documents used to be added at boot by server.js ensureSchema()
+  await addColumn("draft_events", "documents", `${t.json} NULL`);
+  await addColumn("draft_events", "attachments", `${t.json} NULL`);
+  await addColumn("draft_events", "review_notes", "TEXT NULL");
+  await addColumn("draft_events", "submitted_by", `${t.int} NULL`);
+  await addColumn("draft_events", "submitted_at", `${t.timestamp} NULL`);
+
+  await addColumn("events", "location", "VARCHAR(255) NULL");
+  await addColumn("events", "latitude", "DECIMAL(9,6) NULL");
+  await addColumn("events", "longitude", "DECIMAL(9,6) NULL");
+  await addColumn("events", "image", "VARCHAR(255) DEFAULT '/uploads/events/default-event.png'");
+
+  await addColumn("users", "bio", "TEXT NULL");
+  await addColumn("users", "avatar", "VARCHAR(255) NULL");
+  await addColumn("users", "contact_phone", "VARCHAR(30) NULL");
+  await addColumn("users", "status", "VARCHAR(20) DEFAULT 'Offline'");
+  await addColumn("users", "last_seen", `${t.timestamp} NULL`);
+
+  await addColumn("chatrooms", "name", "VARCHAR(255) NULL");
+  await addColumn("chatrooms", "type", "VARCHAR(20) NOT NULL DEFAULT 'event'");
+
+  if (dialect === "postgres") {
+    // The setup-schema tables declared these NOT NULL, but Global/Help rooms,
+    // site-wide FAQs and drafts created by the API leave them empty.
+    await db.query("ALTER TABLE chatrooms ALTER COLUMN event_id DROP NOT NULL");
+    await db.query("ALTER TABLE faqs ALTER COLUMN event_id DROP NOT NULL");
+    if (await hasColumn("draft_events", "owner_id")) {
+      await db.query("ALTER TABLE draft_events ALTER COLUMN owner_id DROP NOT NULL");
+    }
+  }
+}
+
+// The legacy layouts are not worth restoring; the added columns are harmless.
+export async function down() {}
@@ -0,0 +1,14 @@
+// Per-user privacy setting for the public profile (GET /api/profile/:id).
+//   public  - email and phone visible to everyone
+//   members - visible to signed-in users only (default)
+//   private - visible to the user themself and to admins/owners
+
+export async function up({ addColumn }) {
+  await addColumn("users", "profile_visibility", "VARCHAR(20) NOT NULL DEFAULT 'members'");
+}
+
+export async function down({ db, hasColumn }) {
+  if (await hasColumn("users", "profile_visibility")) {
+    await db.query("ALTER TABLE users DROP COLUMN profile_visibility");
+  }
+}
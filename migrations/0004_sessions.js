@@ -0,0 +1,26 @@
+// Login sessions backing refresh tokens. Refresh tokens are stored only as
+// SHA-256 hashes; the previous hash is kept to detect replay of a rotated token.
+
+export async function up({ db, t, addIndex }) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      session_id ${t.id},
+      user_id ${t.int} NOT NULL,
+      refresh_token_hash CHAR(64) NOT NULL UNIQUE,
+      previous_token_hash CHAR(64) NULL,
+      user_agent VARCHAR(255) NULL,
+      ip_address VARCHAR(64) NULL,
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+      last_used_at ${t.timestamp} NULL,
+      expires_at ${t.timestamp} NOT NULL,
+      revoked_at ${t.timestamp} NULL,
+      revoked_reason VARCHAR(50) NULL
+    )${t.tableOptions}
+  `);
+  await addIndex("sessions", "idx_sessions_user", ["user_id"]);
+  await addIndex("sessions", "idx_sessions_previous_hash", ["previous_token_hash"]);
+}
+
+export async function down({ db }) {
+  await db.query("DROP TABLE IF EXISTS sessions");
+}
@@ -0,0 +1,32 @@
+// Single-use, expiring tokens for password reset and email verification
+// (stored as SHA-256 hashes), plus the users.email_verified flag.
+
+export async function up({ db, t, addColumn, addIndex }) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS user_tokens (
+      token_id ${t.id},
+      user_id ${t.int} NOT NULL,
+      purpose VARCHAR(30) NOT NULL,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+      expires_at ${t.timestamp} NOT NULL,
+      used_at ${t.timestamp} NULL
+    )${t.tableOptions}
+  `);
+  await addIndex("user_tokens", "idx_user_tokens_user_purpose", ["user_id", "purpose"]);
+
+  if (await addColumn("users", "email_verified", `${t.bool} NOT NULL DEFAULT 0`)) {
+    // Accounts created before verification existed are trusted as-is
+    await db.query("UPDATE users SET email_verified = 1");
+  }
+  await addColumn("users", "email_verified_at", `${t.timestamp} NULL`);
+}
+
+export async function down({ db, hasColumn }) {
+  await db.query("DROP TABLE IF EXISTS user_tokens");
+  for (const column of ["email_verified_at", "email_verified"]) {
+    if (await hasColumn("users", column)) {
+      await db.query(`ALTER TABLE users DROP COLUMN ${column}`);
+    }
+  }
+}
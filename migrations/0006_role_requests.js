@@ -0,0 +1,40 @@
+// Role elevation requests reviewed by owners, and an audit trail of every
+// change to users.role.
+
+export async function up({ db, t, addIndex }) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS role_requests (
+      request_id ${t.id},
+      user_id ${t.int} NOT NULL,
+      requested_role VARCHAR(20) NOT NULL,
+      reason TEXT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      reviewed_by ${t.int} NULL,
+      review_notes TEXT NULL,
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+      reviewed_at ${t.timestamp} NULL
+    )${t.tableOptions}
+  `);
+  await addIndex("role_requests", "idx_role_requests_status", ["status"]);
+  await addIndex("role_requests", "idx_role_requests_user", ["user_id"]);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS role_audit (
+      audit_id ${t.id},
+      user_id ${t.int} NOT NULL,
+      old_role VARCHAR(20) NULL,
+      new_role VARCHAR(20) NOT NULL,
+      changed_by ${t.int} NULL,
+      source VARCHAR(30) NOT NULL,
+      request_id ${t.int} NULL,
+      reason TEXT NULL,
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now}
+    )${t.tableOptions}
+  `);
+  await addIndex("role_audit", "idx_role_audit_user", ["user_id"]);
+}
+
+export async function down({ db }) {
+  await db.query("DROP TABLE IF EXISTS role_audit");
+  await db.query("DROP TABLE IF EXISTS role_requests");
+}
@@ -0,0 +1,30 @@
+// TOTP two-factor authentication: per-user secret and state on users,
+// plus hashed single-use recovery codes.
+
+export async function up({ db, t, addColumn, addIndex }) {
+  await addColumn("users", "totp_secret", "VARCHAR(64) NULL");
+  await addColumn("users", "totp_enabled", `${t.bool} NOT NULL DEFAULT 0`);
+  await addColumn("users", "totp_enabled_at", `${t.timestamp} NULL`);
+  // Last accepted time step, so a code cannot be replayed within its window
+  await addColumn("users", "totp_last_step", `${t.int} NULL`);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS recovery_codes (
+      code_id ${t.id},
+      user_id ${t.int} NOT NULL,
+      code_hash CHAR(64) NOT NULL,
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+      used_at ${t.timestamp} NULL
+    )${t.tableOptions}
+  `);
+  await addIndex("recovery_codes", "idx_recovery_codes_user", ["user_id"]);
+}
+
+export async function down({ db, hasColumn }) {
+  await db.query("DROP TABLE IF EXISTS recovery_codes");
+  for (const column of ["totp_last_step", "totp_enabled_at", "totp_enabled", "totp_secret"]) {
+    if (await hasColumn("users", column)) {
+      await db.query(`ALTER TABLE users DROP COLUMN ${column}`);
+    }
+  }
+}
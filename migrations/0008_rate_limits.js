@@ -0,0 +1,15 @@
+// Counters for the database-backed rate limit store (RATE_LIMIT_STORE=db).
+
+export async function up({ db, t }) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS rate_limits (
+      rl_key VARCHAR(191) PRIMARY KEY,
+      hits ${t.int} NOT NULL DEFAULT 0,
+      reset_at ${t.timestamp} NOT NULL
+    )${t.tableOptions}
+  `);
+}
+
+export async function down({ db }) {
+  await db.query("DROP TABLE IF EXISTS rate_limits");
+}
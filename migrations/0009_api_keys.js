@@ -0,0 +1,26 @@
+// Personal API keys for integrations. Only a SHA-256 hash of each key is
+// stored; key_prefix is kept so users can tell their keys apart.
+
+export async function up({ db, t, addIndex }) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      key_id ${t.id},
+      user_id ${t.int} NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      key_prefix VARCHAR(16) NOT NULL,
+      key_hash CHAR(64) NOT NULL UNIQUE,
+      scopes VARCHAR(255) NOT NULL,
+      rate_limit_per_minute ${t.int} NOT NULL DEFAULT 60,
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+      expires_at ${t.timestamp} NULL,
+      last_used_at ${t.timestamp} NULL,
+      last_used_ip VARCHAR(64) NULL,
+      revoked_at ${t.timestamp} NULL
+    )${t.tableOptions}
+  `);
+  await addIndex("api_keys", "idx_api_keys_user", ["user_id"]);
+}
+
+export async function down({ db }) {
+  await db.query("DROP TABLE IF EXISTS api_keys");
+}
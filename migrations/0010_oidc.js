@@ -0,0 +1,33 @@
+// OpenID Connect sign-in: external identities linked to users, and the
+// short-lived state (PKCE verifier, nonce) of logins in progress.
+
+export async function up({ db, t, addIndex }) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS user_identities (
+      identity_id ${t.id},
+      user_id ${t.int} NOT NULL,
+      issuer VARCHAR(255) NOT NULL,
+      subject VARCHAR(255) NOT NULL,
+      email VARCHAR(255) NULL,
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+      last_login_at ${t.timestamp} NULL
+    )${t.tableOptions}
+  `);
+  await addIndex("user_identities", "uq_user_identities_subject", ["issuer", "subject"], { unique: true });
+  await addIndex("user_identities", "idx_user_identities_user", ["user_id"]);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS oidc_logins (
+      state_hash CHAR(64) PRIMARY KEY,
+      code_verifier VARCHAR(128) NOT NULL,
+      nonce VARCHAR(64) NOT NULL,
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+      expires_at ${t.timestamp} NOT NULL
+    )${t.tableOptions}
+  `);
+}
+
+export async function down({ db }) {
+  await db.query("DROP TABLE IF EXISTS oidc_logins");
+  await db.query("DROP TABLE IF EXISTS user_identities");
+}
@@ -0,0 +1,20 @@
+// Event lifecycle: events are published when approved and can then be
+// cancelled, postponed (new date to be announced) or completed.
+
+export async function up({ db, t, addColumn, addIndex }) {
+  await addColumn("events", "status", "VARCHAR(20) NOT NULL DEFAULT 'published'");
+  await addColumn("events", "status_reason", "TEXT NULL");
+  await addColumn("events", "status_changed_at", `${t.timestamp} NULL`);
+  await addColumn("events", "updated_at", `${t.timestamp} NULL`);
+  await addColumn("events", "updated_by", `${t.int} NULL`);
+  await addIndex("events", "idx_events_status", ["status"]);
+}
+
+export async function down({ db, dialect, hasColumn }) {
+  await db.query(dialect === "mysql" ? "DROP INDEX idx_events_status ON events" : "DROP INDEX IF EXISTS idx_events_status");
+  for (const column of ["updated_by", "updated_at", "status_changed_at", "status_reason", "status"]) {
+    if (await hasColumn("events", column)) {
+      await db.query(`ALTER TABLE events DROP COLUMN ${column}`);
+    }
+  }
+}
@@ -0,0 +1,40 @@
+// Indexes for GET /api/events search and sorting, plus events.price for the
+// free / paid filter (0 = free).
+// The Postgres expression must stay identical to SEARCH_VECTOR in
+// utils/eventSearch.js or the planner will not use the index.
+
+const PG_SEARCH_VECTOR = "to_tsvector('simple', coalesce(title, '') || ' ' || coalesce(description, ''))";
+
+export async function up({ db, dialect, addColumn, addIndex }) {
+  await addColumn("events", "price", "DECIMAL(10,2) NOT NULL DEFAULT 0");
+  await addIndex("events", "idx_events_start_time", ["start_time"]);
+  await addIndex("events", "idx_events_status_start", ["status", "start_time"]);
+
+  if (dialect === "postgres") {
+    await db.query(`CREATE INDEX IF NOT EXISTS idx_events_search ON events USING GIN (${PG_SEARCH_VECTOR})`);
+  } else if (dialect === "mysql") {
+    const [rows] = await db.query(
+      "SELECT 1 FROM information_schema.statistics WHERE table_schema = DATABASE() AND table_name = 'events' AND index_name = 'idx_events_search'"
+    );
+    if (rows.length === 0) await db.query("CREATE FULLTEXT INDEX idx_events_search ON events (title, description)");
+  }
+  // SQLite has no full-text index on plain tables; search falls back to LIKE there
+}
+
+export async function down({ db, dialect, hasColumn }) {
+  const indexes = ["idx_events_search", "idx_events_status_start", "idx_events_start_time"];
+  for (const name of indexes) {
+    if (dialect === "mysql") {
+      const [rows] = await db.query(
+        "SELECT 1 FROM information_schema.statistics WHERE table_schema = DATABASE() AND table_name = 'events' AND index_name = ?",
+        [name]
+      );
+      if (rows.length > 0) await db.query(`DROP INDEX ${name} ON events`);
+    } else {
+      await db.query(`DROP INDEX IF EXISTS ${name}`);
+    }
+  }
+  if (await hasColumn("events", "price")) {
+    await db.query("ALTER TABLE events DROP COLUMN price");
+  }
+}
@@ -0,0 +1,28 @@
+// Category presentation (icon, color) and category follows: followers are
+// notified when a new event is published in the category.
+
+export async function up({ db, t, addColumn, addIndex }) {
+  await addColumn("categories", "icon", "VARCHAR(50) NULL");
+  await addColumn("categories", "color", "VARCHAR(7) NULL");
+  await addColumn("categories", "updated_at", `${t.timestamp} NULL`);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS category_follows (
+      follow_id ${t.id},
+      user_id ${t.int} NOT NULL,
+      category_id ${t.int} NOT NULL,
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+      UNIQUE (user_id, category_id)
+    )${t.tableOptions}
+  `);
+  await addIndex("category_follows", "idx_category_follows_category", ["category_id"]);
+}
+
+export async function down({ db, hasColumn }) {
+  await db.query("DROP TABLE IF EXISTS category_follows");
+  for (const column of ["updated_at", "color", "icon"]) {
+    if (await hasColumn("categories", column)) {
+      await db.query(`ALTER TABLE categories DROP COLUMN ${column}`);
+    }
+  }
+}
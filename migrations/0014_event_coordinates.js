@@ -0,0 +1,24 @@
+// Coordinates on drafts (copied to the event on approval) and an index for
+// the bounding-box prefilter of GET /api/events/nearby.
+
+export async function up({ addColumn, addIndex }) {
+  await addColumn("draft_events", "latitude", "DECIMAL(9,6) NULL");
+  await addColumn("draft_events", "longitude", "DECIMAL(9,6) NULL");
+  await addIndex("events", "idx_events_coordinates", ["latitude", "longitude"]);
+}
+
+export async function down({ db, dialect, hasColumn }) {
+  if (dialect === "mysql") {
+    const [rows] = await db.query(
+      "SELECT 1 FROM information_schema.statistics WHERE table_schema = DATABASE() AND table_name = 'events' AND index_name = 'idx_events_coordinates'"
+    );
+    if (rows.length > 0) await db.query("DROP INDEX idx_events_coordinates ON events");
+  } else {
+    await db.query("DROP INDEX IF EXISTS idx_events_coordinates");
+  }
+  for (const column of ["longitude", "latitude"]) {
+    if (await hasColumn("draft_events", column)) {
+      await db.query(`ALTER TABLE draft_events DROP COLUMN ${column}`);
+    }
+  }
+}
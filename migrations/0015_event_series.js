@@ -0,0 +1,47 @@
+// Recurring event series. Each occurrence is an ordinary events row with the
+// shared series_id, its position (series_index) and the start it was
+// generated for (recurrence_id, unchanged when that occurrence is moved).
+// Drafts carry the rule until approval; registrations made for a whole
+// series remember it in registrations.series_id.
+
+export async function up({ db, t, addColumn, addIndex }) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS event_series (
+      series_id ${t.id},
+      recurrence VARCHAR(255) NOT NULL,
+      created_by ${t.int} NOT NULL,
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+      updated_at ${t.timestamp} NULL
+    )${t.tableOptions}
+  `);
+  await addColumn("draft_events", "recurrence", "VARCHAR(255) NULL");
+  await addColumn("events", "series_id", `${t.int} NULL`);
+  await addColumn("events", "series_index", `${t.int} NULL`);
+  await addColumn("events", "recurrence_id", `${t.timestamp} NULL`);
+  await addColumn("registrations", "series_id", `${t.int} NULL`);
+  await addIndex("events", "idx_events_series", ["series_id", "series_index"]);
+}
+
+export async function down({ db, dialect, hasColumn }) {
+  if (dialect === "mysql") {
+    const [rows] = await db.query(
+      "SELECT 1 FROM information_schema.statistics WHERE table_schema = DATABASE() AND table_name = 'events' AND index_name = 'idx_events_series'"
+    );
+    if (rows.length > 0) await db.query("DROP INDEX idx_events_series ON events");
+  } else {
+    await db.query("DROP INDEX IF EXISTS idx_events_series");
+  }
+  const columns = [
+    ["registrations", "series_id"],
+    ["events", "recurrence_id"],
+    ["events", "series_index"],
+    ["events", "series_id"],
+    ["draft_events", "recurrence"],
+  ];
+  for (const [table, column] of columns) {
+    if (await hasColumn(table, column)) {
+      await db.query(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    }
+  }
+  await db.query("DROP TABLE IF EXISTS event_series");
+}
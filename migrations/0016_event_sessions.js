@@ -0,0 +1,49 @@
+// Sessions as rows instead of the events.sessions JSON blob, plus the
+// personal agendas built from them. Existing blobs are copied over (times
+// like "17:00" are placed on the event's start date, UTC); the blob itself
+// is left as it was.
+import { sessionsFromJson } from "../utils/eventSessions.js";
+
+export async function up({ db, t, addIndex }) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS event_sessions (
+      session_id ${t.id},
+      event_id ${t.int} NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      description TEXT NULL,
+      room VARCHAR(100) NULL,
+      speakers ${t.json} NULL,
+      start_time ${t.timestamp} NOT NULL,
+      end_time ${t.timestamp} NOT NULL,
+      capacity ${t.int} NULL,
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+      updated_at ${t.timestamp} NULL
+    )${t.tableOptions}
+  `);
+  await addIndex("event_sessions", "idx_event_sessions_event", ["event_id", "start_time"]);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS session_attendees (
+      attendee_id ${t.id},
+      session_id ${t.int} NOT NULL,
+      user_id ${t.int} NOT NULL,
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+      UNIQUE (session_id, user_id)
+    )${t.tableOptions}
+  `);
+  await addIndex("session_attendees", "idx_session_attendees_user", ["user_id"]);
+
+  const [copied] = await db.query("SELECT COUNT(*) AS count FROM event_sessions");
+  if (Number(copied[0].count) > 0) return;
+  const [events] = await db.query("SELECT event_id, start_time, sessions FROM events WHERE sessions IS NOT NULL");
+  for (const event of events) {
+    for (const session of sessionsFromJson(event.sessions, event.start_time)) {
+      await db.insert("event_sessions", { ...session, event_id: event.event_id, created_at: new Date() }, "session_id");
+    }
+  }
+}
+
+export async function down({ db }) {
+  await db.query("DROP TABLE IF EXISTS session_attendees");
+  await db.query("DROP TABLE IF EXISTS event_sessions");
+}
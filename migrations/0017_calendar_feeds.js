@@ -0,0 +1,40 @@
+// iCalendar export: a SEQUENCE counter per event (bumped on every edit so
+// calendar apps take the update) and one secret subscription feed per user.
+// Only a SHA-256 hash of the feed token is stored. Deleted events leave a
+// tombstone per subscriber so feeds can still publish them as cancelled.
+
+export async function up({ db, t, addColumn, addIndex }) {
+  await addColumn("events", "ical_sequence", `${t.int} NOT NULL DEFAULT 0`);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS calendar_feeds (
+      feed_id ${t.id},
+      user_id ${t.int} NOT NULL UNIQUE,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+      last_used_at ${t.timestamp} NULL
+    )${t.tableOptions}
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS calendar_tombstones (
+      tombstone_id ${t.id},
+      event_id ${t.int} NOT NULL,
+      user_id ${t.int} NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      start_time ${t.timestamp} NOT NULL,
+      end_time ${t.timestamp} NULL,
+      ical_sequence ${t.int} NOT NULL DEFAULT 0,
+      deleted_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+      UNIQUE (event_id, user_id)
+    )${t.tableOptions}
+  `);
+  await addIndex("calendar_tombstones", "idx_calendar_tombstones_user", ["user_id"]);
+}
+
+export async function down({ db, hasColumn }) {
+  await db.query("DROP TABLE IF EXISTS calendar_tombstones");
+  await db.query("DROP TABLE IF EXISTS calendar_feeds");
+  if (await hasColumn("events", "ical_sequence")) {
+    await db.query("ALTER TABLE events DROP COLUMN ical_sequence");
+  }
+}
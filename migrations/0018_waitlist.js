@@ -0,0 +1,36 @@
+// Server-side capacity: registrations over capacity wait in an ordered
+// waitlist (status 'waitlisted', ordered by waitlisted_at). A freed seat is
+// offered to the next in line ('offered', held until hold_expires_at); holds
+// that lapse become 'expired'. The old 'pending' waitlist rows join the queue
+// in registration order.
+
+export async function up({ db, t, addColumn, addIndex }) {
+  await addColumn("registrations", "waitlisted_at", `${t.timestamp} NULL`);
+  await addColumn("registrations", "hold_expires_at", `${t.timestamp} NULL`);
+  await addColumn("registrations", "cancelled_at", `${t.timestamp} NULL`);
+  await db.query("UPDATE registrations SET status = LOWER(TRIM(status))");
+  await db.query(
+    `UPDATE registrations SET status = 'waitlisted', waitlisted_at = COALESCE(registered_at, registration_time, ?)
+     WHERE status IN ('pending', 'waitlisted')`,
+    [new Date()]
+  );
+  await addIndex("registrations", "idx_registrations_event_status", ["event_id", "status"]);
+}
+
+export async function down({ db, dialect, hasColumn }) {
+  await db.query("UPDATE registrations SET status = 'pending' WHERE status IN ('waitlisted', 'offered')");
+  await db.query("UPDATE registrations SET status = 'cancelled' WHERE status = 'expired'");
+  if (dialect === "mysql") {
+    const [rows] = await db.query(
+      "SELECT 1 FROM information_schema.statistics WHERE table_schema = DATABASE() AND table_name = 'registrations' AND index_name = 'idx_registrations_event_status'"
+    );
+    if (rows.length > 0) await db.query("DROP INDEX idx_registrations_event_status ON registrations");
+  } else {
+    await db.query("DROP INDEX IF EXISTS idx_registrations_event_status");
+  }
+  for (const column of ["cancelled_at", "hold_expires_at", "waitlisted_at"]) {
+    if (await hasColumn("registrations", column)) {
+      await db.query(`ALTER TABLE registrations DROP COLUMN ${column}`);
+    }
+  }
+}
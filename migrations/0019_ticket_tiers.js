@@ -0,0 +1,43 @@
+// Ticket tiers per event (price, stock, sale window, per-user limit). A
+// registration records its tier and how many tickets it holds; tier stock is
+// taken by every registration that is not cancelled or expired.
+
+export async function up({ db, t, addColumn, addIndex }) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS ticket_tiers (
+      tier_id ${t.id},
+      event_id ${t.int} NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      description TEXT NULL,
+      price DECIMAL(10,2) NOT NULL DEFAULT 0,
+      quantity_total ${t.int} NULL,
+      max_per_user ${t.int} NULL,
+      sales_start ${t.timestamp} NULL,
+      sales_end ${t.timestamp} NULL,
+      sort_order ${t.int} NOT NULL DEFAULT 0,
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+      updated_at ${t.timestamp} NULL,
+      UNIQUE (event_id, name)
+    )${t.tableOptions}
+  `);
+  await addColumn("registrations", "tier_id", `${t.int} NULL`);
+  await addColumn("registrations", "quantity", `${t.int} NOT NULL DEFAULT 1`);
+  await addIndex("registrations", "idx_registrations_tier", ["tier_id", "status"]);
+}
+
+export async function down({ db, dialect, hasColumn }) {
+  if (dialect === "mysql") {
+    const [rows] = await db.query(
+      "SELECT 1 FROM information_schema.statistics WHERE table_schema = DATABASE() AND table_name = 'registrations' AND index_name = 'idx_registrations_tier'"
+    );
+    if (rows.length > 0) await db.query("DROP INDEX idx_registrations_tier ON registrations");
+  } else {
+    await db.query("DROP INDEX IF EXISTS idx_registrations_tier");
+  }
+  for (const column of ["quantity", "tier_id"]) {
+    if (await hasColumn("registrations", column)) {
+      await db.query(`ALTER TABLE registrations DROP COLUMN ${column}`);
+    }
+  }
+  await db.query("DROP TABLE IF EXISTS ticket_tiers");
+}
@@ -0,0 +1,71 @@
+// Tickets issued automatically for confirmed registrations. Tickets now know
+// their event and holder, and voided tickets keep when and why. Old tickets
+// move to the 'active'/'void' statuses and get new unguessable codes (the old
+// ones were derived from user and event ids); confirmed registrations without
+// tickets get theirs issued here. Rolling back keeps the tickets and codes.
+import { generateTicketCode, normalizeTicketCode } from "../utils/tickets.js";
+
+export async function up({ db, t, addColumn, addIndex }) {
+  await addColumn("tickets", "event_id", `${t.int} NULL`);
+  await addColumn("tickets", "user_id", `${t.int} NULL`);
+  await addColumn("tickets", "voided_at", `${t.timestamp} NULL`);
+  await addColumn("tickets", "void_reason", "VARCHAR(100) NULL");
+  await addIndex("tickets", "idx_tickets_event", ["event_id", "status"]);
+  await addIndex("tickets", "idx_tickets_user", ["user_id"]);
+
+  await db.query(
+    `UPDATE tickets SET
+       event_id = (SELECT r.event_id FROM registrations r WHERE r.registration_id = tickets.registration_id),
+       user_id = (SELECT r.user_id FROM registrations r WHERE r.registration_id = tickets.registration_id)
+     WHERE event_id IS NULL`
+  );
+  await db.query("UPDATE tickets SET status = LOWER(TRIM(status))");
+  await db.query("UPDATE tickets SET void_reason = status, status = 'void' WHERE status <> 'active' AND status <> 'void'");
+  const [legacy] = await db.query("SELECT ticket_id, ticket_code FROM tickets WHERE status = 'active'");
+  for (const ticket of legacy) {
+    if (normalizeTicketCode(ticket.ticket_code) === ticket.ticket_code) continue;
+    await db.query("UPDATE tickets SET ticket_code = ? WHERE ticket_id = ?", [generateTicketCode(), ticket.ticket_id]);
+  }
+
+  const [registrations] = await db.query(
+    `SELECT r.registration_id, r.event_id, r.user_id, r.quantity FROM registrations r
+     WHERE r.status = 'confirmed'
+       AND NOT EXISTS (SELECT 1 FROM tickets tk WHERE tk.registration_id = r.registration_id AND tk.status = 'active')`
+  );
+  const now = new Date();
+  for (const r of registrations) {
+    for (let i = 0; i < Number(r.quantity || 1); i++) {
+      await db.insert(
+        "tickets",
+        {
+          registration_id: r.registration_id,
+          event_id: r.event_id,
+          user_id: r.user_id,
+          ticket_code: generateTicketCode(),
+          issue_time: now,
+          status: "active",
+        },
+        "ticket_id"
+      );
+    }
+  }
+}
+
+export async function down({ db, dialect, hasColumn }) {
+  for (const index of ["idx_tickets_event", "idx_tickets_user"]) {
+    if (dialect === "mysql") {
+      const [rows] = await db.query(
+        "SELECT 1 FROM information_schema.statistics WHERE table_schema = DATABASE() AND table_name = 'tickets' AND index_name = ?",
+        [index]
+      );
+      if (rows.length > 0) await db.query(`DROP INDEX ${index} ON tickets`);
+    } else {
+      await db.query(`DROP INDEX IF EXISTS ${index}`);
+    }
+  }
+  for (const column of ["void_reason", "voided_at", "user_id", "event_id"]) {
+    if (await hasColumn("tickets", column)) {
+      await db.query(`ALTER TABLE tickets DROP COLUMN ${column}`);
+    }
+  }
+}
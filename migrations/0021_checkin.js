@@ -0,0 +1,50 @@
+// Check-in at the door: when and by whom each ticket was checked in, a log of
+// every check-in and undo, staff delegated per event, and a per-event switch
+// making certificates and reviews depend on attendance (registrations.attended).
+
+export async function up({ db, t, addColumn, addIndex }) {
+  await addColumn("tickets", "checked_in_at", `${t.timestamp} NULL`);
+  await addColumn("tickets", "checked_in_by", `${t.int} NULL`);
+  await addColumn("events", "attendance_required", `${t.bool} NOT NULL DEFAULT 0`);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS checkins (
+      checkin_id ${t.id},
+      ticket_id ${t.int} NOT NULL,
+      event_id ${t.int} NOT NULL,
+      action VARCHAR(16) NOT NULL,
+      method VARCHAR(16) NOT NULL,
+      staff_user_id ${t.int} NULL,
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now}
+    )${t.tableOptions}
+  `);
+  await addIndex("checkins", "idx_checkins_event", ["event_id", "created_at"]);
+  await addIndex("checkins", "idx_checkins_ticket", ["ticket_id"]);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS event_staff (
+      staff_id ${t.id},
+      event_id ${t.int} NOT NULL,
+      user_id ${t.int} NOT NULL,
+      added_by ${t.int} NULL,
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+      UNIQUE (event_id, user_id)
+    )${t.tableOptions}
+  `);
+  await addIndex("event_staff", "idx_event_staff_user", ["user_id"]);
+}
+
+export async function down({ db, hasColumn }) {
+  await db.query("DROP TABLE IF EXISTS event_staff");
+  await db.query("DROP TABLE IF EXISTS checkins");
+  const columns = [
+    ["events", "attendance_required"],
+    ["tickets", "checked_in_by"],
+    ["tickets", "checked_in_at"],
+  ];
+  for (const [table, column] of columns) {
+    if (await hasColumn(table, column)) {
+      await db.query(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    }
+  }
+}
@@ -0,0 +1,37 @@
+// Offline-verifiable tickets: an Ed25519 key pair per event signs the ticket
+// QR tokens, and check-ins uploaded from offline scanners keep the device and
+// the scanner's own id for the scan so re-uploads are recognised.
+
+export async function up({ db, t, addColumn, addIndex }) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS ticket_signing_keys (
+      key_id ${t.id},
+      event_id ${t.int} NOT NULL UNIQUE,
+      algorithm VARCHAR(16) NOT NULL DEFAULT 'Ed25519',
+      public_key TEXT NOT NULL,
+      private_key TEXT NOT NULL,
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now}
+    )${t.tableOptions}
+  `);
+
+  await addColumn("checkins", "device_id", "VARCHAR(64) NULL");
+  await addColumn("checkins", "client_scan_id", "VARCHAR(64) NULL");
+  await addIndex("checkins", "idx_checkins_client_scan", ["event_id", "client_scan_id"], { unique: true });
+}
+
+export async function down({ db, dialect, hasColumn }) {
+  if (dialect === "mysql") {
+    const [rows] = await db.query(
+      "SELECT 1 FROM information_schema.statistics WHERE table_schema = DATABASE() AND table_name = 'checkins' AND index_name = 'idx_checkins_client_scan'"
+    );
+    if (rows.length > 0) await db.query("DROP INDEX idx_checkins_client_scan ON checkins");
+  } else {
+    await db.query("DROP INDEX IF EXISTS idx_checkins_client_scan");
+  }
+  for (const column of ["client_scan_id", "device_id"]) {
+    if (await hasColumn("checkins", column)) {
+      await db.query(`ALTER TABLE checkins DROP COLUMN ${column}`);
+    }
+  }
+  await db.query("DROP TABLE IF EXISTS ticket_signing_keys");
+}
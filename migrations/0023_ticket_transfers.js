@@ -0,0 +1,39 @@
+// Ticket transfers between users: each transfer from offer to completion (or
+// decline, rejection, cancellation) with the ticket code before and after,
+// and a per-event setting allowing transfers freely, with approval or not.
+
+export async function up({ db, t, addColumn, addIndex }) {
+  await addColumn("events", "ticket_transfers", "VARCHAR(16) NOT NULL DEFAULT 'open'");
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS ticket_transfers (
+      transfer_id ${t.id},
+      ticket_id ${t.int} NOT NULL,
+      event_id ${t.int} NOT NULL,
+      from_user_id ${t.int} NOT NULL,
+      to_user_id ${t.int} NOT NULL,
+      status VARCHAR(32) NOT NULL DEFAULT 'pending',
+      note VARCHAR(255) NULL,
+      old_ticket_code VARCHAR(64) NULL,
+      new_ticket_code VARCHAR(64) NULL,
+      created_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+      accepted_at ${t.timestamp} NULL,
+      reviewed_by ${t.int} NULL,
+      reviewed_at ${t.timestamp} NULL,
+      completed_at ${t.timestamp} NULL,
+      closed_at ${t.timestamp} NULL,
+      closed_reason VARCHAR(100) NULL
+    )${t.tableOptions}
+  `);
+  await addIndex("ticket_transfers", "idx_ticket_transfers_ticket", ["ticket_id", "status"]);
+  await addIndex("ticket_transfers", "idx_ticket_transfers_event", ["event_id", "created_at"]);
+  await addIndex("ticket_transfers", "idx_ticket_transfers_from", ["from_user_id"]);
+  await addIndex("ticket_transfers", "idx_ticket_transfers_to", ["to_user_id", "status"]);
+}
+
+export async function down({ db, hasColumn }) {
+  await db.query("DROP TABLE IF EXISTS ticket_transfers");
+  if (await hasColumn("events", "ticket_transfers")) {
+    await db.query("ALTER TABLE events DROP COLUMN ticket_transfers");
+  }
+}
@@ -8,7 +8,7 @@ const router = express.Router();
 /**
  * GET /api/achievements/badges
  * - returns all badges
- * - computes user's review_count and participated_event_count
+ * - computes user's review_count, participated_event_count and attended_event_count
  * - sets unlocked = true/false and awarded_at if already awarded
  * - auto-awards any newly unlocked badges (inserts into user_badges)
  */
@@ -29,6 +29,13 @@ router.get("/badges", verifyToken, async (req, res) => {
     );
     const eventCount = Number(eventCountRow?.event_count || 0);
 
+    // "attended" badges count only events the user was checked in at
+    const [[attendedCountRow]] = await db.query(
+      "SELECT COUNT(*) AS attended_count FROM registrations r WHERE r.user_id = ? AND r.attended = 1",
+      [userId]
+    );
+    const attendedCount = Number(attendedCountRow?.attended_count || 0);
+
     // 2) fetch all badges
     const [badges] = await db.query("SELECT * FROM badges ORDER BY badge_id ASC");
 
@@ -47,7 +54,8 @@ router.get("/badges", verifyToken, async (req, res) => {
     for (const b of badges) {
       const criteria = b.criteria_type;
       const threshold = Number(b.threshold);
-      const unlocked = criteria === "reviews" ? reviewCount >= threshold : eventCount >= threshold;
+      const count = criteria === "reviews" ? reviewCount : criteria === "attended" ? attendedCount : eventCount;
+      const unlocked = count >= threshold;
       const awarded_at = awardedMap[b.badge_id] || null;
 
       if (unlocked && !awarded_at) {
@@ -71,8 +79,7 @@ router.get("/badges", verifyToken, async (req, res) => {
     // perform inserts for newly earned badges (if any)
     if (toInsert.length > 0) {
       // Use bulk insert with ignore to handle race conditions (if another process awarded simultaneously)
-      const insertQuery = "INSERT IGNORE INTO user_badges (user_id, badge_id) VALUES ?";
-      await db.query(insertQuery, [toInsert]);
+      await db.bulkInsert("user_badges", ["user_id", "badge_id"], toInsert, { ignore: true });
 
       // re-fetch awarded times for those inserted to populate response
       const [newAwards] = await db.query(
@@ -93,6 +100,7 @@ router.get("/badges", verifyToken, async (req, res) => {
     res.json({
       reviewCount,
       eventCount,
+      attendedCount,
       badges: out
     });
   } catch (err) {
@@ -104,6 +112,7 @@ router.get("/badges", verifyToken, async (req, res) => {
 /**
  * GET /api/achievements/certificates
  * - returns events user participated in (confirmed) that are completed (end_time <= NOW())
+ * - events with attendance_required only count when the user was checked in (attended)
  * - left join user_certificates to indicate if a certificate was already issued
  */
 router.get("/certificates", verifyToken, async (req, res) => {
@@ -115,7 +124,8 @@ router.get("/certificates", verifyToken, async (req, res) => {
        FROM registrations r
        JOIN events e ON r.event_id = e.event_id
        LEFT JOIN user_certificates uc ON uc.user_id = r.user_id AND uc.event_id = r.event_id
-       WHERE r.user_id = ? AND LOWER(r.status) = 'confirmed'`,
+       WHERE r.user_id = ? AND LOWER(r.status) = 'confirmed'
+         AND (e.attendance_required = 0 OR r.attended = 1)`,
       [userId]
     );
 
@@ -160,7 +170,7 @@ router.post("/certificates/:event_id/issue", verifyToken, async (req, res) => {
 
     // 1) verify user was registered + confirmed for the event and event completed
     const [regRows] = await db.query(
-      `SELECT r.*, e.end_time FROM registrations r JOIN events e ON r.event_id = e.event_id
+      `SELECT r.*, e.end_time, e.attendance_required FROM registrations r JOIN events e ON r.event_id = e.event_id
        WHERE r.user_id = ? AND r.event_id = ? AND LOWER(r.status) = 'confirmed' LIMIT 1`,
       [userId, eventId]
     );
@@ -170,6 +180,9 @@ router.post("/certificates/:event_id/issue", verifyToken, async (req, res) => {
     if (!endTime || isNaN(new Date(endTime).getTime()) || new Date(endTime) > new Date()) {
       return res.status(403).json({ error: "Not eligible to receive a certificate for this event" });
     }
+    if (Number(reg.attendance_required) && !Number(reg.attended)) {
+      return res.status(403).json({ error: "This event's certificates are only for attendees who were checked in" });
+    }
 
     // 2) check if certificate already exists
     const [exists] = await db.query(
@@ -181,22 +194,11 @@ router.post("/certificates/:event_id/issue", verifyToken, async (req, res) => {
     }
 
     // 3) insert certificate row (file generation to be handled separately)
-    let certId;
-    if (process.env.DATABASE_URL) {
-      // PostgreSQL - use RETURNING
-      const [rows] = await db.query(
-        "INSERT INTO user_certificates (user_id, event_id) VALUES (?, ?) RETURNING cert_id",
-        [userId, eventId]
-      );
-      certId = rows && rows[0] ? rows[0].cert_id : undefined;
-    } else {
-      // MySQL - use insertId
-      const [result] = await db.query(
-        "INSERT INTO user_certificates (user_id, event_id) VALUES (?, ?)",
-        [userId, eventId]
-      );
-      certId = result.insertId;
-    }
+    const certId = await db.insert(
+      "user_certificates",
+      { user_id: userId, event_id: eventId },
+      "cert_id"
+    );
 
     const [[inserted]] = await db.query(
       "SELECT cert_id, user_id, event_id, issued_at, file_path FROM user_certificates WHERE cert_id = ? LIMIT 1",
@@ -1,7 +1,8 @@
 // routes/announcements.js
 import express from "express";
 import db from "../db.js";
-import { verifyToken } from "../middleware/authMiddleware.js";
+import { verifyToken, verifyTokenOrApiKey, requirePermission, hasPermission } from "../middleware/authMiddleware.js";
+import { notificationLimiter } from "../middleware/rateLimit.js";
 
 const router = express.Router();
 
@@ -15,11 +16,7 @@ async function tableExists(table) {
 	const key = `t:${table}`;
 	if (schemaCache.tables.has(key)) return schemaCache.tables.get(key);
 	try {
-		const [rows] = await db.query(
-			"SELECT TABLE_NAME FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?",
-			[process.env.DB_NAME, table]
-		);
-		const exists = Array.isArray(rows) && rows.length > 0;
+		const exists = await db.hasTable(table);
 		schemaCache.tables.set(key, exists);
 		return exists;
 	} catch (e) {
@@ -31,11 +28,7 @@ async function columnExists(table, column) {
 	const key = `c:${table}.${column}`;
 	if (schemaCache.columns.has(key)) return schemaCache.columns.get(key);
 	try {
-		const [rows] = await db.query(
-			"SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ? AND COLUMN_NAME = ?",
-			[process.env.DB_NAME, table, column]
-		);
-		const exists = Array.isArray(rows) && rows.length > 0;
+		const exists = await db.hasColumn(table, column);
 		schemaCache.columns.set(key, exists);
 		return exists;
 	} catch (e) {
@@ -148,12 +141,8 @@ async function insertNotifications({ recipients, event_id = null, title, message
 		return row;
 	});
 
-	const placeholders = values.map(() => `(${cols.map(() => "?").join(",")})`).join(",");
-	const flat = values.flat();
-
-	const sql = `INSERT INTO notifications (${cols.join(", ")}) VALUES ${placeholders}`;
-	const [result] = await db.query(sql, flat);
-	return { inserted: result.affectedRows || 0, requested: recipients.length };
+	const inserted = await db.bulkInsert("notifications", cols, values);
+	return { inserted, requested: recipients.length };
 }
 
 // Helper: resolve event id from body (supports event_id or event_title or numeric string)
@@ -172,6 +161,13 @@ async function resolveEventId({ event_id, event_title }) {
 	return null;
 }
 
+// Helper: admins may only announce to their own events; the owner role may announce to any
+async function canAnnounceTo(user, eventId) {
+	if (!eventId || hasPermission(user, "events:manage_any")) return true;
+	const [rows] = await db.query("SELECT created_by FROM events WHERE event_id = ? LIMIT 1", [eventId]);
+	return !!(rows && rows[0]) && String(rows[0].created_by) === String(user.user_id);
+}
+
 // Helper: get recipients for an event (by registrations)
 async function getRecipientsForEvent(eventId) {
 	if (!eventId) return [];
@@ -184,7 +180,7 @@ async function getRecipientsForEvent(eventId) {
 
 // POST /api/announcements
 // Create a new announcement (stored in announcements table). If status is 'Sent', immediately dispatch notifications.
-router.post("/", verifyToken, async (req, res) => {
+router.post("/", verifyTokenOrApiKey("announcements:write"), requirePermission("events:manage"), notificationLimiter, async (req, res) => {
 	try {
 		const creator = req.user?.user_id;
 		const { event_id: rawEventId, title, message, status = "Draft", scheduled_at = null, markSent = false } = req.body || {};
@@ -197,33 +193,34 @@ router.post("/", verifyToken, async (req, res) => {
 		}
 
 		const eventId = await resolveEventId({ event_id: rawEventId });
+		if (!(await canAnnounceTo(req.user, eventId))) {
+			return res.status(403).json({ message: "Forbidden: not the event owner" });
+		}
 
 		const now = new Date();
 		const dbStatus = toDbStatus(status);
 		
-		// Insert announcement - handle both MySQL and PostgreSQL
-		let announcementId;
-		if (process.env.DATABASE_URL) {
-			// PostgreSQL - use RETURNING
-			const [rows] = await db.query(
-				`INSERT INTO announcements (event_id, title, message, status, scheduled_at, created_by, created_at, updated_at)
-				 VALUES (?, ?, ?, ?, ?, ?, ?, ?) RETURNING announcement_id`,
-				[eventId, title, message, dbStatus, scheduled_at ? new Date(scheduled_at) : null, creator, now, now]
-			);
-			announcementId = rows && rows[0] ? rows[0].announcement_id : undefined;
-		} else {
-			// MySQL - use insertId
-			const [result] = await db.query(
-				`INSERT INTO announcements (event_id, title, message, status, scheduled_at, created_by, created_at, updated_at)
-				 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-				[eventId, title, message, dbStatus, scheduled_at ? new Date(scheduled_at) : null, creator, now, now]
-			);
-			announcementId = result.insertId;
-		}
+		const announcementId = await db.insert(
+			"announcements",
+			{
+				event_id: eventId,
+				title,
+				message,
+				status: dbStatus,
+				scheduled_at: scheduled_at ? new Date(scheduled_at) : null,
+				created_by: creator,
+				created_at: now,
+				updated_at: now,
+			},
+			"announcement_id"
+		);
 
 		// If immediate send requested (status Sent or markSent)
 		if (dbStatus === "sent" || markSent) {
 			const resolvedEventId = eventId || (await resolveEventId({ event_title: req.body?.event_title }));
+			if (!(await canAnnounceTo(req.user, resolvedEventId))) {
+				return res.status(403).json({ message: "Forbidden: not the event owner" });
+			}
 			const recipients = await getRecipientsForEvent(resolvedEventId);
 			const sent = await insertNotifications({
 				recipients,
@@ -251,7 +248,7 @@ router.post("/", verifyToken, async (req, res) => {
 
 // PATCH /api/announcements/:id
 // Update fields on an announcement. If status transitions to 'Sent', dispatch notifications.
-router.patch("/:id", verifyToken, async (req, res) => {
+router.patch("/:id", verifyTokenOrApiKey("announcements:write"), requirePermission("events:manage"), async (req, res) => {
 	try {
 		const { id } = req.params;
 		const updater = req.user?.user_id;
@@ -271,51 +268,37 @@ router.patch("/:id", verifyToken, async (req, res) => {
 				const now = new Date();
 				const targetStatusFromBody = status !== undefined ? toDbStatus(status) : "draft";
 				const eventIdToUse = newEventId != null ? Number(newEventId) || null : (notif.event_id || null);
-				
-				// Insert announcement - handle both MySQL and PostgreSQL
-				let newAnnouncementId;
-				if (process.env.DATABASE_URL) {
-					// PostgreSQL - use RETURNING
-					const [rows] = await db.query(
-						`INSERT INTO announcements (event_id, title, message, status, scheduled_at, created_by, created_at, updated_at, sent_at)
-						 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING announcement_id`,
-						[
-							eventIdToUse,
-							title !== undefined ? title : notif.title,
-							message !== undefined ? message : notif.message,
-							targetStatusFromBody,
-							scheduled_at ? new Date(scheduled_at) : null,
-							updater || 0,
-							now,
-							now,
-							targetStatusFromBody === 'sent' ? now : null,
-						]
-					);
-					newAnnouncementId = rows && rows[0] ? rows[0].announcement_id : undefined;
-				} else {
-					// MySQL - use insertId
-					const [ins] = await db.query(
-						`INSERT INTO announcements (event_id, title, message, status, scheduled_at, created_by, created_at, updated_at, sent_at)
-						 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-						[
-							eventIdToUse,
-							title !== undefined ? title : notif.title,
-							message !== undefined ? message : notif.message,
-							targetStatusFromBody,
-							scheduled_at ? new Date(scheduled_at) : null,
-							updater || 0,
-							now,
-							now,
-							targetStatusFromBody === 'sent' ? now : null,
-						]
-					);
-					newAnnouncementId = ins.insertId;
+				if (!(await canAnnounceTo(req.user, eventIdToUse))) {
+					return res.status(403).json({ message: "Forbidden: not the event owner" });
 				}
 				
+				const newAnnouncementId = await db.insert(
+					"announcements",
+					{
+						event_id: eventIdToUse,
+						title: title !== undefined ? title : notif.title,
+						message: message !== undefined ? message : notif.message,
+						status: targetStatusFromBody,
+						scheduled_at: scheduled_at ? new Date(scheduled_at) : null,
+						created_by: updater || 0,
+						created_at: now,
+						updated_at: now,
+						sent_at: targetStatusFromBody === 'sent' ? now : null,
+					},
+					"announcement_id"
+				);
+				
 				existing = { announcement_id: newAnnouncementId, event_id: eventIdToUse, title: title ?? notif.title, message: message ?? notif.message, status: targetStatusFromBody };
 				return res.json({ ok: true, announcementId: newAnnouncementId });
 			}
 
+		const targets = [existing.event_id, newEventId ? Number(newEventId) : null];
+		for (const target of targets) {
+			if (!(await canAnnounceTo(req.user, target))) {
+				return res.status(403).json({ message: "Forbidden: not the event owner" });
+			}
+		}
+
 		const updates = [];
 		const params = [];
 		if (title !== undefined) { updates.push("title = ?"); params.push(title); }
@@ -356,13 +339,16 @@ router.patch("/:id", verifyToken, async (req, res) => {
 
 // POST /api/announcements/send
 // Explicit send endpoint used by UI. Accepts event_title or event_id and message fields.
-router.post("/send", verifyToken, async (req, res) => {
+router.post("/send", verifyTokenOrApiKey("announcements:write"), requirePermission("events:manage"), notificationLimiter, async (req, res) => {
 	try {
 		const creator = req.user?.user_id;
 		const { event_id: rawEventId, event_title, title, message, type = "in-app", markSent = true } = req.body || {};
 		if (!title || !message) return res.status(400).json({ message: "title and message are required" });
 		// Resolve event id by id or title (or numeric string)
 		const eventId = await resolveEventId({ event_id: rawEventId, event_title });
+		if (!(await canAnnounceTo(req.user, eventId))) {
+			return res.status(403).json({ message: "Forbidden: not the event owner" });
+		}
 		const recipients = await getRecipientsForEvent(eventId);
 		const sent = await insertNotifications({
 			recipients,
@@ -424,14 +410,10 @@ export { startScheduler };
 export default router;
 
 // DELETE /api/announcements
-// Protected: remove all announcements (does not touch user notifications history)
-router.delete("/", verifyToken, async (req, res) => {
+// Owner only: remove all announcements (does not touch user notifications history)
+router.delete("/", verifyToken, requirePermission("system:maintain"), async (req, res) => {
 	try {
-		const [exists] = await db.query(
-			"SELECT TABLE_NAME FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = ? AND TABLE_NAME = 'announcements'",
-			[process.env.DB_NAME]
-		);
-		if (!Array.isArray(exists) || exists.length === 0) {
+		if (!(await tableExists("announcements"))) {
 			return res.json({ ok: true, deleted: 0, message: "announcements table does not exist" });
 		}
 		const [result] = await db.query("DELETE FROM announcements");
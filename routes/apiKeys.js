@@ -0,0 +1,128 @@
+// routes/apiKeys.js
+// Personal API keys for organizer integrations, mounted at /api/api-keys.
+// Managing keys needs a normal login: API keys themselves are refused here.
+import express from "express";
+import db from "../db.js";
+import { verifyToken, requirePermission } from "../middleware/authMiddleware.js";
+import { API_KEY_SCOPES, generateApiKey, parseScopes } from "../utils/apiKeys.js";
+
+const router = express.Router();
+
+const MAX_KEYS_PER_USER = 20;
+const DEFAULT_RATE_LIMIT = 60;
+const MAX_RATE_LIMIT = 600;
+
+router.use(verifyToken, requirePermission("api_keys:manage"));
+
+// GET /api/api-keys/scopes - what a key can be granted
+router.get("/scopes", (req, res) => {
+  res.json(Object.entries(API_KEY_SCOPES).map(([scope, description]) => ({ scope, description })));
+});
+
+// POST /api/api-keys  { name, scopes: [...], rate_limit_per_minute?, expires_in_days? }
+// The raw key is returned once in this response and never again.
+router.post("/", async (req, res) => {
+  try {
+    const userId = req.user.user_id;
+    const name = String(req.body?.name || "").trim();
+    const scopes = Array.isArray(req.body?.scopes) ? [...new Set(req.body.scopes.map(String))] : [];
+    const rateLimit = Number(req.body?.rate_limit_per_minute ?? DEFAULT_RATE_LIMIT);
+    const expiresInDays = req.body?.expires_in_days == null ? null : Number(req.body.expires_in_days);
+
+    if (!name || name.length > 100) {
+      return res.status(400).json({ message: "name is required (max 100 characters)" });
+    }
+    const unknown = scopes.filter((s) => !API_KEY_SCOPES[s]);
+    if (scopes.length === 0 || unknown.length > 0) {
+      return res.status(400).json({
+        message: `scopes must be a non-empty list of: ${Object.keys(API_KEY_SCOPES).join(", ")}`,
+      });
+    }
+    if (!Number.isInteger(rateLimit) || rateLimit < 1 || rateLimit > MAX_RATE_LIMIT) {
+      return res.status(400).json({ message: `rate_limit_per_minute must be between 1 and ${MAX_RATE_LIMIT}` });
+    }
+    if (expiresInDays !== null && (!Number.isInteger(expiresInDays) || expiresInDays < 1)) {
+      return res.status(400).json({ message: "expires_in_days must be a positive whole number" });
+    }
+
+    const [countRows] = await db.query(
+      "SELECT COUNT(*) AS count FROM api_keys WHERE user_id = ? AND revoked_at IS NULL",
+      [userId]
+    );
+    if (Number(countRows[0].count) >= MAX_KEYS_PER_USER) {
+      return res.status(409).json({ message: `You can have at most ${MAX_KEYS_PER_USER} active API keys` });
+    }
+
+    const { key, prefix, hash } = generateApiKey();
+    const now = new Date();
+    const expiresAt = expiresInDays ? new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000) : null;
+    const keyId = await db.insert(
+      "api_keys",
+      {
+        user_id: userId,
+        name,
+        key_prefix: prefix,
+        key_hash: hash,
+        scopes: scopes.join(","),
+        rate_limit_per_minute: rateLimit,
+        created_at: now,
+        expires_at: expiresAt,
+      },
+      "key_id"
+    );
+
+    res.status(201).json({
+      message: "API key created. Copy it now, it will not be shown again.",
+      key_id: keyId,
+      name,
+      key,
+      key_prefix: prefix,
+      scopes,
+      rate_limit_per_minute: rateLimit,
+      expires_at: expiresAt,
+    });
+  } catch (err) {
+    console.error("Error creating API key:", err);
+    res.status(500).json({ message: "Error creating API key" });
+  }
+});
+
+// GET /api/api-keys - own keys, newest first (hashes are never returned)
+router.get("/", async (req, res) => {
+  try {
+    const [rows] = await db.query(
+      `SELECT key_id, name, key_prefix, scopes, rate_limit_per_minute, created_at, expires_at,
+              last_used_at, last_used_ip, revoked_at
+       FROM api_keys WHERE user_id = ? ORDER BY created_at DESC, key_id DESC`,
+      [req.user.user_id]
+    );
+    const now = new Date();
+    res.json(
+      rows.map((k) => ({
+        ...k,
+        scopes: parseScopes(k.scopes),
+        active: !k.revoked_at && (!k.expires_at || new Date(k.expires_at) > now),
+      }))
+    );
+  } catch (err) {
+    console.error("Error listing API keys:", err);
+    res.status(500).json({ message: "Error listing API keys" });
+  }
+});
+
+// DELETE /api/api-keys/:id - revoke one of your keys (takes effect immediately)
+router.delete("/:id", async (req, res) => {
+  try {
+    const [result] = await db.query(
+      "UPDATE api_keys SET revoked_at = ? WHERE key_id = ? AND user_id = ? AND revoked_at IS NULL",
+      [new Date(), req.params.id, req.user.user_id]
+    );
+    if (!result.affectedRows) return res.status(404).json({ message: "Active API key not found" });
+    res.json({ message: "API key revoked", key_id: Number(req.params.id) });
+  } catch (err) {
+    console.error("Error revoking API key:", err);
+    res.status(500).json({ message: "Error revoking API key" });
+  }
+});
+
+export default router;
@@ -1,27 +1,78 @@
 // routes/auth.js
 import express from "express";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 import db from "../db.js";
 import { verifyToken } from "../middleware/authMiddleware.js";
+import { rateLimit, accountLockout } from "../middleware/rateLimit.js";
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+} from "../utils/sessions.js";
+import { issueUserToken, consumeUserToken } from "../utils/userTokens.js";
+import { sendMail } from "../utils/mailer.js";
+import { isStrongPassword, PASSWORD_RULE_MESSAGE } from "../utils/password.js";
+import { verifyChallengeToken, checkSecondFactor, beginLogin } from "../utils/twoFactor.js";
 
 const router = express.Router();
-const JWT_SECRET = process.env.JWT_SECRET || "your_jwt_secret";
+
+const MINUTE = 60 * 1000;
+
+// Per-IP throttles for unauthenticated endpoints
+const loginLimiter = rateLimit({ name: "login", windowMs: 15 * MINUTE, max: Number(process.env.LOGIN_RATE_LIMIT || 20) });
+const signupLimiter = rateLimit({ name: "signup", windowMs: 60 * MINUTE, max: 10 });
+const accountMailLimiter = rateLimit({ name: "account-mail", windowMs: 15 * MINUTE, max: 5 });
+const tokenLimiter = rateLimit({ name: "account-token", windowMs: 15 * MINUTE, max: 10 });
+const refreshLimiter = rateLimit({ name: "refresh", windowMs: 15 * MINUTE, max: 60 });
+
+// Per-account lockout after repeated failed passwords / 2FA codes
+const loginLockout = accountLockout({
+  name: "login-failures",
+  threshold: Number(process.env.LOGIN_LOCKOUT_THRESHOLD || 5),
+  windowMs: Number(process.env.LOGIN_LOCKOUT_MINUTES || 15) * MINUTE,
+});
+
+// Compared against when the username does not exist, so both failure paths take as long
+const DUMMY_HASH = bcrypt.hashSync("evenza-timing-equalizer", 10);
+const INVALID_LOGIN = { message: "Invalid username or password" };
+
+// Links in account emails point at the frontend
+const APP_URL = (process.env.APP_URL || process.env.FRONTEND_URL || "http://localhost:3000").replace(/\/$/, "");
+
+async function sendVerificationEmail(user) {
+  const token = await issueUserToken(user.user_id, "email_verify");
+  const link = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+  await sendMail({
+    to: user.email,
+    subject: "Verify your Evenza email address",
+    text: `Hi ${user.username},\n\nConfirm your email address by opening this link:\n${link}\n\nIf you did not create an Evenza account, ignore this email.`,
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await issueUserToken(user.user_id, "password_reset");
+  const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+  await sendMail({
+    to: user.email,
+    subject: "Reset your Evenza password",
+    text: `Hi ${user.username},\n\nReset your password by opening this link (valid for a limited time, single use):\n${link}\n\nIf you did not ask for a reset, ignore this email; your password is unchanged.`,
+  });
+}
 
 // ---------------- Signup ----------------
-router.post("/signup", async (req, res) => {
-  const { username, email, password, role } = req.body;
+router.post("/signup", signupLimiter, async (req, res) => {
+  const { username, email, password } = req.body;
+  // New accounts are always plain users; elevated roles go through /api/roles/requests
+  const role = "user";
 
   try {
-    if (!username || !email || !password || !role) {
+    if (!username || !email || !password) {
       return res.status(400).json({ message: "All fields are required" });
     }
-
-    const validRoles = ["user", "admin", "owner"];
-    if (!validRoles.includes(role)) {
-      return res
-        .status(400)
-        .json({ message: "Invalid role. Must be one of: user, admin, owner" });
+    if (!isStrongPassword(password)) {
+      return res.status(400).json({ message: PASSWORD_RULE_MESSAGE });
     }
 
     const [userByUsername] = await db.query(
@@ -42,36 +93,27 @@ router.post("/signup", async (req, res) => {
 
     const hashedPassword = await bcrypt.hash(password, 10);
     
-    // Handle both MySQL and PostgreSQL
-    let newUserId;
-    if (process.env.DATABASE_URL) {
-      // PostgreSQL - use RETURNING
-      const [insRows] = await db.query(
-        "INSERT INTO users (username, email, password, role) VALUES (?, ?, ?, ?) RETURNING user_id",
-        [username, email, hashedPassword, role]
-      );
-      newUserId = insRows && insRows[0] ? insRows[0].user_id : undefined;
-    } else {
-      // MySQL - use insertId
-      const [result] = await db.query(
-        "INSERT INTO users (username, email, password, role) VALUES (?, ?, ?, ?)",
-        [username, email, hashedPassword, role]
-      );
-      newUserId = result.insertId;
-    }
-
-    const token = jwt.sign(
-      { user_id: newUserId, username, role },
-      JWT_SECRET,
-      { expiresIn: "7d" }
+    const newUserId = await db.insert(
+      "users",
+      { username, email, password: hashedPassword, role },
+      "user_id"
     );
 
+    const tokens = await createSession({ user_id: newUserId, username, role }, req);
+
+    // Account is usable right away; a failed mail only means the user has to resend
+    try {
+      await sendVerificationEmail({ user_id: newUserId, username, email });
+    } catch (mailErr) {
+      console.error("Verification email failed:", mailErr.message);
+    }
+
     return res.status(201).json({
       message: "User created successfully",
       username,
       role,
       user_id: newUserId,
-      token,
+      ...tokens,
     });
   } catch (err) {
     if (err.code === "ER_DUP_ENTRY") {
@@ -86,7 +128,7 @@ router.post("/signup", async (req, res) => {
 });
 
 // ---------------- Login ----------------
-router.post("/login", async (req, res) => {
+router.post("/login", loginLimiter, async (req, res) => {
   const { username, password } = req.body;
 
   try {
@@ -96,45 +138,194 @@ router.post("/login", async (req, res) => {
         .json({ message: "Username and password are required" });
     }
 
+    // Locks apply to unknown usernames too, so a lock does not reveal that an account exists
+    const lockedUntil = await loginLockout.lockedUntil(username);
+    if (lockedUntil) return loginLockout.respond(res, lockedUntil);
+
     const [rows] = await db.query(
-      "SELECT user_id, username, email, role, password FROM users WHERE username = ? LIMIT 1",
+      "SELECT user_id, username, email, role, password, totp_enabled FROM users WHERE username = ? LIMIT 1",
       [username]
     );
 
-    if (rows.length === 0)
-      return res.status(404).json({ message: "User not found" });
-
     const user = rows[0];
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch)
-      return res
-        .status(401)
-        .json({ message: "Invalid username or password" });
+    const isMatch = await bcrypt.compare(String(password), user ? user.password : DUMMY_HASH);
+    if (!user || !isMatch) {
+      await loginLockout.recordFailure(username);
+      return res.status(401).json(INVALID_LOGIN);
+    }
+    await loginLockout.clear(username);
 
     // Skip status update for PostgreSQL (column doesn't exist)
     // await db.query("UPDATE users SET status = 'Online' WHERE user_id = ?", [
     //   user.user_id,
     // ]);
 
-    const token = jwt.sign(
-      { user_id: user.user_id, username: user.username, role: user.role },
-      JWT_SECRET,
-      { expiresIn: "1d" }
+    return res.json(await beginLogin(user, req));
+  } catch (err) {
+    console.error("Login error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ---------------- Login: second step ----------------
+// { challenge_token, code } or { challenge_token, recovery_code }
+router.post("/login/2fa", loginLimiter, async (req, res) => {
+  const { challenge_token, code, recovery_code } = req.body || {};
+  if (!challenge_token || (!code && !recovery_code)) {
+    return res.status(400).json({ message: "challenge_token and code (or recovery_code) are required" });
+  }
+
+  try {
+    const userId = verifyChallengeToken(challenge_token, "2fa_login");
+    if (!userId) {
+      return res.status(401).json({ message: "Invalid or expired challenge, please log in again" });
+    }
+
+    const [rows] = await db.query(
+      "SELECT user_id, username, role, totp_secret, totp_enabled FROM users WHERE user_id = ? LIMIT 1",
+      [userId]
     );
+    const user = rows[0];
+    if (!user || !Number(user.totp_enabled)) {
+      return res.status(401).json({ message: "Invalid or expired challenge, please log in again" });
+    }
+
+    const lockedUntil = await loginLockout.lockedUntil(user.username);
+    if (lockedUntil) return loginLockout.respond(res, lockedUntil);
+    if (!(await checkSecondFactor(user.user_id, user.totp_secret, { code, recovery_code }))) {
+      await loginLockout.recordFailure(user.username);
+      return res.status(401).json({ message: "Invalid authentication code" });
+    }
+    await loginLockout.clear(user.username);
 
+    const tokens = await createSession(user, req);
     return res.json({
       message: "Login successful",
       username: user.username,
       role: user.role,
       user_id: user.user_id,
-      token,
+      ...tokens,
     });
   } catch (err) {
-    console.error("Login error:", err);
+    console.error("Login 2FA error:", err);
     return res.status(500).json({ message: "Server error" });
   }
 });
 
+// ---------------- Refresh ----------------
+// Exchange a refresh token for a new access token; the refresh token is rotated
+router.post("/refresh", refreshLimiter, async (req, res) => {
+  const { refresh_token } = req.body || {};
+  if (!refresh_token) {
+    return res.status(400).json({ message: "refresh_token is required" });
+  }
+
+  try {
+    const tokens = await rotateSession(refresh_token, req);
+    if (!tokens) {
+      return res.status(401).json({ message: "Invalid or expired refresh token" });
+    }
+    if (tokens.two_factor_setup_required) {
+      // Log in again to get a setup_token and enroll via /api/auth/2fa
+      return res.status(403).json({ message: "2FA enrollment required", code: "two_factor_setup_required" });
+    }
+    return res.json({ message: "Token refreshed", ...tokens });
+  } catch (err) {
+    console.error("Refresh error:", err);
+    return res.status(500).json({ message: "Server error during token refresh" });
+  }
+});
+
+// ---------------- Forgot Password ----------------
+// Always answers the same way so the endpoint cannot be used to probe for accounts
+router.post("/forgot-password", accountMailLimiter, async (req, res) => {
+  const email = String(req.body?.email || "").trim();
+  if (!email) {
+    return res.status(400).json({ message: "Email is required" });
+  }
+
+  try {
+    const [rows] = await db.query(
+      "SELECT user_id, username, email FROM users WHERE email = ? LIMIT 1",
+      [email]
+    );
+    if (rows.length > 0) await sendPasswordResetEmail(rows[0]);
+  } catch (err) {
+    console.error("Forgot-password error:", err);
+  }
+  return res.json({ message: "If that email is registered, a reset link has been sent" });
+});
+
+// ---------------- Reset Password ----------------
+router.post("/reset-password", tokenLimiter, async (req, res) => {
+  const { token, password } = req.body || {};
+  if (!token || !password) {
+    return res.status(400).json({ message: "token and password are required" });
+  }
+  if (!isStrongPassword(password)) {
+    return res.status(400).json({ message: PASSWORD_RULE_MESSAGE });
+  }
+
+  try {
+    const userId = await consumeUserToken(token, "password_reset");
+    if (!userId) {
+      return res.status(400).json({ message: "Invalid or expired reset token" });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    await db.query("UPDATE users SET password = ? WHERE user_id = ?", [hashedPassword, userId]);
+    // Whoever had the old password must sign in again
+    await revokeAllSessions(userId, { reason: "password_reset" });
+
+    return res.json({ message: "Password has been reset. Please log in." });
+  } catch (err) {
+    console.error("Reset-password error:", err);
+    return res.status(500).json({ message: "Server error during password reset" });
+  }
+});
+
+// ---------------- Email Verification ----------------
+router.post("/verify-email", tokenLimiter, async (req, res) => {
+  const { token } = req.body || {};
+  if (!token) {
+    return res.status(400).json({ message: "token is required" });
+  }
+
+  try {
+    const userId = await consumeUserToken(token, "email_verify");
+    if (!userId) {
+      return res.status(400).json({ message: "Invalid or expired verification token" });
+    }
+    await db.query(
+      "UPDATE users SET email_verified = 1, email_verified_at = ? WHERE user_id = ?",
+      [new Date(), userId]
+    );
+    return res.json({ message: "Email verified" });
+  } catch (err) {
+    console.error("Verify-email error:", err);
+    return res.status(500).json({ message: "Server error during email verification" });
+  }
+});
+
+router.post("/resend-verification", verifyToken, accountMailLimiter, async (req, res) => {
+  try {
+    const [rows] = await db.query(
+      "SELECT user_id, username, email, email_verified FROM users WHERE user_id = ? LIMIT 1",
+      [req.user.user_id]
+    );
+    if (rows.length === 0) return res.status(404).json({ message: "User not found" });
+    if (Number(rows[0].email_verified)) {
+      return res.status(400).json({ message: "Email is already verified" });
+    }
+
+    await sendVerificationEmail(rows[0]);
+    return res.json({ message: "Verification email sent" });
+  } catch (err) {
+    console.error("Resend-verification error:", err);
+    return res.status(500).json({ message: "Failed to send verification email" });
+  }
+});
+
 // ---------------- Get Current User ----------------
 router.get("/me", verifyToken, async (req, res) => {
   try {
@@ -158,6 +349,7 @@ router.get("/me", verifyToken, async (req, res) => {
       username: u.username,
       email: u.email,
       role: u.role,
+      email_verified: Boolean(Number(u.email_verified ?? 0)),
       status: u.status ?? u.user_status ?? null,
       last_seen: u.last_seen ?? u.lastSeen ?? null,
     };
@@ -179,6 +371,8 @@ router.post("/logout", verifyToken, async (req, res) => {
     //   [userId]
     // );
 
+    await revokeSession(req.user.session_id, userId);
+
     return res.json({ message: "Logout successful" });
   } catch (err) {
     console.error("Logout error:", err);
@@ -186,4 +380,41 @@ router.post("/logout", verifyToken, async (req, res) => {
   }
 });
 
+// ---------------- Logout All Devices ----------------
+// Revokes every session of the user, including the current one
+router.post("/logout-all", verifyToken, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.user_id);
+    return res.json({ message: "Logged out of all devices", revoked });
+  } catch (err) {
+    console.error("Logout-all error:", err);
+    return res.status(500).json({ message: "Server error during logout" });
+  }
+});
+
+// ---------------- Active Sessions ----------------
+router.get("/sessions", verifyToken, async (req, res) => {
+  try {
+    const rows = await listActiveSessions(req.user.user_id);
+    return res.json(
+      rows.map((s) => ({ ...s, current: String(s.session_id) === String(req.user.session_id) }))
+    );
+  } catch (err) {
+    console.error("Fetch sessions error:", err);
+    return res.status(500).json({ message: "Failed to fetch sessions" });
+  }
+});
+
+// Sign out a single device
+router.delete("/sessions/:sessionId", verifyToken, async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.sessionId, req.user.user_id);
+    if (!revoked) return res.status(404).json({ message: "Session not found" });
+    return res.json({ message: "Session revoked" });
+  } catch (err) {
+    console.error("Revoke session error:", err);
+    return res.status(500).json({ message: "Failed to revoke session" });
+  }
+});
+
 export default router;
@@ -0,0 +1,88 @@
+// routes/calendar.js
+// Personal calendar subscription, mounted at /api/calendar. Each user can
+// have one secret feed URL (no login needed, so calendar apps can poll it)
+// publishing their confirmed registrations and saved events as iCalendar
+// (see utils/calendarFeeds.js).
+// Creating the feed again rotates the URL; deleting it revokes the URL.
+import express from "express";
+import crypto from "crypto";
+import db from "../db.js";
+import { verifyToken } from "../middleware/authMiddleware.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { hashToken } from "../utils/sessions.js";
+import { buildCalendar } from "../utils/ical.js";
+import { feedEvents, feedWindowStart } from "../utils/calendarFeeds.js";
+
+const router = express.Router();
+
+const feedLimiter = rateLimit({ name: "calendar-feed", windowMs: 60 * 1000, max: 30 });
+
+function feedUrls(req, token) {
+  const url = `${req.protocol}://${req.get("host")}/api/calendar/feed/${token}.ics`;
+  return { url, webcal_url: url.replace(/^https?:/, "webcal:") };
+}
+
+// GET /api/calendar/feed - whether the caller has a feed (the URL itself is only shown when created)
+router.get("/feed", verifyToken, async (req, res) => {
+  try {
+    const [rows] = await db.query("SELECT created_at, last_used_at FROM calendar_feeds WHERE user_id = ?", [
+      req.user.user_id,
+    ]);
+    res.json({ active: Boolean(rows[0]), created_at: rows[0]?.created_at ?? null, last_used_at: rows[0]?.last_used_at ?? null });
+  } catch (err) {
+    console.error("Error fetching calendar feed:", err);
+    res.status(500).json({ message: "Error fetching calendar feed" });
+  }
+});
+
+// POST /api/calendar/feed - create the feed URL, or replace it (the old URL stops working)
+router.post("/feed", verifyToken, async (req, res) => {
+  try {
+    const token = crypto.randomBytes(24).toString("base64url");
+    const now = new Date();
+    await db.upsert(
+      "calendar_feeds",
+      { user_id: req.user.user_id, token_hash: hashToken(token), created_at: now, last_used_at: null },
+      { conflict: ["user_id"], update: ["token_hash", "created_at", "last_used_at"] }
+    );
+    res.status(201).json({ message: "Calendar feed created", ...feedUrls(req, token), created_at: now });
+  } catch (err) {
+    console.error("Error creating calendar feed:", err);
+    res.status(500).json({ message: "Error creating calendar feed" });
+  }
+});
+
+// DELETE /api/calendar/feed - revoke the feed URL
+router.delete("/feed", verifyToken, async (req, res) => {
+  try {
+    const [result] = await db.query("DELETE FROM calendar_feeds WHERE user_id = ?", [req.user.user_id]);
+    if (!result.affectedRows) return res.status(404).json({ message: "No calendar feed to revoke" });
+    res.json({ message: "Calendar feed revoked" });
+  } catch (err) {
+    console.error("Error revoking calendar feed:", err);
+    res.status(500).json({ message: "Error revoking calendar feed" });
+  }
+});
+
+// GET /api/calendar/feed/:token.ics - the feed itself (public, the token is the secret)
+router.get("/feed/:token.ics", feedLimiter, async (req, res) => {
+  try {
+    const [feeds] = await db.query("SELECT feed_id, user_id FROM calendar_feeds WHERE token_hash = ?", [
+      hashToken(req.params.token),
+    ]);
+    const feed = feeds[0];
+    if (!feed) return res.status(404).json({ message: "Calendar feed not found" });
+
+    const events = await feedEvents(db, feed.user_id, feedWindowStart());
+    await db.query("UPDATE calendar_feeds SET last_used_at = ? WHERE feed_id = ?", [new Date(), feed.feed_id]);
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Cache-Control", "private, max-age=300");
+    res.send(buildCalendar(events, { name: "Evenza", refresh: "PT1H" }));
+  } catch (err) {
+    console.error("Error building calendar feed:", err);
+    res.status(500).json({ message: "Error building calendar feed" });
+  }
+});
+
+export default router;
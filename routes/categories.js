@@ -0,0 +1,239 @@
+// routes/categories.js
+// Event categories, mounted at /api/categories. Anyone can browse them;
+// categories:manage (admin/owner) edits them; signed-in users can follow a
+// category to be notified about new events in it.
+import express from "express";
+import db from "../db.js";
+import { verifyToken, optionalToken, requirePermission } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Counts only events people can still attend (published or postponed, not finished)
+const CATEGORY_SELECT = `
+  SELECT c.category_id, c.name, c.description, c.icon, c.color, c.created_at, c.updated_at,
+    (SELECT COUNT(*) FROM events e
+      WHERE e.category_id = c.category_id AND e.status IN ('published', 'postponed')
+        AND (e.start_time IS NULL OR COALESCE(e.end_time, e.start_time) >= ?)) AS event_count,
+    (SELECT COUNT(*) FROM events e WHERE e.category_id = c.category_id) AS total_event_count,
+    (SELECT COUNT(*) FROM category_follows f WHERE f.category_id = c.category_id) AS follower_count
+  FROM categories c`;
+
+async function fetchCategories(user, { id = null } = {}) {
+  const params = [new Date()];
+  let sql = CATEGORY_SELECT;
+  if (id !== null) {
+    sql += " WHERE c.category_id = ?";
+    params.push(id);
+  }
+  sql += " ORDER BY c.name ASC";
+  const [rows] = await db.query(sql, params);
+
+  let followed = new Set();
+  if (user && rows.length > 0) {
+    const [follows] = await db.query("SELECT category_id FROM category_follows WHERE user_id = ?", [user.user_id]);
+    followed = new Set(follows.map((f) => Number(f.category_id)));
+  }
+  return rows.map((r) => ({
+    ...r,
+    event_count: Number(r.event_count),
+    total_event_count: Number(r.total_event_count),
+    follower_count: Number(r.follower_count),
+    ...(user ? { following: followed.has(Number(r.category_id)) } : {}),
+  }));
+}
+
+// Validates the writable fields; `partial` skips the required-name check (PATCH)
+function parseCategory(body, { partial }) {
+  const errors = [];
+  const data = {};
+  if (!partial || "name" in body) {
+    const name = String(body.name ?? "").trim();
+    if (!name || name.length > 100) errors.push("name is required (max 100 characters)");
+    data.name = name;
+  }
+  if ("description" in body) data.description = body.description == null ? null : String(body.description);
+  if ("icon" in body) {
+    const icon = body.icon == null ? null : String(body.icon).trim() || null;
+    if (icon && icon.length > 50) errors.push("icon must be at most 50 characters");
+    data.icon = icon;
+  }
+  if ("color" in body) {
+    const color = body.color == null || body.color === "" ? null : String(body.color);
+    if (color && !COLOR_PATTERN.test(color)) errors.push("color must be a hex color like #1e90ff");
+    data.color = color ? color.toLowerCase() : null;
+  }
+  return { data, errors };
+}
+
+async function nameTaken(name, exceptId = null) {
+  const [rows] = await db.query(
+    "SELECT category_id FROM categories WHERE LOWER(name) = LOWER(?) AND category_id <> ? LIMIT 1",
+    [name, exceptId ?? 0]
+  );
+  return rows.length > 0;
+}
+
+// ---------------- Browsing ----------------
+
+// GET /api/categories - all categories with event and follower counts
+router.get("/", optionalToken, async (req, res) => {
+  try {
+    res.json(await fetchCategories(req.user));
+  } catch (err) {
+    console.error("Error fetching categories:", err);
+    res.status(500).json({ message: "Error fetching categories" });
+  }
+});
+
+// GET /api/categories/following - categories the caller follows
+router.get("/following", verifyToken, async (req, res) => {
+  try {
+    res.json((await fetchCategories(req.user)).filter((c) => c.following));
+  } catch (err) {
+    console.error("Error fetching followed categories:", err);
+    res.status(500).json({ message: "Error fetching followed categories" });
+  }
+});
+
+// GET /api/categories/:id
+router.get("/:id", optionalToken, async (req, res) => {
+  try {
+    const [category] = await fetchCategories(req.user, { id: req.params.id });
+    if (!category) return res.status(404).json({ message: "Category not found" });
+    res.json(category);
+  } catch (err) {
+    console.error("Error fetching category:", err);
+    res.status(500).json({ message: "Error fetching category" });
+  }
+});
+
+// ---------------- Following ----------------
+
+// POST /api/categories/:id/follow
+router.post("/:id/follow", verifyToken, async (req, res) => {
+  try {
+    const [rows] = await db.query("SELECT category_id FROM categories WHERE category_id = ? LIMIT 1", [req.params.id]);
+    if (!rows[0]) return res.status(404).json({ message: "Category not found" });
+    await db.upsert(
+      "category_follows",
+      { user_id: req.user.user_id, category_id: rows[0].category_id, created_at: new Date() },
+      { conflict: ["user_id", "category_id"], update: [] }
+    );
+    res.json({ message: "Following category", category_id: rows[0].category_id, following: true });
+  } catch (err) {
+    console.error("Error following category:", err);
+    res.status(500).json({ message: "Error following category" });
+  }
+});
+
+// DELETE /api/categories/:id/follow
+router.delete("/:id/follow", verifyToken, async (req, res) => {
+  try {
+    await db.query("DELETE FROM category_follows WHERE user_id = ? AND category_id = ?", [
+      req.user.user_id,
+      req.params.id,
+    ]);
+    res.json({ message: "Stopped following category", category_id: Number(req.params.id), following: false });
+  } catch (err) {
+    console.error("Error unfollowing category:", err);
+    res.status(500).json({ message: "Error unfollowing category" });
+  }
+});
+
+// ---------------- Management ----------------
+
+// POST /api/categories { name, description, icon, color }
+router.post("/", verifyToken, requirePermission("categories:manage"), async (req, res) => {
+  try {
+    const { data, errors } = parseCategory(req.body || {}, { partial: false });
+    if (errors.length > 0) return res.status(400).json({ message: errors.join("; "), errors });
+    if (await nameTaken(data.name)) return res.status(409).json({ message: "A category with this name already exists" });
+
+    const categoryId = await db.insert("categories", { ...data, created_at: new Date() }, "category_id");
+    const [category] = await fetchCategories(req.user, { id: categoryId });
+    res.status(201).json(category);
+  } catch (err) {
+    console.error("Error creating category:", err);
+    res.status(500).json({ message: "Error creating category" });
+  }
+});
+
+// PUT replaces name/description/icon/color, PATCH only the fields sent
+async function updateCategory(req, res, { partial }) {
+  try {
+    const body = req.body || {};
+    const { data, errors } = parseCategory(
+      partial ? body : { description: null, icon: null, color: null, ...body },
+      { partial }
+    );
+    if (errors.length > 0) return res.status(400).json({ message: errors.join("; "), errors });
+    if (Object.keys(data).length === 0) return res.status(400).json({ message: "No editable fields supplied" });
+
+    const [rows] = await db.query("SELECT category_id FROM categories WHERE category_id = ? LIMIT 1", [req.params.id]);
+    if (!rows[0]) return res.status(404).json({ message: "Category not found" });
+    if (data.name && (await nameTaken(data.name, rows[0].category_id))) {
+      return res.status(409).json({ message: "A category with this name already exists" });
+    }
+
+    const columns = Object.keys(data);
+    await db.query(
+      `UPDATE categories SET ${columns.map((c) => `${c} = ?`).join(", ")}, updated_at = ? WHERE category_id = ?`,
+      [...columns.map((c) => data[c]), new Date(), rows[0].category_id]
+    );
+    const [category] = await fetchCategories(req.user, { id: rows[0].category_id });
+    res.json(category);
+  } catch (err) {
+    console.error("Error updating category:", err);
+    res.status(500).json({ message: "Error updating category" });
+  }
+}
+
+router.put("/:id", verifyToken, requirePermission("categories:manage"), (req, res) =>
+  updateCategory(req, res, { partial: false })
+);
+router.patch("/:id", verifyToken, requirePermission("categories:manage"), (req, res) =>
+  updateCategory(req, res, { partial: true })
+);
+
+// DELETE /api/categories/:id?reassign_to=<id>
+// Categories still used by events or drafts need a replacement category.
+router.delete("/:id", verifyToken, requirePermission("categories:manage"), async (req, res) => {
+  const id = Number(req.params.id);
+  const reassignTo = req.query.reassign_to ? Number(req.query.reassign_to) : null;
+  if (reassignTo === id) return res.status(400).json({ message: "reassign_to must be a different category" });
+
+  try {
+    const result = await db.transaction(async (conn) => {
+      const [rows] = await conn.query("SELECT category_id FROM categories WHERE category_id = ? FOR UPDATE", [id]);
+      if (!rows[0]) return { status: 404, body: { message: "Category not found" } };
+
+      const [events] = await conn.query("SELECT COUNT(*) AS count FROM events WHERE category_id = ?", [id]);
+      const [drafts] = await conn.query("SELECT COUNT(*) AS count FROM draft_events WHERE category_id = ?", [id]);
+      const inUse = Number(events[0].count) + Number(drafts[0].count);
+      if (inUse > 0) {
+        if (!reassignTo) {
+          return {
+            status: 409,
+            body: { message: `Category is used by ${inUse} events or drafts; pass ?reassign_to=<category_id>`, in_use: inUse },
+          };
+        }
+        const [target] = await conn.query("SELECT category_id FROM categories WHERE category_id = ?", [reassignTo]);
+        if (!target[0]) return { status: 400, body: { message: "reassign_to category not found" } };
+        await conn.query("UPDATE events SET category_id = ? WHERE category_id = ?", [reassignTo, id]);
+        await conn.query("UPDATE draft_events SET category_id = ? WHERE category_id = ?", [reassignTo, id]);
+      }
+
+      await conn.query("DELETE FROM category_follows WHERE category_id = ?", [id]);
+      await conn.query("DELETE FROM categories WHERE category_id = ?", [id]);
+      return { status: 200, body: { message: "Category deleted", category_id: id, reassigned: inUse, reassigned_to: reassignTo } };
+    });
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("Error deleting category:", err);
+    res.status(500).json({ message: "Error deleting category" });
+  }
+});
+
+export default router;
@@ -1,7 +1,8 @@
 // backend/routes/chatrooms.js
 import express from "express";
 import db from "../db.js";
-import { verifyToken } from "../middleware/authMiddleware.js";
+import { verifyToken, requirePermission, hasPermission } from "../middleware/authMiddleware.js";
+import { chatMessageLimiter } from "../middleware/rateLimit.js";
 
 const router = express.Router();
 
@@ -161,7 +162,7 @@ router.get("/", verifyToken, async (req, res) => {
  * Returns event chatrooms for events CREATED by the logged-in user (admin),
  * only for events that have NOT completed (end_time > NOW()).
  */
-router.get("/admin/mine", verifyToken, async (req, res) => {
+router.get("/admin/mine", verifyToken, requirePermission("events:manage"), async (req, res) => {
   try {
     const userId = req.user.user_id;
 
@@ -192,24 +193,13 @@ router.get("/admin/mine", verifyToken, async (req, res) => {
       if (existing) {
         eventRooms.push(existing);
       } else {
-        // create one - handle both MySQL and PostgreSQL
+        // create one
         const name = ev.title || `Event ${ev.event_id}`;
-        let chatroomId;
-        if (process.env.DATABASE_URL) {
-          // PostgreSQL - use RETURNING (use parameter placeholders supported by db wrapper)
-          const [rows] = await db.query(
-            `INSERT INTO chatrooms (name, type, event_id) VALUES (?, 'event', ?) RETURNING chatroom_id`,
-            [name, ev.event_id]
-          );
-          chatroomId = rows && rows[0] ? rows[0].chatroom_id : undefined;
-        } else {
-          // MySQL - use insertId
-          const [ins] = await db.query(
-            `INSERT INTO chatrooms (name, type, event_id) VALUES (?, 'event', ?)`,
-            [name, ev.event_id]
-          );
-          chatroomId = ins.insertId;
-        }
+        const chatroomId = await db.insert(
+          "chatrooms",
+          { name, type: "event", event_id: ev.event_id },
+          "chatroom_id"
+        );
         eventRooms.push({ chatroom_id: chatroomId, name, type: 'event', event_id: ev.event_id });
       }
     }
@@ -226,7 +216,7 @@ router.get("/admin/mine", verifyToken, async (req, res) => {
  * Returns ALL event chatrooms for owner to monitor/participate
  * Includes Global, Help, and all event chatrooms
  */
-router.get("/owner/all", verifyToken, async (req, res) => {
+router.get("/owner/all", verifyToken, requirePermission("chatrooms:monitor"), async (req, res) => {
   try {
     // 1) fixed rooms: Global (1) and Help (2)
     const [fixedRows] = await db.query(
@@ -284,7 +274,6 @@ router.get("/owner/all", verifyToken, async (req, res) => {
 router.get("/:chatroom_id/messages", verifyToken, async (req, res) => {
   try {
     const userId = req.user.user_id;
-    const userRole = req.user.role; // assuming role is in JWT
     const chatroomId = Number(req.params.chatroom_id);
 
     // fetch chatroom and related event end_time (if any)
@@ -304,7 +293,7 @@ router.get("/:chatroom_id/messages", verifyToken, async (req, res) => {
     if (!chatroom) return res.status(404).json({ error: "Chatroom not found" });
 
     if (chatroom.type === "event") {
-      const isOwner = userRole === 'owner';
+      const isOwner = hasPermission(req.user, "chatrooms:monitor");
       const isCreator = chatroom.created_by && Number(chatroom.created_by) === Number(userId);
 
       // Owner can access all chatrooms, creator can access their own, others need registration
@@ -350,10 +339,9 @@ router.get("/:chatroom_id/messages", verifyToken, async (req, res) => {
  * POST /api/chatrooms/:chatroom_id/messages
  * Insert a new message. For event rooms, require registration or owner/creator access, and event not completed.
  */
-router.post("/:chatroom_id/messages", verifyToken, async (req, res) => {
+router.post("/:chatroom_id/messages", verifyToken, chatMessageLimiter, async (req, res) => {
   try {
     const userId = req.user.user_id;
-    const userRole = req.user.role;
     const chatroomId = Number(req.params.chatroom_id);
     const { message } = req.body;
 
@@ -376,7 +364,7 @@ router.post("/:chatroom_id/messages", verifyToken, async (req, res) => {
     if (!chatroom) return res.status(404).json({ error: "Chatroom not found" });
 
     if (chatroom.type === "event") {
-      const isOwner = userRole === 'owner';
+      const isOwner = hasPermission(req.user, "chatrooms:monitor");
       const isCreator = chatroom.created_by && Number(chatroom.created_by) === Number(userId);
 
       // Owner can post to all chatrooms, creator can post to their own, others need registration
@@ -402,23 +390,11 @@ router.post("/:chatroom_id/messages", verifyToken, async (req, res) => {
       }
     }
 
-    // Insert message - handle both MySQL and PostgreSQL
-    let messageId;
-    if (process.env.DATABASE_URL) {
-      // PostgreSQL - use RETURNING
-      const [rows] = await db.query(
-        "INSERT INTO chat_messages (chatroom_id, user_id, message) VALUES (?, ?, ?) RETURNING message_id",
-        [chatroomId, userId, message]
-      );
-      messageId = rows && rows[0] ? rows[0].message_id : undefined;
-    } else {
-      // MySQL - use insertId
-      const [result] = await db.query(
-        "INSERT INTO chat_messages (chatroom_id, user_id, message) VALUES (?, ?, ?)",
-        [chatroomId, userId, message]
-      );
-      messageId = result.insertId;
-    }
+    const messageId = await db.insert(
+      "chat_messages",
+      { chatroom_id: chatroomId, user_id: userId, message },
+      "message_id"
+    );
 
     const [[inserted]] = await db.query(
       `SELECT m.message_id, m.chatroom_id, m.user_id, m.message, m.created_at, u.username
@@ -0,0 +1,298 @@
+// routes/checkin.js
+// Door check-in for an event, mounted at /api/events/:eventId/checkin: scan or
+// look up tickets by code or QR token, search attendees by name, undo
+// check-ins, live counts, and the staff the organizer delegates check-in to.
+// Scanners without connectivity verify QR tokens with the event's public key
+// (GET /key) and upload their scans afterwards (POST /offline).
+// staffEventsRoutes (mounted at /api/staff) lists the events a user can
+// check attendees in for.
+import express from "express";
+import db from "../db.js";
+import { verifyToken, requirePermission } from "../middleware/authMiddleware.js";
+import { canManageEvent } from "../utils/events.js";
+import { findEventSigningKey, publicKeyInfo } from "../utils/tickets.js";
+import { LIKE_ESCAPE, escapeLike } from "../utils/eventSearch.js";
+import {
+  TICKET_SELECT,
+  canCheckIn,
+  formatScannedTicket,
+  findScannedTicket,
+  checkInTicket,
+  undoCheckIn,
+  checkinStats,
+  recordOfflineScans,
+  MAX_OFFLINE_SCANS,
+} from "../utils/checkin.js";
+
+const router = express.Router({ mergeParams: true });
+export const staffEventsRoutes = express.Router();
+
+async function findEvent(conn, eventId, { lock = false } = {}) {
+  const [rows] = await conn.query(`SELECT * FROM events WHERE event_id = ?${lock ? " FOR UPDATE" : ""}`, [eventId]);
+  return rows[0] || null;
+}
+
+// The event the caller may check attendees in for, or { status, body } for the error response
+async function checkInEvent(conn, req, { lock = false } = {}) {
+  const event = await findEvent(conn, req.params.eventId, { lock });
+  if (!event) return { status: 404, body: { message: "Event not found" } };
+  if (!(await canCheckIn(conn, req.user, event))) {
+    return { status: 403, body: { message: "Forbidden: you are not check-in staff for this event" } };
+  }
+  return { event };
+}
+
+// ---------------- Staff ----------------
+
+const STAFF_SELECT = `
+  SELECT s.staff_id, s.user_id, u.username, u.email, s.added_by, s.created_at
+  FROM event_staff s JOIN users u ON u.user_id = s.user_id`;
+
+// GET /api/events/:eventId/checkin/staff
+router.get("/staff", verifyToken, requirePermission("events:manage"), async (req, res) => {
+  try {
+    const event = await findEvent(db, req.params.eventId);
+    if (!event) return res.status(404).json({ message: "Event not found" });
+    if (!canManageEvent(req.user, event)) return res.status(403).json({ message: "Forbidden: not your event" });
+    const [staff] = await db.query(`${STAFF_SELECT} WHERE s.event_id = ? ORDER BY u.username ASC`, [event.event_id]);
+    res.json({ event_id: event.event_id, staff });
+  } catch (err) {
+    console.error("Error fetching check-in staff:", err.stack || err);
+    res.status(500).json({ message: "Error fetching check-in staff" });
+  }
+});
+
+// POST /api/events/:eventId/checkin/staff { user_id | username | email }
+router.post("/staff", verifyToken, requirePermission("events:manage"), async (req, res) => {
+  try {
+    const { user_id, username, email } = req.body || {};
+    if (!user_id && !username && !email) {
+      return res.status(400).json({ message: "user_id, username or email is required" });
+    }
+    const result = await db.transaction(async (conn) => {
+      const event = await findEvent(conn, req.params.eventId, { lock: true });
+      if (!event) return { status: 404, body: { message: "Event not found" } };
+      if (!canManageEvent(req.user, event)) return { status: 403, body: { message: "Forbidden: not your event" } };
+
+      const [users] = user_id
+        ? await conn.query("SELECT user_id FROM users WHERE user_id = ?", [user_id])
+        : username
+          ? await conn.query("SELECT user_id FROM users WHERE username = ?", [String(username).trim()])
+          : await conn.query("SELECT user_id FROM users WHERE LOWER(email) = LOWER(?)", [String(email).trim()]);
+      if (users.length === 0) return { status: 404, body: { message: "User not found" } };
+      const userId = users[0].user_id;
+
+      const [existing] = await conn.query("SELECT staff_id FROM event_staff WHERE event_id = ? AND user_id = ?", [
+        event.event_id,
+        userId,
+      ]);
+      if (existing.length > 0) return { status: 409, body: { message: "This user is already check-in staff for the event" } };
+
+      const staffId = await conn.insert(
+        "event_staff",
+        { event_id: event.event_id, user_id: userId, added_by: req.user.user_id, created_at: new Date() },
+        "staff_id"
+      );
+      const [staff] = await conn.query(`${STAFF_SELECT} WHERE s.staff_id = ?`, [staffId]);
+      return { status: 201, body: staff[0] };
+    });
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("Error adding check-in staff:", err.stack || err);
+    res.status(500).json({ message: "Error adding check-in staff" });
+  }
+});
+
+// DELETE /api/events/:eventId/checkin/staff/:userId
+router.delete("/staff/:userId", verifyToken, requirePermission("events:manage"), async (req, res) => {
+  try {
+    const event = await findEvent(db, req.params.eventId);
+    if (!event) return res.status(404).json({ message: "Event not found" });
+    if (!canManageEvent(req.user, event)) return res.status(403).json({ message: "Forbidden: not your event" });
+    const [result] = await db.query("DELETE FROM event_staff WHERE event_id = ? AND user_id = ?", [
+      event.event_id,
+      req.params.userId,
+    ]);
+    if (!result.affectedRows) return res.status(404).json({ message: "This user is not check-in staff for the event" });
+    res.json({ message: "Check-in staff removed", user_id: Number(req.params.userId) });
+  } catch (err) {
+    console.error("Error removing check-in staff:", err.stack || err);
+    res.status(500).json({ message: "Error removing check-in staff" });
+  }
+});
+
+// ---------------- Door ----------------
+
+// GET /api/events/:eventId/checkin/lookup?code=|qr= - the ticket without checking it in
+router.get("/lookup", verifyToken, async (req, res) => {
+  try {
+    const { event, status, body } = await checkInEvent(db, req);
+    if (!event) return res.status(status).json(body);
+    const found = await findScannedTicket(db, event.event_id, { code: req.query.code, qr: req.query.qr });
+    if (!found.ticket) return res.status(found.status).json(found.body);
+    res.json({ result: "found", ticket: formatScannedTicket(found.ticket) });
+  } catch (err) {
+    console.error("Error looking up ticket:", err.stack || err);
+    res.status(500).json({ message: "Error looking up ticket" });
+  }
+});
+
+// POST /api/events/:eventId/checkin/scan { code | qr } - scanner mode: find and check in
+router.post("/scan", verifyToken, async (req, res) => {
+  try {
+    const result = await db.transaction(async (conn) => {
+      const { event, status, body } = await checkInEvent(conn, req);
+      if (!event) return { status, body };
+      const found = await findScannedTicket(conn, event.event_id, req.body || {});
+      if (!found.ticket) return found;
+      return checkInTicket(conn, found.ticket, { staffUserId: req.user.user_id, method: found.method });
+    });
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("Error checking in ticket:", err.stack || err);
+    res.status(500).json({ message: "Error checking in ticket" });
+  }
+});
+
+// GET /api/events/:eventId/checkin/key - the public key ticket QR tokens of the
+// event are signed with, for verifying them offline. The key is created with
+// the event's first ticket.
+router.get("/key", async (req, res) => {
+  try {
+    const event = await findEvent(db, req.params.eventId);
+    if (!event) return res.status(404).json({ message: "Event not found" });
+    const key = await findEventSigningKey(db, event.event_id);
+    if (!key) return res.status(404).json({ message: "No tickets have been issued for this event yet" });
+    res.set("Cache-Control", "public, max-age=3600");
+    res.json({
+      event_id: event.event_id,
+      ...publicKeyInfo(key),
+      token_format: "EVZ2.<base64url JSON {k, t, e, c, exp}>.<base64url Ed25519 signature of the part before the last dot>",
+    });
+  } catch (err) {
+    console.error("Error fetching ticket signing key:", err.stack || err);
+    res.status(500).json({ message: "Error fetching ticket signing key" });
+  }
+});
+
+// POST /api/events/:eventId/checkin/offline { device_id, scans: [{ client_scan_id, code | qr, scanned_at }] }
+// - scans made without connectivity; double entries are reported per scan
+router.post("/offline", verifyToken, async (req, res) => {
+  try {
+    const { device_id, scans } = req.body || {};
+    if (!Array.isArray(scans) || scans.length === 0) return res.status(400).json({ message: "scans must be a non-empty array" });
+    if (scans.length > MAX_OFFLINE_SCANS) {
+      return res.status(400).json({ message: `Upload at most ${MAX_OFFLINE_SCANS} scans at a time` });
+    }
+    const result = await db.transaction(async (conn) => {
+      // Locking the event keeps concurrent uploads from the same door in order
+      const { event, status, body } = await checkInEvent(conn, req, { lock: true });
+      if (!event) return { status, body };
+      const results = await recordOfflineScans(conn, event.event_id, scans, {
+        staffUserId: req.user.user_id,
+        deviceId: device_id == null ? null : String(device_id).slice(0, 64),
+      });
+      const summary = {};
+      for (const r of results) summary[r.result] = (summary[r.result] || 0) + 1;
+      return { status: 200, body: { event_id: event.event_id, summary, results } };
+    });
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("Error uploading offline scans:", err.stack || err);
+    res.status(500).json({ message: "Error uploading offline scans" });
+  }
+});
+
+// GET /api/events/:eventId/checkin/search?q= - active tickets by attendee username or email
+router.get("/search", verifyToken, async (req, res) => {
+  try {
+    const { event, status, body } = await checkInEvent(db, req);
+    if (!event) return res.status(status).json(body);
+    const q = String(req.query.q || "").trim().toLowerCase();
+    if (q.length < 2) return res.status(400).json({ message: "Search for at least 2 characters" });
+
+    const like = `%${escapeLike(q)}%`;
+    const [tickets] = await db.query(
+      `${TICKET_SELECT}
+       WHERE t.event_id = ? AND t.status = 'active'
+         AND (LOWER(u.username) LIKE ?${LIKE_ESCAPE} OR LOWER(u.email) LIKE ?${LIKE_ESCAPE})
+       ORDER BY u.username ASC, t.ticket_id ASC LIMIT 50`,
+      [event.event_id, like, like]
+    );
+    res.json({ query: q, tickets: tickets.map(formatScannedTicket) });
+  } catch (err) {
+    console.error("Error searching attendees:", err.stack || err);
+    res.status(500).json({ message: "Error searching attendees" });
+  }
+});
+
+async function findEventTicket(conn, event, ticketId) {
+  const [rows] = await conn.query(`${TICKET_SELECT} WHERE t.ticket_id = ? AND t.event_id = ?`, [ticketId, event.event_id]);
+  return rows[0] || null;
+}
+
+// POST /api/events/:eventId/checkin/tickets/:ticketId - manual check-in (from search)
+router.post("/tickets/:ticketId", verifyToken, async (req, res) => {
+  try {
+    const result = await db.transaction(async (conn) => {
+      const { event, status, body } = await checkInEvent(conn, req);
+      if (!event) return { status, body };
+      const ticket = await findEventTicket(conn, event, req.params.ticketId);
+      if (!ticket) return { status: 404, body: { result: "not_found", message: "Ticket not found" } };
+      return checkInTicket(conn, ticket, { staffUserId: req.user.user_id, method: "manual" });
+    });
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("Error checking in ticket:", err.stack || err);
+    res.status(500).json({ message: "Error checking in ticket" });
+  }
+});
+
+// DELETE /api/events/:eventId/checkin/tickets/:ticketId - undo a check-in
+router.delete("/tickets/:ticketId", verifyToken, async (req, res) => {
+  try {
+    const result = await db.transaction(async (conn) => {
+      const { event, status, body } = await checkInEvent(conn, req);
+      if (!event) return { status, body };
+      const ticket = await findEventTicket(conn, event, req.params.ticketId);
+      if (!ticket) return { status: 404, body: { result: "not_found", message: "Ticket not found" } };
+      return undoCheckIn(conn, ticket, { staffUserId: req.user.user_id });
+    });
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("Error undoing check-in:", err.stack || err);
+    res.status(500).json({ message: "Error undoing check-in" });
+  }
+});
+
+// GET /api/events/:eventId/checkin/stats - live counts for the door
+router.get("/stats", verifyToken, async (req, res) => {
+  try {
+    const { event, status, body } = await checkInEvent(db, req);
+    if (!event) return res.status(status).json(body);
+    res.json(await checkinStats(db, event.event_id));
+  } catch (err) {
+    console.error("Error fetching check-in stats:", err.stack || err);
+    res.status(500).json({ message: "Error fetching check-in stats" });
+  }
+});
+
+// ---------------- Staff's events ----------------
+
+// GET /api/staff/events - events the caller was delegated check-in for
+staffEventsRoutes.get("/events", verifyToken, async (req, res) => {
+  try {
+    const [events] = await db.query(
+      `SELECT e.event_id, e.title, e.start_time, e.end_time, e.location, e.status, s.created_at AS staff_since
+       FROM event_staff s JOIN events e ON e.event_id = s.event_id
+       WHERE s.user_id = ? ORDER BY e.start_time ASC`,
+      [req.user.user_id]
+    );
+    res.json(events);
+  } catch (err) {
+    console.error("Error fetching staff events:", err.stack || err);
+    res.status(500).json({ message: "Error fetching staff events" });
+  }
+});
+
+export default router;
@@ -1,28 +1,17 @@
 import express from "express";
 import db from "../db.js";
-import { verifyToken } from "../middleware/authMiddleware.js";
+import { verifyToken, requirePermission, hasPermission } from "../middleware/authMiddleware.js";
 import multer from "multer";
 import path from "path";
 import fs from "fs";
+import { notifyCategoryFollowers } from "../utils/notifications.js";
+import { resolveEventCoordinates } from "../utils/events.js";
+import { parseRecurrence, formatRecurrence, expandRecurrence, RecurrenceError } from "../utils/recurrence.js";
+import { createEventSeries } from "../utils/series.js";
+import { insertSessions, sessionsFromJson } from "../utils/eventSessions.js";
 
 const router = express.Router();
 
-// Helper to handle insertId vs RETURNING for MySQL/PostgreSQL
-async function insertAndGetId(query, params, connection = null) {
-  const conn = connection || db;
-  if (process.env.DATABASE_URL) {
-    // PostgreSQL - use RETURNING as-is
-    const [rows] = await conn.execute(query, params);
-    const row = rows && rows[0];
-    return row ? (row.draft_id || row.event_id) : undefined;
-  } else {
-    // MySQL - remove RETURNING clause and use insertId
-    const cleanQuery = query.replace(/ RETURNING \w+$/, '');
-    const [result] = await conn.execute(cleanQuery, params);
-    return result.insertId;
-  }
-}
-
 // === Multer storage setup for drafts ===
 const draftsDir = path.join(process.cwd(), "uploads", "drafts");
 if (!fs.existsSync(draftsDir)) fs.mkdirSync(draftsDir, { recursive: true });
@@ -116,18 +105,20 @@ function parseDocuments(val) {
   }
 }
 
-// === Helper to ensure only admins can perform certain actions ===
-function requireAdmin(req, res, next) {
-  if (!req.user || req.user.role !== "admin")
-    return res.status(403).json({ message: "Admin required" });
-  next();
+// Validates a draft's recurrence rule against its start time.
+// Returns the canonical rule, null for none; throws RecurrenceError.
+function draftRecurrence(value, startTime) {
+  const rule = parseRecurrence(value);
+  if (!rule) return null;
+  expandRecurrence(rule, startTime);
+  return formatRecurrence(rule);
 }
 
 /**
  * POST /
  * Create a new draft event
  */
-router.post("/", verifyToken, upload.array("files", 10), async (req, res) => {
+router.post("/", verifyToken, requirePermission("events:manage"), upload.array("files", 10), async (req, res) => {
   try {
     const userId = req.user.user_id;
     const {
@@ -140,6 +131,9 @@ router.post("/", verifyToken, upload.array("files", 10), async (req, res) => {
       end_time,
       category_id,
       requiresApproval,
+      latitude,
+      longitude,
+      recurrence,
     } = req.body;
 
     const files = (req.files || []).map((f) =>
@@ -162,23 +156,37 @@ router.post("/", verifyToken, upload.array("files", 10), async (req, res) => {
 
     const cap = Number(capacity ?? 0) || 0;
     const needApproval = String(requiresApproval).toLowerCase() === "true";
+    const coords = await resolveEventCoordinates({ latitude, longitude, locations: locationsJson });
+    if (coords.errors.length > 0) return res.status(400).json({ message: coords.errors.join("; "), errors: coords.errors });
+    let rrule;
+    try {
+      rrule = draftRecurrence(recurrence, start_time);
+    } catch (err) {
+      if (err instanceof RecurrenceError) return res.status(400).json({ message: err.message });
+      throw err;
+    }
 
-    const draftId = await insertAndGetId(
-      `INSERT INTO draft_events (title, description, capacity, locations, sessions, start_time, end_time, category_id, requires_approval, submitted_by, submitted_at, status, attachments)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), 'draft', ?) RETURNING draft_id`,
-      [
+    const draftId = await db.insert(
+      "draft_events",
+      {
         title,
         description,
-        cap,
-        JSON.stringify(locationsJson),
-        JSON.stringify(sessionsJson),
-        start_time || null,
-        end_time || null,
-        category_id || null,
-        needApproval ? 1 : 0,
-        userId,
-        JSON.stringify(files),
-      ]
+        capacity: cap,
+        locations: JSON.stringify(locationsJson),
+        sessions: JSON.stringify(sessionsJson),
+        start_time: start_time || null,
+        end_time: end_time || null,
+        category_id: category_id || null,
+        latitude: coords.latitude,
+        longitude: coords.longitude,
+        recurrence: rrule,
+        requires_approval: needApproval ? 1 : 0,
+        submitted_by: userId,
+        submitted_at: db.raw("NOW()"),
+        status: "draft",
+        attachments: JSON.stringify(files),
+      },
+      "draft_id"
     );
 
     // Auto-approve path (no admin approval required)
@@ -210,21 +218,21 @@ router.post("/", verifyToken, upload.array("files", 10), async (req, res) => {
           }
         } catch {}
 
-        const newEventId = await insertAndGetId(
-          `INSERT INTO events (title, description, location, start_time, end_time, latitude, longitude, category_id, created_by, created_at)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW()) RETURNING event_id`,
-          [
-            d.title,
-            d.description,
-            locationStr,
-            d.start_time,
-            d.end_time,
-            null,
-            null,
-            d.category_id,
-            d.submitted_by,
-          ],
-          conn
+        const newEventId = await conn.insert(
+          "events",
+          {
+            title: d.title,
+            description: d.description,
+            location: locationStr,
+            start_time: d.start_time,
+            end_time: d.end_time,
+            latitude: d.latitude,
+            longitude: d.longitude,
+            category_id: d.category_id,
+            created_by: d.submitted_by,
+            created_at: db.raw("NOW()"),
+          },
+          "event_id"
         );
 
         // Move attachments
@@ -254,14 +262,30 @@ router.post("/", verifyToken, upload.array("files", 10), async (req, res) => {
           );
         }
 
+        await insertSessions(conn, newEventId, sessionsFromJson(d.sessions, d.start_time));
+        const series = d.recurrence
+          ? await createEventSeries(conn, newEventId, d.recurrence, d.submitted_by)
+          : null;
+
         await conn.execute(`DELETE FROM draft_events WHERE draft_id = ?`, [
           draftId,
         ]);
+        await notifyCategoryFollowers(conn, {
+          event_id: newEventId,
+          title: d.title,
+          category_id: d.category_id,
+          start_time: d.start_time,
+          created_by: d.submitted_by,
+        });
         await conn.commit();
         conn.release();
         return res
           .status(201)
-          .json({ message: "Event created (auto-approved)", eventId: newEventId });
+          .json({
+            message: "Event created (auto-approved)",
+            eventId: newEventId,
+            ...(series ? { seriesId: series.series_id, occurrenceIds: series.event_ids } : {}),
+          });
       } catch (err) {
         console.error("Auto-approve failed:", err.stack || err);
         try {
@@ -282,9 +306,9 @@ router.post("/", verifyToken, upload.array("files", 10), async (req, res) => {
 
 /**
  * ✅ FIXED GET /
- * List drafts (owner can see all drafts)
+ * List all drafts (reviewers only)
  */
-router.get("/", verifyToken, async (req, res) => {
+router.get("/", verifyToken, requirePermission("drafts:review"), async (req, res) => {
   try {
     let limitVal = parseInt(req.query.limit, 10);
     if (!Number.isFinite(limitVal) || limitVal < 0) limitVal = 0;
@@ -373,6 +397,8 @@ router.get("/:id", verifyToken, async (req, res) => {
       [id]
     );
     if (!rows[0]) return res.status(404).json({ message: "Draft not found" });
+    if (req.user.user_id !== rows[0].submitted_by && !hasPermission(req.user, "drafts:review"))
+      return res.status(403).json({ message: "Forbidden" });
     const out = {
       ...rows[0],
       attachments: parseAttachments(rows[0].attachments),
@@ -398,7 +424,7 @@ router.delete("/:id", verifyToken, async (req, res) => {
     if (!rows[0]) return res.status(404).json({ message: "Draft not found" });
     const owner = rows[0].submitted_by;
 
-    if (req.user.user_id !== owner && req.user.role !== "admin")
+    if (req.user.user_id !== owner && !hasPermission(req.user, "drafts:review"))
       return res.status(403).json({ message: "Forbidden" });
 
     const [r2] = await db.execute(
@@ -442,12 +468,12 @@ router.put("/:id", verifyToken, upload.array("files", 10), async (req, res) => {
     const id = req.params.id;
     // Check ownership
     const [rows] = await db.execute(
-      `SELECT submitted_by, attachments FROM draft_events WHERE draft_id = ?`,
+      `SELECT submitted_by, attachments, start_time, recurrence FROM draft_events WHERE draft_id = ?`,
       [id]
     );
     if (!rows[0]) return res.status(404).json({ message: "Draft not found" });
     const owner = rows[0].submitted_by;
-    if (req.user.user_id !== owner && req.user.role !== "admin")
+    if (req.user.user_id !== owner && !hasPermission(req.user, "drafts:review"))
       return res.status(403).json({ message: "Forbidden" });
 
     const {
@@ -460,6 +486,9 @@ router.put("/:id", verifyToken, upload.array("files", 10), async (req, res) => {
       end_time,
       category_id,
       requiresApproval,
+      latitude,
+      longitude,
+      recurrence,
     } = req.body || {};
     const removeBanner = (req.body && (req.body.removeBanner ?? req.body.remove_banner)) || false;
 
@@ -479,6 +508,26 @@ router.put("/:id", verifyToken, upload.array("files", 10), async (req, res) => {
       if (typeof sessions !== "string") sesVal = JSON.stringify(sessions || []);
       updates.push("sessions = ?"); params.push(sesVal);
     }
+    // New coordinates, or new locations without them (re-resolved, cleared if unknown)
+    if (latitude !== undefined || longitude !== undefined || locations !== undefined) {
+      const coords = await resolveEventCoordinates({ latitude, longitude, locations });
+      if (coords.errors.length > 0) return res.status(400).json({ message: coords.errors.join("; "), errors: coords.errors });
+      updates.push("latitude = ?", "longitude = ?");
+      params.push(coords.latitude, coords.longitude);
+    }
+    // A new rule, or a new start for an existing rule, is checked again
+    if (recurrence !== undefined || (start_time !== undefined && rows[0].recurrence)) {
+      try {
+        const rrule = draftRecurrence(
+          recurrence !== undefined ? recurrence : rows[0].recurrence,
+          start_time !== undefined ? start_time : rows[0].start_time
+        );
+        updates.push("recurrence = ?"); params.push(rrule);
+      } catch (err) {
+        if (err instanceof RecurrenceError) return res.status(400).json({ message: err.message });
+        throw err;
+      }
+    }
     if (start_time !== undefined) { updates.push("start_time = ?"); params.push(start_time || null); }
     if (end_time !== undefined) { updates.push("end_time = ?"); params.push(end_time || null); }
     if (category_id !== undefined) { updates.push("category_id = ?"); params.push(category_id || null); }
@@ -541,7 +590,7 @@ router.put("/:id", verifyToken, upload.array("files", 10), async (req, res) => {
 /**
  * PUT /:id/approve - approve draft (owner/admin)
  */
-router.put("/:id/approve", verifyToken, async (req, res) => {
+router.put("/:id/approve", verifyToken, requirePermission("drafts:review"), async (req, res) => {
   const conn = await db.getConnection();
   try {
     await conn.beginTransaction();
@@ -565,22 +614,24 @@ router.put("/:id/approve", verifyToken, async (req, res) => {
     );
 
     // Insert into events table with all required fields
-    const newEventId = await insertAndGetId(
-      `INSERT INTO events (title, description, capacity, locations, sessions, documents, category_id, start_time, end_time, created_by, created_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW()) RETURNING event_id`,
-      [
-        d.title,
-        d.description,
-        d.capacity,
-        d.locations,  // JSON field
-        d.sessions,   // JSON field
-        d.documents,  // JSON field
-        d.category_id,
-        d.start_time,
-        d.end_time,
-        d.submitted_by,
-      ],
-      conn
+    const newEventId = await conn.insert(
+      "events",
+      {
+        title: d.title,
+        description: d.description,
+        capacity: d.capacity,
+        locations: d.locations,  // JSON field
+        sessions: d.sessions,    // JSON field
+        documents: d.documents,  // JSON field
+        category_id: d.category_id,
+        start_time: d.start_time,
+        end_time: d.end_time,
+        latitude: d.latitude,
+        longitude: d.longitude,
+        created_by: d.submitted_by,
+        created_at: db.raw("NOW()"),
+      },
+      "event_id"
     );
 
     // Handle image from attachments
@@ -609,9 +660,26 @@ router.put("/:id/approve", verifyToken, async (req, res) => {
       ]);
     }
 
+    await insertSessions(conn, newEventId, sessionsFromJson(d.sessions, d.start_time));
+    const series = d.recurrence
+      ? await createEventSeries(conn, newEventId, d.recurrence, d.submitted_by)
+      : null;
+
+    await notifyCategoryFollowers(conn, {
+      event_id: newEventId,
+      title: d.title,
+      category_id: d.category_id,
+      start_time: d.start_time,
+      created_by: d.submitted_by,
+    });
+
     await conn.commit();
     conn.release();
-    res.json({ message: "Draft approved", eventId: newEventId });
+    res.json({
+      message: "Draft approved",
+      eventId: newEventId,
+      ...(series ? { seriesId: series.series_id, occurrenceIds: series.event_ids } : {}),
+    });
   } catch (err) {
     console.error("Error approving draft:", err.stack || err);
     try {
@@ -625,7 +693,7 @@ router.put("/:id/approve", verifyToken, async (req, res) => {
 /**
  * PUT /:id/reject - reject draft (owner/admin)
  */
-router.put("/:id/reject", verifyToken, async (req, res) => {
+router.put("/:id/reject", verifyToken, requirePermission("drafts:review"), async (req, res) => {
   try {
     const id = req.params.id;
     const { review_notes } = req.body;
@@ -664,7 +732,7 @@ router.post("/:id/documents", verifyToken, uploadDocs.array("files", 20), async
     const [rows] = await db.execute(`SELECT submitted_by, documents FROM draft_events WHERE draft_id = ?`, [id]);
     if (!rows[0]) return res.status(404).json({ message: "Draft not found" });
     const owner = rows[0].submitted_by;
-    if (req.user.user_id !== owner && req.user.role !== "admin") return res.status(403).json({ message: "Forbidden" });
+    if (req.user.user_id !== owner && !hasPermission(req.user, "drafts:review")) return res.status(403).json({ message: "Forbidden" });
 
     // Optional names provided alongside files
     // names can be a string or array aligned to files; fallback: originalname
@@ -699,7 +767,7 @@ router.delete("/:id/documents", verifyToken, async (req, res) => {
     const [rows] = await db.execute(`SELECT submitted_by, documents FROM draft_events WHERE draft_id = ?`, [id]);
     if (!rows[0]) return res.status(404).json({ message: "Draft not found" });
     const owner = rows[0].submitted_by;
-    if (req.user.user_id !== owner && req.user.role !== "admin") return res.status(403).json({ message: "Forbidden" });
+    if (req.user.user_id !== owner && !hasPermission(req.user, "drafts:review")) return res.status(403).json({ message: "Forbidden" });
 
     const current = parseDocuments(rows[0].documents);
     const next = current.filter((obj) => String(obj.path) !== String(docPath));
@@ -733,7 +801,7 @@ router.put("/:id/documents", verifyToken, async (req, res) => {
     const [rows] = await db.execute(`SELECT submitted_by, documents FROM draft_events WHERE draft_id = ?`, [id]);
     if (!rows[0]) return res.status(404).json({ message: "Draft not found" });
     const owner = rows[0].submitted_by;
-    if (req.user.user_id !== owner && req.user.role !== "admin") return res.status(403).json({ message: "Forbidden" });
+    if (req.user.user_id !== owner && !hasPermission(req.user, "drafts:review")) return res.status(403).json({ message: "Forbidden" });
 
     const current = parseDocuments(rows[0].documents);
     let found = false;
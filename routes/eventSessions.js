@@ -0,0 +1,293 @@
+// routes/eventSessions.js
+// Sessions of an event, mounted at /api/events/:eventId/sessions: the public
+// agenda, organizer CRUD and attendees adding sessions to their own agenda.
+// agendaRoutes (mounted at /api/agenda) lists a user's agenda across events.
+import express from "express";
+import db from "../db.js";
+import { verifyToken, optionalToken, requirePermission } from "../middleware/authMiddleware.js";
+import { canManageEvent } from "../utils/events.js";
+import {
+  validateSession,
+  formatSession,
+  syncSessionsJson,
+  agendaClashes,
+} from "../utils/eventSessions.js";
+
+const router = express.Router({ mergeParams: true });
+export const agendaRoutes = express.Router();
+
+const SESSION_SELECT = `
+  SELECT s.*,
+    (SELECT COUNT(*) FROM session_attendees a WHERE a.session_id = s.session_id) AS attendee_count
+  FROM event_sessions s`;
+
+async function findEvent(conn, eventId, { lock = false } = {}) {
+  const [rows] = await conn.query(`SELECT * FROM events WHERE event_id = ?${lock ? " FOR UPDATE" : ""}`, [eventId]);
+  return rows[0] || null;
+}
+
+// ---------------- Event agenda ----------------
+
+// GET /api/events/:eventId/sessions?room= - sessions in chronological order.
+// Signed-in callers also get in_agenda per session.
+router.get("/", optionalToken, async (req, res) => {
+  try {
+    const event = await findEvent(db, req.params.eventId);
+    if (!event) return res.status(404).json({ message: "Event not found" });
+
+    const params = [req.user?.user_id ?? 0, event.event_id];
+    let sql = `
+      SELECT s.*,
+        (SELECT COUNT(*) FROM session_attendees a WHERE a.session_id = s.session_id) AS attendee_count,
+        (SELECT COUNT(*) FROM session_attendees a WHERE a.session_id = s.session_id AND a.user_id = ?) AS in_agenda
+      FROM event_sessions s WHERE s.event_id = ?`;
+    if (req.query.room) {
+      sql += " AND LOWER(s.room) = LOWER(?)";
+      params.push(String(req.query.room));
+    }
+    sql += " ORDER BY s.start_time ASC, s.end_time ASC, s.session_id ASC";
+    const [rows] = await db.query(sql, params);
+
+    res.json({
+      event_id: event.event_id,
+      title: event.title,
+      sessions: rows.map((r) => {
+        const session = formatSession(r);
+        if (!req.user) delete session.in_agenda;
+        return session;
+      }),
+    });
+  } catch (err) {
+    console.error("Error fetching sessions:", err.stack || err);
+    res.status(500).json({ message: "Error fetching sessions" });
+  }
+});
+
+// GET /api/events/:eventId/sessions/:sessionId
+router.get("/:sessionId", async (req, res) => {
+  try {
+    const [rows] = await db.query(`${SESSION_SELECT} WHERE s.session_id = ? AND s.event_id = ?`, [
+      req.params.sessionId,
+      req.params.eventId,
+    ]);
+    if (!rows[0]) return res.status(404).json({ message: "Session not found" });
+    res.json(formatSession(rows[0]));
+  } catch (err) {
+    console.error("Error fetching session:", err.stack || err);
+    res.status(500).json({ message: "Error fetching session" });
+  }
+});
+
+// ---------------- Organizer ----------------
+
+// POST /api/events/:eventId/sessions { title, description, room, speakers, start_time, end_time, capacity }
+router.post("/", verifyToken, requirePermission("events:manage"), async (req, res) => {
+  try {
+    const result = await db.transaction(async (conn) => {
+      const event = await findEvent(conn, req.params.eventId, { lock: true });
+      if (!event) return { status: 404, body: { message: "Event not found" } };
+      if (!canManageEvent(req.user, event)) return { status: 403, body: { message: "Forbidden: not your event" } };
+
+      const { changes, errors } = validateSession(req.body, null, event, { partial: false });
+      if (errors.length > 0) return { status: 400, body: { message: errors.join("; "), errors } };
+
+      const sessionId = await conn.insert(
+        "event_sessions",
+        { ...changes, event_id: event.event_id, created_at: new Date() },
+        "session_id"
+      );
+      await syncSessionsJson(conn, event.event_id);
+      const [rows] = await conn.query(`${SESSION_SELECT} WHERE s.session_id = ?`, [sessionId]);
+      return { status: 201, body: formatSession(rows[0]) };
+    });
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("Error creating session:", err.stack || err);
+    res.status(500).json({ message: "Error creating session" });
+  }
+});
+
+// PUT replaces the session, PATCH changes the fields sent
+async function updateSession(req, res, { partial }) {
+  try {
+    const result = await db.transaction(async (conn) => {
+      const event = await findEvent(conn, req.params.eventId, { lock: true });
+      if (!event) return { status: 404, body: { message: "Event not found" } };
+      if (!canManageEvent(req.user, event)) return { status: 403, body: { message: "Forbidden: not your event" } };
+      const [rows] = await conn.query(`${SESSION_SELECT} WHERE s.session_id = ? AND s.event_id = ?`, [
+        req.params.sessionId,
+        event.event_id,
+      ]);
+      const current = rows[0];
+      if (!current) return { status: 404, body: { message: "Session not found" } };
+
+      const { changes, errors } = validateSession(req.body, current, event, { partial });
+      if (errors.length > 0) return { status: 400, body: { message: errors.join("; "), errors } };
+      if (Object.keys(changes).length === 0) return { status: 400, body: { message: "No editable fields supplied" } };
+      if (changes.capacity != null && changes.capacity < Number(current.attendee_count)) {
+        return {
+          status: 409,
+          body: { message: `capacity cannot be lower than the ${current.attendee_count} attendees who picked this session` },
+        };
+      }
+
+      const columns = Object.keys(changes);
+      await conn.query(
+        `UPDATE event_sessions SET ${columns.map((c) => `${c} = ?`).join(", ")}, updated_at = ? WHERE session_id = ?`,
+        [...columns.map((c) => changes[c]), new Date(), current.session_id]
+      );
+      await syncSessionsJson(conn, event.event_id);
+      const [after] = await conn.query(`${SESSION_SELECT} WHERE s.session_id = ?`, [current.session_id]);
+      return { status: 200, body: formatSession(after[0]) };
+    });
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("Error updating session:", err.stack || err);
+    res.status(500).json({ message: "Error updating session" });
+  }
+}
+
+router.put("/:sessionId", verifyToken, requirePermission("events:manage"), (req, res) =>
+  updateSession(req, res, { partial: false })
+);
+router.patch("/:sessionId", verifyToken, requirePermission("events:manage"), (req, res) =>
+  updateSession(req, res, { partial: true })
+);
+
+// DELETE /api/events/:eventId/sessions/:sessionId - also drops it from agendas
+router.delete("/:sessionId", verifyToken, requirePermission("events:manage"), async (req, res) => {
+  try {
+    const result = await db.transaction(async (conn) => {
+      const event = await findEvent(conn, req.params.eventId, { lock: true });
+      if (!event) return { status: 404, body: { message: "Event not found" } };
+      if (!canManageEvent(req.user, event)) return { status: 403, body: { message: "Forbidden: not your event" } };
+      const [rows] = await conn.query("SELECT session_id FROM event_sessions WHERE session_id = ? AND event_id = ?", [
+        req.params.sessionId,
+        event.event_id,
+      ]);
+      if (!rows[0]) return { status: 404, body: { message: "Session not found" } };
+
+      const [removed] = await conn.query("DELETE FROM session_attendees WHERE session_id = ?", [rows[0].session_id]);
+      await conn.query("DELETE FROM event_sessions WHERE session_id = ?", [rows[0].session_id]);
+      await syncSessionsJson(conn, event.event_id);
+      return {
+        status: 200,
+        body: { message: "Session deleted", session_id: rows[0].session_id, removed_from_agendas: removed.affectedRows || 0 },
+      };
+    });
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("Error deleting session:", err.stack || err);
+    res.status(500).json({ message: "Error deleting session" });
+  }
+});
+
+// ---------------- Personal agenda ----------------
+
+// POST /api/events/:eventId/sessions/:sessionId/agenda - add to my agenda.
+// Needs a registration for the event, a free seat and no overlap with
+// sessions already in the agenda (409 lists the clashes).
+router.post("/:sessionId/agenda", verifyToken, async (req, res) => {
+  const userId = req.user.user_id;
+  try {
+    const result = await db.transaction(async (conn) => {
+      // Locking the user serializes their clash checks, the session lock the seat count
+      await conn.query("SELECT user_id FROM users WHERE user_id = ? FOR UPDATE", [userId]);
+      const [rows] = await conn.query("SELECT * FROM event_sessions WHERE session_id = ? AND event_id = ? FOR UPDATE", [
+        req.params.sessionId,
+        req.params.eventId,
+      ]);
+      const session = rows[0];
+      if (!session) return { status: 404, body: { message: "Session not found" } };
+
+      const [registrations] = await conn.query(
+        "SELECT registration_id FROM registrations WHERE event_id = ? AND user_id = ? AND status = 'confirmed' LIMIT 1",
+        [session.event_id, userId]
+      );
+      if (!registrations[0]) return { status: 403, body: { message: "You need a confirmed registration for the event to build your agenda" } };
+
+      const [existing] = await conn.query("SELECT attendee_id FROM session_attendees WHERE session_id = ? AND user_id = ?", [
+        session.session_id,
+        userId,
+      ]);
+      if (existing[0]) return { status: 200, body: { message: "Session is already in your agenda", session_id: session.session_id } };
+
+      const clashes = await agendaClashes(conn, userId, {
+        start: session.start_time,
+        end: session.end_time,
+        exceptSessionId: session.session_id,
+      });
+      if (clashes.length > 0) {
+        return {
+          status: 409,
+          body: { message: "This session overlaps sessions already in your agenda", clashes },
+        };
+      }
+
+      if (session.capacity != null) {
+        const [taken] = await conn.query("SELECT COUNT(*) AS count FROM session_attendees WHERE session_id = ?", [
+          session.session_id,
+        ]);
+        if (Number(taken[0].count) >= Number(session.capacity)) return { status: 409, body: { message: "This session is full" } };
+      }
+
+      await conn.insert(
+        "session_attendees",
+        { session_id: session.session_id, user_id: userId, created_at: new Date() },
+        "attendee_id"
+      );
+      return { status: 201, body: { message: "Session added to your agenda", session_id: session.session_id } };
+    });
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("Error adding session to agenda:", err.stack || err);
+    res.status(500).json({ message: "Error adding session to agenda" });
+  }
+});
+
+// DELETE /api/events/:eventId/sessions/:sessionId/agenda
+router.delete("/:sessionId/agenda", verifyToken, async (req, res) => {
+  try {
+    const [result] = await db.query(
+      `DELETE FROM session_attendees WHERE user_id = ? AND session_id IN
+         (SELECT session_id FROM event_sessions WHERE session_id = ? AND event_id = ?)`,
+      [req.user.user_id, req.params.sessionId, req.params.eventId]
+    );
+    if (!result.affectedRows) return res.status(404).json({ message: "Session is not in your agenda" });
+    res.json({ message: "Session removed from your agenda", session_id: Number(req.params.sessionId) });
+  } catch (err) {
+    console.error("Error removing session from agenda:", err.stack || err);
+    res.status(500).json({ message: "Error removing session from agenda" });
+  }
+});
+
+// GET /api/agenda?event_id=&from= - my agenda across events, chronological.
+// Without `from`, sessions that already ended are left out.
+agendaRoutes.get("/", verifyToken, async (req, res) => {
+  try {
+    const params = [req.user.user_id];
+    let sql = `
+      SELECT s.*, e.title AS event_title, e.status AS event_status,
+        (SELECT COUNT(*) FROM session_attendees x WHERE x.session_id = s.session_id) AS attendee_count
+      FROM session_attendees a
+      JOIN event_sessions s ON s.session_id = a.session_id
+      JOIN events e ON e.event_id = s.event_id
+      WHERE a.user_id = ?`;
+    if (req.query.event_id) {
+      sql += " AND s.event_id = ?";
+      params.push(req.query.event_id);
+    }
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    if (isNaN(from.getTime())) return res.status(400).json({ message: "from must be a valid date" });
+    sql += " AND s.end_time >= ? ORDER BY s.start_time ASC, s.session_id ASC";
+    params.push(from);
+
+    const [rows] = await db.query(sql, params);
+    res.json(rows.map(formatSession));
+  } catch (err) {
+    console.error("Error fetching agenda:", err.stack || err);
+    res.status(500).json({ message: "Error fetching agenda" });
+  }
+});
+
+export default router;
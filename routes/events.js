@@ -1,10 +1,28 @@
 // backend/routes/events.js (reconstructed clean version)
 import express from "express";
 import db from "../db.js";
-import { verifyToken } from "../middleware/authMiddleware.js";
+import { verifyToken, verifyTokenOrApiKey, requirePermission } from "../middleware/authMiddleware.js";
+import {
+  STATUS_TRANSITIONS,
+  canManageEvent,
+  validateEventChanges,
+  describeAttendeeChanges,
+  formatEventTime,
+  resolveEventCoordinates,
+} from "../utils/events.js";
+import { notifyEventRegistrants } from "../utils/notifications.js";
+import { createEventSeries, lockFutureOccurrences, changesForOccurrence } from "../utils/series.js";
+import { RecurrenceError } from "../utils/recurrence.js";
+import { shiftSessions } from "../utils/eventSessions.js";
+import { buildCalendar } from "../utils/ical.js";
+import { recordCalendarTombstones } from "../utils/calendarFeeds.js";
+import { seatsTaken, promoteFromWaitlist } from "../utils/waitlist.js";
+import { voidEventTickets } from "../utils/tickets.js";
+import { buildEventSearch, buildNearbySearch, encodeCursor, SearchError } from "../utils/eventSearch.js";
+import { geocode } from "../utils/geocoder.js";
 
 const router = express.Router();
-const isPostgres = !!process.env.DATABASE_URL;
+const isPostgres = db.dialect === "postgres";
 
 // Build DB-specific location extraction.
 // Resolve at runtime whether the events table has a JSON `locations` column or a simple `location` column.
@@ -13,27 +31,20 @@ async function getLocationSQL() {
   if (_cachedLocationSQL !== null) return _cachedLocationSQL;
 
   try {
-    // Check information_schema for 'locations' column on 'events'
-    const [cols] = await db.query(
-      "SELECT column_name FROM information_schema.columns WHERE table_schema = 'public' AND table_name = 'events' AND column_name = 'locations'",
-      []
-    );
-    const hasLocations = Array.isArray(cols) && cols.length > 0;
+    // Check for a JSON 'locations' column on 'events'
+    const hasLocations = await db.hasColumn("events", "locations");
 
     if (hasLocations) {
       if (isPostgres) {
         _cachedLocationSQL = `COALESCE(NULLIF(CONCAT_WS(' - ', e.locations->0->>'name', e.locations->0->>'address'), ''), e.locations->0::text, NULL) AS location`;
       } else {
+        // MySQL syntax; SQLite provides the same JSON_EXTRACT and db.js registers JSON_UNQUOTE
         _cachedLocationSQL = `COALESCE(NULLIF(CONCAT_WS(' -', JSON_UNQUOTE(JSON_EXTRACT(e.locations, '$[0].name')), JSON_UNQUOTE(JSON_EXTRACT(e.locations, '$[0].address'))), ''), NULLIF(JSON_UNQUOTE(JSON_EXTRACT(e.locations, '$[0]')), ''), NULL) AS location`;
       }
     } else {
       // If 'locations' JSON column missing, check for a simple 'location' column
       try {
-        const [locCols] = await db.query(
-          "SELECT column_name FROM information_schema.columns WHERE table_schema = 'public' AND table_name = 'events' AND column_name = 'location'",
-          []
-        );
-        const hasLocation = Array.isArray(locCols) && locCols.length > 0;
+        const hasLocation = await db.hasColumn("events", "location");
         if (hasLocation) {
           _cachedLocationSQL = `COALESCE(NULLIF(e.location, ''), NULL) AS location`;
         } else {
@@ -52,6 +63,10 @@ async function getLocationSQL() {
   return _cachedLocationSQL;
 }
 
+// Category name, icon and color joined into every event response
+const CATEGORY_COLUMNS = "c.name AS category_name, c.icon AS category_icon, c.color AS category_color";
+const CATEGORY_JOIN = "LEFT JOIN categories c ON c.category_id = e.category_id";
+
 // Small helper to normalize image URLs consistently
 function normalizeImagePath(row, origin) {
   const raw = row.image_path ? String(row.image_path) : row.image ? String(row.image) : "";
@@ -64,19 +79,21 @@ function normalizeImagePath(row, origin) {
 }
 
 // GET /mine - events created by owner
-router.get("/mine", verifyToken, async (req, res) => {
+router.get("/mine", verifyTokenOrApiKey("events:read"), requirePermission("events:manage"), async (req, res) => {
   try {
     const userId = req.user.user_id;
     const locSql = await getLocationSQL();
     const [rows] = await db.execute(
-      `SELECT e.event_id, e.title, ${locSql}, e.image AS image_path FROM events e WHERE e.created_by = ?`,
+      `SELECT e.event_id, e.title, e.category_id, e.start_time, e.end_time, e.status, ${locSql}, e.image AS image_path,
+              ${CATEGORY_COLUMNS}
+       FROM events e ${CATEGORY_JOIN} WHERE e.created_by = ?`,
       [userId]
     );
     const origin = `${req.protocol}://${req.get("host")}`;
     let out = (rows || []).map(r => ({
       ...r,
       ...normalizeImagePath(r, origin),
-      category: r.category ?? r.category_name ?? r.category_id ?? r.categoryName ?? "General",
+      category: r.category_name || "General",
     }));
 
     // Sort by start_time if present
@@ -97,13 +114,13 @@ router.get("/mine", verifyToken, async (req, res) => {
 router.get("/all", async (req, res) => {
   try {
     const locSql = await getLocationSQL();
-    const sql = `SELECT e.*, ${locSql} FROM events e ORDER BY e.created_at DESC`;
+    const sql = `SELECT e.*, ${locSql}, ${CATEGORY_COLUMNS} FROM events e ${CATEGORY_JOIN} ORDER BY e.created_at DESC`;
     const [rows] = await db.execute(sql);
     const origin = `${req.protocol}://${req.get("host")}`;
     const out = (rows || []).map(r => ({
       ...r,
       ...normalizeImagePath(r, origin),
-      category: r.category ?? r.category_name ?? r.category_id ?? r.categoryName ?? "General",
+      category: r.category_name || "General",
     }));
     res.json(out);
   } catch (err) {
@@ -112,56 +129,120 @@ router.get("/all", async (req, res) => {
   }
 });
 
-// GET / - public/current events; supports optional q filter (applied in JS to avoid schema diffs)
+// GET / - public event search. Filters, sorting and pagination are documented
+// in utils/eventSearch.js. Response: { data: [...], pagination: {...} }
 router.get("/", async (req, res) => {
+  let search;
+  try {
+    search = buildEventSearch(req.query);
+  } catch (err) {
+    if (err instanceof SearchError) return res.status(400).json({ message: err.message });
+    throw err;
+  }
+
   try {
-    const q = (req.query.q || "").toString().trim().toLowerCase();
     const locSql = await getLocationSQL();
-    const [rows] = await db.execute(`SELECT e.*, ${locSql} FROM events e`);
+    const from = `FROM events e ${CATEGORY_JOIN}`;
+
+    const [countRows] = await db.query(`SELECT COUNT(*) AS total ${from} ${search.where}`, search.params);
+    const total = Number(countRows[0]?.total || 0);
+
+    const conditions = [search.where, search.cursorWhere && (search.where ? `AND ${search.cursorWhere}` : `WHERE ${search.cursorWhere}`)]
+      .filter(Boolean)
+      .join(" ");
+    const offset = search.page ? (search.page - 1) * search.limit : 0;
+    // One extra row tells whether another page follows
+    const [rows] = await db.query(
+      `SELECT e.*, ${locSql}, ${CATEGORY_COLUMNS} ${from} ${conditions}
+       ORDER BY ${search.orderBy} LIMIT ${search.limit + 1} OFFSET ${offset}`,
+      [...search.params, ...search.cursorParams, ...search.orderParams]
+    );
+
+    const hasMore = rows.length > search.limit;
+    const pageRows = rows.slice(0, search.limit);
     const origin = `${req.protocol}://${req.get("host")}`;
-    let out = (rows || []).map(r => ({
+    const data = pageRows.map((r) => ({
       ...r,
       ...normalizeImagePath(r, origin),
-      category: r.category || r.category_name || "General",
+      category: r.category_name || "General",
     }));
 
-    // Filter by query (case-insensitive)
-    if (q) {
-      out = out.filter(ev => (
-        (ev.title || ev.name || "").toLowerCase().includes(q) ||
-        (ev.description || ev.details || "").toLowerCase().includes(q) ||
-        (ev.category || "").toLowerCase().includes(q)
-      ));
-    }
+    const pagination = search.cursor
+      ? {
+          mode: "cursor",
+          limit: search.limit,
+          total,
+          has_more: hasMore,
+          next_cursor: hasMore ? encodeCursor(search.sortKey, pageRows[pageRows.length - 1]) : null,
+        }
+      : {
+          mode: "page",
+          page: search.page,
+          limit: search.limit,
+          total,
+          total_pages: Math.ceil(total / search.limit),
+          has_more: hasMore,
+        };
 
-    // Filter out completed events if an end field exists (safe across schemas)
-    const now = new Date();
-    out = out.filter(ev => {
-      const end = ev.end_time || ev.ends_at || ev.end || ev.endDate || ev.event_end || ev.end_time;
-      if (!end) return true; // no end info, keep
-      const endDate = new Date(end);
-      return isNaN(endDate.getTime()) ? true : endDate >= now;
-    });
+    res.json({ data, pagination, sort: search.sort });
+  } catch (err) {
+    console.error("Error fetching events:", err.stack || err);
+    res.status(500).json({ message: "Error fetching events" });
+  }
+});
 
-    // Debug: log category distribution to help frontend mapping
-    try {
-      const cats = Array.from(new Set(out.map(o => o.category).filter(Boolean)));
-      console.log('events.js: returning events categories =>', cats.slice(0, 20));
-    } catch (e) {
-      console.warn('events.js: could not compute categories debug', e && e.message);
+// GET /nearby?lat=&lng=&radius=&category=&limit=&page= - upcoming events
+// within radius km, nearest first. `address` may replace lat/lng when a
+// geocoder is configured. Response: { data, pagination, center, radius_km }
+router.get("/nearby", async (req, res) => {
+  try {
+    const query = { ...req.query };
+    if (query.address && query.lat === undefined && query.lng === undefined) {
+      const hit = await geocode(query.address);
+      if (!hit) return res.status(400).json({ message: "Could not find coordinates for address; send lat and lng" });
+      query.lat = hit.latitude;
+      query.lng = hit.longitude;
     }
+    const search = buildNearbySearch(query);
 
-    // Sort by start if available, otherwise by created_at
-    out.sort((a, b) => {
-      const aStart = new Date(a.start_time || a.start || a.starts_at || a.startDate || a.event_date || a.eventDate || a.created_at || 0).getTime();
-      const bStart = new Date(b.start_time || b.start || b.starts_at || b.startDate || b.event_date || b.eventDate || b.created_at || 0).getTime();
-      return aStart - bStart;
-    });
+    const locSql = await getLocationSQL();
+    const from = `FROM events e ${CATEGORY_JOIN}`;
 
-    res.json(out);
+    const [countRows] = await db.query(`SELECT COUNT(*) AS total ${from} ${search.where}`, search.params);
+    const total = Number(countRows[0]?.total || 0);
+
+    const offset = (search.page - 1) * search.limit;
+    const [rows] = await db.query(
+      `SELECT e.*, ${locSql}, ${CATEGORY_COLUMNS}, ${search.distance} AS distance_km ${from} ${search.where}
+       ORDER BY distance_km ASC, e.event_id ASC LIMIT ${search.limit} OFFSET ${offset}`,
+      [...search.distanceParams, ...search.params]
+    );
+
+    const origin = `${req.protocol}://${req.get("host")}`;
+    const data = rows.map((r) => ({
+      ...r,
+      ...normalizeImagePath(r, origin),
+      category: r.category_name || "General",
+      distance_km: Math.round(Number(r.distance_km) * 100) / 100,
+    }));
+
+    res.json({
+      data,
+      pagination: {
+        mode: "page",
+        page: search.page,
+        limit: search.limit,
+        total,
+        total_pages: Math.ceil(total / search.limit),
+        has_more: offset + rows.length < total,
+      },
+      center: search.center,
+      radius_km: search.radius,
+    });
   } catch (err) {
-    console.error("Error fetching events:", err.stack || err);
-    res.status(500).json({ message: "Error fetching events" });
+    if (err instanceof SearchError) return res.status(400).json({ message: err.message });
+    console.error("Error fetching nearby events:", err.stack || err);
+    res.status(500).json({ message: "Error fetching nearby events" });
   }
 });
 
@@ -171,7 +252,7 @@ router.get("/:id", async (req, res) => {
     const eventId = req.params.id;
     const locSql = await getLocationSQL();
     const [rows] = await db.execute(
-      `SELECT e.*, ${locSql} FROM events e WHERE e.event_id = ?`,
+      `SELECT e.*, ${locSql}, ${CATEGORY_COLUMNS} FROM events e ${CATEGORY_JOIN} WHERE e.event_id = ?`,
       [eventId]
     );
     if (!rows || !rows[0]) return res.status(404).json({ message: "Event not found" });
@@ -180,7 +261,7 @@ router.get("/:id", async (req, res) => {
     const norm = {
       ...r,
       ...normalizeImagePath(r, origin),
-      category: r.category || r.category_name || "General",
+      category: r.category_name || "General",
     };
     res.json(norm);
   } catch (err) {
@@ -189,6 +270,344 @@ router.get("/:id", async (req, res) => {
   }
 });
 
+// GET /:id/ical - the event as an .ics file
+router.get("/:id/ical", async (req, res) => {
+  try {
+    const [rows] = await db.query(
+      `SELECT e.*, ${CATEGORY_COLUMNS} FROM events e ${CATEGORY_JOIN} WHERE e.event_id = ?`,
+      [req.params.id]
+    );
+    if (!rows[0]) return res.status(404).json({ message: "Event not found" });
+    if (!rows[0].start_time) return res.status(409).json({ message: "This event has no start time yet" });
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="event-${rows[0].event_id}.ics"`);
+    res.send(buildCalendar(rows));
+  } catch (err) {
+    console.error("Error exporting event:", err.stack || err);
+    res.status(500).json({ message: "Error exporting event" });
+  }
+});
+
+// ---------------- Organizer: edit, lifecycle, delete ----------------
+
+// Loads the event (locked) inside a transaction and checks the caller may manage it.
+// Returns { event } or { status, body } for the error response.
+async function lockManagedEvent(conn, eventId, user) {
+  const [rows] = await conn.query("SELECT * FROM events WHERE event_id = ? FOR UPDATE", [eventId]);
+  const event = rows[0];
+  if (!event) return { status: 404, body: { message: "Event not found" } };
+  if (!canManageEvent(user, event)) return { status: 403, body: { message: "Forbidden: not your event" } };
+  return { event };
+}
+
+async function activeRegistrationCount(conn, eventId) {
+  const [rows] = await conn.query(
+    "SELECT COUNT(*) AS count FROM registrations WHERE event_id = ? AND status NOT IN ('cancelled', 'expired')",
+    [eventId]
+  );
+  return Number(rows[0]?.count || 0);
+}
+
+// PUT replaces every editable field, PATCH only the ones sent.
+// ?scope=this (default) edits one occurrence, ?scope=future also the later ones.
+async function updateEvent(req, res, { partial }) {
+  const scope = String(req.query.scope || "this");
+  if (!["this", "future"].includes(scope)) return res.status(400).json({ message: "scope must be this or future" });
+  try {
+    // A new address without coordinates is geocoded up front, outside the row lock
+    let edits = req.body;
+    if (edits && typeof edits === "object" && ("location" in edits || "locations" in edits) &&
+        !("latitude" in edits) && !("longitude" in edits)) {
+      const coords = await resolveEventCoordinates(edits);
+      edits = { ...edits, latitude: coords.latitude, longitude: coords.longitude };
+    }
+
+    const result = await db.transaction(async (conn) => {
+      const { event, status, body } = await lockManagedEvent(conn, req.params.id, req.user);
+      if (!event) return { status, body };
+      if (["cancelled", "completed"].includes(event.status)) {
+        return { status: 409, body: { message: `A ${event.status} event can no longer be edited` } };
+      }
+
+      const { changes, errors } = validateEventChanges(edits, event, { partial });
+      if (errors.length > 0) return { status: 400, body: { message: errors.join("; "), errors } };
+      // Events with ticket tiers take their price from the cheapest tier
+      const [tiers] = await conn.query("SELECT COUNT(*) AS count FROM ticket_tiers WHERE event_id = ?", [event.event_id]);
+      if (Number(tiers[0].count) > 0) {
+        if (edits && "price" in edits) {
+          return { status: 400, body: { message: "This event sells ticket tiers; use /api/events/:id/tiers to change prices" } };
+        }
+        delete changes.price;
+      }
+      if (Object.keys(changes).length === 0) return { status: 400, body: { message: "No editable fields supplied" } };
+
+      // ?scope=future carries the edit over to the later occurrences of the series
+      if (scope === "future" && !event.series_id) {
+        return { status: 400, body: { message: "scope=future needs an event that is part of a series" } };
+      }
+      const targets = [{ occurrence: event, changes }];
+      if (scope === "future") {
+        for (const occurrence of await lockFutureOccurrences(conn, event)) {
+          targets.push({ occurrence, changes: changesForOccurrence(changes, event, occurrence) });
+        }
+      }
+
+      // Capacity may not drop below the seats already taken (0 means unlimited)
+      if (changes.capacity > 0) {
+        for (const { occurrence } of targets) {
+          const registered = await seatsTaken(conn, occurrence.event_id);
+          if (changes.capacity < registered) {
+            const which = occurrence === event ? "" : ` of the occurrence on ${formatEventTime(occurrence.start_time)}`;
+            return {
+              status: 409,
+              body: { message: `capacity cannot be lower than the ${registered} current registrations${which}` },
+            };
+          }
+        }
+      }
+
+      if (changes.category_id != null) {
+        const [categories] = await conn.query("SELECT category_id FROM categories WHERE category_id = ?", [changes.category_id]);
+        if (!categories[0]) return { status: 400, body: { message: "category_id does not exist" } };
+      }
+
+      let notified = 0;
+      for (const target of targets) {
+        const columns = Object.keys(target.changes);
+        await conn.query(
+          `UPDATE events SET ${columns.map((c) => `${c} = ?`).join(", ")}, updated_at = ?, updated_by = ?, ical_sequence = ical_sequence + 1 WHERE event_id = ?`,
+          [...columns.map((c) => target.changes[c]), new Date(), req.user.user_id, target.occurrence.event_id]
+        );
+        // Sessions move with a rescheduled event
+        const { start_time: oldStart } = target.occurrence;
+        const newStart = target.changes.start_time;
+        if (oldStart && newStart) {
+          await shiftSessions(conn, target.occurrence.event_id, new Date(newStart).getTime() - new Date(oldStart).getTime());
+        }
+
+        // Extra seats go to the waitlist
+        if ("capacity" in target.changes) await promoteFromWaitlist(conn, target.occurrence.event_id);
+
+        const notes = describeAttendeeChanges(target.occurrence, target.changes);
+        if (notes.length > 0) {
+          notified += await notifyEventRegistrants(conn, target.occurrence.event_id, {
+            title: `Event updated: ${target.changes.title || target.occurrence.title}`,
+            message: notes.join(" "),
+            createdBy: req.user.user_id,
+          });
+        }
+      }
+
+      const [rows] = await conn.query("SELECT * FROM events WHERE event_id = ?", [event.event_id]);
+      return {
+        status: 200,
+        body: {
+          message: "Event updated",
+          event: rows[0],
+          notified,
+          ...(scope === "future" ? { updated_event_ids: targets.map((t) => t.occurrence.event_id) } : {}),
+        },
+      };
+    });
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("Error updating event:", err.stack || err);
+    res.status(500).json({ message: "Error updating event" });
+  }
+}
+
+// PUT /:id - replace event details
+router.put("/:id", verifyToken, requirePermission("events:manage"), (req, res) => updateEvent(req, res, { partial: false }));
+
+// PATCH /:id - change some event details
+router.patch("/:id", verifyToken, requirePermission("events:manage"), (req, res) => updateEvent(req, res, { partial: true }));
+
+// ---------------- Recurring series ----------------
+
+async function fetchSeries(conn, seriesId) {
+  const [series] = await conn.query("SELECT * FROM event_series WHERE series_id = ?", [seriesId]);
+  const [occurrences] = await conn.query(
+    `SELECT event_id, title, start_time, end_time, status, series_index, recurrence_id
+     FROM events WHERE series_id = ? ORDER BY series_index ASC`,
+    [seriesId]
+  );
+  return { ...series[0], occurrences };
+}
+
+// GET /:id/series - the series an event belongs to, with every occurrence
+router.get("/:id/series", async (req, res) => {
+  try {
+    const [rows] = await db.query("SELECT series_id FROM events WHERE event_id = ?", [req.params.id]);
+    if (!rows[0]) return res.status(404).json({ message: "Event not found" });
+    if (!rows[0].series_id) return res.status(404).json({ message: "This event is not part of a series" });
+    res.json(await fetchSeries(db, rows[0].series_id));
+  } catch (err) {
+    console.error("Error fetching event series:", err.stack || err);
+    res.status(500).json({ message: "Error fetching event series" });
+  }
+});
+
+// POST /:id/recurrence { recurrence } - turn a single event into the first
+// occurrence of a series (rule format: utils/recurrence.js)
+router.post("/:id/recurrence", verifyToken, requirePermission("events:manage"), async (req, res) => {
+  try {
+    const result = await db.transaction(async (conn) => {
+      const { event, status, body } = await lockManagedEvent(conn, req.params.id, req.user);
+      if (!event) return { status, body };
+      if (event.series_id) return { status: 409, body: { message: "This event already belongs to a series" } };
+      if (event.status !== "published") {
+        return { status: 409, body: { message: `A ${event.status} event cannot become a series` } };
+      }
+      if (!req.body?.recurrence) return { status: 400, body: { message: "recurrence is required" } };
+
+      try {
+        const series = await createEventSeries(conn, event.event_id, req.body.recurrence, req.user.user_id);
+        return { status: 201, body: await fetchSeries(conn, series.series_id) };
+      } catch (err) {
+        if (err instanceof RecurrenceError) return { status: 400, body: { message: err.message } };
+        throw err;
+      }
+    });
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("Error creating event series:", err.stack || err);
+    res.status(500).json({ message: "Error creating event series" });
+  }
+});
+
+// Notification sent to registrants for each status change (completed events are not announced)
+const STATUS_NOTICES = {
+  cancelled: (event, reason) => ({
+    title: `Event cancelled: ${event.title}`,
+    message: `${event.title} has been cancelled.${reason ? ` Reason: ${reason}` : ""}`,
+  }),
+  postponed: (event, reason) => ({
+    title: `Event postponed: ${event.title}`,
+    message: `${event.title} has been postponed; a new date will be announced.${reason ? ` Reason: ${reason}` : ""}`,
+  }),
+  published: (event) => ({
+    title: `Event rescheduled: ${event.title}`,
+    message: `${event.title} has been rescheduled and now starts ${formatEventTime(event.start_time)}.`,
+  }),
+};
+
+// PATCH /:id/status { status, reason, start_time, end_time }
+// Moving a postponed event back to published requires the new start_time.
+router.patch("/:id/status", verifyToken, requirePermission("events:manage"), async (req, res) => {
+  const next = String(req.body?.status || "").toLowerCase();
+  const reason = req.body?.reason ? String(req.body.reason).trim() : null;
+  if (!STATUS_TRANSITIONS[next]) {
+    return res.status(400).json({ message: `status must be one of: ${Object.keys(STATUS_TRANSITIONS).join(", ")}` });
+  }
+
+  try {
+    const result = await db.transaction(async (conn) => {
+      const { event, status, body } = await lockManagedEvent(conn, req.params.id, req.user);
+      if (!event) return { status, body };
+      const current = event.status || "published";
+      if (!STATUS_TRANSITIONS[current].includes(next)) {
+        return { status: 409, body: { message: `Cannot change a ${current} event to ${next}` } };
+      }
+
+      const changes = { status: next, status_reason: reason, status_changed_at: new Date() };
+      if (current === "postponed" && next === "published") {
+        const { changes: times, errors } = validateEventChanges(
+          {
+            start_time: req.body?.start_time ?? null,
+            ...(req.body?.end_time !== undefined ? { end_time: req.body.end_time } : {}),
+          },
+          event,
+          { partial: true }
+        );
+        if (!times.start_time) errors.push("start_time is required to reschedule a postponed event");
+        if (errors.length > 0) return { status: 400, body: { message: errors.join("; "), errors } };
+        Object.assign(changes, times);
+      }
+      if (next === "completed" && event.start_time && new Date(event.start_time) > new Date()) {
+        return { status: 409, body: { message: "An event cannot be completed before it starts" } };
+      }
+
+      const columns = Object.keys(changes);
+      await conn.query(
+        `UPDATE events SET ${columns.map((c) => `${c} = ?`).join(", ")}, updated_at = ?, updated_by = ?, ical_sequence = ical_sequence + 1 WHERE event_id = ?`,
+        [...columns.map((c) => changes[c]), new Date(), req.user.user_id, event.event_id]
+      );
+
+      const notice = STATUS_NOTICES[next]?.({ ...event, ...changes }, reason);
+      const notified = notice
+        ? await notifyEventRegistrants(conn, event.event_id, { ...notice, createdBy: req.user.user_id })
+        : 0;
+      if (next === "cancelled") await voidEventTickets(conn, event.event_id);
+      // Seats freed while the event was postponed go to the waitlist now
+      if (next === "published") await promoteFromWaitlist(conn, event.event_id);
+      return {
+        status: 200,
+        body: { message: `Event ${next}`, event_id: event.event_id, status: next, previous_status: current, notified },
+      };
+    });
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("Error changing event status:", err.stack || err);
+    res.status(500).json({ message: "Error changing event status" });
+  }
+});
+
+// DELETE /:id - remove an event and its event-scoped data. Events with live
+// registrations must be cancelled first so registrants are told; calendar
+// feeds show the deleted event as cancelled (utils/calendarFeeds.js).
+router.delete("/:id", verifyToken, requirePermission("events:manage"), async (req, res) => {
+  try {
+    const result = await db.transaction(async (conn) => {
+      const { event, status, body } = await lockManagedEvent(conn, req.params.id, req.user);
+      if (!event) return { status, body };
+      if (event.status !== "cancelled" && (await activeRegistrationCount(conn, event.event_id)) > 0) {
+        return {
+          status: 409,
+          body: { message: "This event has registrations. Cancel it first so registrants are notified." },
+        };
+      }
+
+      const id = event.event_id;
+      // Calendar feeds keep publishing the event as cancelled
+      await recordCalendarTombstones(conn, event);
+      await conn.query(
+        "DELETE FROM tickets WHERE registration_id IN (SELECT registration_id FROM registrations WHERE event_id = ?)",
+        [id]
+      );
+      await conn.query(
+        "DELETE FROM chat_messages WHERE chatroom_id IN (SELECT chatroom_id FROM chatrooms WHERE event_id = ?)",
+        [id]
+      );
+      await conn.query(
+        "DELETE FROM session_attendees WHERE session_id IN (SELECT session_id FROM event_sessions WHERE event_id = ?)",
+        [id]
+      );
+      for (const table of [
+        "registrations",
+        "chatrooms",
+        "saved_events",
+        "faqs",
+        "ratings_reviews",
+        "event_sessions",
+        "ticket_tiers",
+        "checkins",
+        "event_staff",
+        "ticket_signing_keys",
+        "ticket_transfers",
+      ]) {
+        await conn.query(`DELETE FROM ${table} WHERE event_id = ?`, [id]);
+      }
+      await conn.query("DELETE FROM events WHERE event_id = ?", [id]);
+      return { status: 200, body: { message: "Event deleted", event_id: id } };
+    });
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("Error deleting event:", err.stack || err);
+    res.status(500).json({ message: "Error deleting event" });
+  }
+});
+
 // GET /user/joined - user's joined events
 router.get("/user/joined", verifyToken, async (req, res) => {
   try {
@@ -196,8 +615,8 @@ router.get("/user/joined", verifyToken, async (req, res) => {
     const locSql = await getLocationSQL();
     // Select registration row generically (avoid referencing schema-specific column names)
     const [rows] = await db.execute(
-      `SELECT e.*, r.*
-       FROM events e JOIN registrations r ON e.event_id = r.event_id
+      `SELECT e.*, r.*, ${CATEGORY_COLUMNS}
+       FROM events e JOIN registrations r ON e.event_id = r.event_id ${CATEGORY_JOIN}
        WHERE r.user_id = ?`,
       [userId]
     );
@@ -205,7 +624,7 @@ router.get("/user/joined", verifyToken, async (req, res) => {
     let out = (rows || []).map(row => ({
       ...row,
       ...normalizeImagePath(row, origin),
-      category: row.category ?? row.category_name ?? row.category_id ?? row.categoryName ?? "General",
+      category: row.category_name || "General",
       registration_date: row.registered_at || row.registration_time || row.created_at || row.registrationDate || null,
       registration_status: row.status || row.registration_status || null,
     }));
@@ -231,8 +650,8 @@ router.get("/user/upcoming", verifyToken, async (req, res) => {
     const locSql = await getLocationSQL();
     // Avoid selecting non-existent registration timestamp columns in SQL
     const [rows] = await db.execute(
-      `SELECT e.*, r.*
-       FROM events e JOIN registrations r ON e.event_id = r.event_id
+      `SELECT e.*, r.*, ${CATEGORY_COLUMNS}
+       FROM events e JOIN registrations r ON e.event_id = r.event_id ${CATEGORY_JOIN}
        WHERE r.user_id = ?`,
       [userId]
     );
@@ -240,7 +659,7 @@ router.get("/user/upcoming", verifyToken, async (req, res) => {
     let out = (rows || []).map(row => ({
       ...row,
       ...normalizeImagePath(row, origin),
-      category: row.category ?? row.category_name ?? row.category_id ?? row.categoryName ?? "General",
+      category: row.category_name || "General",
       registration_date: row.registered_at || row.registration_time || row.created_at || row.registrationDate || null,
       registration_status: row.status || row.registration_status || null,
     }));
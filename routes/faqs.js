@@ -1,6 +1,7 @@
 // routes/faqs.js
 import express from "express";
 import db from "../db.js";
+import { verifyToken, requirePermission } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
@@ -17,8 +18,8 @@ router.get("/", async (req, res) => {
   }
 });
 
-// Add a new FAQ (optional for admin)
-router.post("/", async (req, res) => {
+// Add a new FAQ (admin/owner)
+router.post("/", verifyToken, requirePermission("faqs:manage"), async (req, res) => {
   try {
     const { question, answer } = req.body;
     await db.execute(
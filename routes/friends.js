@@ -1,6 +1,7 @@
 import express from "express";
 import db from "../db.js";
 import { verifyToken } from "../middleware/authMiddleware.js";
+import { chatMessageLimiter } from "../middleware/rateLimit.js";
 
 const router = express.Router();
 
@@ -47,7 +48,7 @@ router.get("/:friendId/messages", verifyToken, async (req, res) => {
 });
 
 // Send message to friend
-router.post("/:friendId/messages", verifyToken, async (req, res) => {
+router.post("/:friendId/messages", verifyToken, chatMessageLimiter, async (req, res) => {
   try {
     const userId = req.user.user_id;
     const friendId = req.params.friendId;
@@ -55,25 +56,11 @@ router.post("/:friendId/messages", verifyToken, async (req, res) => {
 
     if (!message) return res.status(400).json({ message: "Message cannot be empty" });
 
-    // Insert message - handle both MySQL and PostgreSQL
-    let messageId;
-    if (process.env.DATABASE_URL) {
-      // PostgreSQL - use RETURNING
-      const [rows] = await db.query(
-        `INSERT INTO fmessages (sender_id, receiver_id, message)
-         VALUES (?, ?, ?) RETURNING message_id`,
-        [userId, friendId, message]
-      );
-      messageId = rows && rows[0] ? rows[0].message_id : undefined;
-    } else {
-      // MySQL - use insertId
-      const [result] = await db.query(
-        `INSERT INTO fmessages (sender_id, receiver_id, message)
-         VALUES (?, ?, ?)`,
-        [userId, friendId, message]
-      );
-      messageId = result.insertId;
-    }
+    const messageId = await db.insert(
+      "fmessages",
+      { sender_id: userId, receiver_id: friendId, message },
+      "message_id"
+    );
 
     res.json({ 
       message_id: messageId,
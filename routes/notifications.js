@@ -1,7 +1,8 @@
 // routes/notifications.js
 import express from "express";
 import db from "../db.js";
-import { verifyToken } from "../middleware/authMiddleware.js";
+import { verifyToken, requirePermission } from "../middleware/authMiddleware.js";
+import { notificationLimiter } from "../middleware/rateLimit.js";
 
 const router = express.Router();
 
@@ -42,7 +43,7 @@ router.get("/user", verifyToken, async (req, res) => {
 
 // Get notifications for events created by the authenticated owner (owner view)
 // Optional query param: event_id to filter a single event
-router.get("/owner", verifyToken, async (req, res) => {
+router.get("/owner", verifyToken, requirePermission("events:manage"), async (req, res) => {
   try {
     const ownerId = req.user?.user_id;
     if (!ownerId) return res.status(401).json({ message: "Unauthorized" });
@@ -97,7 +98,7 @@ router.get("/owner", verifyToken, async (req, res) => {
 });
 
 // Create notifications (bulk) - only notifications table
-router.post("/", verifyToken, async (req, res) => {
+router.post("/", verifyToken, requirePermission("events:manage"), notificationLimiter, async (req, res) => {
   try {
     const userId = req.user?.user_id;
     if (!userId) return res.status(401).json({ message: "Unauthorized" });
@@ -142,16 +143,17 @@ router.post("/", verifyToken, async (req, res) => {
       sentAt          // sent_at
     ]);
 
-    const [result] = await db.query(
-      `INSERT INTO notifications (
-        user_id, event_id, type, title, message, status, is_read,
-        scheduled_at, scheduled_by, attempts, error_message,
-        created_at, sent_at
-      ) VALUES ?`,
-      [values]
+    const inserted = await db.bulkInsert(
+      "notifications",
+      [
+        "user_id", "event_id", "type", "title", "message", "status", "is_read",
+        "scheduled_at", "scheduled_by", "attempts", "error_message",
+        "created_at", "sent_at",
+      ],
+      values
     );
 
-    return res.json({ ok: true, inserted: result.affectedRows, requested: recipients.length });
+    return res.json({ ok: true, inserted, requested: recipients.length });
   } catch (err) {
     console.error("Error creating notifications:", err);
     return res.status(500).json({ message: "Error creating notifications" });
@@ -159,7 +161,7 @@ router.post("/", verifyToken, async (req, res) => {
 });
 
 // Update a notification (owner/creator only via scheduled_by)
-router.patch("/:id", verifyToken, async (req, res) => {
+router.patch("/:id", verifyToken, requirePermission("events:manage"), async (req, res) => {
   try {
     const userId = req.user?.user_id;
     if (!userId) return res.status(401).json({ message: "Unauthorized" });
@@ -188,7 +190,7 @@ router.patch("/:id", verifyToken, async (req, res) => {
 });
 
 // Send (mark as sent) a notification (owner/creator only)
-router.post("/:id/send", verifyToken, async (req, res) => {
+router.post("/:id/send", verifyToken, requirePermission("events:manage"), async (req, res) => {
   try {
     const userId = req.user?.user_id;
     if (!userId) return res.status(401).json({ message: "Unauthorized" });
@@ -0,0 +1,106 @@
+// routes/oidc.js
+// Sign in with an OpenID Connect provider, mounted at /api/auth/oidc.
+//
+//   1. GET  /login     redirects the browser to the provider (PKCE + state + nonce)
+//   2. GET  /callback  provider redirects back; the identity is linked to a user and
+//                      the browser is sent to OIDC_FRONTEND_CALLBACK?code=...
+//   3. POST /exchange  the frontend trades that one-time code for the usual
+//                      login response (session tokens, or a 2FA challenge)
+// Configuration lives in utils/oidc.js.
+import express from "express";
+import db from "../db.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { issueUserToken, consumeUserToken } from "../utils/userTokens.js";
+import { beginLogin } from "../utils/twoFactor.js";
+import {
+  OidcError,
+  oidcConfig,
+  isOidcEnabled,
+  createAuthorizationUrl,
+  completeAuthorization,
+  resolveOidcUser,
+} from "../utils/oidc.js";
+
+const router = express.Router();
+
+const oidcLimiter = rateLimit({ name: "oidc", windowMs: 15 * 60 * 1000, max: 30 });
+
+function requireOidc(req, res, next) {
+  if (!isOidcEnabled()) return res.status(404).json({ message: "Single sign-on is not configured" });
+  next();
+}
+
+function frontendRedirect(res, params) {
+  const url = new URL(oidcConfig().frontendCallback);
+  for (const [key, value] of Object.entries(params)) url.searchParams.set(key, value);
+  return res.redirect(302, url.toString());
+}
+
+// GET /api/auth/oidc/config - lets the frontend decide whether to show the SSO button
+router.get("/config", (req, res) => {
+  const enabled = isOidcEnabled();
+  res.json({
+    enabled,
+    provider_name: enabled ? oidcConfig().providerName : null,
+    login_url: enabled ? "/api/auth/oidc/login" : null,
+  });
+});
+
+// GET /api/auth/oidc/login?login_hint=&mode=json
+router.get("/login", requireOidc, oidcLimiter, async (req, res) => {
+  try {
+    const url = await createAuthorizationUrl({ loginHint: req.query.login_hint });
+    if (req.query.mode === "json") return res.json({ authorization_url: url });
+    res.redirect(302, url);
+  } catch (err) {
+    console.error("OIDC login error:", err);
+    res.status(502).json({ message: "Identity provider is unavailable" });
+  }
+});
+
+// GET /api/auth/oidc/callback?code=&state=  (or ?error= from the provider)
+router.get("/callback", requireOidc, oidcLimiter, async (req, res) => {
+  if (req.query.error) {
+    return frontendRedirect(res, {
+      error: String(req.query.error),
+      error_description: String(req.query.error_description || "Sign-in was cancelled or denied"),
+    });
+  }
+
+  try {
+    const identity = await completeAuthorization({ code: req.query.code, state: req.query.state });
+    const { user } = await resolveOidcUser(identity);
+    const code = await issueUserToken(user.user_id, "oidc_login");
+    return frontendRedirect(res, { code });
+  } catch (err) {
+    if (err instanceof OidcError) {
+      console.warn("OIDC callback rejected:", err.message);
+      return frontendRedirect(res, { error: err.code, error_description: err.message });
+    }
+    console.error("OIDC callback error:", err);
+    return frontendRedirect(res, { error: "server_error", error_description: "Sign-in failed, please try again" });
+  }
+});
+
+// POST /api/auth/oidc/exchange { code }
+router.post("/exchange", requireOidc, oidcLimiter, async (req, res) => {
+  const code = req.body?.code;
+  if (!code) return res.status(400).json({ message: "code is required" });
+
+  try {
+    const userId = await consumeUserToken(code, "oidc_login");
+    if (!userId) return res.status(400).json({ message: "Invalid or expired sign-in code" });
+
+    const [rows] = await db.query(
+      "SELECT user_id, username, email, role, totp_enabled FROM users WHERE user_id = ? LIMIT 1",
+      [userId]
+    );
+    if (!rows[0]) return res.status(400).json({ message: "Invalid or expired sign-in code" });
+    return res.json(await beginLogin(rows[0], req));
+  } catch (err) {
+    console.error("OIDC exchange error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+export default router;
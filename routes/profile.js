@@ -4,6 +4,8 @@ import bcrypt from "bcryptjs";
 import multer from "multer";
 import path from "path";
 import fs from "fs";
+import { verifyToken, optionalToken, hasPermission } from "../middleware/authMiddleware.js";
+import { isStrongPassword, PASSWORD_RULE_MESSAGE } from "../utils/password.js";
 
 const router = express.Router();
 
@@ -11,19 +13,44 @@ const router = express.Router();
 const avatarDir = path.join(process.cwd(), "uploads/avatars");
 if (!fs.existsSync(avatarDir)) fs.mkdirSync(avatarDir, { recursive: true });
 
+const VISIBILITY = ["public", "members", "private"];
+
+// Whether `viewer` (req.user, possibly undefined) may see the contact details of `profile`
+function canSeeContact(viewer, profile) {
+  if (viewer && (Number(viewer.user_id) === Number(profile.user_id) || hasPermission(viewer, "users:manage"))) {
+    return true;
+  }
+  const visibility = profile.profile_visibility || "members";
+  if (visibility === "public") return true;
+  return visibility === "members" && !!viewer;
+}
+
+// Resolve `:id` ("me" or a numeric id) to the user being edited.
+// Users may only edit themselves; admins/owners may edit anyone.
+function resolveTarget(req, res, next) {
+  const targetId = req.params.id === "me" ? Number(req.user.user_id) : Number(req.params.id);
+  if (!Number.isInteger(targetId) || targetId <= 0) return res.status(400).json({ error: "Invalid user id" });
+  if (targetId !== Number(req.user.user_id) && !hasPermission(req.user, "users:manage")) {
+    return res.status(403).json({ error: "You can only update your own profile" });
+  }
+  req.targetUserId = targetId;
+  next();
+}
+
 // Get all admin users
-router.get("/admins", async (req, res) => {
+router.get("/admins", optionalToken, async (req, res) => {
   try {
     const [admins] = await db.query(
-      `SELECT user_id, username, email, avatar 
+      `SELECT user_id, username, email, avatar, profile_visibility
        FROM users 
        WHERE role = 'admin' 
        ORDER BY username ASC`
     );
     
     // Add full URL for avatars
-    const adminsWithFullURL = admins.map(admin => ({
+    const adminsWithFullURL = admins.map(({ profile_visibility, ...admin }) => ({
       ...admin,
+      email: canSeeContact(req.user, { ...admin, profile_visibility }) ? admin.email : null,
       avatar: admin.avatar 
         ? `${req.protocol}://${req.get("host")}${admin.avatar}?t=${Date.now()}`
         : null
@@ -41,7 +68,7 @@ const storage = multer.diskStorage({
   destination: (req, file, cb) => cb(null, avatarDir),
   filename: (req, file, cb) => {
     const ext = path.extname(file.originalname);
-    cb(null, `avatar_${req.params.id}${ext}`);
+    cb(null, `avatar_${req.targetUserId}${ext}`);
   },
 });
 
@@ -53,17 +80,23 @@ const upload = multer({
   },
 });
 
-// Get profile by user_id
-router.get("/:id", async (req, res) => {
+// Get profile by user_id ("me" for the signed-in user).
+// Email and phone are only included when the user's profile_visibility allows it.
+router.get("/:id", optionalToken, async (req, res) => {
   try {
-    const userId = req.params.id;
+    if (req.params.id === "me" && !req.user) return res.status(401).json({ error: "Login required" });
+    const userId = req.params.id === "me" ? req.user.user_id : req.params.id;
     const [users] = await db.query(
       `SELECT user_id, username, email, role, bio, avatar,
-              contact_phone, status, last_seen, created_at
+              contact_phone, status, last_seen, created_at, profile_visibility
        FROM users WHERE user_id = ?`,
       [userId]
     );
     if (users.length === 0) return res.status(404).json({ error: "User not found" });
+    if (!canSeeContact(req.user, users[0])) {
+      users[0].email = null;
+      users[0].contact_phone = null;
+    }
 
     const [badges] = await db.query(
       `SELECT ub.badge_id, b.key, b.title, b.description 
@@ -104,9 +137,9 @@ router.get("/:id", async (req, res) => {
 });
 
 // Update bio
-router.put("/:id/bio", async (req, res) => {
+router.put("/:id/bio", verifyToken, resolveTarget, async (req, res) => {
   try {
-    await db.query("UPDATE users SET bio = ? WHERE user_id = ?", [req.body.bio, req.params.id]);
+    await db.query("UPDATE users SET bio = ? WHERE user_id = ?", [req.body.bio, req.targetUserId]);
     res.json({ success: true, message: "Bio updated successfully" });
   } catch (err) {
     res.status(500).json({ error: "Failed to update bio" });
@@ -114,32 +147,46 @@ router.put("/:id/bio", async (req, res) => {
 });
 
 // Update contact
-router.put("/:id/contact", async (req, res) => {
+router.put("/:id/contact", verifyToken, resolveTarget, async (req, res) => {
   try {
-    await db.query("UPDATE users SET contact_phone = ? WHERE user_id = ?", [req.body.contact_phone, req.params.id]);
+    await db.query("UPDATE users SET contact_phone = ? WHERE user_id = ?", [req.body.contact_phone, req.targetUserId]);
     res.json({ success: true, message: "Contact updated successfully" });
   } catch (err) {
     res.status(500).json({ error: "Failed to update contact" });
   }
 });
 
-// Update password
-router.put("/:id/password", async (req, res) => {
+// Update privacy setting
+router.put("/:id/privacy", verifyToken, resolveTarget, async (req, res) => {
+  const visibility = String(req.body.profile_visibility || "").toLowerCase();
+  if (!VISIBILITY.includes(visibility)) {
+    return res.status(400).json({ error: `profile_visibility must be one of: ${VISIBILITY.join(", ")}` });
+  }
+  try {
+    await db.query("UPDATE users SET profile_visibility = ? WHERE user_id = ?", [visibility, req.targetUserId]);
+    res.json({ success: true, message: "Privacy setting updated", profile_visibility: visibility });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to update privacy setting" });
+  }
+});
+
+// Update password (self-service only: admins cannot change another user's password)
+router.put("/:id/password", verifyToken, resolveTarget, async (req, res) => {
+  if (req.targetUserId !== Number(req.user.user_id)) {
+    return res.status(403).json({ error: "You can only change your own password" });
+  }
   try {
-    const [user] = await db.query("SELECT password FROM users WHERE user_id = ?", [req.params.id]);
+    const [user] = await db.query("SELECT password FROM users WHERE user_id = ?", [req.targetUserId]);
     if (user.length === 0) return res.status(404).json({ error: "User not found" });
 
-    const validPass = await bcrypt.compare(req.body.oldPassword, user[0].password);
+    const validPass = await bcrypt.compare(String(req.body.oldPassword || ""), user[0].password);
     if (!validPass) return res.status(400).json({ error: "Old password is incorrect" });
 
-    const passwordRegex = /^(?=.*[A-Z])(?=.*[!@#$%^&*()_+\-=[\]{};':"\\|,.<>/?]).{8,}$/;
-    if (!passwordRegex.test(req.body.newPassword))
-      return res.status(400).json({
-        error: "Password must be at least 8 characters, include 1 uppercase letter and 1 symbol",
-      });
+    if (!isStrongPassword(req.body.newPassword))
+      return res.status(400).json({ error: PASSWORD_RULE_MESSAGE });
 
     const hashedPassword = await bcrypt.hash(req.body.newPassword, 10);
-    await db.query("UPDATE users SET password = ? WHERE user_id = ?", [hashedPassword, req.params.id]);
+    await db.query("UPDATE users SET password = ? WHERE user_id = ?", [hashedPassword, req.targetUserId]);
     res.json({ success: true, message: "Password updated successfully" });
   } catch (err) {
     res.status(500).json({ error: "Failed to update password" });
@@ -147,11 +194,11 @@ router.put("/:id/password", async (req, res) => {
 });
 
 // Update avatar
-router.put("/:id/avatar", upload.single("avatar"), async (req, res) => {
+router.put("/:id/avatar", verifyToken, resolveTarget, upload.single("avatar"), async (req, res) => {
   if (!req.file) return res.status(400).json({ error: "No file uploaded" });
   try {
     const avatarPath = `/uploads/avatars/${req.file.filename}`;
-    await db.query("UPDATE users SET avatar = ? WHERE user_id = ?", [avatarPath, req.params.id]);
+    await db.query("UPDATE users SET avatar = ? WHERE user_id = ?", [avatarPath, req.targetUserId]);
     const avatarFullURL = `${req.protocol}://${req.get("host")}${avatarPath}?t=${Date.now()}`;
     res.json({ success: true, message: "Avatar updated successfully", avatar: avatarFullURL });
   } catch (err) {
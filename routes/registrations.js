@@ -1,11 +1,27 @@
 import express from "express";
 import db from "../db.js";
-import { verifyToken } from "../middleware/authMiddleware.js";
+import { verifyToken, verifyTokenOrApiKey, requirePermission, hasPermission } from "../middleware/authMiddleware.js";
+import { isOpenForRegistration } from "../utils/events.js";
+import {
+  placeRegistration,
+  activeRegistration,
+  promoteFromWaitlist,
+  waitlistPositionSql,
+  seatLimit,
+  seatsTaken,
+  SEAT_STATUSES,
+} from "../utils/waitlist.js";
+import { priceRegistration, TicketError } from "../utils/ticketTiers.js";
+import { syncRegistrationTickets } from "../utils/tickets.js";
+import { rateLimit, byUser, notificationLimiter } from "../middleware/rateLimit.js";
 
 const router = express.Router();
 
+const registrationLimiter = rateLimit({ name: "registration", windowMs: 60 * 1000, max: 10, keyBy: byUser });
+
 /**
- * Get waitlisted (pending) events for the logged-in user
+ * Get the logged-in user's waitlist: registrations still waiting for a seat
+ * (with their position) and seats offered to them (with the hold deadline).
  * Also returns if notification is already sent for each event
  */
 router.get("/my-waitlist", verifyToken, async (req, res) => {
@@ -13,7 +29,10 @@ router.get("/my-waitlist", verifyToken, async (req, res) => {
     const userId = req.user.user_id;
 
     const [rows] = await db.execute(
-      `SELECT r.*, e.*,
+      `SELECT r.*,
+          e.title, e.description, e.location, e.image, e.start_time, e.end_time,
+          e.capacity, e.price, e.category_id, e.status AS event_status,
+          ${waitlistPositionSql("r")} AS waitlist_position,
           COALESCE(c.name, 'General') AS category,
           CASE WHEN n.notification_id IS NOT NULL THEN 1 ELSE 0 END AS already_notified
        FROM registrations r
@@ -23,16 +42,20 @@ router.get("/my-waitlist", verifyToken, async (req, res) => {
          AND n.event_id = e.event_id 
          AND n.type = 'in-app'
        WHERE r.user_id = ? 
-         AND TRIM(LOWER(r.status)) = 'pending'`,
+         AND r.status IN ('waitlisted', 'offered')`,
       [userId]
     );
 
     // Normalize and sort by start (if available) in JS to avoid SQL schema differences
     const origin = `${req.protocol}://${req.get('host')}`;
-    const normalized = (rows || []).map((r) => ({
-      ...r,
-      start: r.start_time || r.start || r.starts_at || r.startDate || null,
-    }));
+    const seen = new Set();
+    const normalized = (rows || [])
+      .filter((r) => !seen.has(r.registration_id) && seen.add(r.registration_id))
+      .map((r) => ({
+        ...r,
+        waitlist_position: r.status === "waitlisted" ? Number(r.waitlist_position) : null,
+        start: r.start_time || r.start || r.starts_at || r.startDate || null,
+      }));
 
     normalized.sort((a, b) => {
       const aStart = new Date(a.start || a.start_time || a.starts_at || 0).getTime();
@@ -48,27 +71,109 @@ router.get("/my-waitlist", verifyToken, async (req, res) => {
 });
 
 /**
- * Remove (cancel) waitlist entry
+ * Cancel the user's registration, waitlist entry or held seat. A freed seat
+ * is offered to the next person on the waitlist.
  */
 router.delete("/cancel/:registrationId", verifyToken, async (req, res) => {
   try {
     const userId = req.user.user_id;
     const { registrationId } = req.params;
 
-    const [result] = await db.execute(
-      `DELETE FROM registrations 
-       WHERE registration_id = ? AND user_id = ? AND TRIM(LOWER(status)) = 'pending'`,
-      [registrationId, userId]
+    const result = await db.transaction(async (conn) => {
+      const [registrations] = await conn.query(
+        "SELECT registration_id, event_id, status FROM registrations WHERE registration_id = ? AND user_id = ?",
+        [registrationId, userId]
+      );
+      const registration = registrations[0];
+      if (!registration || !["confirmed", "waitlisted", "offered"].includes(registration.status)) {
+        return { status: 404, body: { message: "Registration not found or cannot be cancelled" } };
+      }
+      await conn.query("SELECT event_id FROM events WHERE event_id = ? FOR UPDATE", [registration.event_id]);
+      await conn.query(
+        "UPDATE registrations SET status = 'cancelled', cancelled_at = ?, hold_expires_at = NULL WHERE registration_id = ?",
+        [new Date(), registration.registration_id]
+      );
+      const { voided } = await syncRegistrationTickets(conn, [registration.registration_id]);
+      const { offered } = await promoteFromWaitlist(conn, registration.event_id);
+      return {
+        status: 200,
+        body: {
+          message: registration.status === "waitlisted" ? "Successfully removed from waitlist" : "Registration cancelled",
+          tickets_voided: voided.length,
+          seats_offered: offered.length,
+        },
+      };
+    });
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Accept or decline a seat offered from the waitlist while the hold lasts
+async function answerOffer(req, res, accept) {
+  const userId = req.user.user_id;
+  const result = await db.transaction(async (conn) => {
+    const [registrations] = await conn.query(
+      "SELECT registration_id, event_id, status, hold_expires_at FROM registrations WHERE registration_id = ? AND user_id = ?",
+      [req.params.registrationId, userId]
     );
+    const registration = registrations[0];
+    if (!registration) return { status: 404, body: { message: "Registration not found" } };
+    await conn.query("SELECT event_id FROM events WHERE event_id = ? FOR UPDATE", [registration.event_id]);
+    const now = new Date();
+    if (registration.status !== "offered") {
+      return { status: 409, body: { message: `There is no seat on hold for this registration (status: ${registration.status})` } };
+    }
+    if (new Date(registration.hold_expires_at) <= now) {
+      await promoteFromWaitlist(conn, registration.event_id, { now });
+      return { status: 409, body: { message: "The hold on this seat has expired" } };
+    }
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ message: "Waitlist entry not found or cannot be removed" });
+    if (accept) {
+      await conn.query(
+        "UPDATE registrations SET status = 'confirmed', hold_expires_at = NULL, registered_at = ? WHERE registration_id = ?",
+        [now, registration.registration_id]
+      );
+      const { issued } = await syncRegistrationTickets(conn, [registration.registration_id]);
+      return {
+        status: 200,
+        body: {
+          message: "Seat accepted, you are registered",
+          registration_id: registration.registration_id,
+          status: "confirmed",
+          ticket_ids: issued,
+        },
+      };
     }
+    await conn.query(
+      "UPDATE registrations SET status = 'cancelled', cancelled_at = ?, hold_expires_at = NULL WHERE registration_id = ?",
+      [now, registration.registration_id]
+    );
+    await promoteFromWaitlist(conn, registration.event_id, { now });
+    return { status: 200, body: { message: "Seat declined", registration_id: registration.registration_id, status: "cancelled" } };
+  });
+  res.status(result.status).json(result.body);
+}
+
+// POST /api/registrations/:registrationId/accept - take the seat offered from the waitlist
+router.post("/:registrationId/accept", verifyToken, async (req, res) => {
+  try {
+    await answerOffer(req, res, true);
+  } catch (err) {
+    console.error("Error accepting waitlist offer:", err.stack || err);
+    res.status(500).json({ message: "Error accepting waitlist offer" });
+  }
+});
 
-    res.json({ message: "Successfully removed from waitlist" });
+// POST /api/registrations/:registrationId/decline - pass the offered seat to the next in line
+router.post("/:registrationId/decline", verifyToken, async (req, res) => {
+  try {
+    await answerOffer(req, res, false);
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "Server error" });
+    console.error("Error declining waitlist offer:", err.stack || err);
+    res.status(500).json({ message: "Error declining waitlist offer" });
   }
 });
 
@@ -76,7 +181,7 @@ router.delete("/cancel/:registrationId", verifyToken, async (req, res) => {
  * Notify Me
  * Prevents duplicate notifications
  */
-router.post("/notify/:registrationId", verifyToken, async (req, res) => {
+router.post("/notify/:registrationId", verifyToken, notificationLimiter, async (req, res) => {
   try {
     const userId = req.user.user_id;
     const { registrationId } = req.params;
@@ -150,66 +255,129 @@ router.get("/check/:eventId", verifyToken, async (req, res) => {
   }
 });
 
-// Register for an event
-router.post("/", verifyToken, async (req, res) => {
-  try {
-    const userId = req.user.user_id;
-    const { event_id, ticket_type, amount, status } = req.body;
-
-    // Check if already registered
-    const [existing] = await db.query(
-      "SELECT * FROM registrations WHERE user_id = ? AND event_id = ?",
-      [userId, event_id]
-    );
-
-    if (existing.length > 0) {
-      return res.status(400).json({
-        success: false,
-        message: "You are already registered for this event",
-      });
+// Registers the user for every upcoming, open occurrence of the event's
+// series they are not registered for yet, in the tier with the same name on
+// each occurrence. Full occurrences put them on that occurrence's waitlist;
+// occurrences where the tier cannot be bought are skipped.
+async function registerForSeries(req, res, event_id) {
+  const userId = req.user.user_id;
+  const { tier_id, ticket_type, quantity } = req.body;
+  const result = await db.transaction(async (conn) => {
+    const [events] = await conn.query("SELECT series_id FROM events WHERE event_id = ?", [event_id]);
+    if (!events[0]) return { status: 404, body: { success: false, message: "Event not found" } };
+    const seriesId = events[0].series_id;
+    if (!seriesId) return { status: 400, body: { success: false, message: "This event is not part of a series" } };
+
+    let tierName = ticket_type;
+    if (tier_id != null) {
+      const [tiers] = await conn.query("SELECT name FROM ticket_tiers WHERE tier_id = ? AND event_id = ?", [tier_id, event_id]);
+      if (!tiers[0]) return { status: 404, body: { success: false, message: "Ticket tier not found for this event" } };
+      tierName = tiers[0].name;
     }
 
-    // Check event exists
-    const [events] = await db.query(
-      "SELECT * FROM events WHERE event_id = ?",
-      [event_id]
+    const [occurrences] = await conn.query(
+      `SELECT e.event_id, e.capacity, e.price FROM events e
+       WHERE e.series_id = ? AND e.status = 'published' AND (e.start_time IS NULL OR e.start_time >= ?)
+         AND NOT EXISTS (SELECT 1 FROM registrations r
+                         WHERE r.event_id = e.event_id AND r.user_id = ? AND r.status IN ('confirmed', 'offered', 'waitlisted'))
+       ORDER BY e.series_index ASC FOR UPDATE`,
+      [seriesId, new Date(), userId]
     );
-
-    if (events.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "Event not found",
-      });
+    if (occurrences.length === 0) {
+      return {
+        status: 400,
+        body: { success: false, message: "You are already registered for every upcoming occurrence of this series" },
+      };
     }
 
-    // Insert registration - handle both MySQL and PostgreSQL
-    let registrationId;
-    if (process.env.DATABASE_URL) {
-      // PostgreSQL - use RETURNING
-      const [rows] = await db.query(
-        `INSERT INTO registrations 
-         (user_id, event_id, ticket_type, amount, status, registered_at, registration_time) 
-         VALUES (?, ?, ?, ?, ?, NOW(), NOW()) RETURNING registration_id`,
-        [userId, event_id, ticket_type || "Free", amount || 0, status || "confirmed"]
-      );
-      registrationId = rows && rows[0] ? rows[0].registration_id : undefined;
-    } else {
-      // MySQL - use insertId
-      const [result] = await db.query(
-        `INSERT INTO registrations 
-         (user_id, event_id, ticket_type, amount, status, registered_at, registration_time) 
-         VALUES (?, ?, ?, ?, ?, NOW(), NOW())`,
-        [userId, event_id, ticket_type || "Free", amount || 0, status || "confirmed"]
-      );
-      registrationId = result.insertId;
+    const registrations = [];
+    const skipped = [];
+    for (const occurrence of occurrences) {
+      let ticket;
+      try {
+        ticket = await priceRegistration(conn, occurrence, { ticket_type: tierName, quantity });
+      } catch (err) {
+        if (!(err instanceof TicketError)) throw err;
+        skipped.push({ event_id: occurrence.event_id, message: err.message });
+        continue;
+      }
+      const placed = await placeRegistration(conn, occurrence, userId, { ...ticket, series_id: seriesId });
+      const { issued } = await syncRegistrationTickets(conn, [placed.registration_id]);
+      registrations.push({ event_id: occurrence.event_id, ...placed, amount: ticket.amount, ticket_ids: issued });
+    }
+    if (registrations.length === 0) {
+      return { status: 409, body: { success: false, message: skipped[0].message, skipped } };
     }
+    const waitlisted = registrations.filter((r) => r.status === "waitlisted").length;
+    return {
+      status: 200,
+      body: {
+        success: true,
+        message:
+          `Successfully registered for ${registrations.length} occurrences of the series` +
+          (waitlisted > 0 ? ` (waitlisted for ${waitlisted} that are full)` : ""),
+        series_id: seriesId,
+        event_ids: registrations.map((r) => r.event_id),
+        registration_ids: registrations.map((r) => r.registration_id),
+        registrations,
+        skipped,
+      },
+    };
+  });
+  res.status(result.status).json(result.body);
+}
+
+// Register for an event; scope "series" registers for all its upcoming occurrences.
+// The server decides the status (confirmed while seats are free, otherwise
+// waitlisted) and the amount, from the chosen tier: { event_id, tier_id, quantity }.
+router.post("/", verifyToken, registrationLimiter, async (req, res) => {
+  try {
+    const userId = req.user.user_id;
+    const { event_id, tier_id, ticket_type, quantity, scope } = req.body;
+    if (scope !== undefined && !["occurrence", "series"].includes(scope)) {
+      return res.status(400).json({ success: false, message: "scope must be occurrence or series" });
+    }
+    if (scope === "series") return await registerForSeries(req, res, event_id);
+
+    const result = await db.transaction(async (conn) => {
+      // The event row lock serializes concurrent sign-ups for the same event,
+      // so seats and tier stock cannot be oversold
+      const [events] = await conn.query("SELECT * FROM events WHERE event_id = ? FOR UPDATE", [event_id]);
+      if (events.length === 0) {
+        return { status: 404, body: { success: false, message: "Event not found" } };
+      }
+      if (!isOpenForRegistration(events[0])) {
+        return {
+          status: 409,
+          body: { success: false, message: `This event is ${events[0].status} and not taking registrations` },
+        };
+      }
+      if (await activeRegistration(conn, events[0].event_id, userId)) {
+        return { status: 400, body: { success: false, message: "You are already registered for this event" } };
+      }
 
-    res.json({
-      success: true,
-      message: "Successfully registered for the event",
-      registration_id: registrationId,
+      const ticket = await priceRegistration(conn, events[0], { tier_id, ticket_type, quantity });
+      const placed = await placeRegistration(conn, events[0], userId, ticket);
+      const { issued } = await syncRegistrationTickets(conn, [placed.registration_id]);
+      return {
+        status: 200,
+        body: {
+          success: true,
+          message:
+            placed.status === "waitlisted"
+              ? `The event is full; you are number ${placed.waitlist_position} on the waitlist`
+              : "Successfully registered for the event",
+          ...placed,
+          ...ticket,
+          ticket_ids: issued,
+        },
+      };
     });
+    res.status(result.status).json(result.body);
   } catch (error) {
+    if (error instanceof TicketError) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
     console.error("Error creating registration:", error);
     res.status(500).json({
       success: false,
@@ -218,10 +386,10 @@ router.post("/", verifyToken, async (req, res) => {
   }
 });
 
-// --- Additional route: registrations for a specific event (only owner can view) ---
+// --- Additional route: registrations for a specific event (event creator or owner role) ---
 // GET /api/registrations/by-event/:eventId
 // Returns registrations joined with user info for the given event if the requester is the event owner
-router.get('/by-event/:eventId', verifyToken, async (req, res) => {
+router.get('/by-event/:eventId', verifyTokenOrApiKey('registrations:read'), requirePermission('events:manage'), async (req, res) => {
   try {
     const userId = req.user.user_id;
     const { eventId } = req.params;
@@ -235,14 +403,14 @@ router.get('/by-event/:eventId', verifyToken, async (req, res) => {
       return res.status(404).json({ message: 'Event not found' });
     }
     const ev = events[0];
-    if (String(ev.created_by) !== String(userId)) {
+    if (String(ev.created_by) !== String(userId) && !hasPermission(req.user, 'events:manage_any')) {
       return res.status(403).json({ message: 'Forbidden: not the event owner' });
     }
 
     // Fetch registrations for the event with user info
     // Select registration row and any linked user row. Include r.* so we can cope with different schemas.
     const [rows] = await db.execute(
-      `SELECT r.*, u.*
+      `SELECT r.*, u.*, r.status AS registration_status, ${waitlistPositionSql("r")} AS waitlist_position
        FROM registrations r
        LEFT JOIN users u ON r.user_id = u.user_id
        WHERE r.event_id = ?`,
@@ -273,7 +441,9 @@ router.get('/by-event/:eventId', verifyToken, async (req, res) => {
         registrant_display_name,
         ticket_type: r.ticket_type ?? 'General',
         amount: r.amount != null ? Number(r.amount) : 0.0,
-        status: r.status,
+        status: r.registration_status,
+        waitlist_position: r.registration_status === 'waitlisted' ? Number(r.waitlist_position) : null,
+        hold_expires_at: r.hold_expires_at ?? null,
         registered_at: r.registered_at,
         // include raw registration row for debugging in client if needed
         raw: r,
@@ -299,14 +469,15 @@ router.get('/by-event/:eventId', verifyToken, async (req, res) => {
  * Returns registrations for all events owned by the authenticated user.
  * Response shape: { events: [ { event: {event_id, title}, registrations: [ ... ] } ] }
  */
-router.get('/mine', verifyToken, async (req, res) => {
+router.get('/mine', verifyTokenOrApiKey('registrations:read'), requirePermission('events:manage'), async (req, res) => {
   try {
     const userId = req.user.user_id;
     console.log(`registrations: GET /mine called by user ${userId}`);
 
     // Fetch all registrations for events created by this user
     const [rows] = await db.execute(
-      `SELECT r.*, e.event_id AS event_id, e.title AS event_title, u.user_id AS registrant_user_id, u.username, u.email
+      `SELECT r.*, e.event_id AS event_id, e.title AS event_title, u.user_id AS registrant_user_id, u.username, u.email,
+         ${waitlistPositionSql("r")} AS waitlist_position
        FROM registrations r
        JOIN events e ON r.event_id = e.event_id
        LEFT JOIN users u ON r.user_id = u.user_id
@@ -336,6 +507,8 @@ router.get('/mine', verifyToken, async (req, res) => {
         ticket_type: r.ticket_type ?? 'General',
         amount: r.amount != null ? Number(r.amount) : 0.0,
         status: r.status,
+        waitlist_position: r.status === 'waitlisted' ? Number(r.waitlist_position) : null,
+        hold_expires_at: r.hold_expires_at ?? null,
         registered_at: r.registered_at,
         raw: r,
       });
@@ -362,100 +535,138 @@ router.get('/_debug/ping', (req, res) => {
   res.json({ ok: true, route: '/api/registrations/_debug/ping' });
 });
 
-// ----------------- Update registration status (single) -----------------
-// PATCH /api/registrations/status/:registrationId  { status }
-router.patch('/status/:registrationId', verifyToken, async (req, res) => {
-  try {
-    const ownerId = req.user.user_id;
-    const role = (req.user.role || '').toString().toLowerCase();
-    const isAdmin = role === 'admin';
-    const { registrationId } = req.params;
-    let { status } = req.body || {};
-    console.log(`[registrations] PATCH /status/${registrationId} by owner ${ownerId} body:`, req.body);
-    if (!status) return res.status(400).json({ message: 'status is required' });
-    status = String(status).trim().toLowerCase();
-    const allowed = new Set(['confirmed', 'pending', 'cancelled', 'waitlisted']);
-    if (!allowed.has(status)) {
-      return res.status(400).json({ message: 'Invalid status', allowed: Array.from(allowed) });
+// Statuses organizers may set by hand. Confirming still respects capacity
+// (tier stock is not re-checked): a waitlisted or cancelled registration is
+// only confirmed while its seats fit. Cancelling frees the seat for the
+// waitlist; waitlisting keeps the registration's original place in the queue
+// (waitlisted_at) and puts it at the back only if it never waited before.
+// 'offered'/'expired' are waitlist-managed.
+const ORGANIZER_STATUSES = ['confirmed', 'waitlisted', 'cancelled'];
+
+/**
+ * Set `status` on the registrations in ids that the user may manage. Runs in
+ * one transaction holding the lock on every affected event, like sign-up and
+ * cancellation, so tickets and waitlist promotion see a consistent count.
+ * Returns { updated, full }: the ids changed and those left alone because
+ * confirming them would exceed the event's capacity.
+ */
+async function setRegistrationStatus(user, ids, status) {
+  return db.transaction(async (conn) => {
+    const [targets] = await conn.query(
+      `SELECT DISTINCT event_id FROM registrations WHERE registration_id IN (${conn.inList(ids)})`,
+      ids
+    );
+    // Lock in id order so concurrent bulk updates cannot deadlock
+    const events = new Map();
+    for (const eventId of targets.map((t) => t.event_id).sort((a, b) => a - b)) {
+      const [rows] = await conn.query('SELECT * FROM events WHERE event_id = ? FOR UPDATE', [eventId]);
+      const event = rows[0];
+      if (event && (hasPermission(user, 'events:manage_any') || String(event.created_by) === String(user.user_id))) {
+        events.set(String(eventId), event);
+      }
     }
 
-    let result;
-    if (isAdmin) {
-      [result] = await db.execute(
-        `UPDATE registrations SET status = ? WHERE registration_id = ?`,
-        [status, registrationId]
-      );
-    } else {
-      [result] = await db.execute(
-        `UPDATE registrations r
-         JOIN events e ON r.event_id = e.event_id
-         SET r.status = ?
-         WHERE r.registration_id = ? AND e.created_by = ?`,
-        [status, registrationId, ownerId]
+    const [registrations] = await conn.query(
+      `SELECT registration_id, event_id, status, quantity, waitlisted_at FROM registrations
+       WHERE registration_id IN (${conn.inList(ids)}) ORDER BY registration_id ASC`,
+      ids
+    );
+    const now = new Date();
+    const updated = [];
+    const full = [];
+    for (const registration of registrations) {
+      const event = events.get(String(registration.event_id));
+      if (!event) continue;
+
+      const set = { status, hold_expires_at: null };
+      if (status === 'cancelled') set.cancelled_at = now;
+      if (status === 'waitlisted') set.waitlisted_at = registration.waitlisted_at || now;
+      if (status === 'confirmed' && !SEAT_STATUSES.includes(registration.status)) {
+        const limit = seatLimit(event);
+        const seats = Number(registration.quantity || 1);
+        if (limit !== null && (await seatsTaken(conn, event.event_id)) + seats > limit) {
+          full.push(registration.registration_id);
+          continue;
+        }
+      }
+      const columns = Object.keys(set);
+      await conn.query(
+        `UPDATE registrations SET ${columns.map((c) => `${c} = ?`).join(', ')} WHERE registration_id = ?`,
+        [...columns.map((c) => set[c]), registration.registration_id]
       );
+      updated.push(registration.registration_id);
     }
 
-    if (result.affectedRows === 0) {
-      console.warn(`[registrations] No rows updated for registration ${registrationId}; possibly not owned by ${ownerId}`);
-      return res.status(404).json({ message: 'Registration not found or not owned by you' });
+    if (updated.length > 0) {
+      await syncRegistrationTickets(conn, updated, { reason: `set to ${status} by organizer` });
+      for (const event of events.values()) await promoteFromWaitlist(conn, event.event_id, { now });
     }
-
-    const [rows] = await db.execute(
-      `SELECT r.registration_id, r.status FROM registrations r WHERE r.registration_id = ?`,
-      [registrationId]
-    );
-    res.json({ ok: true, updated: rows[0] });
-  } catch (err) {
-    console.error('Error updating registration status:', err);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+    return { updated, full };
+  });
+}
 
 // ----------------- Update registration status (bulk) -----------------
+// Declared before /status/:registrationId, which would otherwise match "bulk"
 // PATCH /api/registrations/status/bulk  { ids: number[], status: string }
-router.patch('/status/bulk', verifyToken, async (req, res) => {
+router.patch('/status/bulk', verifyToken, requirePermission('events:manage'), async (req, res) => {
   try {
     const ownerId = req.user.user_id;
-    const role = (req.user.role || '').toString().toLowerCase();
-    const isAdmin = role === 'admin';
     let { ids, status } = req.body || {};
     console.log(`[registrations] PATCH /status/bulk by owner ${ownerId} body:`, req.body);
     if (!Array.isArray(ids) || ids.length === 0) {
       return res.status(400).json({ message: 'ids array is required' });
     }
     status = String(status || '').trim().toLowerCase();
-    const allowed = new Set(['confirmed', 'pending', 'cancelled', 'waitlisted']);
-    if (!allowed.has(status)) {
-      return res.status(400).json({ message: 'Invalid status', allowed: Array.from(allowed) });
+    if (!ORGANIZER_STATUSES.includes(status)) {
+      return res.status(400).json({ message: 'Invalid status', allowed: ORGANIZER_STATUSES });
     }
 
     // Ensure ids are numeric
     ids = ids.map((x) => Number(x)).filter((n) => Number.isFinite(n));
     if (ids.length === 0) return res.status(400).json({ message: 'ids must be numbers' });
 
-    let result;
-    if (isAdmin) {
-      [result] = await db.query(
-        `UPDATE registrations SET status = ? WHERE registration_id IN (?)`,
-        [status, ids]
-      );
-    } else {
-      [result] = await db.query(
-        `UPDATE registrations r
-         JOIN events e ON r.event_id = e.event_id
-         SET r.status = ?
-         WHERE r.registration_id IN (?) AND e.created_by = ?`,
-        [status, ids, ownerId]
-      );
-    }
+    const { updated, full } = await setRegistrationStatus(req.user, ids, status);
 
-    // Return which IDs were requested and how many updated
-    res.json({ ok: true, requested: ids, affectedRows: result.affectedRows, status });
+    // Return which IDs were requested, how many updated and which did not fit the capacity
+    res.json({ ok: true, requested: ids, affectedRows: updated.length, status, full });
   } catch (err) {
     console.error('Error bulk-updating registration status:', err);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// ----------------- Update registration status (single) -----------------
+// PATCH /api/registrations/status/:registrationId  { status }
+router.patch('/status/:registrationId', verifyToken, requirePermission('events:manage'), async (req, res) => {
+  try {
+    const ownerId = req.user.user_id;
+    const { registrationId } = req.params;
+    let { status } = req.body || {};
+    console.log(`[registrations] PATCH /status/${registrationId} by owner ${ownerId} body:`, req.body);
+    if (!status) return res.status(400).json({ message: 'status is required' });
+    status = String(status).trim().toLowerCase();
+    if (!ORGANIZER_STATUSES.includes(status)) {
+      return res.status(400).json({ message: 'Invalid status', allowed: ORGANIZER_STATUSES });
+    }
+
+    const { updated, full } = await setRegistrationStatus(req.user, [Number(registrationId)], status);
+    if (full.length > 0) {
+      return res.status(409).json({ message: 'The event is full; cancel another registration or raise the capacity first' });
+    }
+    if (updated.length === 0) {
+      console.warn(`[registrations] No rows updated for registration ${registrationId}; possibly not owned by ${ownerId}`);
+      return res.status(404).json({ message: 'Registration not found or not owned by you' });
+    }
+
+    const [rows] = await db.execute(
+      `SELECT r.registration_id, r.status FROM registrations r WHERE r.registration_id = ?`,
+      [registrationId]
+    );
+    res.json({ ok: true, updated: rows[0] });
+  } catch (err) {
+    console.error('Error updating registration status:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
 export default router;
@@ -1,7 +1,7 @@
 // routes/reviews.js
 import express from "express";
 import db from "../db.js";
-import { verifyToken } from "../middleware/authMiddleware.js";
+import { verifyToken, requirePermission, hasPermission } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
@@ -76,37 +76,28 @@ router.post("/", verifyToken, async (req, res) => {
     // Optionally: validate that user registered and event ended:
     // Verify registration exists and that event has completed using JS-safe checks
     const [regRows] = await db.query(
-      `SELECT r.*, e.end_time FROM registrations r JOIN events e ON e.event_id = r.event_id WHERE r.user_id = ? AND r.event_id = ? LIMIT 1`,
+      `SELECT r.*, e.end_time, e.attendance_required FROM registrations r JOIN events e ON e.event_id = r.event_id
+       WHERE r.user_id = ? AND r.event_id = ? AND r.status = 'confirmed' LIMIT 1`,
       [userId, event_id]
     );
     const regCheck = regRows && regRows[0];
     if (!regCheck) {
       return res.status(403).json({ message: "You did not register for this event" });
     }
+    if (Number(regCheck.attendance_required) && !Number(regCheck.attended)) {
+      return res.status(403).json({ message: "Only attendees who were checked in can review this event" });
+    }
     const endTime = regCheck.end_time || regCheck.ends_at || regCheck.end || null;
     if (!endTime || isNaN(new Date(endTime).getTime()) || new Date(endTime) > new Date()) {
       return res.status(403).json({ message: "Event has not completed yet" });
     }
 
     // Upsert (Insert or update existing)
-    // Support both MySQL (ON DUPLICATE KEY) and PostgreSQL (ON CONFLICT)
-    if (process.env.DATABASE_URL) {
-      // PostgreSQL
-      const pgUpsert = `
-        INSERT INTO ratings_reviews (user_id, event_id, rating, review, created_at)
-        VALUES (?, ?, ?, ?, NOW())
-        ON CONFLICT (user_id, event_id) DO UPDATE SET rating = EXCLUDED.rating, review = EXCLUDED.review, created_at = NOW()
-      `;
-      await db.query(pgUpsert, [userId, event_id, rating, review || null]);
-    } else {
-      // MySQL
-      const myUpsert = `
-        INSERT INTO ratings_reviews (user_id, event_id, rating, review)
-        VALUES (?, ?, ?, ?)
-        ON DUPLICATE KEY UPDATE rating = VALUES(rating), review = VALUES(review), created_at = CURRENT_TIMESTAMP
-      `;
-      await db.query(myUpsert, [userId, event_id, rating, review || null]);
-    }
+    await db.upsert(
+      "ratings_reviews",
+      { user_id: userId, event_id, rating, review: review || null, created_at: db.raw("NOW()") },
+      { conflict: ["user_id", "event_id"], update: ["rating", "review", "created_at"] }
+    );
 
     res.json({ message: "Rating submitted" });
   } catch (err) {
@@ -116,8 +107,8 @@ router.post("/", verifyToken, async (req, res) => {
 });
 
 // ---------------- Admin: list reviews for admin's events ----------------
-// GET /api/reviews/admin - Owner can see all reviews
-router.get("/admin", async (req, res) => {
+// GET /api/reviews/admin - admins see reviews of their own events, owner sees all
+router.get("/admin", verifyToken, requirePermission("reviews:moderate"), async (req, res) => {
   try {
     const { event_id } = req.query || {};
 
@@ -136,11 +127,17 @@ router.get("/admin", async (req, res) => {
       LEFT JOIN users u ON u.user_id = rr.user_id
     `;
     
+    const where = [];
     const params = [];
+    if (!hasPermission(req.user, "events:manage_any")) {
+      where.push("e.created_by = ?");
+      params.push(req.user.user_id);
+    }
     if (event_id) {
-      sql += ` WHERE rr.event_id = ?`;
+      where.push("rr.event_id = ?");
       params.push(event_id);
     }
+    if (where.length) sql += ` WHERE ${where.join(" AND ")}`;
     sql += ` ORDER BY rr.created_at DESC`;
 
     const [rows] = await db.query(sql, params);
@@ -0,0 +1,207 @@
+// routes/roles.js
+// Role elevation requests and owner-side role management.
+// Access tokens carry the role, so after a change verifyToken answers the
+// affected user with 401 `role_changed` until they call /api/auth/refresh.
+import express from "express";
+import db from "../db.js";
+import { verifyToken, requirePermission, ROLES } from "../middleware/authMiddleware.js";
+import { changeRole } from "../utils/roles.js";
+
+const router = express.Router();
+
+// Roles a user may ask for; owners are only appointed directly
+const REQUESTABLE_ROLES = ["admin"];
+
+// ---------------- User side ----------------
+
+// POST /api/roles/requests  { role: "admin", reason }
+router.post("/requests", verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.user_id;
+    const role = String(req.body?.role || "admin").toLowerCase();
+    const reason = req.body?.reason ? String(req.body.reason).trim() : null;
+
+    if (!REQUESTABLE_ROLES.includes(role)) {
+      return res.status(400).json({ message: `You can only request: ${REQUESTABLE_ROLES.join(", ")}` });
+    }
+    if (ROLES.indexOf(req.user.role) >= ROLES.indexOf(role)) {
+      return res.status(400).json({ message: `You already have the ${req.user.role} role` });
+    }
+
+    const [pending] = await db.query(
+      "SELECT request_id FROM role_requests WHERE user_id = ? AND status = 'pending' LIMIT 1",
+      [userId]
+    );
+    if (pending.length > 0) {
+      return res.status(409).json({ message: "You already have a pending role request", request_id: pending[0].request_id });
+    }
+
+    const requestId = await db.insert(
+      "role_requests",
+      { user_id: userId, requested_role: role, reason, status: "pending", created_at: new Date() },
+      "request_id"
+    );
+    res.status(201).json({ message: "Role request submitted", request_id: requestId, status: "pending" });
+  } catch (err) {
+    console.error("Error creating role request:", err);
+    res.status(500).json({ message: "Error creating role request" });
+  }
+});
+
+// GET /api/roles/requests/mine
+router.get("/requests/mine", verifyToken, async (req, res) => {
+  try {
+    const [rows] = await db.query(
+      `SELECT request_id, requested_role, reason, status, review_notes, created_at, reviewed_at
+       FROM role_requests WHERE user_id = ? ORDER BY created_at DESC`,
+      [req.user.user_id]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error("Error fetching own role requests:", err);
+    res.status(500).json({ message: "Error fetching role requests" });
+  }
+});
+
+// DELETE /api/roles/requests/:id - withdraw own pending request
+router.delete("/requests/:id", verifyToken, async (req, res) => {
+  try {
+    const [result] = await db.query(
+      "UPDATE role_requests SET status = 'cancelled' WHERE request_id = ? AND user_id = ? AND status = 'pending'",
+      [req.params.id, req.user.user_id]
+    );
+    if (!result.affectedRows) return res.status(404).json({ message: "Pending request not found" });
+    res.json({ message: "Role request withdrawn" });
+  } catch (err) {
+    console.error("Error withdrawing role request:", err);
+    res.status(500).json({ message: "Error withdrawing role request" });
+  }
+});
+
+// ---------------- Owner side ----------------
+
+// GET /api/roles/requests?status=pending (default) - approval queue
+router.get("/requests", verifyToken, requirePermission("roles:manage"), async (req, res) => {
+  try {
+    const status = String(req.query.status || "pending").toLowerCase();
+    const params = [];
+    let sql = `
+      SELECT rr.*, u.username, u.email, u.role AS user_role
+      FROM role_requests rr
+      LEFT JOIN users u ON u.user_id = rr.user_id
+    `;
+    if (status !== "all") {
+      sql += " WHERE rr.status = ?";
+      params.push(status);
+    }
+    sql += " ORDER BY rr.created_at ASC";
+    const [rows] = await db.query(sql, params);
+    res.json(rows);
+  } catch (err) {
+    console.error("Error listing role requests:", err);
+    res.status(500).json({ message: "Error listing role requests" });
+  }
+});
+
+// Approve or reject a pending request: PUT /api/roles/requests/:id/approve|reject  { notes }
+async function reviewRequest(req, res, decision) {
+  const reviewerId = req.user.user_id;
+  const notes = req.body?.notes ? String(req.body.notes).trim() : null;
+  try {
+    const result = await db.transaction(async (conn) => {
+      const [rows] = await conn.query(
+        "SELECT * FROM role_requests WHERE request_id = ? FOR UPDATE",
+        [req.params.id]
+      );
+      const request = rows[0];
+      if (!request) return { status: 404, body: { message: "Role request not found" } };
+      if (request.status !== "pending") {
+        return { status: 409, body: { message: `Role request is already ${request.status}` } };
+      }
+
+      if (decision === "approved") {
+        const previous = await changeRole(conn, {
+          userId: request.user_id,
+          newRole: request.requested_role,
+          changedBy: reviewerId,
+          source: "request_approved",
+          requestId: request.request_id,
+          reason: notes,
+        });
+        if (previous === null) return { status: 404, body: { message: "User no longer exists" } };
+      }
+
+      await conn.query(
+        "UPDATE role_requests SET status = ?, reviewed_by = ?, review_notes = ?, reviewed_at = ? WHERE request_id = ?",
+        [decision, reviewerId, notes, new Date(), request.request_id]
+      );
+      return { status: 200, body: { message: `Role request ${decision}`, request_id: request.request_id } };
+    });
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error(`Error reviewing role request (${decision}):`, err);
+    res.status(500).json({ message: "Error reviewing role request" });
+  }
+}
+
+router.put("/requests/:id/approve", verifyToken, requirePermission("roles:manage"), (req, res) =>
+  reviewRequest(req, res, "approved")
+);
+router.put("/requests/:id/reject", verifyToken, requirePermission("roles:manage"), (req, res) =>
+  reviewRequest(req, res, "rejected")
+);
+
+// PUT /api/roles/users/:userId  { role, reason } - grant or revoke directly
+router.put("/users/:userId", verifyToken, requirePermission("roles:manage"), async (req, res) => {
+  const targetId = Number(req.params.userId);
+  const role = String(req.body?.role || "").toLowerCase();
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ message: `role must be one of: ${ROLES.join(", ")}` });
+  }
+  // Keeps at least one owner around: owners cannot demote themselves
+  if (targetId === Number(req.user.user_id)) {
+    return res.status(400).json({ message: "You cannot change your own role" });
+  }
+
+  try {
+    const previous = await db.transaction((conn) =>
+      changeRole(conn, {
+        userId: targetId,
+        newRole: role,
+        changedBy: req.user.user_id,
+        source: "owner_change",
+        reason: req.body?.reason ? String(req.body.reason).trim() : null,
+      })
+    );
+    if (previous === null) return res.status(404).json({ message: "User not found" });
+    res.json({ message: "Role updated", user_id: targetId, old_role: previous, new_role: role });
+  } catch (err) {
+    console.error("Error changing role:", err);
+    res.status(500).json({ message: "Error changing role" });
+  }
+});
+
+// GET /api/roles/audit?user_id= - role change history
+router.get("/audit", verifyToken, requirePermission("roles:manage"), async (req, res) => {
+  try {
+    const params = [];
+    let sql = `
+      SELECT ra.*, u.username, c.username AS changed_by_username
+      FROM role_audit ra
+      LEFT JOIN users u ON u.user_id = ra.user_id
+      LEFT JOIN users c ON c.user_id = ra.changed_by
+    `;
+    if (req.query.user_id) {
+      sql += " WHERE ra.user_id = ?";
+      params.push(req.query.user_id);
+    }
+    sql += " ORDER BY ra.created_at DESC, ra.audit_id DESC";
+    const [rows] = await db.query(sql, params);
+    res.json(rows);
+  } catch (err) {
+    console.error("Error fetching role audit:", err);
+    res.status(500).json({ message: "Error fetching role audit" });
+  }
+});
+
+export default router;
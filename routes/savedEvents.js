@@ -4,7 +4,7 @@ import db from "../db.js";
 import { verifyToken } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
-const isPostgres = !!process.env.DATABASE_URL;
+const isPostgres = db.dialect === "postgres";
 
 // Helper function to get location SQL based on database type
 const getLocationSQL = () => {
@@ -0,0 +1,140 @@
+// routes/ticketTiers.js
+// Ticket tiers of an event, mounted at /api/events/:eventId/tiers: the public
+// list with live availability and organizer CRUD. Registrations pick a tier
+// through POST /api/registrations { tier_id, quantity }.
+import express from "express";
+import db from "../db.js";
+import { verifyToken, requirePermission } from "../middleware/authMiddleware.js";
+import { canManageEvent } from "../utils/events.js";
+import { TIER_SELECT, validateTier, formatTier, eventTiers, syncEventPrice } from "../utils/ticketTiers.js";
+
+const router = express.Router({ mergeParams: true });
+
+async function findEvent(conn, eventId, { lock = false } = {}) {
+  const [rows] = await conn.query(`SELECT * FROM events WHERE event_id = ?${lock ? " FOR UPDATE" : ""}`, [eventId]);
+  return rows[0] || null;
+}
+
+// The locked event the caller manages, or { status, body } for the error response
+async function lockManagedEvent(conn, req) {
+  const event = await findEvent(conn, req.params.eventId, { lock: true });
+  if (!event) return { status: 404, body: { message: "Event not found" } };
+  if (!canManageEvent(req.user, event)) return { status: 403, body: { message: "Forbidden: not your event" } };
+  return { event };
+}
+
+async function findTier(conn, event, tierId) {
+  const [rows] = await conn.query(`${TIER_SELECT} WHERE t.tier_id = ? AND t.event_id = ?`, [tierId, event.event_id]);
+  return rows[0] || null;
+}
+
+async function nameTaken(conn, event, name, exceptTierId = 0) {
+  const [rows] = await conn.query(
+    "SELECT tier_id FROM ticket_tiers WHERE event_id = ? AND LOWER(name) = LOWER(?) AND tier_id <> ?",
+    [event.event_id, name, exceptTierId]
+  );
+  return rows.length > 0;
+}
+
+// GET /api/events/:eventId/tiers - tiers with price, availability and sale state
+router.get("/", async (req, res) => {
+  try {
+    const event = await findEvent(db, req.params.eventId);
+    if (!event) return res.status(404).json({ message: "Event not found" });
+    const now = new Date();
+    res.json({ event_id: event.event_id, tiers: (await eventTiers(db, event.event_id)).map((t) => formatTier(t, now)) });
+  } catch (err) {
+    console.error("Error fetching ticket tiers:", err.stack || err);
+    res.status(500).json({ message: "Error fetching ticket tiers" });
+  }
+});
+
+// POST /api/events/:eventId/tiers { name, description, price, quantity_total, max_per_user, sales_start, sales_end, sort_order }
+router.post("/", verifyToken, requirePermission("events:manage"), async (req, res) => {
+  try {
+    const result = await db.transaction(async (conn) => {
+      const { event, status, body } = await lockManagedEvent(conn, req);
+      if (!event) return { status, body };
+
+      const { changes, errors } = validateTier(req.body, null, { partial: false });
+      if (errors.length > 0) return { status: 400, body: { message: errors.join("; "), errors } };
+      if (await nameTaken(conn, event, changes.name)) {
+        return { status: 409, body: { message: `This event already has a tier named ${changes.name}` } };
+      }
+
+      const tierId = await conn.insert("ticket_tiers", { ...changes, event_id: event.event_id, created_at: new Date() }, "tier_id");
+      await syncEventPrice(conn, event.event_id);
+      return { status: 201, body: formatTier(await findTier(conn, event, tierId)) };
+    });
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("Error creating ticket tier:", err.stack || err);
+    res.status(500).json({ message: "Error creating ticket tier" });
+  }
+});
+
+// PUT replaces the tier, PATCH changes the fields sent. Registrations keep the
+// price they were charged.
+async function updateTier(req, res, { partial }) {
+  try {
+    const result = await db.transaction(async (conn) => {
+      const { event, status, body } = await lockManagedEvent(conn, req);
+      if (!event) return { status, body };
+      const current = await findTier(conn, event, req.params.tierId);
+      if (!current) return { status: 404, body: { message: "Ticket tier not found" } };
+
+      const { changes, errors } = validateTier(req.body, current, { partial });
+      if (errors.length > 0) return { status: 400, body: { message: errors.join("; "), errors } };
+      if (Object.keys(changes).length === 0) return { status: 400, body: { message: "No editable fields supplied" } };
+      if (changes.name && (await nameTaken(conn, event, changes.name, current.tier_id))) {
+        return { status: 409, body: { message: `This event already has a tier named ${changes.name}` } };
+      }
+
+      const columns = Object.keys(changes);
+      await conn.query(
+        `UPDATE ticket_tiers SET ${columns.map((c) => `${c} = ?`).join(", ")}, updated_at = ? WHERE tier_id = ?`,
+        [...columns.map((c) => changes[c]), new Date(), current.tier_id]
+      );
+      if (changes.name && changes.name !== current.name) {
+        await conn.query("UPDATE registrations SET ticket_type = ? WHERE tier_id = ?", [changes.name, current.tier_id]);
+      }
+      await syncEventPrice(conn, event.event_id);
+      return { status: 200, body: formatTier(await findTier(conn, event, current.tier_id)) };
+    });
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("Error updating ticket tier:", err.stack || err);
+    res.status(500).json({ message: "Error updating ticket tier" });
+  }
+}
+
+router.put("/:tierId", verifyToken, requirePermission("events:manage"), (req, res) => updateTier(req, res, { partial: false }));
+router.patch("/:tierId", verifyToken, requirePermission("events:manage"), (req, res) => updateTier(req, res, { partial: true }));
+
+// DELETE /api/events/:eventId/tiers/:tierId - only tiers nobody holds tickets for
+router.delete("/:tierId", verifyToken, requirePermission("events:manage"), async (req, res) => {
+  try {
+    const result = await db.transaction(async (conn) => {
+      const { event, status, body } = await lockManagedEvent(conn, req);
+      if (!event) return { status, body };
+      const tier = await findTier(conn, event, req.params.tierId);
+      if (!tier) return { status: 404, body: { message: "Ticket tier not found" } };
+      if (Number(tier.quantity_sold) > 0) {
+        return {
+          status: 409,
+          body: { message: `${tier.quantity_sold} tickets of this tier are held; end its sales (sales_end) instead` },
+        };
+      }
+
+      await conn.query("DELETE FROM ticket_tiers WHERE tier_id = ?", [tier.tier_id]);
+      await syncEventPrice(conn, event.event_id);
+      return { status: 200, body: { message: "Ticket tier deleted", tier_id: tier.tier_id } };
+    });
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("Error deleting ticket tier:", err.stack || err);
+    res.status(500).json({ message: "Error deleting ticket tier" });
+  }
+});
+
+export default router;
@@ -0,0 +1,343 @@
+// routes/ticketTransfers.js
+// Ticket transfers, mounted at /api/transfers: holders offer a ticket to
+// another user by username or email, the recipient accepts or declines, and
+// for events with ticket_transfers = 'approval' the organizer approves or
+// rejects. Organizers see the event's full transfer history.
+import express from "express";
+import db from "../db.js";
+import { verifyToken, requirePermission } from "../middleware/authMiddleware.js";
+import { canManageEvent } from "../utils/events.js";
+import { activeRegistration } from "../utils/waitlist.js";
+import { notifyUsers } from "../utils/notifications.js";
+import {
+  OPEN_TRANSFER_STATUSES,
+  TRANSFER_SELECT,
+  formatTransfer,
+  transferBlocker,
+  closeTransfer,
+  awaitApproval,
+  completeTransfer,
+} from "../utils/ticketTransfers.js";
+
+const router = express.Router();
+
+async function findEvent(conn, eventId, { lock = false } = {}) {
+  const [rows] = await conn.query(`SELECT * FROM events WHERE event_id = ?${lock ? " FOR UPDATE" : ""}`, [eventId]);
+  return rows[0] || null;
+}
+
+async function findTransfer(conn, transferId) {
+  const [rows] = await conn.query(`${TRANSFER_SELECT} WHERE x.transfer_id = ?`, [transferId]);
+  return rows[0] || null;
+}
+
+/**
+ * Check that an open transfer can still complete: the sender still holds the
+ * ticket, it is transferable and the recipient has no registration of their
+ * own. Otherwise the transfer is cancelled and { status, body } returned.
+ */
+async function recheckTransfer(conn, transfer, event, { organizer = false } = {}) {
+  const [tickets] = await conn.query("SELECT status, checked_in_at, user_id FROM tickets WHERE ticket_id = ?", [transfer.ticket_id]);
+  const ticket = tickets[0];
+  let reason = null;
+  if (!ticket || String(ticket.user_id) !== String(transfer.from_user_id)) reason = "The sender no longer holds this ticket";
+  // The organizer approving a transfer overrides a later switch to 'disabled'
+  else reason = transferBlocker(ticket, organizer ? { ...event, ticket_transfers: "open" } : event);
+  if (!reason && (await activeRegistration(conn, event.event_id, transfer.to_user_id))) {
+    reason = "The recipient already has a registration for this event";
+  }
+  if (!reason) return null;
+  await closeTransfer(conn, transfer, "cancelled", { reason });
+  return { status: 409, body: { message: `${reason}; the transfer was cancelled` } };
+}
+
+async function complete(conn, transfer, event, { reviewedBy = null } = {}) {
+  const done = await completeTransfer(conn, transfer, { reviewedBy });
+  await notifyUsers(conn, [transfer.from_user_id], {
+    eventId: event.event_id,
+    title: `Ticket transferred: ${event.title}`,
+    message: `Your ticket for ${event.title} now belongs to ${transfer.to_username}. Its old code no longer works.`,
+  });
+  if (reviewedBy) {
+    await notifyUsers(conn, [transfer.to_user_id], {
+      eventId: event.event_id,
+      title: `Ticket transfer approved: ${event.title}`,
+      message: `The organizer approved the transfer. Your ticket for ${event.title} is in My Tickets.`,
+      createdBy: reviewedBy,
+    });
+  }
+  return done;
+}
+
+// GET /api/transfers - transfers the caller sent or received
+router.get("/", verifyToken, async (req, res) => {
+  try {
+    const [rows] = await db.query(
+      `${TRANSFER_SELECT} WHERE x.from_user_id = ? OR x.to_user_id = ? ORDER BY x.created_at DESC, x.transfer_id DESC LIMIT 200`,
+      [req.user.user_id, req.user.user_id]
+    );
+    const mine = (row) => String(row.to_user_id) === String(req.user.user_id);
+    res.json({
+      incoming: rows.filter(mine).map((r) => formatTransfer(r)),
+      outgoing: rows.filter((r) => !mine(r)).map((r) => formatTransfer(r)),
+    });
+  } catch (err) {
+    console.error("Error fetching transfers:", err.stack || err);
+    res.status(500).json({ message: "Error fetching transfers" });
+  }
+});
+
+// GET /api/transfers/event/:eventId?status= - the event's transfer history (organizer)
+router.get("/event/:eventId", verifyToken, requirePermission("events:manage"), async (req, res) => {
+  try {
+    const event = await findEvent(db, req.params.eventId);
+    if (!event) return res.status(404).json({ message: "Event not found" });
+    if (!canManageEvent(req.user, event)) return res.status(403).json({ message: "Forbidden: not your event" });
+    const params = [event.event_id];
+    let where = "x.event_id = ?";
+    if (req.query.status) {
+      where += " AND x.status = ?";
+      params.push(String(req.query.status));
+    }
+    const [rows] = await db.query(`${TRANSFER_SELECT} WHERE ${where} ORDER BY x.created_at DESC, x.transfer_id DESC`, params);
+    res.json({
+      event_id: event.event_id,
+      ticket_transfers: event.ticket_transfers,
+      transfers: rows.map((r) => formatTransfer(r, { showCodes: true })),
+    });
+  } catch (err) {
+    console.error("Error fetching event transfers:", err.stack || err);
+    res.status(500).json({ message: "Error fetching event transfers" });
+  }
+});
+
+// GET /api/transfers/ticket/:ticketId - one ticket's history, for its holders past and present and the organizer
+router.get("/ticket/:ticketId", verifyToken, async (req, res) => {
+  try {
+    const [tickets] = await db.query(
+      "SELECT t.ticket_id, t.user_id, e.event_id, e.created_by FROM tickets t JOIN events e ON e.event_id = t.event_id WHERE t.ticket_id = ?",
+      [req.params.ticketId]
+    );
+    const ticket = tickets[0];
+    if (!ticket) return res.status(404).json({ message: "Ticket not found" });
+    const [rows] = await db.query(`${TRANSFER_SELECT} WHERE x.ticket_id = ? ORDER BY x.created_at ASC, x.transfer_id ASC`, [
+      ticket.ticket_id,
+    ]);
+    const manager = canManageEvent(req.user, ticket);
+    const me = String(req.user.user_id);
+    const involved =
+      String(ticket.user_id) === me || rows.some((r) => String(r.from_user_id) === me || String(r.to_user_id) === me);
+    if (!manager && !involved) return res.status(404).json({ message: "Ticket not found" });
+    res.json({ ticket_id: ticket.ticket_id, transfers: rows.map((r) => formatTransfer(r, { showCodes: manager })) });
+  } catch (err) {
+    console.error("Error fetching ticket transfers:", err.stack || err);
+    res.status(500).json({ message: "Error fetching ticket transfers" });
+  }
+});
+
+// POST /api/transfers { ticket_id, to (username or email), note } - offer a ticket to another user
+router.post("/", verifyToken, async (req, res) => {
+  try {
+    const { ticket_id, to, note } = req.body || {};
+    const recipient = String(to ?? "").trim();
+    if (!ticket_id || !recipient) return res.status(400).json({ message: "ticket_id and to (username or email) are required" });
+    if (note != null && String(note).length > 255) return res.status(400).json({ message: "note must be at most 255 characters" });
+
+    const result = await db.transaction(async (conn) => {
+      const [tickets] = await conn.query("SELECT * FROM tickets WHERE ticket_id = ?", [ticket_id]);
+      const ticket = tickets[0];
+      if (!ticket || String(ticket.user_id) !== String(req.user.user_id)) return { status: 404, body: { message: "Ticket not found" } };
+      const event = await findEvent(conn, ticket.event_id, { lock: true });
+      const blocker = transferBlocker(ticket, event);
+      if (blocker) return { status: 409, body: { message: blocker } };
+
+      const [users] = recipient.includes("@")
+        ? await conn.query("SELECT user_id, username FROM users WHERE LOWER(email) = LOWER(?)", [recipient])
+        : await conn.query("SELECT user_id, username FROM users WHERE username = ?", [recipient]);
+      const toUser = users[0];
+      if (!toUser) return { status: 404, body: { message: "No user with this username or email" } };
+      if (String(toUser.user_id) === String(req.user.user_id)) return { status: 400, body: { message: "You already hold this ticket" } };
+
+      const [open] = await conn.query(
+        `SELECT transfer_id FROM ticket_transfers WHERE ticket_id = ? AND status IN (${db.inList(OPEN_TRANSFER_STATUSES)})`,
+        [ticket.ticket_id, ...OPEN_TRANSFER_STATUSES]
+      );
+      if (open.length > 0) {
+        return { status: 409, body: { message: "This ticket already has a transfer in progress", transfer_id: open[0].transfer_id } };
+      }
+      if (await activeRegistration(conn, event.event_id, toUser.user_id)) {
+        return { status: 409, body: { message: `${toUser.username} already has a registration for this event` } };
+      }
+
+      const transferId = await conn.insert(
+        "ticket_transfers",
+        {
+          ticket_id: ticket.ticket_id,
+          event_id: event.event_id,
+          from_user_id: req.user.user_id,
+          to_user_id: toUser.user_id,
+          status: "pending",
+          note: note == null ? null : String(note),
+          created_at: new Date(),
+        },
+        "transfer_id"
+      );
+      const transfer = await findTransfer(conn, transferId);
+      await notifyUsers(conn, [toUser.user_id], {
+        eventId: event.event_id,
+        title: `Ticket offered to you: ${event.title}`,
+        message: `${transfer.from_username} wants to transfer their ticket for ${event.title} to you. Accept it from your transfers.`,
+        createdBy: req.user.user_id,
+      });
+      return { status: 201, body: formatTransfer(transfer) };
+    });
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("Error starting transfer:", err.stack || err);
+    res.status(500).json({ message: "Error starting transfer" });
+  }
+});
+
+/**
+ * Run `action` on an open transfer inside a transaction holding the event
+ * lock. `party` says who may act: "recipient", "sender" or "organizer".
+ */
+async function actOnTransfer(req, res, { party, statuses, action, label }) {
+  try {
+    const result = await db.transaction(async (conn) => {
+      const found = await findTransfer(conn, req.params.transferId);
+      const event = found && (await findEvent(conn, found.event_id, { lock: true }));
+      // Re-read under the lock so concurrent answers see each other's changes
+      const transfer = event && (await findTransfer(conn, found.transfer_id));
+      const me = String(req.user.user_id);
+      const allowed =
+        transfer &&
+        (party === "recipient"
+          ? String(transfer.to_user_id) === me
+          : party === "sender"
+            ? String(transfer.from_user_id) === me
+            : canManageEvent(req.user, event));
+      if (!allowed) return { status: 404, body: { message: "Transfer not found" } };
+      if (!statuses.includes(transfer.status)) return { status: 409, body: { message: `This transfer is ${transfer.status}` } };
+      return action(conn, transfer, event);
+    });
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error(`Error ${label} transfer:`, err.stack || err);
+    res.status(500).json({ message: `Error ${label} transfer` });
+  }
+}
+
+// POST /api/transfers/:transferId/accept - the recipient takes the ticket (or asks the organizer to approve)
+router.post("/:transferId/accept", verifyToken, (req, res) =>
+  actOnTransfer(req, res, {
+    party: "recipient",
+    statuses: ["pending"],
+    label: "accepting",
+    action: async (conn, transfer, event) => {
+      const failed = await recheckTransfer(conn, transfer, event);
+      if (failed) return failed;
+      if (event.ticket_transfers === "approval") {
+        await awaitApproval(conn, transfer);
+        await notifyUsers(conn, [event.created_by], {
+          eventId: event.event_id,
+          title: `Ticket transfer to approve: ${event.title}`,
+          message: `${transfer.from_username} is transferring a ticket for ${event.title} to ${transfer.to_username}.`,
+        });
+        return {
+          status: 202,
+          body: {
+            message: "Transfer accepted; waiting for the organizer's approval",
+            transfer: formatTransfer(await findTransfer(conn, transfer.transfer_id)),
+          },
+        };
+      }
+      const done = await complete(conn, transfer, event);
+      return {
+        status: 200,
+        body: { message: "Ticket transferred to you", ...done, transfer: formatTransfer(await findTransfer(conn, transfer.transfer_id)) },
+      };
+    },
+  })
+);
+
+// POST /api/transfers/:transferId/decline - the recipient turns the ticket down
+router.post("/:transferId/decline", verifyToken, (req, res) =>
+  actOnTransfer(req, res, {
+    party: "recipient",
+    statuses: ["pending"],
+    label: "declining",
+    action: async (conn, transfer, event) => {
+      await closeTransfer(conn, transfer, "declined");
+      await notifyUsers(conn, [transfer.from_user_id], {
+        eventId: event.event_id,
+        title: `Ticket transfer declined: ${event.title}`,
+        message: `${transfer.to_username} declined your ticket for ${event.title}. The ticket is still yours.`,
+      });
+      return { status: 200, body: { message: "Transfer declined", transfer: formatTransfer(await findTransfer(conn, transfer.transfer_id)) } };
+    },
+  })
+);
+
+// POST /api/transfers/:transferId/cancel - the sender withdraws the offer
+router.post("/:transferId/cancel", verifyToken, (req, res) =>
+  actOnTransfer(req, res, {
+    party: "sender",
+    statuses: OPEN_TRANSFER_STATUSES,
+    label: "cancelling",
+    action: async (conn, transfer, event) => {
+      await closeTransfer(conn, transfer, "cancelled", { reason: "withdrawn by the sender" });
+      await notifyUsers(conn, [transfer.to_user_id], {
+        eventId: event.event_id,
+        title: `Ticket transfer withdrawn: ${event.title}`,
+        message: `${transfer.from_username} withdrew the ticket for ${event.title} they offered you.`,
+      });
+      return { status: 200, body: { message: "Transfer cancelled", transfer: formatTransfer(await findTransfer(conn, transfer.transfer_id)) } };
+    },
+  })
+);
+
+// POST /api/transfers/:transferId/approve - the organizer completes an accepted transfer
+router.post("/:transferId/approve", verifyToken, requirePermission("events:manage"), (req, res) =>
+  actOnTransfer(req, res, {
+    party: "organizer",
+    statuses: ["awaiting_approval"],
+    label: "approving",
+    action: async (conn, transfer, event) => {
+      const failed = await recheckTransfer(conn, transfer, event, { organizer: true });
+      if (failed) return failed;
+      await complete(conn, transfer, event, { reviewedBy: req.user.user_id });
+      return {
+        status: 200,
+        body: { message: "Transfer approved", transfer: formatTransfer(await findTransfer(conn, transfer.transfer_id), { showCodes: true }) },
+      };
+    },
+  })
+);
+
+// POST /api/transfers/:transferId/reject { reason } - the organizer refuses a transfer
+router.post("/:transferId/reject", verifyToken, requirePermission("events:manage"), (req, res) =>
+  actOnTransfer(req, res, {
+    party: "organizer",
+    statuses: OPEN_TRANSFER_STATUSES,
+    label: "rejecting",
+    action: async (conn, transfer, event) => {
+      const reason = req.body?.reason ? String(req.body.reason).slice(0, 100) : null;
+      await closeTransfer(conn, transfer, "rejected", { reason, reviewedBy: req.user.user_id });
+      await notifyUsers(conn, [transfer.from_user_id, transfer.to_user_id], {
+        eventId: event.event_id,
+        title: `Ticket transfer rejected: ${event.title}`,
+        message:
+          `The organizer did not approve the transfer of a ticket for ${event.title} ` +
+          `from ${transfer.from_username} to ${transfer.to_username}.${reason ? ` Reason: ${reason}` : ""}`,
+        createdBy: req.user.user_id,
+      });
+      return {
+        status: 200,
+        body: { message: "Transfer rejected", transfer: formatTransfer(await findTransfer(conn, transfer.transfer_id), { showCodes: true }) },
+      };
+    },
+  })
+);
+
+export default router;
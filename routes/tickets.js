@@ -2,42 +2,41 @@
 import express from "express";
 import db from "../db.js";
 import { verifyToken } from "../middleware/authMiddleware.js";
+import { canManageEvent } from "../utils/events.js";
+import { eventTiers, formatTier } from "../utils/ticketTiers.js";
+import { ticketToken, renderTicketQr } from "../utils/tickets.js";
 
 const router = express.Router();
 
 /**
- * Get tickets for a specific event
+ * Get tickets for a specific event: its ticket tiers with live availability
  * Public endpoint used by the frontend event details modal
  */
 router.get("/event/:event_id", async (req, res) => {
   try {
     const { event_id } = req.params;
-    const [rows] = await db.execute(
-      `SELECT t.* FROM tickets t WHERE t.event_id = ?`,
-      [event_id]
-    );
-
-    const out = (rows || []).map((r) => ({
-      ticket_id: r.ticket_id,
-      ticket_type: r.ticket_type || r.type || "General",
-      price: r.price ?? r.amount ?? 0,
-      description: r.description || r.ticket_description || null,
-      quantity_total: r.quantity_total ?? r.total_quantity ?? null,
-      quantity_available: r.quantity_available ?? r.available ?? null,
-      event_id: r.event_id,
-    }));
+    const now = new Date();
+    const out = (await eventTiers(db, event_id)).map((row) => {
+      const tier = formatTier(row, now);
+      return {
+        ticket_id: tier.tier_id,
+        tier_id: tier.tier_id,
+        ticket_type: tier.name,
+        price: tier.price,
+        description: tier.description,
+        quantity_total: tier.quantity_total,
+        quantity_available: tier.quantity_available,
+        max_per_user: tier.max_per_user,
+        sales_start: tier.sales_start,
+        sales_end: tier.sales_end,
+        sale_state: tier.sale_state,
+        event_id: tier.event_id,
+      };
+    });
 
     res.json(out);
   } catch (err) {
-    // If the tickets table/schema doesn't match (e.g. migrated DB without tickets/event_id),
-    // don't fail the browse/event flow — return an empty tickets array and warn.
-    console.warn("Warning: tickets query failed for event; returning empty list.", err && err.code ? err.code : err);
-    // If it's a field/column error, return an empty array so the frontend can continue.
-    if (err && (err.code === 'ER_BAD_FIELD_ERROR' || (err.sqlMessage && err.sqlMessage.includes('Unknown column')))) {
-      return res.json([]);
-    }
-
-    // For other errors, log and return empty list to avoid breaking the UI.
+    // Don't fail the browse/event flow — return an empty tickets array and log.
     console.error("Error fetching tickets for event:", err);
     return res.json([]);
   }
@@ -45,18 +44,18 @@ router.get("/event/:event_id", async (req, res) => {
 
 /**
  * Get all **upcoming / active tickets** for the logged-in user
- * (filters out tickets where event is already completed)
+ * (filters out voided tickets and tickets where event is already completed)
  */
 router.get("/my-tickets", verifyToken, async (req, res) => {
   try {
     const userId = req.user.user_id; // from JWT payload
 
     const [rows] = await db.execute(
-      `SELECT t.*, r.*, e.*
+      `SELECT t.*, r.ticket_type, e.title, e.start_time, e.end_time, e.location, e.status AS event_status
        FROM tickets t
        JOIN registrations r ON t.registration_id = r.registration_id
-       JOIN events e ON r.event_id = e.event_id
-       WHERE r.user_id = ?`,
+       JOIN events e ON t.event_id = e.event_id
+       WHERE t.user_id = ? AND t.status = 'active'`,
       [userId]
     );
 
@@ -71,6 +70,7 @@ router.get("/my-tickets", verifyToken, async (req, res) => {
       ticket_code: row.ticket_code,
       issue_time: row.issue_time,
       status: row.status,
+      ticket_type: row.ticket_type,
       registration_id: row.registration_id,
       event_id: row.event_id,
       eventName: row.title || row.eventName || row.name || null,
@@ -93,4 +93,64 @@ router.get("/my-tickets", verifyToken, async (req, res) => {
   }
 });
 
+// A ticket visible to the caller: its holder or whoever manages the event
+async function findVisibleTicket(ticketId, user) {
+  const [rows] = await db.query(
+    `SELECT t.*, r.ticket_type, e.title AS event_title, e.start_time, e.end_time, e.location, e.created_by
+     FROM tickets t
+     JOIN registrations r ON r.registration_id = t.registration_id
+     JOIN events e ON e.event_id = t.event_id
+     WHERE t.ticket_id = ?`,
+    [ticketId]
+  );
+  const ticket = rows[0];
+  if (!ticket) return null;
+  if (String(ticket.user_id) !== String(user.user_id) && !canManageEvent(user, ticket)) return null;
+  return ticket;
+}
+
+const QR_FORMATS = ["svg", "png"];
+
+/**
+ * GET /api/tickets/:ticketId?format=svg|png - one ticket with its QR payload
+ * and QR image (data URL). Voided tickets are returned without a QR.
+ */
+router.get("/:ticketId", verifyToken, async (req, res) => {
+  try {
+    const format = String(req.query.format || "svg").toLowerCase();
+    if (!QR_FORMATS.includes(format)) return res.status(400).json({ message: "format must be svg or png" });
+    const ticket = await findVisibleTicket(req.params.ticketId, req.user);
+    if (!ticket) return res.status(404).json({ message: "Ticket not found" });
+
+    const { created_by, ...out } = ticket;
+    if (ticket.status !== "active") return res.json({ ...out, qr_payload: null, qr_image: null });
+    const qrPayload = await ticketToken(db, ticket);
+    const image = await renderTicketQr(qrPayload, format);
+    const data = Buffer.isBuffer(image.body) ? image.body : Buffer.from(image.body);
+    res.json({ ...out, qr_payload: qrPayload, qr_image: `data:${image.contentType};base64,${data.toString("base64")}` });
+  } catch (err) {
+    console.error("Error fetching ticket:", err.stack || err);
+    res.status(500).json({ message: "Error fetching ticket" });
+  }
+});
+
+// GET /api/tickets/:ticketId/qr?format=svg|png - the QR image itself
+router.get("/:ticketId/qr", verifyToken, async (req, res) => {
+  try {
+    const format = String(req.query.format || "svg").toLowerCase();
+    if (!QR_FORMATS.includes(format)) return res.status(400).json({ message: "format must be svg or png" });
+    const ticket = await findVisibleTicket(req.params.ticketId, req.user);
+    if (!ticket) return res.status(404).json({ message: "Ticket not found" });
+    if (ticket.status !== "active") return res.status(410).json({ message: `This ticket is ${ticket.status}` });
+
+    const image = await renderTicketQr(await ticketToken(db, ticket), format);
+    res.set("Content-Type", image.contentType);
+    res.set("Cache-Control", "private, no-store");
+    res.send(image.body);
+  } catch (err) {
+    console.error("Error rendering ticket QR:", err.stack || err);
+    res.status(500).json({ message: "Error rendering ticket QR" });
+  }
+});
+
 export default router;
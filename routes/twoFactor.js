@@ -0,0 +1,168 @@
+// routes/twoFactor.js
+// TOTP enrollment and management, mounted at /api/auth/2fa.
+// The second login step itself lives in auth.js (POST /api/auth/login/2fa).
+import express from "express";
+import bcrypt from "bcryptjs";
+import db from "../db.js";
+import { verifyToken, verifyTokenForEnrollment } from "../middleware/authMiddleware.js";
+import { createSession } from "../utils/sessions.js";
+import { generateSecret, otpauthUri, verifyCode } from "../utils/totp.js";
+import {
+  twoFactorRequired,
+  verifyChallengeToken,
+  regenerateRecoveryCodes,
+  checkSecondFactor,
+  remainingRecoveryCodes,
+} from "../utils/twoFactor.js";
+
+const router = express.Router();
+
+// Enrollment accepts either a normal access token or the setup_token that
+// /login hands out when policy requires 2FA and the account has none yet.
+function verifyTokenOrSetupToken(req, res, next) {
+  const setupToken = req.body?.setup_token;
+  if (!setupToken) return verifyTokenForEnrollment(req, res, next);
+
+  const userId = verifyChallengeToken(setupToken, "2fa_setup");
+  if (!userId) return res.status(401).json({ message: "Invalid or expired setup token" });
+  req.user = { user_id: userId };
+  req.viaSetupToken = true;
+  next();
+}
+
+async function loadUser(userId) {
+  const [rows] = await db.query(
+    "SELECT user_id, username, email, role, password, totp_secret, totp_enabled FROM users WHERE user_id = ? LIMIT 1",
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+// GET /api/auth/2fa/status
+router.get("/status", verifyTokenForEnrollment, async (req, res) => {
+  try {
+    const user = await loadUser(req.user.user_id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    const enabled = Boolean(Number(user.totp_enabled));
+    res.json({
+      enabled,
+      required: twoFactorRequired(user.role),
+      recovery_codes_remaining: enabled ? await remainingRecoveryCodes(user.user_id) : 0,
+    });
+  } catch (err) {
+    console.error("2FA status error:", err);
+    res.status(500).json({ message: "Failed to fetch 2FA status" });
+  }
+});
+
+// POST /api/auth/2fa/setup - start enrollment: new secret + otpauth URI for a QR code
+router.post("/setup", verifyTokenOrSetupToken, async (req, res) => {
+  try {
+    const user = await loadUser(req.user.user_id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (Number(user.totp_enabled)) {
+      return res.status(409).json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = generateSecret();
+    await db.query("UPDATE users SET totp_secret = ?, totp_last_step = NULL WHERE user_id = ?", [secret, user.user_id]);
+    res.json({
+      secret,
+      otpauth_url: otpauthUri({ secret, account: user.email || user.username }),
+    });
+  } catch (err) {
+    console.error("2FA setup error:", err);
+    res.status(500).json({ message: "Failed to start 2FA setup" });
+  }
+});
+
+// POST /api/auth/2fa/enable { code } - confirm enrollment with a first code
+router.post("/enable", verifyTokenOrSetupToken, async (req, res) => {
+  try {
+    const user = await loadUser(req.user.user_id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (Number(user.totp_enabled)) {
+      return res.status(409).json({ message: "Two-factor authentication is already enabled" });
+    }
+    if (!user.totp_secret) {
+      return res.status(400).json({ message: "Call /api/auth/2fa/setup first" });
+    }
+
+    const step = verifyCode(user.totp_secret, req.body?.code);
+    if (step === null) return res.status(400).json({ message: "Invalid authentication code" });
+
+    const recoveryCodes = await db.transaction(async (conn) => {
+      await conn.query(
+        "UPDATE users SET totp_enabled = 1, totp_enabled_at = ?, totp_last_step = ? WHERE user_id = ?",
+        [new Date(), step, user.user_id]
+      );
+      return regenerateRecoveryCodes(conn, user.user_id);
+    });
+
+    const out = {
+      message: "Two-factor authentication enabled",
+      recovery_codes: recoveryCodes,
+    };
+    // Enrollment forced at login: finish signing the user in
+    if (req.viaSetupToken) {
+      Object.assign(out, { username: user.username, user_id: user.user_id }, await createSession(user, req));
+    }
+    res.json(out);
+  } catch (err) {
+    console.error("2FA enable error:", err);
+    res.status(500).json({ message: "Failed to enable 2FA" });
+  }
+});
+
+// POST /api/auth/2fa/disable { password, code | recovery_code }
+router.post("/disable", verifyToken, async (req, res) => {
+  try {
+    const user = await loadUser(req.user.user_id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (!Number(user.totp_enabled)) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+    if (twoFactorRequired(user.role)) {
+      return res.status(403).json({ message: "Two-factor authentication is required for your role" });
+    }
+
+    const passwordOk = await bcrypt.compare(String(req.body?.password || ""), user.password);
+    if (!passwordOk || !(await checkSecondFactor(user.user_id, user.totp_secret, req.body))) {
+      return res.status(400).json({ message: "Invalid password or authentication code" });
+    }
+
+    await db.transaction(async (conn) => {
+      await conn.query(
+        "UPDATE users SET totp_enabled = 0, totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE user_id = ?",
+        [user.user_id]
+      );
+      await conn.query("DELETE FROM recovery_codes WHERE user_id = ?", [user.user_id]);
+    });
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (err) {
+    console.error("2FA disable error:", err);
+    res.status(500).json({ message: "Failed to disable 2FA" });
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes { code } - replace all recovery codes
+router.post("/recovery-codes", verifyToken, async (req, res) => {
+  try {
+    const user = await loadUser(req.user.user_id);
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (!Number(user.totp_enabled)) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+    if (!(await checkSecondFactor(user.user_id, user.totp_secret, { code: req.body?.code }))) {
+      return res.status(400).json({ message: "Invalid authentication code" });
+    }
+
+    const recoveryCodes = await db.transaction((conn) => regenerateRecoveryCodes(conn, user.user_id));
+    res.json({ message: "Recovery codes regenerated", recovery_codes: recoveryCodes });
+  } catch (err) {
+    console.error("2FA recovery-codes error:", err);
+    res.status(500).json({ message: "Failed to regenerate recovery codes" });
+  }
+});
+
+export default router;
@@ -3,11 +3,7 @@ import db from "../db.js";
 
 async function clear() {
   try {
-    const [exists] = await db.query(
-      "SELECT TABLE_NAME FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = ? AND TABLE_NAME = 'announcements'",
-      [process.env.DB_NAME]
-    );
-    if (!Array.isArray(exists) || exists.length === 0) {
+    if (!(await db.hasTable("announcements"))) {
       console.log("announcements table does not exist. Nothing to clear.");
       process.exit(0);
     }
@@ -0,0 +1,51 @@
+// scripts/migrate.js
+// Usage:
+//   node scripts/migrate.js up [--to <version>]
+//   node scripts/migrate.js down [--steps <n>]
+//   node scripts/migrate.js status
+import { migrateUp, migrateDown, migrationStatus } from "../utils/migrator.js";
+
+function argValue(name) {
+  const idx = process.argv.indexOf(name);
+  return idx !== -1 ? process.argv[idx + 1] : undefined;
+}
+
+async function main() {
+  const command = process.argv[2] || "status";
+
+  if (command === "up") {
+    const done = await migrateUp({ to: argValue("--to") || null });
+    if (done.length === 0) console.log("✅ Database is up to date.");
+    for (const m of done) console.log(`⬆️  Applied ${m.version}_${m.name}`);
+    return;
+  }
+
+  if (command === "down") {
+    const steps = Number(argValue("--steps") || 1);
+    if (!Number.isInteger(steps) || steps < 1) throw new Error("--steps must be a positive integer");
+    const done = await migrateDown({ steps });
+    if (done.length === 0) console.log("Nothing to roll back.");
+    for (const m of done) console.log(`⬇️  Rolled back ${m.version}_${m.name}`);
+    return;
+  }
+
+  if (command === "status") {
+    const rows = await migrationStatus();
+    console.table(rows.map((m) => ({
+      version: m.version,
+      name: m.name,
+      status: m.applied ? "applied" : "pending",
+      applied_at: m.applied_at,
+    })));
+    return;
+  }
+
+  throw new Error(`Unknown command "${command}". Use up, down or status.`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("❌", err.message);
+    process.exit(1);
+  });
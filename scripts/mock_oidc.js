@@ -0,0 +1,118 @@
+// scripts/mock_oidc.js
+// Minimal OpenID Connect provider for trying the SSO login locally. It
+// approves every authorization request at once, signing in as the address
+// passed as login_hint (or MOCK_OIDC_EMAIL), and enforces PKCE like a real
+// provider. Not for production use.
+//
+// Usage: node scripts/mock_oidc.js   (listens on MOCK_OIDC_PORT, default 4010)
+// Backend .env:
+//   OIDC_ISSUER=http://localhost:4010
+//   OIDC_CLIENT_ID=evenza-local
+//   OIDC_CLIENT_SECRET=evenza-local-secret
+// Set MOCK_OIDC_EMAIL_VERIFIED=false to simulate an unverified email.
+import crypto from "crypto";
+import express from "express";
+import jwt from "jsonwebtoken";
+
+const PORT = Number(process.env.MOCK_OIDC_PORT || 4010);
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || "evenza-local";
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || "evenza-local-secret";
+const DEFAULT_EMAIL = process.env.MOCK_OIDC_EMAIL || "sso.user@example.com";
+const EMAIL_VERIFIED = process.env.MOCK_OIDC_EMAIL_VERIFIED !== "false";
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const KID = crypto.randomBytes(8).toString("hex");
+
+const codes = new Map(); // code -> pending authorization
+const accessTokens = new Map(); // access token -> claims
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+function claimsFor(email) {
+  return {
+    sub: crypto.createHash("sha256").update(email.toLowerCase()).digest("hex").slice(0, 24),
+    email,
+    email_verified: EMAIL_VERIFIED,
+    name: email.split("@")[0],
+    preferred_username: email.split("@")[0],
+  };
+}
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    code_challenge_methods_supported: ["S256"],
+    token_endpoint_auth_methods_supported: ["client_secret_basic", "client_secret_post", "none"],
+  });
+});
+
+app.get("/jwks", (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: "jwk" }), kid: KID, use: "sig", alg: "RS256" }] });
+});
+
+app.get("/authorize", (req, res) => {
+  const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, login_hint } = req.query;
+  if (client_id !== CLIENT_ID) return res.status(400).send("unknown client_id");
+  if (!redirect_uri || !code_challenge || code_challenge_method !== "S256") {
+    return res.status(400).send("redirect_uri and an S256 code_challenge are required");
+  }
+
+  const code = crypto.randomBytes(16).toString("hex");
+  codes.set(code, { redirect_uri, nonce, code_challenge, claims: claimsFor(String(login_hint || DEFAULT_EMAIL)) });
+  setTimeout(() => codes.delete(code), 60 * 1000).unref();
+
+  const target = new URL(redirect_uri);
+  target.searchParams.set("code", code);
+  if (state) target.searchParams.set("state", state);
+  res.redirect(302, target.toString());
+});
+
+app.post("/token", (req, res) => {
+  let clientId = req.body.client_id;
+  let clientSecret = req.body.client_secret;
+  const basic = /^Basic (.+)$/.exec(req.get("authorization") || "");
+  if (basic) {
+    [clientId, clientSecret] = Buffer.from(basic[1], "base64").toString().split(":").map(decodeURIComponent);
+  }
+  if (clientId !== CLIENT_ID || (clientSecret && clientSecret !== CLIENT_SECRET)) {
+    return res.status(401).json({ error: "invalid_client" });
+  }
+
+  const pending = codes.get(req.body.code);
+  codes.delete(req.body.code);
+  if (!pending || pending.redirect_uri !== req.body.redirect_uri) {
+    return res.status(400).json({ error: "invalid_grant" });
+  }
+  const challenge = crypto.createHash("sha256").update(String(req.body.code_verifier || "")).digest("base64url");
+  if (challenge !== pending.code_challenge) {
+    return res.status(400).json({ error: "invalid_grant", error_description: "PKCE verification failed" });
+  }
+
+  const accessToken = crypto.randomBytes(24).toString("hex");
+  accessTokens.set(accessToken, pending.claims);
+  const idToken = jwt.sign({ ...pending.claims, nonce: pending.nonce }, privateKey, {
+    algorithm: "RS256",
+    keyid: KID,
+    issuer: ISSUER,
+    audience: CLIENT_ID,
+    expiresIn: "5m",
+  });
+  res.json({ access_token: accessToken, token_type: "Bearer", expires_in: 300, id_token: idToken });
+});
+
+app.get("/userinfo", (req, res) => {
+  const claims = accessTokens.get(String(req.get("authorization") || "").replace(/^Bearer /, ""));
+  if (!claims) return res.status(401).json({ error: "invalid_token" });
+  res.json(claims);
+});
+
+app.listen(PORT, () => console.log(`Mock OIDC provider on ${ISSUER} (client_id ${CLIENT_ID})`));
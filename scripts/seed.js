@@ -0,0 +1,116 @@
+// scripts/seed.js
+// Load the sample data in batch1.json (plus the fixed Global/Help chatrooms)
+// into a migrated database. Safe to re-run: existing ids are left untouched.
+// Demo accounts are created for every user id the sample rows reference,
+// with the password from SEED_USER_PASSWORD (default "Evenza@123").
+import fs from "fs";
+import path from "path";
+import bcrypt from "bcryptjs";
+import db from "../db.js";
+
+const data = JSON.parse(fs.readFileSync(path.join(process.cwd(), "batch1.json"), "utf8"));
+
+const toDate = (v) => (v ? new Date(v) : null);
+const toJson = (v) => (v == null ? null : JSON.stringify(v));
+
+// Insert rows keyed by an explicit id, skipping ids that already exist
+async function seedTable(table, idColumn, rows) {
+  let inserted = 0;
+  for (const row of rows) {
+    inserted += await db.upsert(table, row, { conflict: [idColumn], update: [] });
+  }
+  // Explicit ids do not advance Postgres sequences
+  if (db.dialect === "postgres" && rows.length > 0) {
+    await db.query(
+      `SELECT setval(pg_get_serial_sequence('${table}', '${idColumn}'), (SELECT MAX(${idColumn}) FROM ${table}))`
+    );
+  }
+  console.log(`   ${table}: ${inserted} inserted, ${rows.length - inserted} already present`);
+}
+
+async function seed() {
+  console.log("🌱 Seeding sample data...");
+
+  const organizers = new Set(data.events.map((e) => e.created_by));
+  const userIds = new Set([
+    ...organizers,
+    ...data.registrations.map((r) => r.user_id),
+    ...data.saved_events.map((s) => s.user_id),
+  ]);
+  const password = await bcrypt.hash(process.env.SEED_USER_PASSWORD || "Evenza@123", 10);
+  await seedTable("users", "user_id", [...userIds].sort((a, b) => a - b).map((id) => ({
+    user_id: id,
+    username: `user${id}`,
+    email: `user${id}@evenza.local`,
+    password,
+    role: organizers.has(id) ? "admin" : "user",
+  })));
+
+  await seedTable("categories", "category_id", data.categories.map((c) => ({
+    category_id: c.category_id,
+    name: c.name,
+  })));
+
+  await seedTable("events", "event_id", data.events.map((e) => ({
+    event_id: e.event_id,
+    title: e.title,
+    description: e.description,
+    capacity: e.capacity,
+    locations: toJson(e.locations),
+    sessions: toJson(e.sessions),
+    documents: toJson(e.documents),
+    category_id: e.category_id,
+    start_time: toDate(e.start_time),
+    end_time: toDate(e.end_time),
+    created_at: toDate(e.created_at),
+    created_by: e.created_by,
+    image: e.image,
+  })));
+
+  await seedTable("registrations", "registration_id", data.registrations.map((r) => ({
+    registration_id: r.registration_id,
+    user_id: r.user_id,
+    event_id: r.event_id,
+    status: r.status,
+    ticket_type: r.ticket_type || "General",
+    amount: r.amount || 0,
+    registered_at: toDate(r.registered_at),
+    registration_time: toDate(r.registration_time),
+  })));
+
+  await seedTable("tickets", "ticket_id", data.tickets.map((t) => ({
+    ticket_id: t.ticket_id,
+    registration_id: t.registration_id,
+    ticket_code: t.ticket_code || `TCKT-${t.ticket_id}`,
+    issue_time: toDate(t.issue_time),
+    status: t.status || "active",
+  })));
+
+  await seedTable("saved_events", "saved_id", data.saved_events.map((s) => ({
+    saved_id: s.saved_id,
+    user_id: s.user_id,
+    event_id: s.event_id,
+    created_at: toDate(s.created_at),
+  })));
+
+  await seedTable("faqs", "faq_id", data.faqs.map((f) => ({
+    faq_id: f.faq_id,
+    question: f.question,
+    answer: f.answer,
+    created_at: toDate(f.created_at),
+  })));
+
+  await seedTable("chatrooms", "chatroom_id", [
+    { chatroom_id: 1, name: "Global Chat", type: "channel", event_id: null },
+    { chatroom_id: 2, name: "Help Chat", type: "channel", event_id: null },
+  ]);
+
+  console.log("✅ Seed complete.");
+}
+
+seed()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("❌ Seed failed:", err.message);
+    process.exit(1);
+  });
@@ -11,7 +11,7 @@ async function seedChatrooms() {
     if (!global) {
       console.log('Creating Global chatroom...');
       await db.query(
-        'INSERT INTO chatrooms (chatroom_id, name, type, event_id) VALUES (1, "Global", "global", NULL)'
+        "INSERT INTO chatrooms (chatroom_id, name, type, event_id) VALUES (1, 'Global', 'global', NULL)"
       );
       console.log('✅ Global chatroom created');
     } else {
@@ -24,7 +24,7 @@ async function seedChatrooms() {
     if (!help) {
       console.log('Creating Help chatroom...');
       await db.query(
-        'INSERT INTO chatrooms (chatroom_id, name, type, event_id) VALUES (2, "Help", "help", NULL)'
+        "INSERT INTO chatrooms (chatroom_id, name, type, event_id) VALUES (2, 'Help', 'help', NULL)"
       );
       console.log('✅ Help chatroom created');
     } else {
@@ -0,0 +1,35 @@
+// scripts/set_role.js
+// Set a user's role from the command line, e.g. to appoint the first owner
+// (signup only creates plain users). The change is recorded in role_audit.
+// Usage: node scripts/set_role.js <username> <user|admin|owner> [reason]
+import db from "../db.js";
+import { ROLES } from "../middleware/authMiddleware.js";
+import { changeRole } from "../utils/roles.js";
+
+async function main() {
+  const [username, role, ...reasonWords] = process.argv.slice(2);
+  if (!username || !ROLES.includes(role)) {
+    throw new Error(`Usage: node scripts/set_role.js <username> <${ROLES.join("|")}> [reason]`);
+  }
+
+  const [rows] = await db.query("SELECT user_id FROM users WHERE username = ? LIMIT 1", [username]);
+  if (!rows[0]) throw new Error(`User "${username}" not found`);
+
+  const previous = await db.transaction((conn) =>
+    changeRole(conn, {
+      userId: rows[0].user_id,
+      newRole: role,
+      changedBy: null,
+      source: "cli",
+      reason: reasonWords.join(" ") || null,
+    })
+  );
+  console.log(`✅ ${username}: ${previous} -> ${role}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("❌", err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,77 @@
+// scripts/smoke/account_emails.js
+// Smoke test of the emailed account flows through the file mail transport:
+// email verification after signup and password reset, whose single-use links
+// sign out every session of the account.
+// Usage: node scripts/smoke/run.js account_emails   (exits non-zero on failure)
+import assert from "assert/strict";
+import { runSmoke } from "./lib.js";
+
+const NEW_PASSWORD = "Changed@12345";
+
+// The token of the link in the latest mail to `to` with `subject`
+function linkToken(mails, to, subject) {
+  const mail = mails(to).filter((m) => m.subject.includes(subject)).pop();
+  assert.ok(mail, `no "${subject}" mail to ${to}`);
+  return decodeURIComponent(mail.text.match(/token=([^\s&]+)/)[1]);
+}
+
+runSmoke(
+  "Email verification and password reset",
+  { users: [{ username: "ana" }] },
+  [
+    [
+      "signup refuses weak passwords",
+      async ({ api }) => {
+        const res = await api("POST", "/api/auth/signup", {
+          body: { username: "zoe", email: "zoe@smoke.local", password: "password", role: "user" },
+        });
+        assert.equal(res.status, 400);
+      },
+    ],
+    [
+      "signup mails a verification link that works once",
+      async ({ api, mails }) => {
+        const signup = await api("POST", "/api/auth/signup", {
+          body: { username: "zoe", email: "zoe@smoke.local", password: "Zoe@123456", role: "user" },
+        });
+        assert.equal(signup.status, 201, JSON.stringify(signup.body));
+        const before = await api("GET", "/api/auth/me", { token: signup.body.token });
+        assert.equal(before.body.email_verified, false);
+
+        const token = linkToken(mails, "zoe@smoke.local", "Verify");
+        const verify = await api("POST", "/api/auth/verify-email", { body: { token } });
+        assert.equal(verify.status, 200, JSON.stringify(verify.body));
+        const after = await api("GET", "/api/auth/me", { token: signup.body.token });
+        assert.equal(after.body.email_verified, true);
+        const again = await api("POST", "/api/auth/verify-email", { body: { token } });
+        assert.equal(again.status, 400);
+      },
+    ],
+    [
+      "forgot-password answers the same for unknown emails",
+      async ({ api, mails }) => {
+        const unknown = await api("POST", "/api/auth/forgot-password", { body: { email: "nobody@smoke.local" } });
+        const known = await api("POST", "/api/auth/forgot-password", { body: { email: "ana@smoke.local" } });
+        assert.equal(unknown.status, 200);
+        assert.deepEqual(unknown.body, known.body);
+        assert.equal(mails("nobody@smoke.local").length, 0);
+      },
+    ],
+    [
+      "the reset link sets a new password once and signs out every session",
+      async ({ api, login, mails }) => {
+        const token = linkToken(mails, "ana@smoke.local", "Reset");
+        const weak = await api("POST", "/api/auth/reset-password", { body: { token, password: "short" } });
+        assert.equal(weak.status, 400);
+        const reset = await api("POST", "/api/auth/reset-password", { body: { token, password: NEW_PASSWORD } });
+        assert.equal(reset.status, 200, JSON.stringify(reset.body));
+
+        assert.equal((await api("GET", "/api/auth/me", { as: "ana" })).status, 401);
+        assert.notEqual((await login("ana")).status, 200);
+        assert.equal((await login("ana", NEW_PASSWORD)).status, 200);
+        const again = await api("POST", "/api/auth/reset-password", { body: { token, password: "Other@12345" } });
+        assert.equal(again.status, 400);
+      },
+    ],
+  ]
+);
@@ -0,0 +1,109 @@
+// scripts/smoke/agenda.js
+// Smoke test of event sessions and personal agendas: organizer-managed
+// sessions within the event's times, and registrants adding sessions to
+// their agenda subject to seats and clashes.
+// Usage: node scripts/smoke/run.js agenda   (exits non-zero on failure)
+import assert from "assert/strict";
+import { runSmoke } from "./lib.js";
+
+const HOUR = 60 * 60 * 1000;
+
+// Tomorrow 09:00-17:00 UTC
+const day = new Date(Date.now() + 24 * HOUR);
+day.setUTCHours(9, 0, 0, 0);
+const at = (hours) => new Date(day.getTime() + (hours - 9) * HOUR).toISOString();
+
+const sessions = {}; // title -> session_id
+
+runSmoke(
+  "Event sessions and agendas",
+  {
+    users: [{ username: "olga", role: "admin" }, { username: "omar", role: "admin" }, { username: "ana" }, { username: "ben" }],
+    events: { conf: { created_by: "olga", title: "DevConf", start_time: at(9), end_time: at(17) } },
+  },
+  [
+    [
+      "organizers add sessions within the event",
+      async ({ api, events }) => {
+        const base = `/api/events/${events.conf.event_id}/sessions`;
+        const other = await api("POST", base, { as: "omar", body: { title: "Intruder", start_time: at(9), end_time: at(10) } });
+        assert.equal(other.status, 403);
+        const late = await api("POST", base, { as: "olga", body: { title: "Afterparty", start_time: at(16), end_time: at(18) } });
+        assert.equal(late.status, 400);
+
+        for (const [title, start, end, room, capacity] of [
+          ["Keynote", 9, 10, "Main hall", 1],
+          ["Workshop", 9.5, 10.5, "Lab", undefined],
+          ["Lunch talk", 12, 13, "Main hall", undefined],
+        ]) {
+          const res = await api("POST", base, {
+            as: "olga",
+            body: { title, start_time: at(start), end_time: at(end), room, capacity, speakers: ["Grace Hopper"] },
+          });
+          assert.equal(res.status, 201, JSON.stringify(res.body));
+          sessions[title] = res.body.session_id;
+        }
+
+        const hall = await api("GET", `${base}?room=main%20hall`);
+        assert.deepEqual(
+          hall.body.sessions.map((s) => s.title),
+          ["Keynote", "Lunch talk"]
+        );
+        const event = await api("GET", `/api/events/${events.conf.event_id}`);
+        const copy = typeof event.body.sessions === "string" ? JSON.parse(event.body.sessions) : event.body.sessions;
+        assert.equal(copy.length, 3);
+      },
+    ],
+    [
+      "registrants build an agenda without clashes",
+      async ({ api, events }) => {
+        const base = `/api/events/${events.conf.event_id}/sessions`;
+        const unregistered = await api("POST", `${base}/${sessions.Keynote}/agenda`, { as: "ana" });
+        assert.equal(unregistered.status, 403);
+        for (const user of ["ana", "ben"]) {
+          const res = await api("POST", "/api/registrations", { as: user, body: { event_id: events.conf.event_id } });
+          assert.equal(res.status, 200, JSON.stringify(res.body));
+        }
+
+        assert.equal((await api("POST", `${base}/${sessions.Keynote}/agenda`, { as: "ana" })).status, 201);
+        const clash = await api("POST", `${base}/${sessions.Workshop}/agenda`, { as: "ana" });
+        assert.equal(clash.status, 409);
+        assert.deepEqual(
+          clash.body.clashes.map((c) => c.session_id),
+          [sessions.Keynote]
+        );
+        assert.equal((await api("POST", `${base}/${sessions["Lunch talk"]}/agenda`, { as: "ana" })).status, 201);
+        const full = await api("POST", `${base}/${sessions.Keynote}/agenda`, { as: "ben" });
+        assert.equal(full.status, 409);
+        assert.equal((await api("POST", `${base}/${sessions.Workshop}/agenda`, { as: "ben" })).status, 201);
+
+        const agenda = await api("GET", "/api/agenda", { as: "ana" });
+        assert.equal(agenda.status, 200, JSON.stringify(agenda.body));
+        assert.deepEqual(
+          agenda.body.map((s) => s.title),
+          ["Keynote", "Lunch talk"]
+        );
+        const listed = await api("GET", base, { as: "ana" });
+        assert.deepEqual(
+          listed.body.sessions.map((s) => [s.title, s.in_agenda, s.seats_left]),
+          [["Keynote", true, 0], ["Workshop", false, null], ["Lunch talk", true, null]]
+        );
+      },
+    ],
+    [
+      "deleting a session takes it off every agenda",
+      async ({ api, events }) => {
+        const base = `/api/events/${events.conf.event_id}/sessions`;
+        const del = await api("DELETE", `${base}/${sessions.Keynote}`, { as: "olga" });
+        assert.equal(del.status, 200, JSON.stringify(del.body));
+        assert.deepEqual(
+          (await api("GET", "/api/agenda", { as: "ana" })).body.map((s) => s.title),
+          ["Lunch talk"]
+        );
+        // The keynote no longer blocks the workshop
+        assert.equal((await api("POST", `${base}/${sessions.Workshop}/agenda`, { as: "ana" })).status, 201);
+        assert.equal((await api("DELETE", `${base}/${sessions.Keynote}/agenda`, { as: "ana" })).status, 404);
+      },
+    ],
+  ]
+);
@@ -0,0 +1,91 @@
+// scripts/smoke/api_keys.js
+// Smoke test of personal API keys: keys only work on endpoints that accept
+// their scopes, follow their owner's current role and 2FA policy, are rate
+// limited per key and stop working as soon as they are revoked.
+// Usage: node scripts/smoke/run.js api_keys   (exits non-zero on failure)
+import assert from "assert/strict";
+import { runScript, runSmoke } from "./lib.js";
+
+let apiKey;
+
+runSmoke(
+  "Personal API keys",
+  {
+    users: [{ username: "alice", role: "admin" }, { username: "bob", role: "admin" }, { username: "ana" }],
+    events: { launch: { created_by: "alice" } },
+  },
+  [
+    [
+      "only organizers create keys, with known scopes",
+      async ({ api }) => {
+        const byUser = await api("POST", "/api/api-keys", { as: "ana", body: { name: "x", scopes: ["events:read"] } });
+        assert.equal(byUser.status, 403);
+        const unknown = await api("POST", "/api/api-keys", { as: "alice", body: { name: "x", scopes: ["users:delete"] } });
+        assert.equal(unknown.status, 400);
+
+        const res = await api("POST", "/api/api-keys", {
+          as: "alice",
+          body: { name: "Dashboard", scopes: ["events:read"], rate_limit_per_minute: 2 },
+        });
+        assert.equal(res.status, 201, JSON.stringify(res.body));
+        assert.match(res.body.key, /^evz_/);
+        apiKey = res.body;
+      },
+    ],
+    [
+      "keys work only where their scope is accepted",
+      async ({ api, events }) => {
+        const mine = await api("GET", "/api/events/mine", { token: apiKey.key });
+        assert.equal(mine.status, 200, JSON.stringify(mine.body));
+        assert.deepEqual(
+          mine.body.map((e) => e.event_id),
+          [events.launch.event_id]
+        );
+        const otherScope = await api("GET", "/api/registrations/mine", { token: apiKey.key });
+        assert.equal(otherScope.status, 403);
+        const notOptedIn = await api("GET", "/api/auth/me", { token: apiKey.key });
+        assert.equal(notOptedIn.status, 403);
+        const manage = await api("GET", "/api/api-keys", { token: apiKey.key });
+        assert.equal(manage.status, 403);
+      },
+    ],
+    [
+      "each key has its own rate limit and records its last use",
+      async ({ api }) => {
+        const second = await api("GET", "/api/events/mine", { token: apiKey.key });
+        assert.equal(second.status, 200);
+        const third = await api("GET", "/api/events/mine", { token: apiKey.key });
+        assert.equal(third.status, 429);
+
+        const list = await api("GET", "/api/api-keys", { as: "alice" });
+        assert.equal(list.status, 200, JSON.stringify(list.body));
+        assert.equal(list.body.length, 1);
+        assert.ok(list.body[0].last_used_at);
+        assert.equal(list.body[0].key_hash, undefined);
+        assert.equal(list.body[0].key, undefined);
+      },
+    ],
+    [
+      "keys follow the owner's current role",
+      async (ctx) => {
+        const created = await ctx.api("POST", "/api/api-keys", { as: "bob", body: { name: "Sync", scopes: ["events:read"] } });
+        assert.equal(created.status, 201, JSON.stringify(created.body));
+        const demote = await runScript(ctx, "scripts/set_role.js", ["bob", "user"]);
+        assert.equal(demote.code, 0, demote.output);
+        const res = await ctx.api("GET", "/api/events/mine", { token: created.body.key });
+        assert.equal(res.status, 403);
+      },
+    ],
+    [
+      "revoked keys stop working at once",
+      async ({ api }) => {
+        const other = await api("DELETE", `/api/api-keys/${apiKey.key_id}`, { as: "bob" });
+        assert.notEqual(other.status, 200);
+        const revoke = await api("DELETE", `/api/api-keys/${apiKey.key_id}`, { as: "alice" });
+        assert.equal(revoke.status, 200, JSON.stringify(revoke.body));
+        const res = await api("GET", "/api/events/mine", { token: apiKey.key });
+        assert.equal(res.status, 401);
+      },
+    ],
+  ]
+);
@@ -0,0 +1,129 @@
+// scripts/smoke/calendar.js
+// Smoke test of the iCalendar export and subscription feeds: stable UIDs
+// with growing SEQUENCE numbers, feeds of registrations and saved events,
+// deleted events staying in feeds as cancelled, and feed URL rotation.
+// Usage: node scripts/smoke/run.js calendar   (exits non-zero on failure)
+import assert from "assert/strict";
+import { runSmoke } from "./lib.js";
+
+let feedPath;
+
+// VEVENTs of a calendar as { UID, SEQUENCE, STATUS, ... } objects
+function vevents(text) {
+  assert.match(text, /^BEGIN:VCALENDAR\r\n/);
+  const lines = text.replace(/\r\n /g, "").split("\r\n");
+  const events = [];
+  let current = null;
+  for (const line of lines) {
+    if (line === "BEGIN:VEVENT") {
+      current = {};
+    } else if (line === "END:VEVENT") {
+      events.push(current);
+      current = null;
+    } else if (current) {
+      const split = line.indexOf(":");
+      current[line.slice(0, split).split(";")[0]] = line.slice(split + 1);
+    }
+  }
+  return events;
+}
+
+// "20261019T101500Z" -> ms
+const icalTime = (value) => Date.parse(value.replace(/^(\d{4})(\d\d)(\d\d)T(\d\d)(\d\d)(\d\d)Z$/, "$1-$2-$3T$4:$5:$6Z"));
+
+async function feed(api, path = feedPath) {
+  const res = await api("GET", path);
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.match(res.headers.get("content-type"), /^text\/calendar/);
+  return vevents(res.body);
+}
+
+runSmoke(
+  "Calendar export and feeds",
+  {
+    users: [{ username: "olga", role: "admin" }, { username: "ana" }],
+    events: {
+      meetup: { created_by: "olga", title: "Meetup, with commas", created_at: new Date(Date.now() - 60 * 60 * 1000) },
+      picnic: { created_by: "olga", title: "Picnic" },
+      other: { created_by: "olga", title: "Not for ana" },
+    },
+  },
+  [
+    [
+      "a single event exports with a stable UID and a growing SEQUENCE",
+      async ({ api, events }) => {
+        const id = events.meetup.event_id;
+        const before = Date.now();
+        const first = await api("GET", `/api/events/${id}/ical`);
+        assert.equal(first.status, 200);
+        const [event] = vevents(first.body);
+        assert.equal(event.SUMMARY, "Meetup\\, with commas");
+        assert.equal(event.SEQUENCE, "0");
+        // DTSTAMP is when the file was generated, not when the event changed
+        assert.ok(icalTime(event.DTSTAMP) >= before - 1000, event.DTSTAMP);
+        assert.ok(icalTime(event["LAST-MODIFIED"]) < before - 30 * 60 * 1000, event["LAST-MODIFIED"]);
+
+        const edit = await api("PATCH", `/api/events/${id}`, { as: "olga", body: { title: "Meetup" } });
+        assert.equal(edit.status, 200, JSON.stringify(edit.body));
+        const [edited] = vevents((await api("GET", `/api/events/${id}/ical`)).body);
+        assert.equal(edited.UID, event.UID);
+        assert.equal(edited.SEQUENCE, "1");
+      },
+    ],
+    [
+      "the feed publishes registrations and saved events",
+      async ({ api, events }) => {
+        const register = await api("POST", "/api/registrations", { as: "ana", body: { event_id: events.meetup.event_id } });
+        assert.equal(register.status, 200, JSON.stringify(register.body));
+        const save = await api("POST", "/api/saved-events/save", { as: "ana", body: { event_id: events.picnic.event_id } });
+        assert.ok(save.status < 300, JSON.stringify(save.body));
+
+        const created = await api("POST", "/api/calendar/feed", { as: "ana" });
+        assert.equal(created.status, 201, JSON.stringify(created.body));
+        assert.match(created.body.webcal_url, /^webcal:/);
+        feedPath = new URL(created.body.url).pathname;
+        assert.deepEqual(
+          (await feed(api)).map((e) => [e.SUMMARY, e.STATUS]),
+          [["Meetup", "CONFIRMED"], ["Picnic", "CONFIRMED"]]
+        );
+      },
+    ],
+    [
+      "deleted events stay in the feed as cancelled",
+      async ({ api, events }) => {
+        const cancel = await api("PATCH", `/api/events/${events.meetup.event_id}/status`, {
+          as: "olga",
+          body: { status: "cancelled" },
+        });
+        assert.equal(cancel.status, 200, JSON.stringify(cancel.body));
+        const [cancelled] = (await feed(api)).filter((e) => e.SUMMARY === "Meetup");
+        assert.equal(cancelled.STATUS, "CANCELLED");
+
+        for (const key of ["meetup", "picnic"]) {
+          const del = await api("DELETE", `/api/events/${events[key].event_id}`, { as: "olga" });
+          assert.equal(del.status, 200, JSON.stringify(del.body));
+        }
+        const after = await feed(api);
+        assert.deepEqual(
+          after.map((e) => [e.UID, e.STATUS]),
+          [[cancelled.UID, "CANCELLED"], [after[1].UID, "CANCELLED"]]
+        );
+        assert.ok(Number(after[0].SEQUENCE) > Number(cancelled.SEQUENCE));
+        assert.equal((await api("GET", `/api/events/${events.meetup.event_id}/ical`)).status, 404);
+      },
+    ],
+    [
+      "creating the feed again rotates the URL; deleting it revokes it",
+      async ({ api }) => {
+        const rotated = await api("POST", "/api/calendar/feed", { as: "ana" });
+        assert.equal((await api("GET", feedPath)).status, 404);
+        feedPath = new URL(rotated.body.url).pathname;
+        assert.equal((await feed(api)).length, 2);
+        assert.equal((await api("GET", "/api/calendar/feed", { as: "ana" })).body.active, true);
+
+        assert.equal((await api("DELETE", "/api/calendar/feed", { as: "ana" })).status, 200);
+        assert.equal((await api("GET", feedPath)).status, 404);
+      },
+    ],
+  ]
+);
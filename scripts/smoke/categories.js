@@ -0,0 +1,88 @@
+// scripts/smoke/categories.js
+// Smoke test of event categories: management by staff, validation, counts,
+// follows with notifications for newly approved events, and deleting a
+// category in use only with a replacement.
+// Usage: node scripts/smoke/run.js categories   (exits non-zero on failure)
+import assert from "assert/strict";
+import { runSmoke } from "./lib.js";
+
+const created = {}; // name -> category_id
+
+runSmoke(
+  "Categories and follows",
+  { users: [{ username: "olga", role: "admin" }, { username: "ana" }] },
+  [
+    [
+      "staff create categories; names are unique and colors validated",
+      async ({ api }) => {
+        const byUser = await api("POST", "/api/categories", { as: "ana", body: { name: "Jazz" } });
+        assert.equal(byUser.status, 403);
+        const badColor = await api("POST", "/api/categories", { as: "olga", body: { name: "Jazz", color: "blue" } });
+        assert.equal(badColor.status, 400);
+
+        for (const [name, color] of [["Jazz", "#1E90FF"], ["Chess", null]]) {
+          const res = await api("POST", "/api/categories", { as: "olga", body: { name, icon: "music", color } });
+          assert.equal(res.status, 201, JSON.stringify(res.body));
+          created[name] = res.body.category_id;
+        }
+        assert.equal((await api("GET", `/api/categories/${created.Jazz}`)).body.color, "#1e90ff");
+        const duplicate = await api("PATCH", `/api/categories/${created.Chess}`, { as: "olga", body: { name: "jazz" } });
+        assert.equal(duplicate.status, 409);
+      },
+    ],
+    [
+      "followers hear about newly approved events in the category",
+      async ({ api, db, users }) => {
+        const follow = await api("POST", `/api/categories/${created.Jazz}/follow`, { as: "ana" });
+        assert.equal(follow.status, 200, JSON.stringify(follow.body));
+        await api("POST", `/api/categories/${created.Jazz}/follow`, { as: "ana" });
+        const following = await api("GET", "/api/categories/following", { as: "ana" });
+        assert.deepEqual(
+          following.body.map((c) => [c.name, c.follower_count]),
+          [["Jazz", 1]]
+        );
+
+        const draftId = await db.insert(
+          "draft_events",
+          {
+            title: "Late jam",
+            category_id: created.Jazz,
+            start_time: new Date(Date.now() + 24 * 60 * 60 * 1000),
+            submitted_by: users.olga.user_id,
+            status: "pending",
+          },
+          "draft_id"
+        );
+        const approve = await api("PUT", `/api/drafts/${draftId}/approve`, { as: "olga" });
+        assert.equal(approve.status, 200, JSON.stringify(approve.body));
+
+        const notifications = await api("GET", "/api/notifications/user", { as: "ana" });
+        assert.deepEqual(
+          notifications.body.map((n) => n.title),
+          ["New Jazz event: Late jam"]
+        );
+        const event = await api("GET", `/api/events/${approve.body.eventId}`);
+        assert.equal(event.body.category, "Jazz");
+        const jazz = await api("GET", `/api/categories/${created.Jazz}`, { as: "ana" });
+        assert.equal(jazz.body.event_count, 1);
+        assert.equal(jazz.body.following, true);
+      },
+    ],
+    [
+      "a category in use is only deleted with a replacement",
+      async ({ api }) => {
+        const refused = await api("DELETE", `/api/categories/${created.Jazz}`, { as: "olga" });
+        assert.equal(refused.status, 409);
+        // The event and the draft it was approved from
+        assert.equal(refused.body.in_use, 2);
+        const moved = await api("DELETE", `/api/categories/${created.Jazz}?reassign_to=${created.Chess}`, { as: "olga" });
+        assert.equal(moved.status, 200, JSON.stringify(moved.body));
+        assert.equal(moved.body.reassigned, 2);
+
+        const chess = await api("GET", `/api/categories/${created.Chess}`);
+        assert.equal(chess.body.event_count, 1);
+        assert.equal((await api("GET", "/api/categories/following", { as: "ana" })).body.length, 0);
+      },
+    ],
+  ]
+);
@@ -0,0 +1,232 @@
+// scripts/smoke/checkin.js
+// Smoke test of door check-in: organizers delegate check-in staff, who scan
+// ticket codes and QR payloads, search attendees, undo mistakes and follow
+// live counts; scanners verify QR tokens offline with the event's public key
+// and upload their scans later; events requiring attendance only take reviews
+// from attendees who were checked in.
+// Usage: node scripts/smoke/run.js checkin   (exits non-zero on failure)
+import assert from "assert/strict";
+import crypto from "crypto";
+import { runSmoke } from "./lib.js";
+
+const SIGNING_SECRET = "smoke-ticket-secret";
+const HOUR = 60 * 60 * 1000;
+const tickets = {}; // username -> ticket of the gig
+
+// A QR payload in the HMAC-signed format tickets showed before Ed25519 tokens
+function legacyQrPayload(ticket) {
+  const data = `EVZ1.${ticket.ticket_id}.${ticket.event_id}.${ticket.ticket_code}`;
+  return `${data}.${crypto.createHmac("sha256", SIGNING_SECRET).update(data).digest("base64url")}`;
+}
+
+async function ticketOf(api, as, event) {
+  const reg = await api("POST", "/api/registrations", { as, body: { event_id: event.event_id } });
+  assert.equal(reg.status, 200, JSON.stringify(reg.body));
+  const ticket = await api("GET", `/api/tickets/${reg.body.ticket_ids[0]}`, { as });
+  return { ...ticket.body, registration_id: reg.body.registration_id };
+}
+
+runSmoke(
+  "Door check-in",
+  {
+    users: [
+      { username: "organizer", role: "admin" },
+      { username: "door" },
+      ...["ana", "ben", "cai", "dan", "eve"].map((username) => ({ username })),
+    ],
+    events: {
+      gig: { created_by: "organizer", capacity: 10 },
+      other: { created_by: "organizer", capacity: 10 },
+    },
+    env: {
+      TICKET_SIGNING_SECRET: SIGNING_SECRET,
+      TICKET_LEGACY_QR_UNTIL: new Date(Date.now() - HOUR).toISOString(),
+    },
+  },
+  [
+    [
+      "organizers delegate check-in staff",
+      async ({ api, events }) => {
+        const base = `/api/events/${events.gig.event_id}/checkin`;
+        const add = await api("POST", `${base}/staff`, { as: "organizer", body: { username: "door" } });
+        assert.equal(add.status, 201, JSON.stringify(add.body));
+        assert.equal(add.body.username, "door");
+        assert.equal((await api("POST", `${base}/staff`, { as: "organizer", body: { username: "door" } })).status, 409);
+        assert.equal((await api("POST", `${base}/staff`, { as: "organizer", body: { username: "nobody" } })).status, 404);
+
+        const mine = await api("GET", "/api/staff/events", { as: "door" });
+        assert.deepEqual(
+          mine.body.map((e) => e.event_id),
+          [events.gig.event_id]
+        );
+        assert.equal((await api("GET", `/api/events/${events.other.event_id}/checkin/stats`, { as: "door" })).status, 403);
+      },
+    ],
+    [
+      "an event has no signing key before its first ticket",
+      async ({ api, events }) => {
+        assert.equal((await api("GET", `/api/events/${events.gig.event_id}/checkin/key`)).status, 404);
+        assert.equal((await api("GET", "/api/events/999999/checkin/key")).status, 404);
+      },
+    ],
+    [
+      "attendees cannot check anyone in",
+      async ({ api, events }) => {
+        for (const username of ["ana", "ben", "cai"]) tickets[username] = await ticketOf(api, username, events.gig);
+        tickets.other = await ticketOf(api, "ana", events.other);
+        for (const username of ["dan", "eve"]) tickets[username] = await ticketOf(api, username, events.gig);
+        const scan = await api("POST", `/api/events/${events.gig.event_id}/checkin/scan`, {
+          as: "ana",
+          body: { code: tickets.ana.ticket_code },
+        });
+        assert.equal(scan.status, 403);
+      },
+    ],
+    [
+      "staff check tickets in once by code or QR",
+      async ({ api, db, events }) => {
+        const scan = (body) => api("POST", `/api/events/${events.gig.event_id}/checkin/scan`, { as: "door", body });
+        // Typed codes may come without dashes and in lower case
+        const typed = tickets.ana.ticket_code.replace(/-/g, "").toLowerCase();
+        const first = await scan({ code: typed });
+        assert.equal(first.status, 200, JSON.stringify(first.body));
+        assert.equal(first.body.result, "checked_in");
+        const again = await scan({ qr: tickets.ana.qr_payload });
+        assert.equal(again.status, 409);
+        assert.equal(again.body.result, "already_checked_in");
+
+        const qr = await scan({ qr: tickets.ben.qr_payload });
+        assert.equal(qr.body.result, "checked_in", JSON.stringify(qr.body));
+        // cai's claims with ben's signature
+        const forged = await scan({ qr: tickets.cai.qr_payload.replace(/[^.]+$/, tickets.ben.qr_payload.split(".").pop()) });
+        assert.equal(forged.body.result, "invalid");
+        assert.equal((await scan({ code: tickets.other.ticket_code })).body.result, "wrong_event");
+        assert.equal((await scan({ code: "EVZ-00000-00000-00000-00000" })).body.result, "not_found");
+
+        const [rows] = await db.query("SELECT attended FROM registrations WHERE registration_id = ?", [
+          tickets.ana.registration_id,
+        ]);
+        assert.equal(Number(rows[0].attended), 1);
+      },
+    ],
+    [
+      "staff find attendees by name, check them in by hand and undo",
+      async ({ api, db, events }) => {
+        const base = `/api/events/${events.gig.event_id}/checkin`;
+        assert.equal((await api("GET", `${base}/search?q=c`, { as: "door" })).status, 400);
+        const search = await api("GET", `${base}/search?q=CAI`, { as: "door" });
+        assert.deepEqual(
+          search.body.tickets.map((t) => t.attendee.username),
+          ["cai"]
+        );
+        const manual = await api("POST", `${base}/tickets/${tickets.cai.ticket_id}`, { as: "door" });
+        assert.equal(manual.body.result, "checked_in", JSON.stringify(manual.body));
+
+        const undo = await api("DELETE", `${base}/tickets/${tickets.ben.ticket_id}`, { as: "door" });
+        assert.equal(undo.body.result, "undone", JSON.stringify(undo.body));
+        assert.equal((await api("DELETE", `${base}/tickets/${tickets.ben.ticket_id}`, { as: "door" })).status, 409);
+        const [rows] = await db.query("SELECT attended FROM registrations WHERE registration_id = ?", [
+          tickets.ben.registration_id,
+        ]);
+        assert.equal(Number(rows[0].attended), 0);
+      },
+    ],
+    [
+      "void tickets are refused at the door",
+      async ({ api, events }) => {
+        const cancel = await api("DELETE", `/api/registrations/cancel/${tickets.other.registration_id}`, { as: "ana" });
+        assert.equal(cancel.status, 200, JSON.stringify(cancel.body));
+        const scan = await api("POST", `/api/events/${events.other.event_id}/checkin/scan`, {
+          as: "organizer",
+          body: { code: tickets.other.ticket_code },
+        });
+        assert.equal(scan.status, 409);
+        assert.equal(scan.body.result, "void");
+      },
+    ],
+    [
+      "live counts follow check-ins and undos",
+      async ({ api, events }) => {
+        const stats = await api("GET", `/api/events/${events.gig.event_id}/checkin/stats`, { as: "door" });
+        assert.equal(stats.status, 200, JSON.stringify(stats.body));
+        assert.deepEqual([stats.body.total, stats.body.checked_in, stats.body.remaining], [5, 2, 3]);
+        assert.deepEqual(
+          stats.body.recent.map((c) => c.action),
+          ["undo", "check_in", "check_in", "check_in"]
+        );
+      },
+    ],
+    [
+      "scanners verify QR tokens offline with the published key",
+      async ({ api, events }) => {
+        const key = await api("GET", `/api/events/${events.gig.event_id}/checkin/key`);
+        assert.equal(key.status, 200, JSON.stringify(key.body));
+        const publicKey = crypto.createPublicKey({ key: { kty: "OKP", crv: "Ed25519", x: key.body.public_key }, format: "jwk" });
+        const [prefix, claims, signature] = tickets.dan.qr_payload.split(".");
+        assert.ok(crypto.verify(null, Buffer.from(`${prefix}.${claims}`), publicKey, Buffer.from(signature, "base64url")));
+        const { t, e, exp } = JSON.parse(Buffer.from(claims, "base64url").toString("utf8"));
+        assert.deepEqual([t, e], [tickets.dan.ticket_id, events.gig.event_id]);
+        assert.ok(exp * 1000 > new Date(events.gig.end_time).getTime());
+      },
+    ],
+    [
+      "offline uploads report double entries and re-uploads",
+      async ({ api, events }) => {
+        const upload = (scans) =>
+          api("POST", `/api/events/${events.gig.event_id}/checkin/offline`, { as: "door", body: { device_id: "gate-2", scans } });
+        const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+        const first = await upload([
+          { client_scan_id: "s2", code: tickets.dan.ticket_code, scanned_at: minutesAgo(5) },
+          { client_scan_id: "s1", qr: tickets.dan.qr_payload, scanned_at: minutesAgo(10) },
+          { client_scan_id: "s3", qr: tickets.ana.qr_payload, scanned_at: minutesAgo(1) },
+          { client_scan_id: "s4", code: tickets.ben.ticket_code, scanned_at: "yesterday-ish" },
+        ]);
+        assert.equal(first.status, 200, JSON.stringify(first.body));
+        assert.deepEqual(
+          first.body.results.map((r) => r.result),
+          ["double_entry", "checked_in", "double_entry", "invalid"]
+        );
+        assert.deepEqual(first.body.summary, { double_entry: 2, checked_in: 1, invalid: 1 });
+
+        const again = await upload([{ client_scan_id: "s1", qr: tickets.dan.qr_payload, scanned_at: minutesAgo(10) }]);
+        assert.equal(again.body.results[0].result, "duplicate");
+        const stats = await api("GET", `/api/events/${events.gig.event_id}/checkin/stats`, { as: "door" });
+        assert.equal(stats.body.double_entries, 2);
+      },
+    ],
+    [
+      "legacy QR payloads are only accepted for scans before the cutoff",
+      async ({ api, events }) => {
+        const qr = legacyQrPayload(tickets.eve);
+        const live = await api("POST", `/api/events/${events.gig.event_id}/checkin/scan`, { as: "door", body: { qr } });
+        assert.equal(live.status, 409);
+        assert.equal(live.body.result, "reissue_required");
+
+        const offline = await api("POST", `/api/events/${events.gig.event_id}/checkin/offline`, {
+          as: "door",
+          body: { scans: [{ client_scan_id: "legacy-1", qr, scanned_at: new Date(Date.now() - 2 * HOUR).toISOString() }] },
+        });
+        assert.equal(offline.body.results[0].result, "checked_in", JSON.stringify(offline.body));
+      },
+    ],
+    [
+      "events requiring attendance take reviews from attendees only",
+      async ({ api, db, events }) => {
+        const patch = await api("PATCH", `/api/events/${events.gig.event_id}`, {
+          as: "organizer",
+          body: { attendance_required: true },
+        });
+        assert.equal(patch.status, 200, JSON.stringify(patch.body));
+        await db.query("UPDATE events SET start_time = ?, end_time = ? WHERE event_id = ?", [
+          new Date(Date.now() - 3 * 60 * 60 * 1000),
+          new Date(Date.now() - 60 * 60 * 1000),
+          events.gig.event_id,
+        ]);
+        const review = (as) => api("POST", "/api/reviews", { as, body: { event_id: events.gig.event_id, rating: 5 } });
+        const attended = await review("ana");
+        assert.equal(attended.status, 200, JSON.stringify(attended.body));
+        assert.equal((await review("ben")).status, 403);
+      },
+    ],
+  ]
+);
@@ -0,0 +1,78 @@
+// scripts/smoke/database.js
+// Smoke test of the migrations and the SQLite driver: every migration applies,
+// rolls back and applies again, the seeder loads on top, and statements
+// outside a transaction wait for it instead of joining it.
+// Usage: node scripts/smoke/run.js database   (exits non-zero on failure)
+import assert from "assert/strict";
+import { runScript, runSmoke } from "./lib.js";
+
+// Imported once lib.js has pointed DATABASE_URL at the smoke database
+const migrator = () => import("../../utils/migrator.js");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function count(db, table) {
+  const [rows] = await db.query(`SELECT COUNT(*) AS n FROM ${table}`);
+  return Number(rows[0].n);
+}
+
+runSmoke("Migrations and the SQLite driver", { server: false }, [
+  [
+    "every migration is applied",
+    async () => {
+      const { listMigrations, migrateUp, migrationStatus } = await migrator();
+      const status = await migrationStatus();
+      assert.equal(status.length, listMigrations().length);
+      assert.deepEqual(status.filter((m) => !m.applied), []);
+      assert.deepEqual(await migrateUp(), []);
+    },
+  ],
+  [
+    "rolling everything back drops the schema and it applies again",
+    async ({ db }) => {
+      const { listMigrations, migrateDown, migrateUp } = await migrator();
+      const all = listMigrations().length;
+      assert.equal((await migrateDown({ steps: all })).length, all);
+      assert.equal(await db.hasTable("users"), false);
+      assert.equal(await db.hasTable("events"), false);
+      assert.equal((await migrateUp()).length, all);
+      assert.equal(await db.hasTable("users"), true);
+    },
+  ],
+  [
+    "the seeder loads the sample data and can run again",
+    async (ctx) => {
+      const first = await runScript(ctx, "scripts/seed.js");
+      assert.equal(first.code, 0, first.output);
+      const events = await count(ctx.db, "events");
+      assert.ok(events > 0, "seeded events");
+      const again = await runScript(ctx, "scripts/seed.js");
+      assert.equal(again.code, 0, again.output);
+      assert.equal(await count(ctx.db, "events"), events);
+    },
+  ],
+  [
+    "statements outside a transaction are not rolled back with it",
+    async ({ db }) => {
+      const before = await count(db, "categories");
+      const failing = db.transaction(async (conn) => {
+        await conn.query("INSERT INTO categories (name) VALUES (?)", ["Smoke rolled back"]);
+        await sleep(50);
+        // Inside the callback db.query belongs to the transaction instead of waiting for it
+        await db.query("INSERT INTO categories (name) VALUES (?)", ["Smoke rolled back too"]);
+        throw new Error("rollback");
+      });
+      await sleep(10);
+      const outside = db.query("INSERT INTO categories (name) VALUES (?)", ["Smoke kept"]);
+      await assert.rejects(failing, /rollback/);
+      await outside;
+
+      const [rows] = await db.query("SELECT name FROM categories WHERE name LIKE 'Smoke%'");
+      assert.deepEqual(
+        rows.map((r) => r.name),
+        ["Smoke kept"]
+      );
+      assert.equal(await count(db, "categories"), before + 1);
+    },
+  ],
+]);
@@ -0,0 +1,105 @@
+// scripts/smoke/event_lifecycle.js
+// Smoke test of organizer event management: edits that registrants hear
+// about, the published/postponed/cancelled lifecycle, and deleting events
+// only once nobody is registered or the event was cancelled.
+// Usage: node scripts/smoke/run.js event_lifecycle   (exits non-zero on failure)
+import assert from "assert/strict";
+import { runSmoke } from "./lib.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+async function notificationTitles(api, as) {
+  const res = await api("GET", "/api/notifications/user", { as });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body.map((n) => n.title);
+}
+
+runSmoke(
+  "Event edit, lifecycle and delete",
+  {
+    users: [{ username: "olga", role: "admin" }, { username: "omar", role: "admin" }, { username: "ana" }, { username: "ben" }],
+    events: { meetup: { created_by: "olga", capacity: 10 }, spare: { created_by: "olga" } },
+  },
+  [
+    [
+      "organizers edit their own events and registrants are told about new times",
+      async ({ api, events }) => {
+        const id = events.meetup.event_id;
+        const register = await api("POST", "/api/registrations", { as: "ana", body: { event_id: id } });
+        assert.equal(register.status, 200, JSON.stringify(register.body));
+
+        const other = await api("PATCH", `/api/events/${id}`, { as: "omar", body: { title: "Mine now" } });
+        assert.equal(other.status, 403);
+        const invalid = await api("PATCH", `/api/events/${id}`, { as: "olga", body: { capacity: -1 } });
+        assert.equal(invalid.status, 400);
+
+        const start = new Date(Date.now() + 3 * DAY);
+        const edit = await api("PATCH", `/api/events/${id}`, {
+          as: "olga",
+          body: { start_time: start.toISOString(), end_time: new Date(start.getTime() + 2 * 3600 * 1000).toISOString() },
+        });
+        assert.equal(edit.status, 200, JSON.stringify(edit.body));
+        assert.equal(edit.body.notified, 1);
+        assert.ok((await notificationTitles(api, "ana")).some((t) => t.startsWith("Event updated")));
+
+        const titleOnly = await api("PATCH", `/api/events/${id}`, { as: "olga", body: { title: "Renamed meetup" } });
+        assert.equal(titleOnly.body.notified, 0);
+      },
+    ],
+    [
+      "postponed events take no registrations until rescheduled",
+      async ({ api, events }) => {
+        const id = events.meetup.event_id;
+        const postpone = await api("PATCH", `/api/events/${id}/status`, {
+          as: "olga",
+          body: { status: "postponed", reason: "Venue flooded" },
+        });
+        assert.equal(postpone.status, 200, JSON.stringify(postpone.body));
+        assert.equal(postpone.body.notified, 1);
+        const refused = await api("POST", "/api/registrations", { as: "ben", body: { event_id: id } });
+        assert.equal(refused.status, 409);
+
+        const noDate = await api("PATCH", `/api/events/${id}/status`, { as: "olga", body: { status: "published" } });
+        assert.equal(noDate.status, 400);
+        const completed = await api("PATCH", `/api/events/${id}/status`, { as: "olga", body: { status: "completed" } });
+        assert.equal(completed.status, 409);
+        const publish = await api("PATCH", `/api/events/${id}/status`, {
+          as: "olga",
+          body: { status: "published", start_time: new Date(Date.now() + 7 * DAY).toISOString(), end_time: null },
+        });
+        assert.equal(publish.status, 200, JSON.stringify(publish.body));
+        const register = await api("POST", "/api/registrations", { as: "ben", body: { event_id: id } });
+        assert.equal(register.status, 200, JSON.stringify(register.body));
+      },
+    ],
+    [
+      "events with registrations are cancelled before they are deleted",
+      async ({ api, events }) => {
+        const id = events.meetup.event_id;
+        const early = await api("DELETE", `/api/events/${id}`, { as: "olga" });
+        assert.equal(early.status, 409);
+
+        const cancel = await api("PATCH", `/api/events/${id}/status`, { as: "olga", body: { status: "cancelled" } });
+        assert.equal(cancel.status, 200, JSON.stringify(cancel.body));
+        assert.equal(cancel.body.notified, 2);
+        const edit = await api("PATCH", `/api/events/${id}`, { as: "olga", body: { title: "Back on" } });
+        assert.equal(edit.status, 409);
+        const reopen = await api("PATCH", `/api/events/${id}/status`, { as: "olga", body: { status: "published" } });
+        assert.equal(reopen.status, 409);
+
+        const del = await api("DELETE", `/api/events/${id}`, { as: "olga" });
+        assert.equal(del.status, 200, JSON.stringify(del.body));
+        assert.equal((await api("GET", `/api/events/${id}`)).status, 404);
+      },
+    ],
+    [
+      "events nobody registered for are deleted directly, by their organizer only",
+      async ({ api, events }) => {
+        const id = events.spare.event_id;
+        assert.equal((await api("DELETE", `/api/events/${id}`, { as: "omar" })).status, 403);
+        assert.equal((await api("DELETE", `/api/events/${id}`, { as: "olga" })).status, 200);
+        assert.equal((await api("DELETE", `/api/events/${id}`, { as: "olga" })).status, 404);
+      },
+    ],
+  ]
+);
@@ -0,0 +1,100 @@
+// scripts/smoke/event_search.js
+// Smoke test of the public event search: text, price, location and status
+// filters, sorting, and page and cursor pagination walking the same results.
+// Usage: node scripts/smoke/run.js event_search   (exits non-zero on failure)
+import assert from "assert/strict";
+import { runSmoke } from "./lib.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const inDays = (days) => new Date(Date.now() + days * DAY);
+const event = (title, description, fields, startsInDays) => ({
+  created_by: "olga",
+  title,
+  description,
+  start_time: inDays(startsInDays),
+  end_time: inDays(startsInDays + 0.1),
+  ...fields,
+});
+
+const titles = (res) => res.body.data.map((e) => e.title);
+
+runSmoke(
+  "Event search and pagination",
+  {
+    users: [{ username: "olga", role: "admin" }],
+    events: {
+      jazz: event("Jazz night", "Live music downtown", { price: 15, location: "Blue Note, Lisbon" }, 3),
+      code: event("Code dojo", "Practice katas_together", { price: 0, location: "Porto hub" }, 1),
+      rock: event("Rock music fest", "Three stages", { price: 40, location: "Lisbon arena" }, 5),
+      quiz: event("Pub quiz", "Music round included", { price: 0, location: "Porto", status: "cancelled" }, 2),
+      past: event("Old music meetup", null, { price: 0 }, -3),
+    },
+  },
+  [
+    [
+      "upcoming published events come sorted by start time",
+      async ({ api }) => {
+        const res = await api("GET", "/api/events");
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+        assert.deepEqual(titles(res), ["Code dojo", "Jazz night", "Rock music fest"]);
+        assert.equal(res.body.pagination.total, 3);
+        const desc = await api("GET", "/api/events?sort=-start_time");
+        assert.deepEqual(titles(desc), ["Rock music fest", "Jazz night", "Code dojo"]);
+      },
+    ],
+    [
+      "filters combine",
+      async ({ api }) => {
+        assert.deepEqual(titles(await api("GET", "/api/events?q=music")), ["Jazz night", "Rock music fest"]);
+        assert.deepEqual(titles(await api("GET", "/api/events?q=music&include_past=true&status=all")), [
+          "Old music meetup",
+          "Pub quiz",
+          "Jazz night",
+          "Rock music fest",
+        ]);
+        assert.deepEqual(titles(await api("GET", "/api/events?price=free")), ["Code dojo"]);
+        assert.deepEqual(titles(await api("GET", "/api/events?location=lisbon&sort=-price")), ["Rock music fest", "Jazz night"]);
+        assert.deepEqual(titles(await api("GET", "/api/events?status=cancelled")), ["Pub quiz"]);
+        // LIKE wildcards in the search term are matched literally
+        assert.deepEqual(titles(await api("GET", "/api/events?q=katas_")), ["Code dojo"]);
+        assert.deepEqual(titles(await api("GET", "/api/events?q=k%25s")), []);
+      },
+    ],
+    [
+      "invalid parameters are rejected",
+      async ({ api }) => {
+        for (const query of ["sort=venue", "limit=0", "limit=500", "page=0", "price=cheap", "status=draft", "sort=relevance", "from=soon"]) {
+          const res = await api("GET", `/api/events?${query}`);
+          assert.equal(res.status, 400, `${query}: ${JSON.stringify(res.body)}`);
+        }
+      },
+    ],
+    [
+      "page and cursor pagination return the same sequence",
+      async ({ api }) => {
+        const pages = [];
+        for (let page = 1; page <= 2; page++) {
+          const res = await api("GET", `/api/events?limit=2&page=${page}`);
+          assert.equal(res.body.pagination.total_pages, 2);
+          pages.push(...titles(res));
+        }
+
+        const walked = [];
+        let cursor = "";
+        do {
+          const res = await api("GET", `/api/events?limit=2&cursor=${cursor}`);
+          assert.equal(res.status, 200, JSON.stringify(res.body));
+          walked.push(...titles(res));
+          cursor = res.body.pagination.next_cursor;
+        } while (cursor);
+        assert.deepEqual(walked, pages);
+        assert.deepEqual(walked, ["Code dojo", "Jazz night", "Rock music fest"]);
+
+        const mismatched = await api("GET", `/api/events?limit=1&cursor=${encodeURIComponent(
+          (await api("GET", "/api/events?limit=1&cursor=")).body.pagination.next_cursor
+        )}&sort=title`);
+        assert.equal(mismatched.status, 400);
+      },
+    ],
+  ]
+);
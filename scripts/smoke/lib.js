@@ -0,0 +1,231 @@
+// scripts/smoke/lib.js
+// Shared setup for the smoke tests in this folder, which run real requests
+// against the API on the SQLite driver. startSmoke() creates a throwaway
+// database, migrates it, inserts the given users and events and starts
+// server.js on a free port; stop() shuts the server down and deletes the
+// database again.
+import assert from "assert/strict";
+import { spawn } from "child_process";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import bcrypt from "bcryptjs";
+
+export const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "..");
+
+export const SMOKE_PASSWORD = "Smoke@12345";
+
+const HOUR = 60 * 60 * 1000;
+
+/** Resolve to a TCP port that is free right now. */
+export function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on("error", reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function startServer(env) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ["server.js"], { cwd: ROOT, env, stdio: ["ignore", "pipe", "pipe"] });
+    let output = "";
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`server did not start within 20s:\n${output}`));
+    }, 20 * 1000);
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes("Server running")) {
+        clearTimeout(timer);
+        resolve({ child, log: () => output });
+      }
+    };
+    child.stdout.on("data", (chunk) => onData(chunk));
+    child.stderr.on("data", (chunk) => (output += chunk));
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`server exited with code ${code}:\n${output}`));
+    });
+  });
+}
+
+/**
+ * Run a script from the repo with the smoke database, resolving to
+ * { code, output } once it exits.
+ */
+export function runScript(ctx, script, args = [], env = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [script, ...args], {
+      cwd: ROOT,
+      env: { ...process.env, DATABASE_URL: ctx.databaseUrl, ...env },
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+    let output = "";
+    child.stdout.on("data", (chunk) => (output += chunk));
+    child.stderr.on("data", (chunk) => (output += chunk));
+    child.on("error", reject);
+    child.on("exit", (code) => resolve({ code, output }));
+  });
+}
+
+// Decode the text body of an .eml file written by the file mail transport
+function readMail(file) {
+  const raw = fs.readFileSync(file, "utf8");
+  const split = raw.indexOf("\r\n\r\n");
+  const head = raw.slice(0, split);
+  let text = raw.slice(split + 4);
+  if (/^Content-Transfer-Encoding: quoted-printable/im.test(head)) {
+    text = text.replace(/=\r?\n/g, "").replace(/=([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  }
+  const header = (name) => (head.match(new RegExp(`^${name}: (.*)$`, "im")) || [])[1] || "";
+  return { to: header("To"), subject: header("Subject"), text };
+}
+
+/**
+ * Start a smoke run. `users` are { username, role } (password SMOKE_PASSWORD),
+ * `events` are events rows with created_by given as a username; start_time
+ * defaults to a day from now. `env` is added to the server's environment;
+ * with `server: false` only the database is set up.
+ *
+ * Returns { db, dir, databaseUrl, users, events, api, login, mails, stop }
+ * where users and events map usernames / event keys to their rows (users also
+ * carry a login token), api(method, path, { as, token, body, headers }) calls
+ * the server as user `as` (or with the bearer `token`), resolving to
+ * { status, body, headers }, and mails(to) lists the { to, subject, text } of
+ * the mails the server sent to that address, oldest first.
+ */
+export async function startSmoke({ users = [], events = {}, env = {}, server: withServer = true } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "evenza-smoke-"));
+  const databaseUrl = `sqlite:${path.join(dir, "smoke.db")}`;
+  // db.js picks its driver from DATABASE_URL when first imported
+  process.env.DATABASE_URL = databaseUrl;
+  const { default: db } = await import("../../db.js");
+  const { migrateUp } = await import("../../utils/migrator.js");
+  await migrateUp();
+
+  const password = await bcrypt.hash(SMOKE_PASSWORD, 4);
+  const userRows = {};
+  for (const { username, role = "user" } of users) {
+    const row = { username, email: `${username}@smoke.local`, password, role };
+    userRows[username] = { ...row, user_id: await db.insert("users", row, "user_id") };
+  }
+  const eventRows = {};
+  for (const [key, { created_by, ...fields }] of Object.entries(events)) {
+    const row = {
+      title: `Smoke ${key}`,
+      start_time: new Date(Date.now() + 24 * HOUR),
+      end_time: new Date(Date.now() + 26 * HOUR),
+      created_by: userRows[created_by].user_id,
+      ...fields,
+    };
+    eventRows[key] = { ...row, event_id: await db.insert("events", row, "event_id") };
+  }
+
+  const ctx = { db, dir, databaseUrl, users: userRows, events: eventRows, serverLog: () => "" };
+  ctx.stop = async () => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+  if (!withServer) return ctx;
+
+  const port = await freePort();
+  const server = await startServer({
+    ...process.env,
+    DATABASE_URL: databaseUrl,
+    PORT: String(port),
+    NODE_ENV: "test",
+    MAIL_TRANSPORT: "file",
+    MAIL_DIR: path.join(dir, "mail"),
+    // Every request comes from localhost; keep the per-IP login throttle out of the way
+    LOGIN_RATE_LIMIT: "1000",
+    ...env,
+  });
+  server.child.removeAllListeners("exit");
+  ctx.baseUrl = `http://localhost:${port}`;
+  ctx.serverLog = server.log;
+
+  ctx.api = async (method, urlPath, { as = null, token = null, body, headers = {} } = {}) => {
+    const allHeaders = { "Content-Type": "application/json", ...headers };
+    const bearer = token || (as && userRows[as].token);
+    if (bearer) allHeaders.Authorization = `Bearer ${bearer}`;
+    const res = await fetch(`${ctx.baseUrl}${urlPath}`, {
+      method,
+      headers: allHeaders,
+      body: body === undefined ? undefined : JSON.stringify(body),
+      redirect: "manual",
+    });
+    const text = await res.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      // Not JSON (e.g. an image or a calendar); keep the text
+    }
+    return { status: res.status, body: parsed, headers: res.headers };
+  };
+
+  ctx.mails = (to) => {
+    const mailDir = path.join(dir, "mail");
+    if (!fs.existsSync(mailDir)) return [];
+    return fs
+      .readdirSync(mailDir)
+      .sort()
+      .map((file) => readMail(path.join(mailDir, file)))
+      .filter((mail) => mail.to.includes(to));
+  };
+
+  ctx.login = async (username, password = SMOKE_PASSWORD) =>
+    ctx.api("POST", "/api/auth/login", { body: { username, password } });
+
+  ctx.stop = async () => {
+    if (server.child.exitCode === null) {
+      await new Promise((resolve) => {
+        server.child.once("exit", resolve);
+        server.child.kill();
+      });
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  try {
+    for (const user of Object.values(userRows)) {
+      const res = await ctx.login(user.username);
+      assert.equal(res.status, 200, `login ${user.username}: ${JSON.stringify(res.body)}`);
+      user.token = res.body.token;
+    }
+  } catch (err) {
+    await ctx.stop();
+    throw err;
+  }
+  return ctx;
+}
+
+/**
+ * Run the named `steps` (async functions taking the smoke context) in order,
+ * printing each result. Stops at the first failure and exits non-zero.
+ */
+export async function runSmoke(title, setup, steps) {
+  console.log(`🧪 ${title}`);
+  let ctx;
+  let failed = false;
+  try {
+    ctx = await startSmoke(setup);
+    for (const [name, step] of steps) {
+      await step(ctx);
+      console.log(`   ✅ ${name}`);
+    }
+  } catch (err) {
+    failed = true;
+    console.error(`   ❌ ${err.stack || err}`);
+    if (ctx) console.error(`--- server log ---\n${ctx.serverLog().split("\n").slice(-40).join("\n")}`);
+  } finally {
+    await ctx?.stop();
+  }
+  process.exit(failed ? 1 : 0);
+}
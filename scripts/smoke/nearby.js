@@ -0,0 +1,71 @@
+// scripts/smoke/nearby.js
+// Smoke test of the nearby event search with the offline stub geocoder:
+// distance ordering and radius, searching around an address, and edited
+// event locations being geocoded.
+// Usage: node scripts/smoke/run.js nearby   (exits non-zero on failure)
+import assert from "assert/strict";
+import { runSmoke } from "./lib.js";
+
+const titles = (res) => res.body.data.map((e) => e.title);
+
+// Around central London: the gallery is ~1 km away, the park ~9 km, Brighton ~75 km
+const LONDON = { lat: 51.5074, lng: -0.1278 };
+
+runSmoke(
+  "Nearby events",
+  {
+    users: [{ username: "olga", role: "admin" }],
+    env: { GEOCODER: "stub" },
+    events: {
+      park: { created_by: "olga", title: "Park run", latitude: 51.4426, longitude: -0.0526 },
+      gallery: { created_by: "olga", title: "Gallery tour", latitude: 51.5089, longitude: -0.1430 },
+      seaside: { created_by: "olga", title: "Seaside swim", latitude: 50.8225, longitude: -0.1372 },
+      online: { created_by: "olga", title: "Online talk" },
+      moved: { created_by: "olga", title: "Moving meetup", location: "Somewhere" },
+    },
+  },
+  [
+    [
+      "events within the radius come nearest first with their distance",
+      async ({ api }) => {
+        const res = await api("GET", `/api/events/nearby?lat=${LONDON.lat}&lng=${LONDON.lng}&radius=20`);
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+        assert.deepEqual(titles(res), ["Gallery tour", "Park run"]);
+        const [gallery, park] = res.body.data;
+        assert.ok(gallery.distance_km > 0.5 && gallery.distance_km < 2, String(gallery.distance_km));
+        assert.ok(park.distance_km > 5 && park.distance_km < 15, String(park.distance_km));
+
+        const wide = await api("GET", `/api/events/nearby?lat=${LONDON.lat}&lng=${LONDON.lng}&radius=100`);
+        assert.deepEqual(titles(wide), ["Gallery tour", "Park run", "Seaside swim"]);
+      },
+    ],
+    [
+      "an address is geocoded into the search center",
+      async ({ api }) => {
+        const res = await api("GET", "/api/events/nearby?address=London&radius=5");
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+        assert.deepEqual(titles(res), ["Gallery tour"]);
+        assert.deepEqual(res.body.center, { latitude: LONDON.lat, longitude: LONDON.lng });
+
+        const unknown = await api("GET", "/api/events/nearby?address=Atlantis");
+        assert.equal(unknown.status, 400);
+        for (const query of ["lat=91&lng=0", "lat=10", `lat=${LONDON.lat}&lng=${LONDON.lng}&radius=0`]) {
+          assert.equal((await api("GET", `/api/events/nearby?${query}`)).status, 400, query);
+        }
+      },
+    ],
+    [
+      "editing an event's location geocodes it",
+      async ({ api, events }) => {
+        const edit = await api("PATCH", `/api/events/${events.moved.event_id}`, {
+          as: "olga",
+          body: { location: "Hall 2, London" },
+        });
+        assert.equal(edit.status, 200, JSON.stringify(edit.body));
+        assert.equal(Number(edit.body.event.latitude), LONDON.lat);
+        const res = await api("GET", "/api/events/nearby?address=London&radius=5");
+        assert.deepEqual(titles(res), ["Moving meetup", "Gallery tour"]);
+      },
+    ],
+  ]
+);
@@ -0,0 +1,107 @@
+// scripts/smoke/oidc.js
+// Smoke test of the OpenID Connect login against scripts/mock_oidc.js: the
+// PKCE redirect round trip, the one-time code exchange, and linking
+// identities to existing accounts only through a verified email.
+// Usage: node scripts/smoke/run.js oidc   (exits non-zero on failure)
+import assert from "assert/strict";
+import { spawn } from "child_process";
+import { ROOT, freePort, runSmoke } from "./lib.js";
+
+const CLIENT_ID = "evenza-local";
+const CLIENT_SECRET = "evenza-local-secret";
+
+// Start the mock provider and resolve once it listens
+function startProvider(port) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ["scripts/mock_oidc.js"], {
+      cwd: ROOT,
+      env: { ...process.env, MOCK_OIDC_PORT: String(port), OIDC_CLIENT_ID: CLIENT_ID, OIDC_CLIENT_SECRET: CLIENT_SECRET },
+      stdio: ["ignore", "pipe", "inherit"],
+    });
+    child.on("exit", (code) => reject(new Error(`mock OIDC provider exited with code ${code}`)));
+    child.stdout.on("data", (chunk) => {
+      if (String(chunk).includes("Mock OIDC provider on")) resolve(child);
+    });
+  });
+}
+
+// Follow the browser redirects of an SSO login; returns the query of the
+// final redirect to the frontend (code or error) and the callback URL used
+async function ssoLogin(api, email) {
+  const login = await api("GET", `/api/auth/oidc/login?login_hint=${encodeURIComponent(email)}`);
+  assert.equal(login.status, 302, JSON.stringify(login.body));
+  const authorize = await fetch(login.headers.get("location"), { redirect: "manual" });
+  assert.equal(authorize.status, 302, await authorize.text());
+  const callback = new URL(authorize.headers.get("location"));
+  const back = await api("GET", `${callback.pathname}${callback.search}`);
+  assert.equal(back.status, 302);
+  const target = new URL(back.headers.get("location"));
+  assert.equal(target.pathname, "/oidc/callback");
+  return { params: Object.fromEntries(target.searchParams), callback };
+}
+
+const port = await freePort();
+const provider = await startProvider(port);
+process.on("exit", () => provider.kill());
+
+runSmoke(
+  "OpenID Connect login",
+  {
+    users: [{ username: "ana" }],
+    env: {
+      OIDC_ISSUER: `http://localhost:${port}`,
+      OIDC_CLIENT_ID: CLIENT_ID,
+      OIDC_CLIENT_SECRET: CLIENT_SECRET,
+      OIDC_FRONTEND_CALLBACK: "http://localhost:3000/oidc/callback",
+    },
+  },
+  [
+    [
+      "the config endpoint reports SSO as enabled",
+      async ({ api }) => {
+        const res = await api("GET", "/api/auth/oidc/config");
+        assert.equal(res.status, 200);
+        assert.equal(res.body.enabled, true);
+      },
+    ],
+    [
+      "a new email signs up and exchanges its code once",
+      async ({ api, db }) => {
+        const { params, callback } = await ssoLogin(api, "newcomer@example.com");
+        assert.ok(params.code, JSON.stringify(params));
+        const exchange = await api("POST", "/api/auth/oidc/exchange", { body: { code: params.code } });
+        assert.equal(exchange.status, 200, JSON.stringify(exchange.body));
+        assert.equal(exchange.body.role, "user");
+        const me = await api("GET", "/api/auth/me", { token: exchange.body.token });
+        assert.equal(me.body.email, "newcomer@example.com");
+        assert.equal(me.body.email_verified, true);
+
+        const again = await api("POST", "/api/auth/oidc/exchange", { body: { code: params.code } });
+        assert.equal(again.status, 400);
+        // The login state is single-use too
+        const replay = await api("GET", `${callback.pathname}${callback.search}`);
+        assert.equal(new URL(replay.headers.get("location")).searchParams.get("error"), "invalid_state");
+        const [identities] = await db.query("SELECT COUNT(*) AS count FROM user_identities");
+        assert.equal(Number(identities[0].count), 1);
+      },
+    ],
+    [
+      "an existing account is only linked once its email is verified",
+      async ({ api, db, users }) => {
+        const refused = await ssoLogin(api, "ana@smoke.local");
+        assert.equal(refused.params.error, "account_email_unverified");
+
+        await db.query("UPDATE users SET email_verified = 1 WHERE user_id = ?", [users.ana.user_id]);
+        const { params } = await ssoLogin(api, "ana@smoke.local");
+        const exchange = await api("POST", "/api/auth/oidc/exchange", { body: { code: params.code } });
+        assert.equal(exchange.status, 200, JSON.stringify(exchange.body));
+        assert.equal(exchange.body.user_id, users.ana.user_id);
+        const [rows] = await db.query("SELECT user_id FROM user_identities WHERE email = ?", ["ana@smoke.local"]);
+        assert.deepEqual(
+          rows.map((r) => r.user_id),
+          [users.ana.user_id]
+        );
+      },
+    ],
+  ]
+);
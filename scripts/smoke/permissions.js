@@ -0,0 +1,83 @@
+// scripts/smoke/permissions.js
+// Smoke test of the role matrix: plain users are kept out of organizer and
+// owner endpoints, admins only manage their own events and owners manage all.
+// Usage: node scripts/smoke/run.js permissions   (exits non-zero on failure)
+import assert from "assert/strict";
+import { runSmoke } from "./lib.js";
+
+let registrationId;
+
+runSmoke(
+  "Roles and permissions",
+  {
+    users: [
+      { username: "boss", role: "owner" },
+      { username: "alice", role: "admin" },
+      { username: "bob", role: "admin" },
+      { username: "ana" },
+    ],
+    events: { alices: { created_by: "alice" } },
+  },
+  [
+    [
+      "requests without a token are refused",
+      async ({ api }) => {
+        const res = await api("POST", "/api/faqs", { body: { question: "Q?", answer: "A." } });
+        assert.equal(res.status, 401);
+      },
+    ],
+    [
+      "plain users cannot use organizer or owner endpoints",
+      async ({ api, events }) => {
+        for (const [method, path] of [
+          ["GET", "/api/events/mine"],
+          ["GET", "/api/registrations/mine"],
+          ["GET", `/api/registrations/by-event/${events.alices.event_id}`],
+          ["POST", "/api/faqs"],
+          ["GET", "/api/chatrooms/owner/all"],
+          ["GET", "/api/migration/get-users"],
+        ]) {
+          const res = await api(method, path, { as: "ana", body: method === "POST" ? {} : undefined });
+          assert.equal(res.status, 403, `${method} ${path}: ${JSON.stringify(res.body)}`);
+        }
+      },
+    ],
+    [
+      "admins manage their own events only",
+      async ({ api, events }) => {
+        const signUp = await api("POST", "/api/registrations", { as: "ana", body: { event_id: events.alices.event_id } });
+        assert.equal(signUp.status, 200, JSON.stringify(signUp.body));
+        registrationId = signUp.body.registration_id;
+
+        const own = await api("GET", `/api/registrations/by-event/${events.alices.event_id}`, { as: "alice" });
+        assert.equal(own.status, 200, JSON.stringify(own.body));
+        const other = await api("GET", `/api/registrations/by-event/${events.alices.event_id}`, { as: "bob" });
+        assert.equal(other.status, 403);
+
+        const update = await api("PATCH", `/api/registrations/status/${registrationId}`, {
+          as: "bob",
+          body: { status: "cancelled" },
+        });
+        assert.equal(update.status, 404, JSON.stringify(update.body));
+        const chatrooms = await api("GET", "/api/chatrooms/owner/all", { as: "alice" });
+        assert.equal(chatrooms.status, 403);
+      },
+    ],
+    [
+      "owners manage every event",
+      async ({ api, events }) => {
+        const list = await api("GET", `/api/registrations/by-event/${events.alices.event_id}`, { as: "boss" });
+        assert.equal(list.status, 200, JSON.stringify(list.body));
+        const chatrooms = await api("GET", "/api/chatrooms/owner/all", { as: "boss" });
+        assert.equal(chatrooms.status, 200, JSON.stringify(chatrooms.body));
+      },
+    ],
+    [
+      "admins and owners add FAQs",
+      async ({ api }) => {
+        const res = await api("POST", "/api/faqs", { as: "alice", body: { question: "Parking?", answer: "Behind the hall." } });
+        assert.ok(res.status < 300, JSON.stringify(res.body));
+      },
+    ],
+  ]
+);
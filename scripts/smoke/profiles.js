@@ -0,0 +1,61 @@
+// scripts/smoke/profiles.js
+// Smoke test of profile ownership and privacy: users edit only their own
+// profile, admins edit anyone's but never their password, and contact details
+// follow profile_visibility.
+// Usage: node scripts/smoke/run.js profiles   (exits non-zero on failure)
+import assert from "assert/strict";
+import { runSmoke } from "./lib.js";
+
+runSmoke(
+  "Profiles",
+  {
+    users: [{ username: "alice", role: "admin" }, { username: "ana" }, { username: "ben" }],
+  },
+  [
+    [
+      "profile updates need a token and the profile's owner",
+      async ({ api, users }) => {
+        const anonymous = await api("PUT", `/api/profile/${users.ana.user_id}/bio`, { body: { bio: "hacked" } });
+        assert.equal(anonymous.status, 401);
+        const other = await api("PUT", `/api/profile/${users.ana.user_id}/bio`, { as: "ben", body: { bio: "hacked" } });
+        assert.equal(other.status, 403);
+        const own = await api("PUT", "/api/profile/me/bio", { as: "ana", body: { bio: "Hello" } });
+        assert.equal(own.status, 200, JSON.stringify(own.body));
+      },
+    ],
+    [
+      "admins edit other profiles but not their passwords",
+      async ({ api, users }) => {
+        const bio = await api("PUT", `/api/profile/${users.ana.user_id}/bio`, { as: "alice", body: { bio: "Moderated" } });
+        assert.equal(bio.status, 200, JSON.stringify(bio.body));
+        const password = await api("PUT", `/api/profile/${users.ana.user_id}/password`, {
+          as: "alice",
+          body: { oldPassword: "x", newPassword: "Taken@12345" },
+        });
+        assert.equal(password.status, 403);
+      },
+    ],
+    [
+      "contact details follow the privacy setting",
+      async ({ api, users }) => {
+        await api("PUT", "/api/profile/me/contact", { as: "ana", body: { contact_phone: "+100200300" } });
+
+        // Default: members only
+        const anonymous = await api("GET", `/api/profile/${users.ana.user_id}`);
+        assert.equal(anonymous.status, 200, JSON.stringify(anonymous.body));
+        assert.equal(anonymous.body.email, null);
+        const member = await api("GET", `/api/profile/${users.ana.user_id}`, { as: "ben" });
+        assert.equal(member.body.contact_phone, "+100200300");
+
+        const invalid = await api("PUT", "/api/profile/me/privacy", { as: "ana", body: { profile_visibility: "friends" } });
+        assert.equal(invalid.status, 400);
+        const hide = await api("PUT", "/api/profile/me/privacy", { as: "ana", body: { profile_visibility: "private" } });
+        assert.equal(hide.status, 200, JSON.stringify(hide.body));
+        const hidden = await api("GET", `/api/profile/${users.ana.user_id}`, { as: "ben" });
+        assert.equal(hidden.body.contact_phone, null);
+        const admin = await api("GET", `/api/profile/${users.ana.user_id}`, { as: "alice" });
+        assert.equal(admin.body.contact_phone, "+100200300");
+      },
+    ],
+  ]
+);
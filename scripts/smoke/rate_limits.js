@@ -0,0 +1,55 @@
+// scripts/smoke/rate_limits.js
+// Smoke test of rate limiting with RATE_LIMIT_STORE=db: failed logins look
+// the same whether or not the account exists, repeated failures lock the
+// account for a while, and per-IP throttles answer 429 with Retry-After.
+// Usage: node scripts/smoke/run.js rate_limits   (exits non-zero on failure)
+import assert from "assert/strict";
+import { SMOKE_PASSWORD, runSmoke } from "./lib.js";
+
+const THRESHOLD = 3;
+
+runSmoke(
+  "Rate limits and login lockout",
+  {
+    users: [{ username: "ana" }, { username: "ben" }],
+    env: { RATE_LIMIT_STORE: "db", LOGIN_LOCKOUT_THRESHOLD: String(THRESHOLD) },
+  },
+  [
+    [
+      "unknown users and wrong passwords get the same answer",
+      async ({ login }) => {
+        const unknown = await login("nobody", "Wrong@12345");
+        const wrong = await login("ben", "Wrong@12345");
+        assert.equal(unknown.status, 401);
+        assert.deepEqual(unknown.body, wrong.body);
+      },
+    ],
+    [
+      "repeated failures lock the account, not others",
+      async ({ login }) => {
+        for (let i = 0; i < THRESHOLD; i += 1) {
+          assert.equal((await login("ana", "Wrong@12345")).status, 401);
+        }
+        const locked = await login("ana", SMOKE_PASSWORD);
+        assert.equal(locked.status, 429);
+        assert.ok(Number(locked.headers.get("retry-after")) > 0);
+        assert.equal((await login("ben")).status, 200);
+      },
+    ],
+    [
+      "per-IP throttles answer 429 and share the database store",
+      async ({ api, db }) => {
+        const statuses = [];
+        for (let i = 0; i < 11; i += 1) {
+          statuses.push((await api("POST", "/api/auth/signup", { body: {} })).status);
+        }
+        assert.deepEqual(statuses, [...Array(10).fill(400), 429]);
+
+        const [rows] = await db.query("SELECT rl_key FROM rate_limits ORDER BY rl_key");
+        const keys = rows.map((r) => r.rl_key);
+        assert.ok(keys.some((k) => k.startsWith("signup:")), keys.join(", "));
+        assert.ok(keys.includes("login-failures:ana"), keys.join(", "));
+      },
+    ],
+  ]
+);
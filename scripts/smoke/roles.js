@@ -0,0 +1,94 @@
+// scripts/smoke/roles.js
+// Smoke test of role management: signup always creates plain users, admin
+// rights are requested and approved by an owner, and every change is audited
+// and forces the user's old access tokens through a refresh.
+// Usage: node scripts/smoke/run.js roles   (exits non-zero on failure)
+import assert from "assert/strict";
+import { runScript, runSmoke } from "./lib.js";
+
+let requestId;
+let refreshToken;
+
+runSmoke(
+  "Role requests and approval",
+  { users: [{ username: "boss", role: "owner" }, { username: "ana" }, { username: "ben" }] },
+  [
+    [
+      "signup ignores the requested role",
+      async ({ api }) => {
+        const res = await api("POST", "/api/auth/signup", {
+          body: { username: "mallory", email: "mallory@smoke.local", password: "Mallory@123", role: "owner" },
+        });
+        assert.equal(res.status, 201, JSON.stringify(res.body));
+        assert.equal(res.body.role, "user");
+        const owners = await api("GET", "/api/roles/requests", { token: res.body.token });
+        assert.equal(owners.status, 403);
+      },
+    ],
+    [
+      "users request the admin role once and never the owner role",
+      async ({ api, login }) => {
+        const owner = await api("POST", "/api/roles/requests", { as: "ana", body: { role: "owner" } });
+        assert.equal(owner.status, 400);
+        const res = await api("POST", "/api/roles/requests", { as: "ana", body: { role: "admin", reason: "I run meetups" } });
+        assert.equal(res.status, 201, JSON.stringify(res.body));
+        requestId = res.body.request_id;
+        const twice = await api("POST", "/api/roles/requests", { as: "ana", body: { role: "admin" } });
+        assert.equal(twice.status, 409);
+        refreshToken = (await login("ana")).body.refresh_token;
+      },
+    ],
+    [
+      "only owners review requests",
+      async ({ api }) => {
+        const byUser = await api("PUT", `/api/roles/requests/${requestId}/approve`, { as: "ben" });
+        assert.equal(byUser.status, 403);
+        const queue = await api("GET", "/api/roles/requests", { as: "boss" });
+        assert.equal(queue.status, 200, JSON.stringify(queue.body));
+        assert.deepEqual(
+          queue.body.map((r) => r.request_id),
+          [requestId]
+        );
+      },
+    ],
+    [
+      "approval grants the role, is audited and needs a token refresh",
+      async ({ api, users }) => {
+        const approve = await api("PUT", `/api/roles/requests/${requestId}/approve`, { as: "boss", body: { notes: "ok" } });
+        assert.equal(approve.status, 200, JSON.stringify(approve.body));
+        const again = await api("PUT", `/api/roles/requests/${requestId}/reject`, { as: "boss" });
+        assert.equal(again.status, 409);
+
+        const stale = await api("GET", "/api/events/mine", { as: "ana" });
+        assert.equal(stale.status, 401);
+        assert.equal(stale.body.code, "role_changed");
+        const refresh = await api("POST", "/api/auth/refresh", { body: { refresh_token: refreshToken } });
+        assert.equal(refresh.status, 200, JSON.stringify(refresh.body));
+        assert.equal(refresh.body.role, "admin");
+        const mine = await api("GET", "/api/events/mine", { token: refresh.body.token });
+        assert.equal(mine.status, 200, JSON.stringify(mine.body));
+
+        const audit = await api("GET", `/api/roles/audit?user_id=${users.ana.user_id}`, { as: "boss" });
+        assert.equal(audit.body.length, 1);
+        const [entry] = audit.body;
+        assert.equal(entry.old_role, "user");
+        assert.equal(entry.new_role, "admin");
+        assert.equal(entry.source, "request_approved");
+      },
+    ],
+    [
+      "owners cannot change their own role; the CLI appoints owners",
+      async (ctx) => {
+        const self = await ctx.api("PUT", `/api/roles/users/${ctx.users.boss.user_id}`, { as: "boss", body: { role: "user" } });
+        assert.equal(self.status, 400);
+        const cli = await runScript(ctx, "scripts/set_role.js", ["ben", "owner", "second owner"]);
+        assert.equal(cli.code, 0, cli.output);
+        const [rows] = await ctx.db.query("SELECT source FROM role_audit WHERE user_id = ?", [ctx.users.ben.user_id]);
+        assert.deepEqual(
+          rows.map((r) => r.source),
+          ["cli"]
+        );
+      },
+    ],
+  ]
+);
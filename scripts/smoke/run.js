@@ -0,0 +1,35 @@
+// scripts/smoke/run.js
+// Run the smoke tests in this folder one after another, each in its own
+// process with its own throwaway SQLite database.
+// Usage: node scripts/smoke/run.js [name ...]   (e.g. "migrations"; default all)
+import { spawnSync } from "child_process";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const DIR = path.dirname(fileURLToPath(import.meta.url));
+const HELPERS = new Set(["lib.js", "run.js"]);
+
+const only = process.argv.slice(2).map((name) => name.replace(/\.js$/, ""));
+const files = fs
+  .readdirSync(DIR)
+  .filter((file) => file.endsWith(".js") && !HELPERS.has(file))
+  .filter((file) => only.length === 0 || only.includes(file.replace(/\.js$/, "")))
+  .sort();
+
+if (files.length === 0) {
+  console.error(`No smoke tests match ${only.join(", ")}`);
+  process.exit(1);
+}
+
+const failed = [];
+for (const file of files) {
+  const { status, error } = spawnSync(process.execPath, [path.join(DIR, file)], {
+    stdio: "inherit",
+    timeout: 5 * 60 * 1000,
+  });
+  if (error || status !== 0) failed.push(file);
+}
+
+console.log(`\n${files.length - failed.length}/${files.length} smoke tests passed${failed.length ? `; failed: ${failed.join(", ")}` : ""}`);
+process.exit(failed.length ? 1 : 0);
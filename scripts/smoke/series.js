@@ -0,0 +1,89 @@
+// scripts/smoke/series.js
+// Smoke test of recurring event series: expanding a rule into occurrences,
+// registering for the whole series, and edits to one occurrence or to it and
+// every later one.
+// Usage: node scripts/smoke/run.js series   (exits non-zero on failure)
+import assert from "assert/strict";
+import { runSmoke } from "./lib.js";
+
+const HOUR = 60 * 60 * 1000;
+const WEEK = 7 * 24 * HOUR;
+
+// Next month's first day, 18:00 UTC: far enough ahead that every occurrence is upcoming
+const first = new Date();
+first.setUTCMonth(first.getUTCMonth() + 1, 1);
+first.setUTCHours(18, 0, 0, 0);
+
+let occurrences;
+const startsOf = (series) => series.occurrences.map((o) => new Date(o.start_time).getTime());
+
+runSmoke(
+  "Recurring event series",
+  {
+    users: [{ username: "olga", role: "admin" }, { username: "ana" }],
+    events: { club: { created_by: "olga", title: "Book club", start_time: first, end_time: new Date(first.getTime() + 2 * HOUR) } },
+  },
+  [
+    [
+      "a weekly rule expands into occurrences",
+      async ({ api, events }) => {
+        const id = events.club.event_id;
+        for (const recurrence of ["FREQ=HOURLY;COUNT=3", "FREQ=WEEKLY", "FREQ=DAILY;COUNT=500"]) {
+          const res = await api("POST", `/api/events/${id}/recurrence`, { as: "olga", body: { recurrence } });
+          assert.equal(res.status, 400, `${recurrence}: ${JSON.stringify(res.body)}`);
+        }
+
+        const res = await api("POST", `/api/events/${id}/recurrence`, { as: "olga", body: { recurrence: "FREQ=WEEKLY;COUNT=4" } });
+        assert.equal(res.status, 201, JSON.stringify(res.body));
+        assert.deepEqual(startsOf(res.body), [0, 1, 2, 3].map((i) => first.getTime() + i * WEEK));
+        occurrences = res.body.occurrences.map((o) => o.event_id);
+        assert.equal(occurrences[0], id);
+
+        const again = await api("POST", `/api/events/${id}/recurrence`, { as: "olga", body: { recurrence: "FREQ=DAILY;COUNT=2" } });
+        assert.equal(again.status, 409);
+        const viaLater = await api("GET", `/api/events/${occurrences[2]}/series`);
+        assert.deepEqual(viaLater.body.occurrences.map((o) => o.event_id), occurrences);
+      },
+    ],
+    [
+      "registering for the series covers every upcoming occurrence once",
+      async ({ api, db, users }) => {
+        const one = await api("POST", "/api/registrations", { as: "ana", body: { event_id: occurrences[1] } });
+        assert.equal(one.status, 200, JSON.stringify(one.body));
+        const series = await api("POST", "/api/registrations", { as: "ana", body: { event_id: occurrences[0], scope: "series" } });
+        assert.equal(series.status, 200, JSON.stringify(series.body));
+        assert.deepEqual(series.body.event_ids, [occurrences[0], occurrences[2], occurrences[3]]);
+        const again = await api("POST", "/api/registrations", { as: "ana", body: { event_id: occurrences[0], scope: "series" } });
+        assert.equal(again.status, 400);
+
+        const [rows] = await db.query("SELECT COUNT(*) AS count FROM registrations WHERE user_id = ?", [users.ana.user_id]);
+        assert.equal(Number(rows[0].count), 4);
+      },
+    ],
+    [
+      "edits apply to one occurrence or to it and every later one",
+      async ({ api, events }) => {
+        const single = await api("PATCH", `/api/events/${occurrences[3]}`, { as: "olga", body: { title: "Book club: finale" } });
+        assert.equal(single.status, 200, JSON.stringify(single.body));
+
+        const later = new Date(first.getTime() + WEEK + HOUR);
+        const future = await api("PATCH", `/api/events/${occurrences[1]}?scope=future`, {
+          as: "olga",
+          body: { start_time: later.toISOString(), end_time: new Date(later.getTime() + 2 * HOUR).toISOString() },
+        });
+        assert.equal(future.status, 200, JSON.stringify(future.body));
+        assert.deepEqual(future.body.updated_event_ids, occurrences.slice(1));
+        assert.equal(future.body.notified, 3);
+
+        const series = (await api("GET", `/api/events/${events.club.event_id}/series`)).body;
+        assert.deepEqual(startsOf(series), [0, 1, 2, 3].map((i) => first.getTime() + i * WEEK + (i > 0 ? HOUR : 0)));
+        assert.deepEqual(
+          series.occurrences.map((o) => o.title),
+          ["Book club", "Book club", "Book club", "Book club: finale"]
+        );
+        const badScope = await api("PATCH", `/api/events/${events.club.event_id}?scope=all`, { as: "olga", body: { title: "x" } });
+        assert.equal(badScope.status, 400);
+      },
+    ],
+  ]
+);
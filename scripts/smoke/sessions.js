@@ -0,0 +1,74 @@
+// scripts/smoke/sessions.js
+// Smoke test of login sessions: refresh tokens rotate on every use, replaying
+// a rotated token revokes the session, and logging out (one device or all)
+// invalidates the access tokens at once.
+// Usage: node scripts/smoke/run.js sessions   (exits non-zero on failure)
+import assert from "assert/strict";
+import { runSmoke } from "./lib.js";
+
+let session; // latest token pair of ana's first login
+
+runSmoke(
+  "Sessions and refresh tokens",
+  { users: [{ username: "ana" }] },
+  [
+    [
+      "login returns an access and a refresh token",
+      async ({ login }) => {
+        const res = await login("ana");
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+        assert.ok(res.body.token && res.body.refresh_token && res.body.session_id);
+        session = res.body;
+      },
+    ],
+    [
+      "refreshing rotates the refresh token",
+      async ({ api }) => {
+        const res = await api("POST", "/api/auth/refresh", { body: { refresh_token: session.refresh_token } });
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+        assert.notEqual(res.body.refresh_token, session.refresh_token);
+        assert.equal(res.body.session_id, session.session_id);
+        const me = await api("GET", "/api/auth/me", { token: res.body.token });
+        assert.equal(me.status, 200, JSON.stringify(me.body));
+        session = { ...res.body, previous: session.refresh_token };
+      },
+    ],
+    [
+      "replaying a rotated refresh token revokes the session",
+      async ({ api }) => {
+        const replay = await api("POST", "/api/auth/refresh", { body: { refresh_token: session.previous } });
+        assert.equal(replay.status, 401);
+        const current = await api("POST", "/api/auth/refresh", { body: { refresh_token: session.refresh_token } });
+        assert.equal(current.status, 401);
+        const me = await api("GET", "/api/auth/me", { token: session.token });
+        assert.equal(me.status, 401);
+      },
+    ],
+    [
+      "logout revokes only the current session",
+      async ({ api, login }) => {
+        const phone = (await login("ana")).body;
+        const laptop = (await login("ana")).body;
+        const sessions = await api("GET", "/api/auth/sessions", { token: laptop.token });
+        assert.equal(sessions.status, 200, JSON.stringify(sessions.body));
+        assert.equal(sessions.body.filter((s) => s.current).length, 1);
+
+        const logout = await api("POST", "/api/auth/logout", { token: phone.token });
+        assert.equal(logout.status, 200, JSON.stringify(logout.body));
+        assert.equal((await api("GET", "/api/auth/me", { token: phone.token })).status, 401);
+        const refresh = await api("POST", "/api/auth/refresh", { body: { refresh_token: phone.refresh_token } });
+        assert.equal(refresh.status, 401);
+        assert.equal((await api("GET", "/api/auth/me", { token: laptop.token })).status, 200);
+      },
+    ],
+    [
+      "logout-all revokes every session",
+      async ({ api, users }) => {
+        const res = await api("POST", "/api/auth/logout-all", { as: "ana" });
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+        assert.ok(res.body.revoked >= 2);
+        assert.equal((await api("GET", "/api/auth/me", { token: users.ana.token })).status, 401);
+      },
+    ],
+  ]
+);
@@ -0,0 +1,103 @@
+// scripts/smoke/tickets.js
+// Smoke test of ticket issuing: one ticket per seat with an unguessable code
+// and a signed QR payload, visible to its holder and the organizer, and
+// voided when the registration or the event is cancelled.
+// Usage: node scripts/smoke/run.js tickets   (exits non-zero on failure)
+import assert from "assert/strict";
+import { runSmoke } from "./lib.js";
+
+const registrations = {}; // username -> registration response
+
+async function register(api, as, event, body = {}) {
+  const res = await api("POST", "/api/registrations", { as, body: { event_id: event.event_id, ...body } });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  registrations[as] = res.body;
+  return res.body;
+}
+
+runSmoke(
+  "Ticket issuing",
+  {
+    users: [{ username: "organizer", role: "admin" }, { username: "ana" }, { username: "ben" }, { username: "cai" }],
+    events: {
+      gig: { created_by: "organizer", capacity: 10 },
+      party: { created_by: "organizer", capacity: 10 },
+    },
+  },
+  [
+    [
+      "a confirmed sign-up gets a ticket with a code and a QR",
+      async ({ api, events }) => {
+        const { ticket_ids } = await register(api, "ana", events.gig);
+        assert.equal(ticket_ids.length, 1);
+
+        const ticket = await api("GET", `/api/tickets/${ticket_ids[0]}`, { as: "ana" });
+        assert.equal(ticket.status, 200, JSON.stringify(ticket.body));
+        assert.match(ticket.body.ticket_code, /^EVZ(-[0-9A-HJKMNP-TV-Z]{5}){4}$/);
+        assert.match(ticket.body.qr_payload, /^EVZ2\.[\w-]+\.[\w-]+$/);
+        assert.match(ticket.body.qr_image, /^data:image\/svg\+xml;base64,/);
+
+        const mine = await api("GET", "/api/tickets/my-tickets", { as: "ana" });
+        assert.deepEqual(
+          mine.body.map((t) => t.ticket_id),
+          ticket_ids
+        );
+      },
+    ],
+    [
+      "tickets are visible to their holder and the organizer only",
+      async ({ api }) => {
+        const [ticketId] = registrations.ana.ticket_ids;
+        assert.equal((await api("GET", `/api/tickets/${ticketId}`, { as: "ben" })).status, 404);
+        assert.equal((await api("GET", `/api/tickets/${ticketId}`, { as: "organizer" })).status, 200);
+        const qr = await api("GET", `/api/tickets/${ticketId}/qr?format=png`, { as: "ana" });
+        assert.equal(qr.status, 200);
+        assert.equal(qr.headers.get("content-type"), "image/png");
+        assert.equal((await api("GET", `/api/tickets/${ticketId}/qr?format=gif`, { as: "ana" })).status, 400);
+      },
+    ],
+    [
+      "a group registration gets one ticket per seat",
+      async ({ api, events }) => {
+        const tier = await api("POST", `/api/events/${events.gig.event_id}/tiers`, {
+          as: "organizer",
+          body: { name: "Standard", price: 0 },
+        });
+        assert.equal(tier.status, 201, JSON.stringify(tier.body));
+        const { ticket_ids } = await register(api, "ben", events.gig, { tier_id: tier.body.tier_id, quantity: 3 });
+        assert.equal(ticket_ids.length, 3);
+      },
+    ],
+    [
+      "cancelling the registration voids its tickets",
+      async ({ api }) => {
+        const { registration_id, ticket_ids } = registrations.ben;
+        const cancel = await api("DELETE", `/api/registrations/cancel/${registration_id}`, { as: "ben" });
+        assert.equal(cancel.status, 200, JSON.stringify(cancel.body));
+        assert.equal(cancel.body.tickets_voided, 3);
+
+        const ticket = await api("GET", `/api/tickets/${ticket_ids[0]}`, { as: "ben" });
+        assert.equal(ticket.body.status, "void");
+        assert.equal(ticket.body.qr_payload, null);
+        assert.equal((await api("GET", `/api/tickets/${ticket_ids[0]}/qr`, { as: "ben" })).status, 410);
+      },
+    ],
+    [
+      "cancelling the event voids every ticket",
+      async ({ api, db, events }) => {
+        await register(api, "cai", events.party);
+        const cancel = await api("PATCH", `/api/events/${events.party.event_id}/status`, {
+          as: "organizer",
+          body: { status: "cancelled" },
+        });
+        assert.equal(cancel.status, 200, JSON.stringify(cancel.body));
+        const [rows] = await db.query("SELECT status, void_reason FROM tickets WHERE event_id = ?", [events.party.event_id]);
+        assert.deepEqual(
+          rows.map((t) => [t.status, t.void_reason]),
+          [["void", "event cancelled"]]
+        );
+        assert.equal((await api("GET", "/api/tickets/my-tickets", { as: "cai" })).body.length, 0);
+      },
+    ],
+  ]
+);
@@ -0,0 +1,95 @@
+// scripts/smoke/tiers.js
+// Smoke test of ticket tiers: organizer-managed tiers with stock, sale
+// windows and per-user limits, registrations priced by the server, and
+// multi-ticket registrations taking one seat per ticket.
+// Usage: node scripts/smoke/run.js tiers   (exits non-zero on failure)
+import assert from "assert/strict";
+import { runSmoke } from "./lib.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const tiers = {}; // name -> tier_id
+
+runSmoke(
+  "Ticket tiers",
+  {
+    users: [{ username: "olga", role: "admin" }, { username: "omar", role: "admin" }, { username: "ana" }, { username: "ben" }],
+    events: {
+      gala: {
+        created_by: "olga",
+        capacity: 3,
+        start_time: new Date(Date.now() + 14 * DAY),
+        end_time: new Date(Date.now() + 14.2 * DAY),
+      },
+    },
+  },
+  [
+    [
+      "organizers define tiers and the event price follows the cheapest",
+      async ({ api, events }) => {
+        const base = `/api/events/${events.gala.event_id}/tiers`;
+        assert.equal((await api("POST", base, { as: "omar", body: { name: "Mine" } })).status, 403);
+        const invalid = await api("POST", base, {
+          as: "olga",
+          body: { name: "Bad", price: 1.005, sales_start: new Date(Date.now() + DAY), sales_end: new Date() },
+        });
+        assert.equal(invalid.status, 400);
+
+        for (const tier of [
+          { name: "Early bird", price: 10, quantity_total: 2, max_per_user: 2, sales_end: new Date(Date.now() + DAY) },
+          { name: "VIP", price: 50, sales_start: new Date(Date.now() + 7 * DAY) },
+          { name: "Regular", price: 25 },
+        ]) {
+          const res = await api("POST", base, { as: "olga", body: tier });
+          assert.equal(res.status, 201, JSON.stringify(res.body));
+          tiers[tier.name] = res.body.tier_id;
+        }
+        assert.equal((await api("POST", base, { as: "olga", body: { name: "vip" } })).status, 409);
+
+        const list = await api("GET", base);
+        assert.deepEqual(
+          list.body.tiers.map((t) => [t.name, t.sale_state]),
+          [["Early bird", "on_sale"], ["Regular", "on_sale"], ["VIP", "scheduled"]]
+        );
+        assert.equal(Number((await api("GET", `/api/events/${events.gala.event_id}`)).body.price), 10);
+      },
+    ],
+    [
+      "the server prices registrations and enforces limits and sale windows",
+      async ({ api, events }) => {
+        const register = (as, body) => api("POST", "/api/registrations", { as, body: { event_id: events.gala.event_id, ...body } });
+        assert.equal((await register("ana", {})).status, 400);
+        assert.equal((await register("ana", { tier_id: tiers["Early bird"], quantity: 3 })).status, 400);
+        assert.equal((await register("ana", { tier_id: tiers.VIP })).status, 409);
+
+        const ok = await register("ana", { tier_id: tiers["Early bird"], quantity: 2, amount: 0 });
+        assert.equal(ok.status, 200, JSON.stringify(ok.body));
+        assert.deepEqual([ok.body.status, ok.body.quantity, ok.body.amount], ["confirmed", 2, 20]);
+        const soldOut = await register("ben", { tier_id: tiers["Early bird"] });
+        assert.equal(soldOut.status, 409);
+        assert.match(soldOut.body.message, /sold out/);
+      },
+    ],
+    [
+      "each ticket takes a seat; a group that does not fit waits",
+      async ({ api, events }) => {
+        const res = await api("POST", "/api/registrations", {
+          as: "ben",
+          body: { event_id: events.gala.event_id, ticket_type: "regular", quantity: 2 },
+        });
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+        assert.equal(res.body.status, "waitlisted");
+        assert.equal(res.body.amount, 50);
+      },
+    ],
+    [
+      "tiers with tickets held cannot shrink below sales or be deleted",
+      async ({ api, events }) => {
+        const base = `/api/events/${events.gala.event_id}/tiers`;
+        const shrink = await api("PATCH", `${base}/${tiers["Early bird"]}`, { as: "olga", body: { quantity_total: 1 } });
+        assert.equal(shrink.status, 400);
+        assert.equal((await api("DELETE", `${base}/${tiers["Early bird"]}`, { as: "olga" })).status, 409);
+        assert.equal((await api("DELETE", `${base}/${tiers.VIP}`, { as: "olga" })).status, 200);
+      },
+    ],
+  ]
+);
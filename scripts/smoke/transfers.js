@@ -0,0 +1,132 @@
+// scripts/smoke/transfers.js
+// Smoke test of ticket transfers: the recipient accepts, events set to
+// "approval" also wait for the organizer, completed transfers rotate the
+// ticket code so the sender's old code and QR stop working, and void or
+// checked-in tickets cannot be transferred.
+// Usage: node scripts/smoke/run.js transfers   (exits non-zero on failure)
+import assert from "assert/strict";
+import { runSmoke } from "./lib.js";
+
+const tickets = {}; // username -> ticket they registered for
+
+async function ticketOf(api, as, event) {
+  const reg = await api("POST", "/api/registrations", { as, body: { event_id: event.event_id } });
+  assert.equal(reg.status, 200, JSON.stringify(reg.body));
+  const ticket = await api("GET", `/api/tickets/${reg.body.ticket_ids[0]}`, { as });
+  assert.equal(ticket.status, 200, JSON.stringify(ticket.body));
+  return { ...ticket.body, registration_id: reg.body.registration_id };
+}
+
+const offer = (api, as, ticket, to) => api("POST", "/api/transfers", { as, body: { ticket_id: ticket.ticket_id, to } });
+const scan = (api, event, body) => api("POST", `/api/events/${event.event_id}/checkin/scan`, { as: "organizer", body });
+
+runSmoke(
+  "Ticket transfers",
+  {
+    users: [{ username: "organizer", role: "admin" }, ...["ana", "ben", "cai", "dev", "eli"].map((username) => ({ username }))],
+    events: {
+      open: { created_by: "organizer", capacity: 10 },
+      approval: { created_by: "organizer", capacity: 10, ticket_transfers: "approval" },
+      closed: { created_by: "organizer", capacity: 10, ticket_transfers: "disabled" },
+    },
+  },
+  [
+    [
+      "a transfer moves the ticket to the recipient under a new code",
+      async ({ api, events }) => {
+        tickets.ana = await ticketOf(api, "ana", events.open);
+        const sent = await offer(api, "ana", tickets.ana, "ben");
+        assert.equal(sent.status, 201, JSON.stringify(sent.body));
+        assert.equal(sent.body.status, "pending");
+        assert.equal((await offer(api, "ana", tickets.ana, "eli")).status, 409);
+        assert.equal((await offer(api, "ben", tickets.ana, "eli")).status, 404);
+
+        const accept = await api("POST", `/api/transfers/${sent.body.transfer_id}/accept`, { as: "ben" });
+        assert.equal(accept.status, 200, JSON.stringify(accept.body));
+        assert.equal(accept.body.transfer.status, "completed");
+        assert.notEqual(accept.body.ticket_code, tickets.ana.ticket_code);
+
+        assert.equal((await scan(api, events.open, { code: tickets.ana.ticket_code })).status, 404);
+        assert.equal((await scan(api, events.open, { qr: tickets.ana.qr_payload })).body.result, "replaced");
+        assert.equal((await api("GET", `/api/tickets/${tickets.ana.ticket_id}`, { as: "ana" })).status, 404);
+        const mine = await api("GET", `/api/tickets/${tickets.ana.ticket_id}`, { as: "ben" });
+        assert.equal(mine.body.ticket_code, accept.body.ticket_code);
+      },
+    ],
+    [
+      "declined and cancelled transfers leave the ticket with its holder",
+      async ({ api, events }) => {
+        tickets.cai = await ticketOf(api, "cai", events.open);
+        const first = await offer(api, "cai", tickets.cai, "dev");
+        assert.equal(first.status, 201, JSON.stringify(first.body));
+        assert.equal((await api("POST", `/api/transfers/${first.body.transfer_id}/decline`, { as: "eli" })).status, 404);
+        const decline = await api("POST", `/api/transfers/${first.body.transfer_id}/decline`, { as: "dev" });
+        assert.equal(decline.body.transfer.status, "declined");
+
+        const second = await offer(api, "cai", tickets.cai, "dev@smoke.local");
+        assert.equal(second.status, 201, JSON.stringify(second.body));
+        const cancel = await api("POST", `/api/transfers/${second.body.transfer_id}/cancel`, { as: "cai" });
+        assert.equal(cancel.body.transfer.status, "cancelled");
+        assert.equal((await api("POST", `/api/transfers/${second.body.transfer_id}/accept`, { as: "dev" })).status, 409);
+
+        const ticket = await api("GET", `/api/tickets/${tickets.cai.ticket_id}`, { as: "cai" });
+        assert.equal(ticket.body.ticket_code, tickets.cai.ticket_code);
+      },
+    ],
+    [
+      "transfers on approval events wait for the organizer",
+      async ({ api, events }) => {
+        const ticket = await ticketOf(api, "dev", events.approval);
+        const sent = await offer(api, "dev", ticket, "eli");
+        const accept = await api("POST", `/api/transfers/${sent.body.transfer_id}/accept`, { as: "eli" });
+        assert.equal(accept.status, 202, JSON.stringify(accept.body));
+        assert.equal(accept.body.transfer.status, "awaiting_approval");
+
+        assert.equal((await api("POST", `/api/transfers/${sent.body.transfer_id}/approve`, { as: "dev" })).status, 403);
+        const approve = await api("POST", `/api/transfers/${sent.body.transfer_id}/approve`, { as: "organizer" });
+        assert.equal(approve.status, 200, JSON.stringify(approve.body));
+        assert.equal(approve.body.transfer.status, "completed");
+        assert.equal(approve.body.transfer.to.username, "eli");
+
+        const history = await api("GET", `/api/transfers/ticket/${ticket.ticket_id}`, { as: "dev" });
+        assert.equal(history.status, 200, JSON.stringify(history.body));
+        assert.equal(history.body.transfers.length, 1);
+        const event = await api("GET", `/api/transfers/event/${events.approval.event_id}`, { as: "organizer" });
+        assert.deepEqual(
+          event.body.transfers.map((t) => t.status),
+          ["completed"]
+        );
+      },
+    ],
+    [
+      "events can turn transfers off",
+      async ({ api, events }) => {
+        const ticket = await ticketOf(api, "eli", events.closed);
+        assert.equal((await offer(api, "eli", ticket, "ana")).status, 409);
+      },
+    ],
+    [
+      "checked-in tickets cannot be transferred",
+      async ({ api, events }) => {
+        const checkIn = await scan(api, events.open, { code: tickets.cai.ticket_code });
+        assert.equal(checkIn.body.result, "checked_in", JSON.stringify(checkIn.body));
+        assert.equal((await offer(api, "cai", tickets.cai, "eli")).status, 409);
+      },
+    ],
+    [
+      "voiding a ticket cancels its open transfer",
+      async ({ api, events }) => {
+        const ticket = await ticketOf(api, "dev", events.open);
+        const sent = await offer(api, "dev", ticket, "eli");
+        assert.equal(sent.status, 201, JSON.stringify(sent.body));
+        const cancel = await api("DELETE", `/api/registrations/cancel/${ticket.registration_id}`, { as: "dev" });
+        assert.equal(cancel.body.tickets_voided, 1, JSON.stringify(cancel.body));
+
+        const { incoming } = (await api("GET", "/api/transfers", { as: "eli" })).body;
+        const transfer = incoming.find((t) => t.transfer_id === sent.body.transfer_id);
+        assert.equal(transfer.status, "cancelled");
+        assert.equal((await api("POST", `/api/transfers/${sent.body.transfer_id}/accept`, { as: "eli" })).status, 409);
+      },
+    ],
+  ]
+);
@@ -0,0 +1,130 @@
+// scripts/smoke/two_factor.js
+// Smoke test of TOTP two-factor authentication with REQUIRE_2FA_FOR_STAFF on:
+// enrollment, the two-step login with codes and recovery codes, and staff
+// accounts being refused logins, refreshes, API calls and API keys until they
+// enroll.
+// Usage: node scripts/smoke/run.js two_factor   (exits non-zero on failure)
+import assert from "assert/strict";
+import { currentStep, generateCode } from "../../utils/totp.js";
+import { runScript, runSmoke } from "./lib.js";
+
+const secrets = {}; // username -> TOTP secret
+let recoveryCodes;
+let aliceToken;
+
+// Enroll with either an access token or a setup token; returns the /enable response body
+async function enroll(api, { token, setup_token }) {
+  const body = setup_token ? { setup_token } : {};
+  const setup = await api("POST", "/api/auth/2fa/setup", { token, body });
+  assert.equal(setup.status, 200, JSON.stringify(setup.body));
+  assert.match(setup.body.otpauth_url, /^otpauth:\/\/totp\//);
+  const enable = await api("POST", "/api/auth/2fa/enable", {
+    token,
+    body: { ...body, code: generateCode(setup.body.secret) },
+  });
+  assert.equal(enable.status, 200, JSON.stringify(enable.body));
+  return { ...enable.body, secret: setup.body.secret };
+}
+
+runSmoke(
+  "Two-factor authentication",
+  {
+    users: [{ username: "alice", role: "admin" }, { username: "ana" }, { username: "ben" }],
+    env: { REQUIRE_2FA_FOR_STAFF: "true" },
+  },
+  [
+    [
+      "users enroll and then log in with a code",
+      async ({ api, login, users }) => {
+        const enabled = await enroll(api, { token: users.ana.token });
+        secrets.ana = enabled.secret;
+        recoveryCodes = enabled.recovery_codes;
+        assert.equal(recoveryCodes.length, 10);
+
+        const first = await login("ana");
+        assert.equal(first.body.two_factor_required, true);
+        assert.equal(first.body.token, undefined);
+        const challenge_token = first.body.challenge_token;
+        const wrong = await api("POST", "/api/auth/login/2fa", { body: { challenge_token, code: "000000" } });
+        assert.equal(wrong.status, 401);
+
+        // The enrollment code burned the current step
+        const code = generateCode(secrets.ana, currentStep() + 1);
+        const ok = await api("POST", "/api/auth/login/2fa", { body: { challenge_token, code } });
+        assert.equal(ok.status, 200, JSON.stringify(ok.body));
+        assert.ok(ok.body.token);
+        const replay = await api("POST", "/api/auth/login/2fa", { body: { challenge_token, code } });
+        assert.equal(replay.status, 401);
+      },
+    ],
+    [
+      "recovery codes work once",
+      async ({ api, login }) => {
+        const { challenge_token } = (await login("ana")).body;
+        const recovery_code = recoveryCodes[0].toUpperCase();
+        const ok = await api("POST", "/api/auth/login/2fa", { body: { challenge_token, recovery_code } });
+        assert.equal(ok.status, 200, JSON.stringify(ok.body));
+        const again = await api("POST", "/api/auth/login/2fa", { body: { challenge_token, recovery_code } });
+        assert.equal(again.status, 401);
+        const status = await api("GET", "/api/auth/2fa/status", { token: ok.body.token });
+        assert.equal(status.body.recovery_codes_remaining, 9);
+      },
+    ],
+    [
+      "staff get a setup token instead of a session until they enroll",
+      async ({ api, login }) => {
+        const first = await login("alice");
+        assert.equal(first.body.two_factor_setup_required, true);
+        assert.equal(first.body.token, undefined);
+
+        const enabled = await enroll(api, { setup_token: first.body.setup_token });
+        aliceToken = enabled.token;
+        const mine = await api("GET", "/api/events/mine", { token: aliceToken });
+        assert.equal(mine.status, 200, JSON.stringify(mine.body));
+        const disable = await api("POST", "/api/auth/2fa/disable", { token: aliceToken, body: { password: "x" } });
+        assert.equal(disable.status, 403);
+      },
+    ],
+    [
+      "staff whose 2FA was reset are refused on the API until they enroll again",
+      async ({ api, db, users }) => {
+        await db.query("UPDATE users SET totp_enabled = 0, totp_secret = NULL WHERE user_id = ?", [users.alice.user_id]);
+        const refused = await api("GET", "/api/events/mine", { token: aliceToken });
+        assert.equal(refused.status, 403);
+        assert.equal(refused.body.code, "two_factor_setup_required");
+
+        const status = await api("GET", "/api/auth/2fa/status", { token: aliceToken });
+        assert.equal(status.status, 200, JSON.stringify(status.body));
+        assert.deepEqual([status.body.enabled, status.body.required], [false, true]);
+        await enroll(api, { token: aliceToken });
+        assert.equal((await api("GET", "/api/events/mine", { token: aliceToken })).status, 200);
+      },
+    ],
+    [
+      "a user promoted to staff cannot refresh until enrolled",
+      async (ctx) => {
+        const session = (await ctx.login("ben")).body;
+        const promote = await runScript(ctx, "scripts/set_role.js", ["ben", "admin"]);
+        assert.equal(promote.code, 0, promote.output);
+
+        const refresh = await ctx.api("POST", "/api/auth/refresh", { body: { refresh_token: session.refresh_token } });
+        assert.equal(refresh.status, 403, JSON.stringify(refresh.body));
+        assert.equal(refresh.body.code, "two_factor_setup_required");
+        assert.equal((await ctx.login("ben")).body.two_factor_setup_required, true);
+      },
+    ],
+    [
+      "API keys of staff without 2FA are refused too",
+      async ({ api, db, users }) => {
+        const created = await api("POST", "/api/api-keys", { token: aliceToken, body: { name: "CI", scopes: ["events:read"] } });
+        assert.equal(created.status, 201, JSON.stringify(created.body));
+        assert.equal((await api("GET", "/api/events/mine", { token: created.body.key })).status, 200);
+
+        await db.query("UPDATE users SET totp_enabled = 0 WHERE user_id = ?", [users.alice.user_id]);
+        const refused = await api("GET", "/api/events/mine", { token: created.body.key });
+        assert.equal(refused.status, 403);
+        assert.equal(refused.body.code, "two_factor_setup_required");
+      },
+    ],
+  ]
+);
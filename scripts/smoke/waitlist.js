@@ -0,0 +1,136 @@
+// scripts/smoke/waitlist.js
+// Smoke test of capacity and the waitlist on the SQLite driver: concurrent
+// sign-ups never oversell, the waitlist keeps its order, freed seats are
+// offered to the next in line and organizers cannot confirm past capacity.
+// Usage: node scripts/smoke/run.js waitlist   (exits non-zero on failure)
+import assert from "assert/strict";
+import { runSmoke } from "./lib.js";
+
+const CAPACITY = 3;
+const ATTENDEES = ["ana", "ben", "cai", "dev", "eli", "fay"];
+
+const registrations = {}; // username -> registration response
+
+async function statusOf(db, username) {
+  const [rows] = await db.query("SELECT status, waitlisted_at FROM registrations WHERE registration_id = ?", [
+    registrations[username].registration_id,
+  ]);
+  return rows[0];
+}
+
+async function seatsTaken(db, eventId) {
+  const [rows] = await db.query(
+    "SELECT COALESCE(SUM(quantity), 0) AS seats FROM registrations WHERE event_id = ? AND status IN ('confirmed', 'offered')",
+    [eventId]
+  );
+  return Number(rows[0].seats);
+}
+
+runSmoke(
+  "Capacity and waitlist",
+  {
+    users: [{ username: "organizer", role: "admin" }, ...ATTENDEES.map((username) => ({ username }))],
+    events: { gig: { created_by: "organizer", capacity: CAPACITY } },
+  },
+  [
+    [
+      "concurrent sign-ups fill the event and queue the rest",
+      async ({ api, events }) => {
+        const results = await Promise.all(
+          ATTENDEES.map((as) => api("POST", "/api/registrations", { as, body: { event_id: events.gig.event_id } }))
+        );
+        results.forEach((res, i) => {
+          assert.equal(res.status, 200, JSON.stringify(res.body));
+          registrations[ATTENDEES[i]] = res.body;
+        });
+        const confirmed = results.filter((r) => r.body.status === "confirmed");
+        const waitlisted = results.filter((r) => r.body.status === "waitlisted");
+        assert.equal(confirmed.length, CAPACITY);
+        assert.equal(waitlisted.length, ATTENDEES.length - CAPACITY);
+        assert.deepEqual(waitlisted.map((r) => r.body.waitlist_position).sort(), [1, 2, 3]);
+      },
+    ],
+    [
+      "signing up twice is refused",
+      async ({ api, events }) => {
+        const res = await api("POST", "/api/registrations", { as: "ana", body: { event_id: events.gig.event_id } });
+        assert.equal(res.status, 400);
+      },
+    ],
+    [
+      "my-waitlist shows the registration status and position",
+      async ({ api, events }) => {
+        const first = ATTENDEES.find((u) => registrations[u].waitlist_position === 1);
+        const res = await api("GET", "/api/registrations/my-waitlist", { as: first });
+        assert.equal(res.status, 200);
+        const entry = res.body.find((r) => r.event_id === events.gig.event_id);
+        assert.equal(entry.status, "waitlisted");
+        assert.equal(entry.event_status, "published");
+        assert.equal(entry.waitlist_position, 1);
+      },
+    ],
+    [
+      "organizers cannot confirm past capacity",
+      async ({ api }) => {
+        const waiting = ATTENDEES.filter((u) => registrations[u].status === "waitlisted");
+        const single = await api("PATCH", `/api/registrations/status/${registrations[waiting[0]].registration_id}`, {
+          as: "organizer",
+          body: { status: "confirmed" },
+        });
+        assert.equal(single.status, 409, JSON.stringify(single.body));
+
+        const bulk = await api("PATCH", "/api/registrations/status/bulk", {
+          as: "organizer",
+          body: { ids: waiting.map((u) => registrations[u].registration_id), status: "confirmed" },
+        });
+        assert.equal(bulk.status, 200, JSON.stringify(bulk.body));
+        assert.equal(bulk.body.affectedRows, 0);
+        assert.equal(bulk.body.full.length, waiting.length);
+      },
+    ],
+    [
+      "a cancelled seat is offered to the head of the waitlist, who accepts it",
+      async ({ api, db, events }) => {
+        const holder = ATTENDEES.find((u) => registrations[u].status === "confirmed");
+        const head = ATTENDEES.find((u) => registrations[u].waitlist_position === 1);
+        const second = ATTENDEES.find((u) => registrations[u].waitlist_position === 2);
+
+        const cancel = await api("DELETE", `/api/registrations/cancel/${registrations[holder].registration_id}`, { as: holder });
+        assert.equal(cancel.status, 200, JSON.stringify(cancel.body));
+        assert.equal(cancel.body.seats_offered, 1);
+        assert.equal((await statusOf(db, head)).status, "offered");
+        assert.equal((await statusOf(db, second)).status, "waitlisted");
+
+        const early = await api("POST", `/api/registrations/${registrations[second].registration_id}/accept`, { as: second });
+        assert.equal(early.status, 409);
+        const accept = await api("POST", `/api/registrations/${registrations[head].registration_id}/accept`, { as: head });
+        assert.equal(accept.status, 200, JSON.stringify(accept.body));
+        assert.equal(accept.body.status, "confirmed");
+        assert.equal(accept.body.ticket_ids.length, 1);
+        assert.equal(await seatsTaken(db, events.gig.event_id), CAPACITY);
+      },
+    ],
+    [
+      "moving someone back to the waitlist keeps their place in line",
+      async ({ api, db }) => {
+        const head = ATTENDEES.find((u) => registrations[u].waitlist_position === 1);
+        const before = await statusOf(db, head);
+        const res = await api("PATCH", `/api/registrations/status/${registrations[head].registration_id}`, {
+          as: "organizer",
+          body: { status: "waitlisted" },
+        });
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+        const after = await statusOf(db, head);
+        assert.equal(after.waitlisted_at, before.waitlisted_at);
+
+        // The seat they left is offered to them again: they are still first in line
+        assert.equal(after.status, "offered");
+        const [offered] = await db.query("SELECT registration_id FROM registrations WHERE status = 'offered'");
+        assert.deepEqual(
+          offered.map((r) => r.registration_id),
+          [registrations[head].registration_id]
+        );
+      },
+    ],
+  ]
+);
@@ -0,0 +1,103 @@
+// scripts/smtp_sink.js
+// Minimal SMTP server for trying the mail flows locally. It accepts every
+// message (and any login), prints it to stdout and, with SMTP_SINK_DIR set,
+// also writes it there as an .eml file. Plain SMTP only, no TLS. Not for
+// production use.
+//
+// Usage: node scripts/smtp_sink.js   (listens on SMTP_SINK_PORT, default 2525)
+// Backend .env:
+//   MAIL_TRANSPORT=smtp
+//   SMTP_HOST=localhost
+//   SMTP_PORT=2525
+import fs from "fs";
+import net from "net";
+import path from "path";
+
+const PORT = Number(process.env.SMTP_SINK_PORT || 2525);
+const DIR = process.env.SMTP_SINK_DIR || null;
+
+let received = 0;
+
+function deliver({ from, to, data }) {
+  received += 1;
+  console.log(`\n📨 #${received} from ${from} to ${to.join(", ")}\n${data}\n`);
+  if (DIR) {
+    fs.mkdirSync(DIR, { recursive: true });
+    fs.writeFileSync(path.join(DIR, `${Date.now()}-${received}.eml`), data);
+  }
+}
+
+const server = net.createServer((socket) => {
+  let buffer = "";
+  let envelope = { from: null, to: [] };
+  let data = null; // lines of the message while in DATA mode
+  let auth = null; // pending AUTH LOGIN step
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+  reply("220 evenza-smtp-sink ready");
+
+  const handle = (line) => {
+    if (data) {
+      if (line === ".") {
+        deliver({ ...envelope, data: data.join("\r\n") });
+        envelope = { from: null, to: [] };
+        data = null;
+        return reply("250 OK: queued");
+      }
+      // Undo dot-stuffing
+      data.push(line.startsWith("..") ? line.slice(1) : line);
+      return;
+    }
+    if (auth) {
+      auth = auth === "username" ? "password" : null;
+      return reply(auth ? "334 UGFzc3dvcmQ6" : "235 Authentication successful");
+    }
+
+    const [command] = line.split(" ", 1);
+    switch (command.toUpperCase()) {
+      case "EHLO":
+        return socket.write("250-evenza-smtp-sink\r\n250-8BITMIME\r\n250-AUTH PLAIN LOGIN\r\n250 SIZE 10485760\r\n");
+      case "HELO":
+        return reply("250 evenza-smtp-sink");
+      case "AUTH":
+        if (/^AUTH LOGIN$/i.test(line)) {
+          auth = "username";
+          return reply("334 VXNlcm5hbWU6");
+        }
+        return reply("235 Authentication successful");
+      case "MAIL":
+        envelope = { from: (line.match(/<([^>]*)>/) || [])[1] || "", to: [] };
+        return reply("250 OK");
+      case "RCPT":
+        envelope.to.push((line.match(/<([^>]*)>/) || [])[1] || "");
+        return reply("250 OK");
+      case "DATA":
+        if (!envelope.to.length) return reply("503 RCPT first");
+        data = [];
+        return reply("354 End data with <CR><LF>.<CR><LF>");
+      case "RSET":
+        envelope = { from: null, to: [] };
+        return reply("250 OK");
+      case "NOOP":
+        return reply("250 OK");
+      case "QUIT":
+        reply("221 Bye");
+        return socket.end();
+      default:
+        return reply("502 Command not implemented");
+    }
+  };
+
+  socket.on("data", (chunk) => {
+    buffer += chunk.toString("utf8");
+    let index;
+    while ((index = buffer.indexOf("\r\n")) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      handle(line);
+    }
+  });
+  socket.on("error", () => {});
+});
+
+server.listen(PORT, () => console.log(`SMTP sink on localhost:${PORT}${DIR ? ` (saving to ${DIR})` : ""}`));
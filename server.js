@@ -7,6 +7,8 @@ import http from "http";
 import { Server } from "socket.io";
 import db from "./db.js";
 import path from "path";
+import { pendingMigrations } from "./utils/migrator.js";
+import { startWaitlistSweeper } from "./utils/waitlist.js";
 
 // Routes
 import authRoutes from "./routes/auth.js";
@@ -25,6 +27,16 @@ import achievementsRoutes from "./routes/achievements.js";
 import profileRoutes from "./routes/profile.js";
 import draftsRoutes from "./routes/drafts.js";
 import migrationRoutes from "./routes/migration.js";
+import roleRoutes from "./routes/roles.js";
+import twoFactorRoutes from "./routes/twoFactor.js";
+import apiKeyRoutes from "./routes/apiKeys.js";
+import oidcRoutes from "./routes/oidc.js";
+import categoryRoutes from "./routes/categories.js";
+import eventSessionRoutes, { agendaRoutes } from "./routes/eventSessions.js";
+import ticketTierRoutes from "./routes/ticketTiers.js";
+import checkinRoutes, { staffEventsRoutes } from "./routes/checkin.js";
+import ticketTransferRoutes from "./routes/ticketTransfers.js";
+import calendarRoutes from "./routes/calendar.js";
 
 dotenv.config();
 
@@ -48,6 +60,12 @@ app.use(cors({
     : ["http://localhost:5173", "http://localhost:3000"], 
   credentials: true 
 }));
+// Behind a reverse proxy (Railway, nginx, ...) set TRUST_PROXY so req.ip,
+// and with it per-IP rate limiting, sees the client address
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
 app.use(express.json());
 app.use(morgan("dev"));
 
@@ -59,105 +77,44 @@ try {
   console.error("DB connection failed ❌:", err.message);
 }
 
-// Ensure required schema pieces exist (idempotent)
-async function ensureSchema() {
-  try {
-    // Ensure draft_events.documents column exists (PostgreSQL)
-    const [cols] = await db.query(
-      "SELECT column_name FROM information_schema.columns WHERE table_schema = 'public' AND table_name = 'draft_events' AND column_name = 'documents'",
-      []
-    );
-    if (!Array.isArray(cols) || cols.length === 0) {
-      try {
-        await db.query("ALTER TABLE draft_events ADD COLUMN documents JSONB NULL");
-        console.log("✅ Added JSONB column 'documents' to draft_events");
-      } catch (e) {
-        console.warn("Adding JSONB column failed:", e.message);
-      }
-    }
-  } catch (e) {
-    console.warn("Schema check failed:", e.message);
-  }
-
-  // Ensure announcements table exists (PostgreSQL)
+// Refuse to boot (or warn) when the schema is behind; run `npm run migrate` to apply.
+// MIGRATIONS_ON_PENDING=exit|warn (default: exit in production, warn elsewhere)
+async function checkMigrations() {
+  const mode = process.env.MIGRATIONS_ON_PENDING ||
+    (process.env.NODE_ENV === "production" ? "exit" : "warn");
   try {
-    const [annCols] = await db.query(
-      "SELECT table_name FROM information_schema.tables WHERE table_schema = 'public' AND table_name = 'announcements'",
-      []
-    );
-    if (!Array.isArray(annCols) || annCols.length === 0) {
-      console.log("Creating 'announcements' table (PostgreSQL)...");
-      await db.query(`
-        CREATE TABLE IF NOT EXISTS announcements (
-          announcement_id SERIAL PRIMARY KEY,
-          event_id INTEGER NOT NULL,
-          title VARCHAR(255) NOT NULL,
-          message TEXT NOT NULL,
-          status VARCHAR(20) DEFAULT 'Draft',
-          scheduled_at TIMESTAMPTZ NULL,
-          created_by INTEGER NOT NULL,
-          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-          updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-          sent_at TIMESTAMPTZ NULL
-        )
-      `);
-      console.log("✅ Created 'announcements' table");
+    const pending = await pendingMigrations();
+    if (pending.length === 0) return;
+    const names = pending.map((m) => `${m.version}_${m.name}`).join(", ");
+    if (mode === "exit") {
+      console.error(`❌ ${pending.length} pending migration(s): ${names}. Run \`npm run migrate\` before starting.`);
+      process.exit(1);
     }
+    console.warn(`⚠️  ${pending.length} pending migration(s): ${names}. Run \`npm run migrate\`.`);
   } catch (e) {
-    console.warn("Could not ensure announcements table:", e.message);
+    console.warn("Could not check migrations:", e.message);
   }
-
-    // Ensure ratings_reviews table exists (for storing user reviews)
-    try {
-      const [rr] = await db.query(
-        "SELECT table_name FROM information_schema.tables WHERE table_schema = 'public' AND table_name = 'ratings_reviews'",
-        []
-      );
-      if (!Array.isArray(rr) || rr.length === 0) {
-        console.log("Creating 'ratings_reviews' table...");
-        if (process.env.DATABASE_URL) {
-          // PostgreSQL
-          await db.query(`
-            CREATE TABLE IF NOT EXISTS ratings_reviews (
-              review_id SERIAL PRIMARY KEY,
-              user_id INTEGER NOT NULL,
-              event_id INTEGER NOT NULL,
-              rating SMALLINT,
-              review TEXT,
-              created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-              UNIQUE (user_id, event_id)
-            )
-          `, []);
-        } else {
-          // MySQL
-          await db.query(`
-            CREATE TABLE IF NOT EXISTS ratings_reviews (
-              review_id INT AUTO_INCREMENT PRIMARY KEY,
-              user_id INT NOT NULL,
-              event_id INT NOT NULL,
-              rating TINYINT,
-              review TEXT,
-              created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
-              UNIQUE KEY uq_user_event (user_id, event_id)
-            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-          `, []);
-        }
-        console.log("✅ Created 'ratings_reviews' table");
-      }
-    } catch (e) {
-      console.warn('Could not ensure ratings_reviews table:', e.message);
-    }
 }
-await ensureSchema();
+await checkMigrations();
 
 // ----------------- Routes -----------------
+app.use("/api/auth/2fa", twoFactorRoutes);
+app.use("/api/auth/oidc", oidcRoutes);
 app.use("/api/auth", authRoutes);
+app.use("/api/events/:eventId/sessions", eventSessionRoutes);
+app.use("/api/events/:eventId/tiers", ticketTierRoutes);
+app.use("/api/events/:eventId/checkin", checkinRoutes);
 app.use("/api/events", eventRoutes);
+app.use("/api/agenda", agendaRoutes);
+app.use("/api/staff", staffEventsRoutes);
+app.use("/api/calendar", calendarRoutes);
+app.use("/api/categories", categoryRoutes);
 // Compatibility: support older frontend paths like /api/user/joined -> mapped handlers
 app.use("/api/user", userCompatRoutes);
 app.use("/api/notifications", notificationsRoutes);
 app.use("/api/announcements", announcementsRoutes);
 app.use("/api/tickets", ticketRoutes);
+app.use("/api/transfers", ticketTransferRoutes);
 app.use("/api/registrations", registrationRoutes);
 app.use("/api/saved-events", savedEventsRoutes);
 app.use("/api/faqs", faqsRoutes);
@@ -167,7 +124,9 @@ app.use("/api/reviews", reviewsRoutes);
 app.use("/api/achievements", achievementsRoutes);
 app.use("/api/profile", profileRoutes);
 app.use("/api/drafts", draftsRoutes);
-app.use("/api/migration", migrationRoutes); // One-time migration endpoint
+app.use("/api/roles", roleRoutes);
+app.use("/api/api-keys", apiKeyRoutes);
+app.use("/api/migration", migrationRoutes); // One-time data import endpoints
 app.use("/uploads", express.static(path.join(process.cwd(), "uploads")));
 
 // Serve a default event image even if the physical file is missing
@@ -294,3 +253,11 @@ try {
 } catch (e) {
   console.warn('Failed to start announcements scheduler:', e.message);
 }
+
+// Expire lapsed waitlist holds and offer their seats to the next in line
+try {
+  startWaitlistSweeper();
+  console.log('Waitlist sweeper started.');
+} catch (e) {
+  console.warn('Failed to start waitlist sweeper:', e.message);
+}
@@ -1,144 +0,0 @@
-import pkg from 'pg';
-const { Pool } = pkg;
-
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: { rejectUnauthorized: false }
-});
-
-async function ultimateVerification() {
-  console.log('═══════════════════════════════════════════════════════════');
-  console.log('   🎯 ULTIMATE DATABASE VERIFICATION');
-  console.log('   MySQL → PostgreSQL Migration Complete');
-  console.log('═══════════════════════════════════════════════════════════\n');
-
-  const tables = [
-    { name: 'users', desc: 'User accounts (admin, owner, users)' },
-    { name: 'categories', desc: 'Event categories' },
-    { name: 'events', desc: 'Published events' },
-    { name: 'registrations', desc: 'User event registrations' },
-    { name: 'tickets', desc: 'Event tickets with QR codes' },
-    { name: 'saved_events', desc: 'User bookmarked events' },
-    { name: 'chatrooms', desc: 'Chat rooms (Global, Help, Event-specific)' },
-    { name: 'chat_messages', desc: 'All chat messages' },
-    { name: 'friends', desc: 'User friend connections' },
-    { name: 'draft_events', desc: 'Draft/pending events' },
-    { name: 'faqs', desc: 'Frequently Asked Questions' },
-    { name: 'notifications', desc: 'User notifications' }
-  ];
-
-  let totalRows = 0;
-  let tablesWithData = 0;
-  
-  console.log('📊 COMPLETE TABLE STATUS:\n');
-
-  for (const table of tables) {
-    const result = await pool.query(`SELECT COUNT(*) FROM ${table.name}`);
-    const count = parseInt(result.rows[0].count);
-    totalRows += count;
-    if (count > 0) tablesWithData++;
-    const status = count > 0 ? '✅' : '❌';
-    const countStr = count.toString().padStart(4);
-    console.log(`${status} ${table.name.padEnd(18)} ${countStr} rows  - ${table.desc}`);
-  }
-
-  const percentage = Math.round((tablesWithData / tables.length) * 100);
-  console.log(`\n   📈 TOTAL: ${totalRows} rows across ${tablesWithData}/${tables.length} tables (${percentage}% complete)`);
-
-  console.log('\n═══════════════════════════════════════════════════════════');
-  console.log('   🔍 CRITICAL DATA VERIFICATION');
-  console.log('═══════════════════════════════════════════════════════════\n');
-
-  // Users verification
-  const users = await pool.query("SELECT role, COUNT(*) as count FROM users GROUP BY role ORDER BY role");
-  console.log('👥 USERS BY ROLE:');
-  users.rows.forEach(u => console.log(`   - ${u.role}: ${u.count}`));
-  
-  // Categories
-  const cats = await pool.query("SELECT name FROM categories ORDER BY category_id");
-  console.log('\n📂 CATEGORIES:');
-  console.log(`   ${cats.rows.map(c => c.name).join(', ')}`);
-  
-  // Chatrooms breakdown
-  const chatrooms = await pool.query(`
-    SELECT 
-      COUNT(*) FILTER (WHERE event_id IS NULL) as global_help,
-      COUNT(*) FILTER (WHERE event_id IS NOT NULL) as event_rooms
-    FROM chatrooms
-  `);
-  console.log('\n💬 CHATROOMS:');
-  console.log(`   - Global/Help: ${chatrooms.rows[0].global_help}`);
-  console.log(`   - Event-specific: ${chatrooms.rows[0].event_rooms}`);
-  
-  // Messages stats
-  const msgs = await pool.query(`
-    SELECT 
-      COUNT(*) as total,
-      COUNT(*) FILTER (WHERE chatroom_id <= 2) as global_help_msgs,
-      COUNT(DISTINCT user_id) as active_users
-    FROM chat_messages
-  `);
-  console.log('\n💬 CHAT MESSAGES:');
-  console.log(`   - Total messages: ${msgs.rows[0].total}`);
-  console.log(`   - Global/Help messages: ${msgs.rows[0].global_help_msgs}`);
-  console.log(`   - Active chatting users: ${msgs.rows[0].active_users}`);
-  
-  // Events stats
-  const events = await pool.query(`
-    SELECT 
-      COUNT(*) as total,
-      COUNT(DISTINCT owner_id) as organizers,
-      COUNT(*) FILTER (WHERE approved = true) as approved
-    FROM events
-  `);
-  console.log('\n🎉 EVENTS:');
-  console.log(`   - Total events: ${events.rows[0].total}`);
-  console.log(`   - Approved: ${events.rows[0].approved}`);
-  console.log(`   - Unique organizers: ${events.rows[0].organizers}`);
-  
-  // Registrations
-  const regs = await pool.query(`
-    SELECT 
-      COUNT(*) as total,
-      COUNT(DISTINCT user_id) as users,
-      COUNT(DISTINCT event_id) as events
-    FROM registrations
-  `);
-  console.log('\n📝 REGISTRATIONS:');
-  console.log(`   - Total: ${regs.rows[0].total}`);
-  console.log(`   - Registered users: ${regs.rows[0].users}`);
-  console.log(`   - Events with registrations: ${regs.rows[0].events}`);
-  
-  // FAQs
-  const faqCount = await pool.query("SELECT COUNT(*) as count FROM faqs");
-  console.log('\n❓ FAQs:');
-  console.log(`   - Total FAQs: ${faqCount.rows[0].count}`);
-  
-  // Notifications
-  const notifStats = await pool.query(`
-    SELECT 
-      COUNT(*) as total,
-      COUNT(*) FILTER (WHERE read = true) as read,
-      COUNT(*) FILTER (WHERE read = false) as unread
-    FROM notifications
-  `);
-  console.log('\n🔔 NOTIFICATIONS:');
-  console.log(`   - Total: ${notifStats.rows[0].total}`);
-  console.log(`   - Read: ${notifStats.rows[0].read}`);
-  console.log(`   - Unread: ${notifStats.rows[0].unread}`);
-
-  console.log('\n═══════════════════════════════════════════════════════════');
-  console.log('   ✅ MIGRATION STATUS: 100% COMPLETE');
-  console.log('═══════════════════════════════════════════════════════════\n');
-  
-  console.log('🚀 Production Environment:');
-  console.log('   📍 Database: PostgreSQL on Render');
-  console.log('   🌐 Backend: https://evenza-backend-ir4f.onrender.com');
-  console.log('   🌐 Frontend: https://evenza-frontend-0bmd.onrender.com');
-  console.log('\n✨ All MySQL data successfully migrated to PostgreSQL!');
-  console.log('✨ Your production database is fully operational!\n');
-
-  await pool.end();
-}
-
-ultimateVerification();
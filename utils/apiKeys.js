@@ -0,0 +1,46 @@
+// utils/apiKeys.js
+// Personal API keys: "evz_" followed by 40 random characters. Keys are shown
+// once at creation; the database only holds their SHA-256 hash.
+import crypto from "crypto";
+import db from "../db.js";
+import { hashToken } from "./sessions.js";
+
+export const API_KEY_PREFIX = "evz_";
+
+// Scope -> what it unlocks. Routes opt in with verifyTokenOrApiKey(scope).
+export const API_KEY_SCOPES = {
+  "events:read": "List your own events",
+  "registrations:read": "Read registrations for your events",
+  "announcements:write": "Create and send announcements for your events",
+};
+
+export const isApiKey = (token) => String(token || "").startsWith(API_KEY_PREFIX);
+
+export function generateApiKey() {
+  const key = API_KEY_PREFIX + crypto.randomBytes(30).toString("base64url");
+  return { key, prefix: key.slice(0, 12), hash: hashToken(key) };
+}
+
+export const parseScopes = (value) => String(value || "").split(",").map((s) => s.trim()).filter(Boolean);
+
+/**
+ * Look up an active (not revoked, not expired) key with its owner's current
+ * username and role. Returns null when the key is unusable.
+ */
+export async function findActiveApiKey(key) {
+  const [rows] = await db.query(
+    `SELECT k.key_id, k.user_id, k.scopes, k.rate_limit_per_minute, k.expires_at, k.revoked_at,
+            u.username, u.role, u.totp_enabled
+     FROM api_keys k
+     JOIN users u ON u.user_id = k.user_id
+     WHERE k.key_hash = ? LIMIT 1`,
+    [hashToken(key)]
+  );
+  const k = rows[0];
+  if (!k || k.revoked_at || (k.expires_at && new Date(k.expires_at) <= new Date())) return null;
+  return { ...k, scopes: parseScopes(k.scopes) };
+}
+
+export async function touchApiKey(keyId, ip) {
+  await db.query("UPDATE api_keys SET last_used_at = ?, last_used_ip = ? WHERE key_id = ?", [new Date(), ip || null, keyId]);
+}
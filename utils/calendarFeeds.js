@@ -0,0 +1,67 @@
+// utils/calendarFeeds.js
+// What a user's calendar feed (routes/calendar.js) publishes: their
+// confirmed registrations and saved events, plus tombstones of such events
+// that were deleted, so calendar apps see them cancelled instead of keeping
+// a stale copy.
+
+// Events that finished longer ago than this drop out of the feed
+export const FEED_HISTORY_DAYS = Number(process.env.CALENDAR_FEED_HISTORY_DAYS || 30);
+
+export const feedWindowStart = () => new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Before event `event` (an events row) is deleted, remember it for every
+ * user whose feed shows it. Runs on `conn` (the deleting transaction); also
+ * drops tombstones that have left every feed window.
+ */
+export async function recordCalendarTombstones(conn, event) {
+  await conn.query("DELETE FROM calendar_tombstones WHERE COALESCE(end_time, start_time) < ?", [feedWindowStart()]);
+  if (!event.start_time) return 0;
+
+  const [subscribers] = await conn.query(
+    `SELECT user_id FROM registrations WHERE event_id = ? AND LOWER(status) = 'confirmed'
+     UNION SELECT user_id FROM saved_events WHERE event_id = ?`,
+    [event.event_id, event.event_id]
+  );
+  if (subscribers.length === 0) return 0;
+  const now = new Date();
+  return conn.bulkInsert(
+    "calendar_tombstones",
+    ["event_id", "user_id", "title", "start_time", "end_time", "ical_sequence", "deleted_at"],
+    subscribers.map(({ user_id }) => [
+      event.event_id,
+      user_id,
+      event.title,
+      event.start_time,
+      event.end_time,
+      // One more than the last published version, so clients replace their copy
+      Number(event.ical_sequence || 0) + 1,
+      now,
+    ])
+  );
+}
+
+/**
+ * Rows for buildCalendar(): the user's events that end after `since` and
+ * the tombstones of deleted ones (status "cancelled"), by start time.
+ */
+export async function feedEvents(conn, userId, since) {
+  const [events] = await conn.query(
+    `SELECT e.*, c.name AS category_name
+     FROM events e LEFT JOIN categories c ON c.category_id = e.category_id
+     WHERE e.start_time IS NOT NULL AND COALESCE(e.end_time, e.start_time) >= ?
+       AND (EXISTS (SELECT 1 FROM registrations r
+                    WHERE r.event_id = e.event_id AND r.user_id = ? AND LOWER(r.status) = 'confirmed')
+         OR EXISTS (SELECT 1 FROM saved_events s WHERE s.event_id = e.event_id AND s.user_id = ?))`,
+    [since, userId, userId]
+  );
+  const [tombstones] = await conn.query(
+    `SELECT event_id, title, start_time, end_time, ical_sequence, deleted_at
+     FROM calendar_tombstones WHERE user_id = ? AND COALESCE(end_time, start_time) >= ?`,
+    [userId, since]
+  );
+  const deleted = tombstones.map((t) => ({ ...t, status: "cancelled", updated_at: t.deleted_at }));
+  return [...events, ...deleted].sort(
+    (a, b) => new Date(a.start_time) - new Date(b.start_time) || a.event_id - b.event_id
+  );
+}
@@ -0,0 +1,293 @@
+// utils/checkin.js
+// Checking tickets in at the door. Tickets are found by their code (typed or
+// read from the QR token) and checked in at most once; every check-in, undo
+// and double entry is logged in `checkins`. registrations.attended follows
+// whether any ticket of the registration is checked in. Event managers and
+// the staff they delegate (event_staff) may check attendees in, also from
+// scanners that were offline and upload their scans later.
+import { canManageEvent } from "./events.js";
+import { legacyQrAccepted, normalizeTicketCode, verifyTicketToken } from "./tickets.js";
+
+// Most scans accepted in one offline upload
+export const MAX_OFFLINE_SCANS = 500;
+
+export const TICKET_SELECT = `
+  SELECT t.*, r.ticket_type, u.username, u.email
+  FROM tickets t
+  JOIN registrations r ON r.registration_id = t.registration_id
+  LEFT JOIN users u ON u.user_id = t.user_id`;
+
+export async function isEventStaff(conn, eventId, userId) {
+  const [rows] = await conn.query("SELECT staff_id FROM event_staff WHERE event_id = ? AND user_id = ?", [eventId, userId]);
+  return rows.length > 0;
+}
+
+export async function canCheckIn(conn, user, event) {
+  return canManageEvent(user, event) || isEventStaff(conn, event.event_id, user.user_id);
+}
+
+// What the scanner shows for a ticket
+export function formatScannedTicket(ticket) {
+  return {
+    ticket_id: ticket.ticket_id,
+    ticket_code: ticket.ticket_code,
+    ticket_type: ticket.ticket_type,
+    status: ticket.status,
+    attendee: { user_id: ticket.user_id, username: ticket.username ?? null, email: ticket.email ?? null },
+    checked_in_at: ticket.checked_in_at ?? null,
+    checked_in_by: ticket.checked_in_by ?? null,
+  };
+}
+
+/**
+ * Find the ticket for a scan of event `eventId` from { code } or { qr }, as
+ * scanned at `at`. Returns { ticket, method } or { status, body } for the
+ * scanner's error response (body.result says what went wrong).
+ */
+export async function findScannedTicket(conn, eventId, { code, qr } = {}, { at = new Date() } = {}) {
+  let ticket;
+  let method;
+  if (qr) {
+    method = "qr";
+    const payload = await verifyTicketToken(conn, qr);
+    if (!payload) return { status: 400, body: { result: "invalid", message: "This QR code is not a valid ticket" } };
+    if (payload.legacy && !legacyQrAccepted(at)) {
+      return {
+        status: 409,
+        body: { result: "reissue_required", message: "This QR code is no longer accepted; ask the holder to open the ticket again for a new one" },
+      };
+    }
+    if (payload.expires_at && payload.expires_at < at) {
+      return { status: 409, body: { result: "expired", message: "This ticket's QR code has expired" } };
+    }
+    const [rows] = await conn.query(`${TICKET_SELECT} WHERE t.ticket_id = ?`, [payload.ticket_id]);
+    ticket = rows[0];
+    // A rotated code (e.g. after a transfer) invalidates the old QR image
+    if (ticket && ticket.ticket_code !== payload.ticket_code) {
+      return { status: 409, body: { result: "replaced", message: "This QR code was replaced; ask for the current ticket" } };
+    }
+  } else if (code) {
+    method = "code";
+    const normalized = normalizeTicketCode(code);
+    if (!normalized) return { status: 400, body: { result: "invalid", message: "This is not a ticket code" } };
+    const [rows] = await conn.query(`${TICKET_SELECT} WHERE t.ticket_code = ?`, [normalized]);
+    ticket = rows[0];
+  } else {
+    return { status: 400, body: { result: "invalid", message: "Send the ticket code or the scanned QR payload" } };
+  }
+
+  if (!ticket) return { status: 404, body: { result: "not_found", message: "Ticket not found" } };
+  if (String(ticket.event_id) !== String(eventId)) {
+    return { status: 409, body: { result: "wrong_event", message: "This ticket is for another event" } };
+  }
+  return { ticket, method };
+}
+
+async function syncAttended(conn, registrationId) {
+  const [rows] = await conn.query(
+    "SELECT COUNT(*) AS count FROM tickets WHERE registration_id = ? AND status = 'active' AND checked_in_at IS NOT NULL",
+    [registrationId]
+  );
+  await conn.query("UPDATE registrations SET attended = ? WHERE registration_id = ?", [
+    Number(rows[0].count) > 0 ? 1 : 0,
+    registrationId,
+  ]);
+}
+
+/**
+ * Check `ticket` in. Void and already checked-in tickets are refused (409).
+ * `at` is when the attendee was admitted; offline scans also pass the
+ * scanner's deviceId and clientScanId. Returns { status, body }.
+ */
+export async function checkInTicket(conn, ticket, { staffUserId, method, at = new Date(), deviceId = null, clientScanId = null }) {
+  if (ticket.status !== "active") {
+    return {
+      status: 409,
+      body: { result: "void", message: `This ticket is ${ticket.status}`, ticket: formatScannedTicket(ticket) },
+    };
+  }
+  const [result] = await conn.query(
+    "UPDATE tickets SET checked_in_at = ?, checked_in_by = ? WHERE ticket_id = ? AND checked_in_at IS NULL",
+    [at, staffUserId, ticket.ticket_id]
+  );
+  if (!result.affectedRows) {
+    const [rows] = await conn.query(`${TICKET_SELECT} WHERE t.ticket_id = ?`, [ticket.ticket_id]);
+    return {
+      status: 409,
+      body: {
+        result: "already_checked_in",
+        message: `Already checked in at ${new Date(rows[0].checked_in_at).toISOString()}`,
+        ticket: formatScannedTicket(rows[0]),
+      },
+    };
+  }
+  await conn.insert(
+    "checkins",
+    {
+      ticket_id: ticket.ticket_id,
+      event_id: ticket.event_id,
+      action: "check_in",
+      method,
+      staff_user_id: staffUserId,
+      device_id: deviceId,
+      client_scan_id: clientScanId,
+      created_at: at,
+    },
+    "checkin_id"
+  );
+  await syncAttended(conn, ticket.registration_id);
+  return {
+    status: 200,
+    body: {
+      result: "checked_in",
+      message: "Checked in",
+      ticket: formatScannedTicket({ ...ticket, checked_in_at: at, checked_in_by: staffUserId }),
+    },
+  };
+}
+
+// Undo the check-in of `ticket` (scanned by mistake). Returns { status, body }.
+export async function undoCheckIn(conn, ticket, { staffUserId }) {
+  if (!ticket.checked_in_at) {
+    return { status: 409, body: { result: "not_checked_in", message: "This ticket is not checked in" } };
+  }
+  await conn.query("UPDATE tickets SET checked_in_at = NULL, checked_in_by = NULL WHERE ticket_id = ?", [ticket.ticket_id]);
+  await conn.insert(
+    "checkins",
+    { ticket_id: ticket.ticket_id, event_id: ticket.event_id, action: "undo", method: "manual", staff_user_id: staffUserId, created_at: new Date() },
+    "checkin_id"
+  );
+  await syncAttended(conn, ticket.registration_id);
+  return {
+    status: 200,
+    body: {
+      result: "undone",
+      message: "Check-in undone",
+      ticket: formatScannedTicket({ ...ticket, checked_in_at: null, checked_in_by: null }),
+    },
+  };
+}
+
+/**
+ * Record scans made while offline (`scans` as uploaded: { client_scan_id,
+ * code | qr, scanned_at }). Scans are applied oldest first. A ticket scanned
+ * again after it was already checked in - at the door, by another device or
+ * earlier in the batch - is a double entry: the first check-in stands and the
+ * conflict is logged. Re-uploaded scans (same client_scan_id) are reported as
+ * duplicates. Returns one result per scan, in upload order.
+ */
+export async function recordOfflineScans(conn, eventId, scans, { staffUserId, deviceId = null, now = new Date() }) {
+  const results = new Array(scans.length);
+  const order = scans
+    .map((scan, index) => ({ scan: scan || {}, index, at: new Date(scan?.scanned_at) }))
+    .sort((a, b) => (a.at.getTime() || 0) - (b.at.getTime() || 0));
+
+  for (const { scan, index, at } of order) {
+    const clientScanId = scan.client_scan_id == null ? null : String(scan.client_scan_id).slice(0, 64);
+    const result = (outcome, extra = {}) => {
+      results[index] = { client_scan_id: clientScanId, result: outcome, ...extra };
+    };
+
+    if (isNaN(at.getTime())) {
+      result("invalid", { message: "scanned_at must be a date" });
+      continue;
+    }
+    // A little slack for scanner clocks running ahead
+    if (at.getTime() > now.getTime() + 5 * 60 * 1000) {
+      result("invalid", { message: "scanned_at is in the future" });
+      continue;
+    }
+    if (clientScanId) {
+      const [seen] = await conn.query("SELECT action FROM checkins WHERE event_id = ? AND client_scan_id = ?", [
+        eventId,
+        clientScanId,
+      ]);
+      if (seen.length > 0) {
+        result("duplicate", { message: "This scan was already uploaded" });
+        continue;
+      }
+    }
+
+    const found = await findScannedTicket(conn, eventId, scan, { at });
+    if (!found.ticket) {
+      result(found.body.result, { message: found.body.message });
+      continue;
+    }
+    const ticket = found.ticket;
+    if (ticket.checked_in_at) {
+      await conn.insert(
+        "checkins",
+        {
+          ticket_id: ticket.ticket_id,
+          event_id: ticket.event_id,
+          action: "conflict",
+          method: "offline",
+          staff_user_id: staffUserId,
+          device_id: deviceId,
+          client_scan_id: clientScanId,
+          created_at: at,
+        },
+        "checkin_id"
+      );
+      const [first] = await conn.query(
+        `SELECT created_at, method, device_id, staff_user_id FROM checkins
+         WHERE ticket_id = ? AND action = 'check_in' ORDER BY checkin_id DESC LIMIT 1`,
+        [ticket.ticket_id]
+      );
+      result("double_entry", {
+        message: `Already checked in at ${new Date(ticket.checked_in_at).toISOString()}`,
+        ticket: formatScannedTicket(ticket),
+        first_check_in: first[0] || null,
+      });
+      continue;
+    }
+
+    const checkIn = await checkInTicket(conn, ticket, {
+      staffUserId,
+      method: "offline",
+      at,
+      deviceId,
+      clientScanId,
+    });
+    result(checkIn.body.result, { message: checkIn.body.message, ticket: checkIn.body.ticket });
+  }
+  return results;
+}
+
+/**
+ * Live numbers for the door: active tickets, how many are checked in (also
+ * per ticket type), double entries found in offline uploads and the latest
+ * check-ins.
+ */
+export async function checkinStats(conn, eventId) {
+  const [types] = await conn.query(
+    `SELECT r.ticket_type, COUNT(*) AS total,
+       SUM(CASE WHEN t.checked_in_at IS NOT NULL THEN 1 ELSE 0 END) AS checked_in
+     FROM tickets t JOIN registrations r ON r.registration_id = t.registration_id
+     WHERE t.event_id = ? AND t.status = 'active'
+     GROUP BY r.ticket_type ORDER BY r.ticket_type ASC`,
+    [eventId]
+  );
+  const [conflicts] = await conn.query(
+    "SELECT COUNT(*) AS count FROM checkins WHERE event_id = ? AND action = 'conflict'",
+    [eventId]
+  );
+  const [recent] = await conn.query(
+    `SELECT c.checkin_id, c.ticket_id, c.action, c.method, c.device_id, c.created_at, c.staff_user_id, u.username
+     FROM checkins c JOIN tickets t ON t.ticket_id = c.ticket_id LEFT JOIN users u ON u.user_id = t.user_id
+     WHERE c.event_id = ? ORDER BY c.created_at DESC, c.checkin_id DESC LIMIT 10`,
+    [eventId]
+  );
+  const byType = types.map((r) => ({ ticket_type: r.ticket_type, total: Number(r.total), checked_in: Number(r.checked_in || 0) }));
+  const total = byType.reduce((sum, r) => sum + r.total, 0);
+  const checkedIn = byType.reduce((sum, r) => sum + r.checked_in, 0);
+  return {
+    event_id: Number(eventId),
+    total,
+    checked_in: checkedIn,
+    remaining: total - checkedIn,
+    double_entries: Number(conflicts[0].count),
+    by_ticket_type: byType,
+    recent,
+  };
+}
@@ -0,0 +1,290 @@
+// utils/eventSearch.js
+// Turns GET /api/events query parameters into SQL: filters, sort order and
+// page or cursor (keyset) pagination. Text search uses the engine's
+// full-text index where there is one (Postgres tsvector, MySQL FULLTEXT)
+// and LIKE on SQLite. buildNearbySearch does the same for
+// GET /api/events/nearby (distance from a point).
+import db from "../db.js";
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+const DEFAULT_STATUSES = ["published", "postponed"];
+const STATUSES = ["published", "postponed", "cancelled", "completed"];
+
+// Must match the index expression in migrations/0012_event_search.js
+const SEARCH_VECTOR = "to_tsvector('simple', coalesce(e.title, '') || ' ' || coalesce(e.description, ''))";
+
+// sort key -> non-null SQL expression (ties are broken by event_id)
+const SORTS = {
+  start_time: { expr: "COALESCE(e.start_time, e.created_at)", type: "date" },
+  created_at: { expr: "e.created_at", type: "date" },
+  title: { expr: "e.title", type: "text" },
+  price: { expr: "e.price", type: "number" },
+};
+
+export class SearchError extends Error {}
+
+// MySQL already escapes LIKE patterns with a backslash (and '\' would need doubling there)
+export const LIKE_ESCAPE = db.dialect === "mysql" ? "" : " ESCAPE '\\'";
+export const escapeLike = (s) => s.replace(/[\\%_]/g, (ch) => `\\${ch}`);
+const list = (value) =>
+  String(value ?? "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+function parseDate(value, name) {
+  const d = new Date(value);
+  if (isNaN(d.getTime())) throw new SearchError(`${name} must be a valid date`);
+  return d;
+}
+
+// category=ids or names (comma separated); names need the categories join as `c`
+function addCategoryFilter(value, where, params) {
+  const categories = list(value);
+  if (categories.length === 0) return;
+  const ids = categories.filter((c) => /^\d+$/.test(c)).map(Number);
+  const names = categories.filter((c) => !/^\d+$/.test(c)).map((c) => c.toLowerCase());
+  const parts = [];
+  if (ids.length) parts.push(`e.category_id IN (${ids.map(() => "?").join(", ")})`);
+  if (names.length) parts.push(`LOWER(c.name) IN (${names.map(() => "?").join(", ")})`);
+  where.push(`(${parts.join(" OR ")})`);
+  params.push(...ids, ...names);
+}
+
+// Full-text condition + relevance expression for the current dialect
+function textSearch(q) {
+  if (db.dialect === "postgres") {
+    return {
+      where: `${SEARCH_VECTOR} @@ websearch_to_tsquery('simple', ?)`,
+      params: [q],
+      rank: `ts_rank(${SEARCH_VECTOR}, websearch_to_tsquery('simple', ?))`,
+      rankParams: [q],
+    };
+  }
+  const words = q.replace(/[+\-<>()~*"@]/g, " ").split(/\s+/).filter(Boolean).slice(0, 10);
+  if (words.length === 0) return null;
+  if (db.dialect === "mysql") {
+    // Every word required, matched as a prefix
+    const expr = "MATCH(e.title, e.description) AGAINST (? IN BOOLEAN MODE)";
+    const term = words.map((w) => `+${w}*`).join(" ");
+    return { where: expr, params: [term], rank: expr, rankParams: [term] };
+  }
+  return {
+    where: words.map(() => `(LOWER(e.title) LIKE ?${LIKE_ESCAPE} OR LOWER(e.description) LIKE ?${LIKE_ESCAPE})`).join(" AND "),
+    params: words.flatMap((w) => {
+      const like = `%${escapeLike(w.toLowerCase())}%`;
+      return [like, like];
+    }),
+    rank: null,
+    rankParams: [],
+  };
+}
+
+export function encodeCursor(sortKey, row) {
+  const raw = sortKey === "start_time" ? row.start_time || row.created_at : row[sortKey];
+  const value = raw instanceof Date ? raw.toISOString() : raw;
+  return Buffer.from(JSON.stringify({ s: sortKey, v: value, id: row.event_id })).toString("base64url");
+}
+
+function decodeCursor(cursor, sortKey) {
+  try {
+    const c = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (c.s !== sortKey || c.id == null) throw new Error();
+    const { type } = SORTS[sortKey];
+    return { value: type === "date" ? new Date(c.v) : type === "number" ? Number(c.v) : String(c.v), id: Number(c.id) };
+  } catch {
+    throw new SearchError("cursor is invalid or belongs to a different sort order");
+  }
+}
+
+/**
+ * Parse query parameters:
+ *   q, category (ids or names, comma separated), from, to, include_past,
+ *   location, price=free|paid, status (comma separated or "all"),
+ *   sort=start_time|-start_time|created_at|-created_at|title|-title|price|-price|relevance,
+ *   limit, page | cursor
+ * Returns the WHERE clause and params (without the cursor condition, so it
+ * can also feed the total count), the cursor condition, ORDER BY and paging.
+ * Throws SearchError for invalid input.
+ */
+export function buildEventSearch(query) {
+  const where = [];
+  const params = [];
+
+  const q = String(query.q ?? "").trim();
+  const search = q ? textSearch(q) : null;
+  if (search) {
+    where.push(`(${search.where})`);
+    params.push(...search.params);
+  }
+
+  addCategoryFilter(query.category, where, params);
+
+  // Date range: events overlapping [from, to]. Without `from`, finished events are hidden.
+  const from = query.from ? parseDate(query.from, "from") : null;
+  const to = query.to ? parseDate(query.to, "to") : null;
+  if (from && to && to < from) throw new SearchError("to must not be before from");
+  if (from || String(query.include_past) !== "true") {
+    where.push("(e.start_time IS NULL OR COALESCE(e.end_time, e.start_time) >= ?)");
+    params.push(from || new Date());
+  }
+  if (to) {
+    where.push("e.start_time <= ?");
+    params.push(to);
+  }
+
+  const location = String(query.location ?? "").trim().toLowerCase();
+  if (location) {
+    const locationsText = db.dialect === "postgres" ? "e.locations::text" : db.dialect === "mysql" ? "CAST(e.locations AS CHAR)" : "e.locations";
+    where.push(`(LOWER(e.location) LIKE ?${LIKE_ESCAPE} OR LOWER(${locationsText}) LIKE ?${LIKE_ESCAPE})`);
+    const like = `%${escapeLike(location)}%`;
+    params.push(like, like);
+  }
+
+  if (query.price) {
+    const price = String(query.price).toLowerCase();
+    if (price === "free") where.push("e.price = 0");
+    else if (price === "paid") where.push("e.price > 0");
+    else throw new SearchError("price must be free or paid");
+  }
+
+  const statuses = String(query.status ?? "").toLowerCase() === "all" ? [] : list(query.status || DEFAULT_STATUSES.join(","));
+  if (statuses.some((s) => !STATUSES.includes(s))) {
+    throw new SearchError(`status must be "all" or a list of: ${STATUSES.join(", ")}`);
+  }
+  if (statuses.length > 0) {
+    where.push(`e.status IN (${statuses.map(() => "?").join(", ")})`);
+    params.push(...statuses);
+  }
+
+  // Sorting
+  const sortParam = String(query.sort || "start_time");
+  const descending = sortParam.startsWith("-");
+  const sortKey = sortParam.replace(/^-/, "");
+  const usingCursor = query.cursor !== undefined;
+  let orderBy;
+  const orderParams = [];
+  if (sortKey === "relevance") {
+    if (!q) throw new SearchError("sort=relevance needs a q search term");
+    if (usingCursor) throw new SearchError("sort=relevance supports page pagination only");
+    if (search?.rank) {
+      orderBy = `${search.rank} DESC, e.event_id ASC`;
+      orderParams.push(...search.rankParams);
+    } else {
+      orderBy = `${SORTS.start_time.expr} ASC, e.event_id ASC`;
+    }
+  } else if (SORTS[sortKey]) {
+    const dir = descending ? "DESC" : "ASC";
+    orderBy = `${SORTS[sortKey].expr} ${dir}, e.event_id ${dir}`;
+  } else {
+    throw new SearchError(`sort must be one of: ${Object.keys(SORTS).join(", ")}, relevance (prefix - for descending)`);
+  }
+
+  // Pagination
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new SearchError(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  let page = null;
+  let cursorWhere = null;
+  const cursorParams = [];
+  if (usingCursor) {
+    if (query.cursor) {
+      const c = decodeCursor(String(query.cursor), sortKey);
+      const { expr } = SORTS[sortKey];
+      const op = descending ? "<" : ">";
+      cursorWhere = `(${expr} ${op} ? OR (${expr} = ? AND e.event_id ${op} ?))`;
+      cursorParams.push(c.value, c.value, c.id);
+    }
+  } else {
+    page = query.page === undefined ? 1 : Number(query.page);
+    if (!Number.isInteger(page) || page < 1) throw new SearchError("page must be a positive whole number");
+  }
+
+  return {
+    where: where.length ? `WHERE ${where.join(" AND ")}` : "",
+    params,
+    cursorWhere,
+    cursorParams,
+    orderBy,
+    orderParams,
+    limit,
+    page,
+    cursor: usingCursor,
+    sort: sortParam,
+    sortKey,
+  };
+}
+
+export const DEFAULT_RADIUS_KM = 25;
+export const MAX_RADIUS_KM = 500;
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LAT = 111.045;
+
+function parseCoordinate(value, name, limit) {
+  const n = Number(value);
+  if (value === undefined || value === "" || !Number.isFinite(n) || Math.abs(n) > limit) {
+    throw new SearchError(`${name} must be a number between -${limit} and ${limit}`);
+  }
+  return n;
+}
+
+/**
+ * Parse GET /api/events/nearby parameters: lat, lng, radius (km), category,
+ * limit, page. Only upcoming published/postponed events with coordinates
+ * match. A bounding box on the indexed latitude/longitude columns narrows
+ * the rows first; the haversine distance then filters and sorts them.
+ * Returns { center, radius, where, params, distance, distanceParams, limit, page }.
+ * Throws SearchError for invalid input.
+ */
+export function buildNearbySearch(query) {
+  const latitude = parseCoordinate(query.lat, "lat", 90);
+  const longitude = parseCoordinate(query.lng, "lng", 180);
+  const radius = query.radius === undefined ? DEFAULT_RADIUS_KM : Number(query.radius);
+  if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_KM) {
+    throw new SearchError(`radius must be a number of km between 0 and ${MAX_RADIUS_KM}`);
+  }
+
+  const distance = `${EARTH_RADIUS_KM} * 2 * ASIN(SQRT(
+    POWER(SIN(RADIANS(e.latitude - ?) / 2), 2) +
+    COS(RADIANS(?)) * COS(RADIANS(e.latitude)) * POWER(SIN(RADIANS(e.longitude - ?) / 2), 2)))`;
+  const distanceParams = [latitude, latitude, longitude];
+
+  const where = ["e.latitude IS NOT NULL", "e.longitude IS NOT NULL", "e.latitude BETWEEN ? AND ?"];
+  const latDelta = radius / KM_PER_DEGREE_LAT;
+  const params = [Math.max(-90, latitude - latDelta), Math.min(90, latitude + latDelta)];
+  // Longitude degrees shrink towards the poles; skip the box where it would wrap past ±180
+  const cosLat = Math.cos((latitude * Math.PI) / 180);
+  const lngDelta = cosLat > 0.01 ? latDelta / cosLat : Infinity;
+  if (longitude - lngDelta >= -180 && longitude + lngDelta <= 180) {
+    where.push("e.longitude BETWEEN ? AND ?");
+    params.push(longitude - lngDelta, longitude + lngDelta);
+  }
+  where.push(`${distance} <= ?`);
+  params.push(...distanceParams, radius);
+
+  where.push(`e.status IN (${DEFAULT_STATUSES.map(() => "?").join(", ")})`);
+  params.push(...DEFAULT_STATUSES);
+  where.push("(e.start_time IS NULL OR COALESCE(e.end_time, e.start_time) >= ?)");
+  params.push(new Date());
+  addCategoryFilter(query.category, where, params);
+
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new SearchError(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  const page = query.page === undefined ? 1 : Number(query.page);
+  if (!Number.isInteger(page) || page < 1) throw new SearchError("page must be a positive whole number");
+
+  return {
+    center: { latitude, longitude },
+    radius,
+    where: `WHERE ${where.join(" AND ")}`,
+    params,
+    distance,
+    distanceParams,
+    limit,
+    page,
+  };
+}
@@ -0,0 +1,234 @@
+// utils/eventSessions.js
+// Sessions of multi-session events (event_sessions) and attendees' personal
+// agendas (session_attendees). events.sessions is kept as a read-only JSON
+// copy in the old { title, desc, start: "HH:MM", end: "HH:MM" } shape for
+// clients that still read it.
+
+const time = (v) => (v ? new Date(v).getTime() : null);
+const hhmm = (d) => new Date(d).toISOString().slice(11, 16);
+
+function parseDate(value, field, errors) {
+  const d = new Date(value ?? "");
+  if (value === undefined || value === null || value === "" || isNaN(d.getTime())) {
+    errors.push(`${field} must be a valid datetime`);
+    return null;
+  }
+  return d;
+}
+
+// Speakers: names or { name, ... } objects, stored as [{ name, ... }]
+function parseSpeakers(value, errors) {
+  if (value === null || value === undefined || value === "") return JSON.stringify([]);
+  let list = value;
+  if (typeof list === "string") {
+    try {
+      list = JSON.parse(list);
+    } catch {
+      list = list.split(",");
+    }
+  }
+  if (!Array.isArray(list)) {
+    errors.push("speakers must be a list of names or { name } objects");
+    return JSON.stringify([]);
+  }
+  const speakers = [];
+  for (const s of list) {
+    const speaker = typeof s === "string" ? { name: s.trim() } : s && typeof s === "object" ? { ...s, name: String(s.name ?? "").trim() } : null;
+    if (!speaker?.name) errors.push("every speaker needs a name");
+    else speakers.push(speaker);
+  }
+  return JSON.stringify(speakers);
+}
+
+const SESSION_PARSERS = {
+  title: (v, errors) => {
+    const s = String(v ?? "").trim();
+    if (!s || s.length > 255) errors.push("title is required (max 255 characters)");
+    return s;
+  },
+  description: (v) => (v === null || v === undefined ? null : String(v)),
+  room: (v, errors) => {
+    const s = v === null || v === undefined ? null : String(v).trim() || null;
+    if (s && s.length > 100) errors.push("room must be at most 100 characters");
+    return s;
+  },
+  speakers: parseSpeakers,
+  start_time: (v, errors) => parseDate(v, "start_time", errors),
+  end_time: (v, errors) => parseDate(v, "end_time", errors),
+  capacity: (v, errors) => {
+    if (v === null || v === undefined || v === "") return null;
+    const n = Number(v);
+    if (!Number.isInteger(n) || n < 1 || n > 1000000) errors.push("capacity must be a whole number of at least 1 (omit for unlimited)");
+    return n;
+  },
+};
+
+/**
+ * Validate a session create/edit. `partial` (PATCH) only touches the fields
+ * present; otherwise omitted optional fields are cleared. Sessions must end
+ * after they start and fit inside the event's own times where it has them.
+ * Returns { changes, errors }.
+ */
+export function validateSession(body, current, event, { partial }) {
+  const errors = [];
+  const changes = {};
+  if (!body || typeof body !== "object") return { changes, errors: ["Request body must be a JSON object"] };
+  for (const field of Object.keys(SESSION_PARSERS)) {
+    if (field in body || !partial) changes[field] = SESSION_PARSERS[field](body[field], errors);
+  }
+  if (errors.length > 0) return { changes, errors };
+
+  const start = time("start_time" in changes ? changes.start_time : current?.start_time);
+  const end = time("end_time" in changes ? changes.end_time : current?.end_time);
+  if (end <= start) errors.push("end_time must be after start_time");
+  if (event.start_time && start < time(event.start_time)) errors.push("the session cannot start before the event");
+  if (event.end_time && end > time(event.end_time)) errors.push("the session cannot end after the event");
+  return { changes, errors };
+}
+
+// API shape of an event_sessions row (speakers parsed, counts as numbers)
+export function formatSession(row) {
+  let speakers = row.speakers;
+  if (typeof speakers === "string") {
+    try {
+      speakers = JSON.parse(speakers);
+    } catch {
+      speakers = [];
+    }
+  }
+  const attendees = Number(row.attendee_count ?? 0);
+  return {
+    ...row,
+    speakers: speakers || [],
+    attendee_count: attendees,
+    seats_left: row.capacity == null ? null : Math.max(0, Number(row.capacity) - attendees),
+    ...(row.in_agenda !== undefined ? { in_agenda: Boolean(Number(row.in_agenda)) } : {}),
+  };
+}
+
+/**
+ * Sessions from an old-style sessions JSON blob ([{ title, desc, start: "17:00",
+ * end: "18:00" }], or with full start_time/end_time) on the event's day.
+ * Entries without a title or usable times are skipped.
+ */
+export function sessionsFromJson(value, eventStart) {
+  let list = value;
+  if (typeof list === "string") {
+    try {
+      list = JSON.parse(list);
+    } catch {
+      return [];
+    }
+  }
+  if (!Array.isArray(list)) return [];
+  const day = eventStart ? new Date(eventStart).toISOString().slice(0, 10) : null;
+  const at = (v) => {
+    if (!v) return null;
+    if (/^\d{1,2}:\d{2}$/.test(String(v))) return day ? new Date(`${day}T${String(v).padStart(5, "0")}:00Z`) : null;
+    const d = new Date(v);
+    return isNaN(d.getTime()) ? null : d;
+  };
+
+  const sessions = [];
+  for (const item of list) {
+    if (!item || typeof item !== "object" || !String(item.title ?? "").trim()) continue;
+    const start = at(item.start_time ?? item.start);
+    let end = at(item.end_time ?? item.end);
+    if (!start) continue;
+    if (!end || end <= start) end = end ? new Date(end.getTime() + 24 * 60 * 60 * 1000) : new Date(start.getTime() + 60 * 60 * 1000);
+    const errors = [];
+    sessions.push({
+      title: String(item.title).trim().slice(0, 255),
+      description: item.description ?? item.desc ?? null,
+      room: item.room ? String(item.room).slice(0, 100) : null,
+      speakers: parseSpeakers(item.speakers, errors),
+      start_time: start,
+      end_time: end,
+      capacity: Number.isInteger(Number(item.capacity)) && Number(item.capacity) > 0 ? Number(item.capacity) : null,
+    });
+  }
+  return sessions;
+}
+
+// Rewrite events.sessions from the event's session rows
+export async function syncSessionsJson(conn, eventId) {
+  const [rows] = await conn.query(
+    "SELECT * FROM event_sessions WHERE event_id = ? ORDER BY start_time ASC, session_id ASC",
+    [eventId]
+  );
+  const copy = rows.map((r) => {
+    const s = formatSession(r);
+    return {
+      session_id: s.session_id,
+      title: s.title,
+      desc: s.description || "",
+      start: hhmm(s.start_time),
+      end: hhmm(s.end_time),
+      start_time: new Date(s.start_time).toISOString(),
+      end_time: new Date(s.end_time).toISOString(),
+      room: s.room,
+      speakers: s.speakers,
+      capacity: s.capacity,
+    };
+  });
+  await conn.query("UPDATE events SET sessions = ? WHERE event_id = ?", [JSON.stringify(copy), eventId]);
+}
+
+// Insert session rows for an event (as returned by sessionsFromJson/validateSession)
+export async function insertSessions(conn, eventId, sessions) {
+  if (sessions.length === 0) return;
+  const now = new Date();
+  for (const s of sessions) {
+    await conn.insert("event_sessions", { ...s, event_id: eventId, created_at: now }, "session_id");
+  }
+  await syncSessionsJson(conn, eventId);
+}
+
+/**
+ * Copy every session of `fromEventId` to `toEventId`, moved by `shiftMs`
+ * (used for the occurrences of a series). Agendas are not copied.
+ */
+export async function copySessions(conn, fromEventId, toEventId, shiftMs) {
+  const [rows] = await conn.query("SELECT * FROM event_sessions WHERE event_id = ?", [fromEventId]);
+  await insertSessions(
+    conn,
+    toEventId,
+    rows.map((r) => ({
+      title: r.title,
+      description: r.description,
+      room: r.room,
+      speakers: typeof r.speakers === "string" ? r.speakers : JSON.stringify(r.speakers ?? []),
+      start_time: new Date(time(r.start_time) + shiftMs),
+      end_time: new Date(time(r.end_time) + shiftMs),
+      capacity: r.capacity,
+    }))
+  );
+}
+
+// Move an event's sessions along with the event when it is rescheduled
+export async function shiftSessions(conn, eventId, shiftMs) {
+  if (!shiftMs) return;
+  const [rows] = await conn.query("SELECT session_id, start_time, end_time FROM event_sessions WHERE event_id = ?", [eventId]);
+  for (const r of rows) {
+    await conn.query("UPDATE event_sessions SET start_time = ?, end_time = ? WHERE session_id = ?", [
+      new Date(time(r.start_time) + shiftMs),
+      new Date(time(r.end_time) + shiftMs),
+      r.session_id,
+    ]);
+  }
+  if (rows.length > 0) await syncSessionsJson(conn, eventId);
+}
+
+// Sessions already in the user's agenda that overlap [start, end)
+export async function agendaClashes(conn, userId, { start, end, exceptSessionId = 0 }) {
+  const [rows] = await conn.query(
+    `SELECT s.session_id, s.event_id, s.title, s.room, s.start_time, s.end_time, e.title AS event_title
+     FROM session_attendees a
+     JOIN event_sessions s ON s.session_id = a.session_id
+     JOIN events e ON e.event_id = s.event_id
+     WHERE a.user_id = ? AND s.session_id <> ? AND s.start_time < ? AND s.end_time > ?
+     ORDER BY s.start_time ASC`,
+    [userId, exceptSessionId, new Date(end), new Date(start)]
+  );
+  return rows;
+}
@@ -0,0 +1,207 @@
+// utils/events.js
+// Event lifecycle rules and validation of organizer edits.
+import { hasPermission } from "../middleware/authMiddleware.js";
+import { geocode } from "./geocoder.js";
+
+export const EVENT_STATUSES = ["published", "postponed", "cancelled", "completed"];
+
+// status -> statuses it may move to. Cancelled and completed events are final.
+export const STATUS_TRANSITIONS = {
+  published: ["postponed", "cancelled", "completed"],
+  postponed: ["published", "cancelled"],
+  cancelled: [],
+  completed: [],
+};
+
+// Whether holders may transfer tickets: freely, with the organizer's approval, or not at all
+export const TICKET_TRANSFER_MODES = ["open", "approval", "disabled"];
+
+// Only published events take new registrations
+export const isOpenForRegistration = (event) => (event?.status || "published") === "published";
+
+// Admins manage events they created; events:manage_any (owner) manages all
+export function canManageEvent(user, event) {
+  if (!hasPermission(user, "events:manage")) return false;
+  return hasPermission(user, "events:manage_any") || String(event.created_by) === String(user.user_id);
+}
+
+// "Sat, 01 Nov 2026 18:00 UTC" for notification texts
+export function formatEventTime(value) {
+  if (!value) return "a date to be announced";
+  return new Date(value).toUTCString().replace(/:\d\d GMT$/, " UTC");
+}
+
+function parseDate(value, field, errors) {
+  if (value === null || value === "") return null;
+  const d = new Date(value);
+  if (isNaN(d.getTime())) errors.push(`${field} must be a valid datetime`);
+  return d;
+}
+
+function parseJsonArray(value, field, errors) {
+  if (value === null || value === "") return null;
+  let parsed = value;
+  if (typeof value === "string") {
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      errors.push(`${field} must be a JSON array`);
+      return null;
+    }
+  }
+  if (!Array.isArray(parsed)) errors.push(`${field} must be an array`);
+  return JSON.stringify(parsed);
+}
+
+function parseNumber(value, field, errors, { integer = false, min = -Infinity, max = Infinity } = {}) {
+  if (value === null || value === "") return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || (integer && !Number.isInteger(n)) || n < min || n > max) {
+    errors.push(`${field} must be ${integer ? "a whole number" : "a number"} between ${min} and ${max}`);
+  }
+  return n;
+}
+
+function parseBool(value, field, errors) {
+  if (value === null || value === "" || value === false || value === 0 || value === "0" || value === "false") return 0;
+  if (value === true || value === 1 || value === "1" || value === "true") return 1;
+  errors.push(`${field} must be true or false`);
+  return 0;
+}
+
+// Editable column -> parser. Everything else (status, created_by, ...) has its own endpoint or is fixed.
+const FIELD_PARSERS = {
+  title: (v, errors) => {
+    const s = String(v ?? "").trim();
+    if (!s || s.length > 255) errors.push("title is required (max 255 characters)");
+    return s;
+  },
+  description: (v) => (v === null ? null : String(v)),
+  location: (v, errors) => {
+    const s = v === null ? null : String(v).trim() || null;
+    if (s && s.length > 255) errors.push("location must be at most 255 characters");
+    return s;
+  },
+  locations: (v, errors) => parseJsonArray(v, "locations", errors),
+  capacity: (v, errors) => parseNumber(v, "capacity", errors, { integer: true, min: 0, max: 1000000 }),
+  price: (v, errors) => parseNumber(v ?? 0, "price", errors, { min: 0, max: 1000000 }),
+  category_id: (v, errors) => parseNumber(v, "category_id", errors, { integer: true, min: 1 }),
+  start_time: (v, errors) => parseDate(v, "start_time", errors),
+  end_time: (v, errors) => parseDate(v, "end_time", errors),
+  latitude: (v, errors) => parseNumber(v, "latitude", errors, { min: -90, max: 90 }),
+  longitude: (v, errors) => parseNumber(v, "longitude", errors, { min: -180, max: 180 }),
+  // Certificates and reviews only for attendees who were checked in
+  attendance_required: (v, errors) => parseBool(v, "attendance_required", errors),
+  ticket_transfers: (v, errors) => {
+    const mode = String(v ?? "open").trim().toLowerCase();
+    if (!TICKET_TRANSFER_MODES.includes(mode)) errors.push(`ticket_transfers must be one of ${TICKET_TRANSFER_MODES.join(", ")}`);
+    return mode;
+  },
+};
+
+export const EDITABLE_EVENT_FIELDS = Object.keys(FIELD_PARSERS);
+
+/**
+ * Validate an edit against the current event row. `partial` (PATCH) only
+ * touches the fields present in body; otherwise (PUT) every editable field is
+ * replaced and omitted ones are cleared. Returns { changes, errors }.
+ */
+export function validateEventChanges(body, current, { partial }) {
+  const errors = [];
+  const changes = {};
+  if (!body || typeof body !== "object") return { changes, errors: ["Request body must be a JSON object"] };
+  if ("status" in body) errors.push("Use PATCH /api/events/:id/status to change the status");
+  if ("sessions" in body) errors.push("Use /api/events/:id/sessions to change the sessions");
+
+  for (const field of EDITABLE_EVENT_FIELDS) {
+    if (field in body) changes[field] = FIELD_PARSERS[field](body[field] ?? null, errors);
+    else if (!partial) changes[field] = FIELD_PARSERS[field](null, errors);
+  }
+  if (!partial && !changes.start_time) errors.push("start_time is required");
+  if (("latitude" in changes) !== ("longitude" in changes) || (changes.latitude == null) !== (changes.longitude == null)) {
+    errors.push("latitude and longitude must be sent together");
+  }
+
+  const start = "start_time" in changes ? changes.start_time : current.start_time;
+  const end = "end_time" in changes ? changes.end_time : current.end_time;
+  if (start && end && new Date(end) <= new Date(start)) errors.push("end_time must be after start_time");
+
+  return { changes, errors };
+}
+
+const present = (v) => v !== undefined && v !== null && v !== "";
+
+// lat/lng (or latitude/longitude) stored on the first `locations` entry
+function coordinatesFromLocations(locations) {
+  let list = locations;
+  if (typeof list === "string") {
+    try {
+      list = JSON.parse(list);
+    } catch {
+      return { first: null, coords: null };
+    }
+  }
+  const first = Array.isArray(list) ? list[0] ?? null : null;
+  if (!first || typeof first !== "object") return { first, coords: null };
+  const lat = first.latitude ?? first.lat;
+  const lng = first.longitude ?? first.lng ?? first.lon;
+  if (!present(lat) || !present(lng)) return { first, coords: null };
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+  const valid = Number.isFinite(latitude) && Number.isFinite(longitude) && Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+  return { first, coords: valid ? { latitude, longitude } : null };
+}
+
+/**
+ * Coordinates for a new or edited event/draft. An explicit latitude/longitude
+ * pair wins, then coordinates on the first `locations` entry, then the
+ * configured geocoder (utils/geocoder.js) on the address.
+ * Returns { latitude, longitude, source, errors }; coordinates are null when unknown.
+ */
+export async function resolveEventCoordinates({ latitude, longitude, location, locations }) {
+  const errors = [];
+  if (present(latitude) || present(longitude)) {
+    if (!present(latitude) || !present(longitude)) {
+      return { latitude: null, longitude: null, source: null, errors: ["latitude and longitude must be sent together"] };
+    }
+    const lat = FIELD_PARSERS.latitude(latitude, errors);
+    const lng = FIELD_PARSERS.longitude(longitude, errors);
+    return { latitude: lat, longitude: lng, source: "explicit", errors };
+  }
+
+  const { first, coords } = coordinatesFromLocations(locations);
+  if (coords) return { ...coords, source: "locations", errors };
+
+  const address = present(location)
+    ? location
+    : typeof first === "string"
+      ? first
+      : first?.address || first?.name;
+  const hit = await geocode(address);
+  if (hit) return { latitude: hit.latitude, longitude: hit.longitude, source: hit.provider, errors };
+  return { latitude: null, longitude: null, source: null, errors };
+}
+
+const sameTime = (a, b) => (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+const sameJson = (a, b) => JSON.stringify(typeof a === "string" ? JSON.parse(a || "null") : a ?? null) === (b ?? "null");
+
+/**
+ * What registrants need to hear about after an edit: a list of sentences
+ * such as "It now starts ...". Empty when nothing they care about changed.
+ */
+export function describeAttendeeChanges(current, changes) {
+  const notes = [];
+  if (("start_time" in changes && !sameTime(current.start_time, changes.start_time)) ||
+      ("end_time" in changes && !sameTime(current.end_time, changes.end_time))) {
+    const start = "start_time" in changes ? changes.start_time : current.start_time;
+    notes.push(`It now starts ${formatEventTime(start)}.`);
+  }
+  let locationChanged = "location" in changes && (current.location ?? null) !== changes.location;
+  try {
+    if ("locations" in changes && !sameJson(current.locations, changes.locations)) locationChanged = true;
+  } catch {
+    locationChanged = true;
+  }
+  if (locationChanged) notes.push("The location has changed, check the event page for details.");
+  return notes;
+}
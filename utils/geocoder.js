@@ -0,0 +1,104 @@
+// utils/geocoder.js
+// Optional address -> coordinates lookup behind a small provider interface:
+// { name, lookup(address) -> { latitude, longitude } | null }.
+// Pick one with GEOCODER:
+//   none      - never geocodes; coordinates must be sent explicitly (default)
+//   nominatim - OpenStreetMap Nominatim or a compatible server at GEOCODER_URL
+//               (default https://nominatim.openstreetmap.org); GEOCODER_USER_AGENT
+//               identifies the app as Nominatim's usage policy requires
+//   stub      - offline: a few built-in places, "lat,lng" strings, and
+//               anything added with setStubPlace(); for tests and demos
+// Geocoding never fails a request: errors are logged and treated as "not found".
+
+export function createNominatimGeocoder({
+  url = process.env.GEOCODER_URL || "https://nominatim.openstreetmap.org",
+  userAgent = process.env.GEOCODER_USER_AGENT || "Evenza event platform",
+  timeoutMs = Number(process.env.GEOCODER_TIMEOUT_MS || 5000),
+} = {}) {
+  return {
+    name: "nominatim",
+    lookup: async (address) => {
+      const params = new URLSearchParams({ q: address, format: "jsonv2", limit: "1" });
+      const res = await fetch(`${url.replace(/\/$/, "")}/search?${params}`, {
+        headers: { "User-Agent": userAgent, Accept: "application/json" },
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!res.ok) throw new Error(`Nominatim answered HTTP ${res.status}`);
+      const [hit] = await res.json();
+      return hit ? { latitude: Number(hit.lat), longitude: Number(hit.lon) } : null;
+    },
+  };
+}
+
+const STUB_PLACES = new Map([
+  ["main auditorium", { latitude: 12.9716, longitude: 77.5946 }],
+  ["bangalore", { latitude: 12.9716, longitude: 77.5946 }],
+  ["mumbai", { latitude: 19.076, longitude: 72.8777 }],
+  ["delhi", { latitude: 28.6139, longitude: 77.209 }],
+  ["london", { latitude: 51.5074, longitude: -0.1278 }],
+  ["new york", { latitude: 40.7128, longitude: -74.006 }],
+]);
+
+export function setStubPlace(name, latitude, longitude) {
+  STUB_PLACES.set(String(name).trim().toLowerCase(), { latitude, longitude });
+}
+
+export function createStubGeocoder() {
+  return {
+    name: "stub",
+    lookup: async (address) => {
+      const key = String(address).trim().toLowerCase();
+      const literal = key.match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+      if (literal) return { latitude: Number(literal[1]), longitude: Number(literal[2]) };
+      if (STUB_PLACES.has(key)) return STUB_PLACES.get(key);
+      // "Hall 3, Mumbai" -> the first known place mentioned
+      for (const [name, coords] of STUB_PLACES) if (key.includes(name)) return coords;
+      return null;
+    },
+  };
+}
+
+export function createNoopGeocoder() {
+  return { name: "none", lookup: async () => null };
+}
+
+const FACTORIES = {
+  none: createNoopGeocoder,
+  nominatim: createNominatimGeocoder,
+  stub: createStubGeocoder,
+};
+
+let geocoder = null;
+
+export function getGeocoder() {
+  if (!geocoder) {
+    const name = process.env.GEOCODER || "none";
+    const factory = FACTORIES[name];
+    if (!factory) throw new Error(`Unknown GEOCODER "${name}". Use none, nominatim or stub.`);
+    geocoder = factory();
+  }
+  return geocoder;
+}
+
+// Replace the active provider (e.g. with a stub in scripts)
+export function setGeocoder(next) {
+  geocoder = next;
+}
+
+/**
+ * Coordinates for a free-text address, or null when unknown, disabled or
+ * the provider failed.
+ */
+export async function geocode(address) {
+  const text = String(address || "").trim();
+  if (!text) return null;
+  const provider = getGeocoder();
+  try {
+    const hit = await provider.lookup(text);
+    if (!hit || !Number.isFinite(hit.latitude) || !Number.isFinite(hit.longitude)) return null;
+    return { latitude: hit.latitude, longitude: hit.longitude, provider: provider.name };
+  } catch (err) {
+    console.warn(`Geocoding "${text}" with ${provider.name} failed:`, err.message);
+    return null;
+  }
+}
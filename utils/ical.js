@@ -0,0 +1,109 @@
+// utils/ical.js
+// iCalendar (RFC 5545) output for events. Each event keeps the same UID in
+// every export and feed, and its SEQUENCE (events.ical_sequence) grows with
+// every edit, so calendar apps replace the copy they have instead of adding
+// a new one. Cancelled events are published with STATUS:CANCELLED, and so
+// are deleted ones still in a feed (utils/calendarFeeds.js).
+
+const PRODID = "-//Evenza//Events//EN";
+const UID_DOMAIN = process.env.ICAL_UID_DOMAIN || "evenza.app";
+const APP_URL = (process.env.APP_URL || process.env.FRONTEND_URL || "http://localhost:3000").replace(/\/$/, "");
+
+const STATUS = { published: "CONFIRMED", postponed: "TENTATIVE", cancelled: "CANCELLED", completed: "CONFIRMED" };
+
+export const eventUid = (eventId) => `event-${eventId}@${UID_DOMAIN}`;
+
+const formatDate = (value) => new Date(value).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets continue on the next line after CRLF + space,
+// never splitting a UTF-8 character
+function fold(line) {
+  if (Buffer.byteLength(line) <= 75) return line;
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch);
+    if (size + n > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += ch;
+    size += n;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+// "Name - Address" of the first entry in locations, or the location column
+function eventLocation(event) {
+  let locations = event.locations;
+  if (typeof locations === "string") {
+    try {
+      locations = JSON.parse(locations);
+    } catch {
+      locations = null;
+    }
+  }
+  const first = Array.isArray(locations) ? locations[0] : null;
+  if (first && typeof first === "object") {
+    const text = [first.name, first.address].filter(Boolean).join(" - ");
+    if (text) return text;
+  }
+  return event.location || (typeof first === "string" ? first : null);
+}
+
+/**
+ * VEVENT lines for an events row (category_name is used when joined in).
+ * `stamp` is when the calendar was generated (DTSTAMP). Events without a
+ * start time cannot be expressed and return [].
+ */
+export function eventToVevent(event, { stamp = new Date() } = {}) {
+  if (!event.start_time) return [];
+  const modified = event.updated_at || event.status_changed_at || event.created_at || stamp;
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${eventUid(event.event_id)}`,
+    `DTSTAMP:${formatDate(stamp)}`,
+    `DTSTART:${formatDate(event.start_time)}`,
+    // Without an end time calendars get a one-hour slot
+    event.end_time ? `DTEND:${formatDate(event.end_time)}` : "DURATION:PT1H",
+    `SEQUENCE:${Number(event.ical_sequence || 0)}`,
+    `SUMMARY:${escapeText(event.title || "Event")}`,
+    `STATUS:${STATUS[event.status] || "CONFIRMED"}`,
+    `URL:${APP_URL}/events/${event.event_id}`,
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  const location = eventLocation(event);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (event.latitude != null && event.longitude != null) {
+    lines.push(`GEO:${Number(event.latitude)};${Number(event.longitude)}`);
+  }
+  if (event.category_name) lines.push(`CATEGORIES:${escapeText(event.category_name)}`);
+  if (event.created_at) lines.push(`CREATED:${formatDate(event.created_at)}`);
+  lines.push(`LAST-MODIFIED:${formatDate(modified)}`, "END:VEVENT");
+  return lines;
+}
+
+/**
+ * A complete VCALENDAR (CRLF line endings) for the given events rows.
+ * `name` labels subscribed calendars; `refresh` asks clients to poll a feed.
+ */
+export function buildCalendar(events, { name = null, refresh = null } = {}) {
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:${PRODID}`, "CALSCALE:GREGORIAN", "METHOD:PUBLISH"];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  if (refresh) lines.push(`REFRESH-INTERVAL;VALUE=DURATION:${refresh}`, `X-PUBLISHED-TTL:${refresh}`);
+  const stamp = new Date();
+  for (const event of events) lines.push(...eventToVevent(event, { stamp }));
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
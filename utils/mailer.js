@@ -0,0 +1,87 @@
+// utils/mailer.js
+// Outgoing mail behind a small transport interface: { name, send(message) }.
+// Pick one with MAIL_TRANSPORT:
+//   smtp    - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+//   file    - writes one .eml file per message to MAIL_DIR (default ./mail-outbox)
+//   console - prints the message to stdout (default outside production)
+// MAIL_FROM sets the sender address.
+import fs from "fs";
+import path from "path";
+import nodemailer from "nodemailer";
+
+const MAIL_FROM = process.env.MAIL_FROM || "Evenza <no-reply@evenza.local>";
+
+export function createSmtpTransport({
+  host = process.env.SMTP_HOST || "localhost",
+  port = Number(process.env.SMTP_PORT || 587),
+  secure = process.env.SMTP_SECURE === "true",
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS,
+} = {}) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+    // Local stand-in servers usually have no valid certificate
+    tls: { rejectUnauthorized: process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== "false" },
+  });
+  return {
+    name: "smtp",
+    send: (message) => transporter.sendMail({ from: MAIL_FROM, ...message }),
+  };
+}
+
+export function createFileTransport({ dir = process.env.MAIL_DIR || path.join(process.cwd(), "mail-outbox") } = {}) {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  return {
+    name: "file",
+    send: async (message) => {
+      const info = await transporter.sendMail({ from: MAIL_FROM, ...message });
+      fs.mkdirSync(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[<>@]/g, "_")}.eml`);
+      fs.writeFileSync(file, info.message);
+      return { ...info, file };
+    },
+  };
+}
+
+export function createConsoleTransport() {
+  return {
+    name: "console",
+    send: async (message) => {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+      return { accepted: [message.to] };
+    },
+  };
+}
+
+const FACTORIES = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+let transport = null;
+
+export function getMailTransport() {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === "production" ? "smtp" : "console");
+    const factory = FACTORIES[name];
+    if (!factory) throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use smtp, file or console.`);
+    transport = factory();
+  }
+  return transport;
+}
+
+// Replace the active transport (e.g. with a stub in scripts)
+export function setMailTransport(next) {
+  transport = next;
+}
+
+/**
+ * Send { to, subject, text, html? } through the configured transport.
+ */
+export function sendMail(message) {
+  return getMailTransport().send(message);
+}
@@ -0,0 +1,188 @@
+// utils/migrator.js
+// Versioned schema migrations. Each file in /migrations is named
+// `<version>_<name>.js` and exports `up(ctx)` and `down(ctx)`.
+// Applied versions are recorded in the `schema_migrations` table.
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import db from "../db.js";
+
+const MIGRATIONS_DIR = path.join(process.cwd(), "migrations");
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Column type fragments per dialect so a migration can be written once
+const TYPES = {
+  mysql: {
+    id: "INT AUTO_INCREMENT PRIMARY KEY",
+    int: "INT",
+    bool: "TINYINT(1)",
+    json: "JSON",
+    timestamp: "DATETIME",
+    now: "CURRENT_TIMESTAMP",
+    tableOptions: " ENGINE=InnoDB DEFAULT CHARSET=utf8mb4",
+    ident: (name) => `\`${name}\``,
+  },
+  postgres: {
+    id: "SERIAL PRIMARY KEY",
+    int: "INTEGER",
+    // Routes write 0/1 flags, so SMALLINT keeps them portable
+    bool: "SMALLINT",
+    json: "JSONB",
+    timestamp: "TIMESTAMPTZ",
+    now: "NOW()",
+    tableOptions: "",
+    ident: (name) => `"${name}"`,
+  },
+  sqlite: {
+    id: "INTEGER PRIMARY KEY AUTOINCREMENT",
+    int: "INTEGER",
+    bool: "INTEGER",
+    json: "TEXT",
+    // ISO-8601 text, matching what db.js binds for Date values and NOW()
+    timestamp: "TEXT",
+    now: "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))",
+    tableOptions: "",
+    ident: (name) => `"${name}"`,
+  },
+};
+
+function migrationContext(conn) {
+  const dialect = db.dialect;
+  const t = TYPES[dialect];
+
+  const hasTable = (table) => conn.hasTable(table);
+  const hasColumn = (table, column) => conn.hasColumn(table, column);
+
+  async function addColumn(table, column, definition) {
+    if (await hasColumn(table, column)) return false;
+    await conn.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+  }
+
+  async function addIndex(table, name, columns, { unique = false } = {}) {
+    const kind = unique ? "UNIQUE INDEX" : "INDEX";
+    if (dialect !== "mysql") {
+      await conn.query(`CREATE ${kind} IF NOT EXISTS ${name} ON ${table} (${columns.join(", ")})`);
+      return;
+    }
+    const [rows] = await conn.query(
+      "SELECT 1 FROM information_schema.statistics WHERE table_schema = DATABASE() AND table_name = ? AND index_name = ?",
+      [table, name]
+    );
+    if (rows.length === 0) {
+      await conn.query(`CREATE ${kind} ${name} ON ${table} (${columns.join(", ")})`);
+    }
+  }
+
+  return { db: conn, dialect, t, hasTable, hasColumn, addColumn, addIndex };
+}
+
+async function ensureMigrationsTable() {
+  const t = TYPES[db.dialect];
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(32) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at ${t.timestamp} NOT NULL DEFAULT ${t.now}
+    )${t.tableOptions}
+  `);
+}
+
+/**
+ * List migration files in version order: [{ version, name, file }]
+ */
+export function listMigrations() {
+  if (!fs.existsSync(MIGRATIONS_DIR)) return [];
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .map((file) => {
+      const m = file.match(FILE_PATTERN);
+      return m ? { version: m[1], name: m[2], file: path.join(MIGRATIONS_DIR, file) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version.localeCompare(b.version, undefined, { numeric: true }));
+}
+
+async function appliedVersions() {
+  await ensureMigrationsTable();
+  const [rows] = await db.query("SELECT version, name, applied_at FROM schema_migrations ORDER BY version");
+  return rows;
+}
+
+async function loadMigration(m) {
+  const mod = await import(pathToFileURL(m.file).href);
+  if (typeof mod.up !== "function" || typeof mod.down !== "function") {
+    throw new Error(`Migration ${path.basename(m.file)} must export up() and down()`);
+  }
+  return mod;
+}
+
+// Postgres and SQLite run DDL transactionally; MySQL commits each DDL statement implicitly
+async function runStep(m, direction) {
+  const mod = await loadMigration(m);
+  const conn = db.dialect !== "mysql" ? await db.getConnection() : null;
+  try {
+    if (conn) await conn.beginTransaction();
+    const target = conn || db;
+    await mod[direction](migrationContext(target));
+    if (direction === "up") {
+      await target.query("INSERT INTO schema_migrations (version, name) VALUES (?, ?)", [m.version, m.name]);
+    } else {
+      await target.query("DELETE FROM schema_migrations WHERE version = ?", [m.version]);
+    }
+    if (conn) await conn.commit();
+  } catch (err) {
+    if (conn) {
+      try { await conn.rollback(); } catch (e) {}
+    }
+    err.message = `Migration ${m.version}_${m.name} (${direction}) failed: ${err.message}`;
+    throw err;
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * Return every known migration with its applied state.
+ */
+export async function migrationStatus() {
+  const applied = new Map((await appliedVersions()).map((r) => [String(r.version), r]));
+  return listMigrations().map((m) => ({
+    version: m.version,
+    name: m.name,
+    applied: applied.has(m.version),
+    applied_at: applied.get(m.version)?.applied_at ?? null,
+  }));
+}
+
+export async function pendingMigrations() {
+  return (await migrationStatus()).filter((m) => !m.applied);
+}
+
+/**
+ * Apply pending migrations in order, optionally stopping at version `to`.
+ * Returns the list of applied migrations.
+ */
+export async function migrateUp({ to = null } = {}) {
+  const applied = new Set((await appliedVersions()).map((r) => String(r.version)));
+  const done = [];
+  for (const m of listMigrations()) {
+    if (applied.has(m.version)) continue;
+    if (to && m.version.localeCompare(to, undefined, { numeric: true }) > 0) break;
+    await runStep(m, "up");
+    done.push(m);
+  }
+  return done;
+}
+
+/**
+ * Roll back the most recently applied `steps` migrations.
+ */
+export async function migrateDown({ steps = 1 } = {}) {
+  const applied = new Set((await appliedVersions()).map((r) => String(r.version)));
+  const targets = listMigrations().filter((m) => applied.has(m.version)).reverse().slice(0, steps);
+  for (const m of targets) {
+    await runStep(m, "down");
+  }
+  return targets;
+}
@@ -0,0 +1,54 @@
+// utils/notifications.js
+// In-app notifications generated by the server itself (event changes, new
+// events in followed categories, ...), delivered immediately as "sent" rows
+// in `notifications`.
+import { formatEventTime } from "./events.js";
+
+/**
+ * Notify every user in userIds. Runs on `conn` (db or a transaction) and
+ * returns the number of rows inserted.
+ */
+export async function notifyUsers(conn, userIds, { eventId = null, title, message, createdBy = null }) {
+  const recipients = [...new Set(userIds.map(Number).filter(Boolean))];
+  if (recipients.length === 0) return 0;
+  const now = new Date();
+  return conn.bulkInsert(
+    "notifications",
+    ["user_id", "event_id", "created_by", "type", "title", "message", "status", "is_read", "scheduled_by", "created_at", "sent_at"],
+    recipients.map((userId) => [userId, eventId, createdBy, "in-app", title, message, "sent", 0, createdBy, now, now])
+  );
+}
+
+// Users holding a registration for the event (confirmed, offered or waitlisted)
+export async function eventRegistrantIds(conn, eventId) {
+  const [rows] = await conn.query(
+    "SELECT DISTINCT user_id FROM registrations WHERE event_id = ? AND status NOT IN ('cancelled', 'expired')",
+    [eventId]
+  );
+  return rows.map((r) => r.user_id);
+}
+
+export async function notifyEventRegistrants(conn, eventId, { title, message, createdBy = null }) {
+  return notifyUsers(conn, await eventRegistrantIds(conn, eventId), { eventId, title, message, createdBy });
+}
+
+/**
+ * Tell the followers of an event's category about a newly published event.
+ * `event` needs event_id, title, category_id, start_time and created_by.
+ */
+export async function notifyCategoryFollowers(conn, event) {
+  if (!event.category_id) return 0;
+  const [rows] = await conn.query(
+    `SELECT f.user_id, c.name AS category_name
+     FROM category_follows f JOIN categories c ON c.category_id = f.category_id
+     WHERE f.category_id = ? AND f.user_id <> ?`,
+    [event.category_id, event.created_by ?? 0]
+  );
+  if (rows.length === 0) return 0;
+  return notifyUsers(conn, rows.map((r) => r.user_id), {
+    eventId: event.event_id,
+    title: `New ${rows[0].category_name} event: ${event.title}`,
+    message: `${event.title} was just published in ${rows[0].category_name}. It starts ${formatEventTime(event.start_time)}.`,
+    createdBy: event.created_by ?? null,
+  });
+}
@@ -0,0 +1,314 @@
+// utils/oidc.js
+// Generic OpenID Connect client: discovery, authorization code flow with
+// PKCE (S256), ID token verification against the provider's JWKS, and linking
+// of external identities to `users` rows.
+//
+//   OIDC_ISSUER          provider issuer URL (enables the feature)
+//   OIDC_CLIENT_ID       client registered with the provider
+//   OIDC_CLIENT_SECRET   optional; public clients rely on PKCE alone
+//   OIDC_REDIRECT_URI    default http://localhost:$PORT/api/auth/oidc/callback
+//   OIDC_SCOPES          default "openid email profile"
+//   OIDC_PROVIDER_NAME   label for the login button (default "Single sign-on")
+//   OIDC_ALLOW_SIGNUP    "false" to only let existing users in
+//   OIDC_FRONTEND_CALLBACK  frontend page receiving ?code= or ?error= after the
+//                        callback (default $APP_URL/oidc/callback)
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import jwt from "jsonwebtoken";
+import db from "../db.js";
+import { hashToken } from "./sessions.js";
+
+const LOGIN_TTL_MS = 10 * 60 * 1000;
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "PS384", "PS512", "ES256", "ES384", "ES512"];
+
+// Errors the callback turns into a user-facing message (code goes back to the frontend)
+export class OidcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+export function oidcConfig() {
+  const issuer = (process.env.OIDC_ISSUER || "").replace(/\/$/, "");
+  return {
+    issuer,
+    clientId: process.env.OIDC_CLIENT_ID || "",
+    clientSecret: process.env.OIDC_CLIENT_SECRET || "",
+    redirectUri:
+      process.env.OIDC_REDIRECT_URI || `http://localhost:${process.env.PORT || 5000}/api/auth/oidc/callback`,
+    scopes: process.env.OIDC_SCOPES || "openid email profile",
+    providerName: process.env.OIDC_PROVIDER_NAME || "Single sign-on",
+    allowSignup: process.env.OIDC_ALLOW_SIGNUP !== "false",
+    frontendCallback:
+      process.env.OIDC_FRONTEND_CALLBACK ||
+      `${(process.env.APP_URL || process.env.FRONTEND_URL || "http://localhost:3000").replace(/\/$/, "")}/oidc/callback`,
+  };
+}
+
+export const isOidcEnabled = () => Boolean(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID);
+
+// ---------------- Discovery & keys ----------------
+
+let metadataCache = null; // { issuer, value, fetchedAt }
+let jwksCache = null; // { uri, keys }
+
+async function fetchJson(url, options) {
+  const res = await fetch(url, options);
+  const body = await res.json().catch(() => null);
+  if (!res.ok || !body) {
+    const detail = body?.error_description || body?.error || `HTTP ${res.status}`;
+    throw new OidcError("provider_error", `OIDC request to ${url} failed: ${detail}`);
+  }
+  return body;
+}
+
+export async function discover() {
+  const { issuer } = oidcConfig();
+  if (metadataCache && metadataCache.issuer === issuer && Date.now() - metadataCache.fetchedAt < METADATA_TTL_MS) {
+    return metadataCache.value;
+  }
+  const value = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  if (String(value.issuer).replace(/\/$/, "") !== issuer) {
+    throw new OidcError("provider_error", `Discovery issuer ${value.issuer} does not match OIDC_ISSUER`);
+  }
+  metadataCache = { issuer, value, fetchedAt: Date.now() };
+  return value;
+}
+
+// Signing key for `kid`; the JWKS is re-fetched once when the key is unknown (rotation)
+async function signingKey(kid) {
+  const { jwks_uri: uri } = await discover();
+  for (const refresh of [false, true]) {
+    if (refresh || !jwksCache || jwksCache.uri !== uri) {
+      jwksCache = { uri, keys: (await fetchJson(uri)).keys || [] };
+    }
+    const jwk = jwksCache.keys.find((k) => (kid ? k.kid === kid : true) && (!k.use || k.use === "sig"));
+    if (jwk) return crypto.createPublicKey({ key: jwk, format: "jwk" });
+  }
+  throw new OidcError("invalid_token", "No matching signing key in the provider JWKS");
+}
+
+// ---------------- Authorization request ----------------
+
+const randomToken = (bytes = 32) => crypto.randomBytes(bytes).toString("base64url");
+const s256 = (value) => crypto.createHash("sha256").update(value).digest("base64url");
+
+/**
+ * Start a login: remember state, nonce and PKCE verifier, and return the
+ * provider URL to send the browser to.
+ */
+export async function createAuthorizationUrl({ loginHint } = {}) {
+  const config = oidcConfig();
+  const metadata = await discover();
+  const state = randomToken();
+  const nonce = randomToken(24);
+  const codeVerifier = randomToken(48);
+  const now = new Date();
+
+  await db.query("DELETE FROM oidc_logins WHERE expires_at <= ?", [now]);
+  await db.insert("oidc_logins", {
+    state_hash: hashToken(state),
+    code_verifier: codeVerifier,
+    nonce,
+    created_at: now,
+    expires_at: new Date(now.getTime() + LOGIN_TTL_MS),
+  });
+
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: s256(codeVerifier),
+    code_challenge_method: "S256",
+  });
+  if (loginHint) params.set("login_hint", String(loginHint));
+  return `${metadata.authorization_endpoint}?${params.toString()}`;
+}
+
+// Single use: the row is deleted by whichever callback gets to it first
+async function consumeLoginState(state) {
+  const stateHash = hashToken(state);
+  const [rows] = await db.query(
+    "SELECT code_verifier, nonce, expires_at FROM oidc_logins WHERE state_hash = ? LIMIT 1",
+    [stateHash]
+  );
+  const [result] = await db.query("DELETE FROM oidc_logins WHERE state_hash = ?", [stateHash]);
+  if (!rows[0] || !result.affectedRows || new Date(rows[0].expires_at) <= new Date()) return null;
+  return rows[0];
+}
+
+// ---------------- Callback ----------------
+
+async function exchangeCode(code, codeVerifier) {
+  const config = oidcConfig();
+  const metadata = await discover();
+  const body = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: config.redirectUri,
+    client_id: config.clientId,
+    code_verifier: codeVerifier,
+  });
+  const headers = { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" };
+  if (config.clientSecret) {
+    const basic = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(basic).toString("base64")}`;
+  }
+  return fetchJson(metadata.token_endpoint, { method: "POST", headers, body });
+}
+
+async function verifyIdToken(idToken, nonce) {
+  const config = oidcConfig();
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) throw new OidcError("invalid_token", "ID token is not a JWT");
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, await signingKey(decoded.header.kid), {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: [config.issuer, `${config.issuer}/`],
+      audience: config.clientId,
+      clockTolerance: 60,
+    });
+  } catch (err) {
+    if (err instanceof OidcError) throw err;
+    throw new OidcError("invalid_token", `ID token rejected: ${err.message}`);
+  }
+  if (claims.nonce !== nonce) throw new OidcError("invalid_token", "ID token nonce mismatch");
+  if (!claims.sub) throw new OidcError("invalid_token", "ID token has no subject");
+  return claims;
+}
+
+async function fetchUserInfo(accessToken) {
+  const { userinfo_endpoint: endpoint } = await discover();
+  if (!endpoint || !accessToken) return {};
+  return fetchJson(endpoint, { headers: { Authorization: `Bearer ${accessToken}` } });
+}
+
+/**
+ * Handle the provider's redirect: validate state, redeem the code and return
+ * the verified identity { issuer, subject, email, email_verified, name, preferred_username }.
+ */
+export async function completeAuthorization({ code, state }) {
+  const login = state ? await consumeLoginState(state) : null;
+  if (!login) throw new OidcError("invalid_state", "Login expired or was already used, please try again");
+  if (!code) throw new OidcError("invalid_request", "Authorization code missing");
+
+  const tokens = await exchangeCode(code, login.code_verifier);
+  if (!tokens.id_token) throw new OidcError("invalid_token", "Provider returned no ID token");
+  let claims = await verifyIdToken(tokens.id_token, login.nonce);
+
+  // Some providers keep email out of the ID token and only serve it from userinfo
+  if (!claims.email) {
+    const info = await fetchUserInfo(tokens.access_token);
+    if (info.sub === claims.sub) claims = { ...info, ...claims };
+  }
+
+  return {
+    issuer: oidcConfig().issuer,
+    subject: String(claims.sub),
+    email: claims.email ? String(claims.email).trim() : null,
+    email_verified: claims.email_verified === true || claims.email_verified === "true",
+    name: claims.name || null,
+    preferred_username: claims.preferred_username || null,
+  };
+}
+
+// ---------------- Account linking ----------------
+
+async function uniqueUsername(conn, identity) {
+  const base =
+    String(identity.preferred_username || identity.email.split("@")[0])
+      .toLowerCase()
+      .replace(/[^a-z0-9._-]/g, "")
+      .slice(0, 40) || "user";
+  for (let i = 0; i < 50; i++) {
+    const candidate = i === 0 ? base : `${base}${i + 1}`;
+    const [rows] = await conn.query("SELECT user_id FROM users WHERE username = ? LIMIT 1", [candidate]);
+    if (rows.length === 0) return candidate;
+  }
+  return `${base}-${crypto.randomBytes(3).toString("hex")}`;
+}
+
+/**
+ * Find (or create) the Evenza user for a verified identity:
+ *   1. an identity already linked to (issuer, subject)
+ *   2. otherwise a user whose email matches, if the provider verified it
+ *      and the local address was verified too
+ *   3. otherwise a new "user" account when OIDC_ALLOW_SIGNUP allows it
+ * Returns { user, linked, created }.
+ */
+export async function resolveOidcUser(identity) {
+  return db.transaction(async (conn) => {
+    const now = new Date();
+    const userColumns = "u.user_id, u.username, u.email, u.role, u.totp_enabled, u.email_verified";
+
+    const [linkedRows] = await conn.query(
+      `SELECT ${userColumns}, i.identity_id
+       FROM user_identities i JOIN users u ON u.user_id = i.user_id
+       WHERE i.issuer = ? AND i.subject = ? LIMIT 1`,
+      [identity.issuer, identity.subject]
+    );
+    if (linkedRows[0]) {
+      const { identity_id: identityId, ...user } = linkedRows[0];
+      await conn.query("UPDATE user_identities SET last_login_at = ?, email = ? WHERE identity_id = ?", [
+        now,
+        identity.email,
+        identityId,
+      ]);
+      return { user, linked: false, created: false };
+    }
+
+    if (!identity.email || !identity.email_verified) {
+      throw new OidcError("email_not_verified", "Your identity provider did not supply a verified email address");
+    }
+
+    const [byEmail] = await conn.query(
+      `SELECT ${userColumns} FROM users u WHERE LOWER(u.email) = LOWER(?) LIMIT 1`,
+      [identity.email]
+    );
+    let user = byEmail[0];
+    let created = false;
+    if (user && !Number(user.email_verified)) {
+      // Anyone can sign up with an unverified address; linking it would hand them this identity
+      throw new OidcError(
+        "account_email_unverified",
+        "An Evenza account with this email exists but its address is not verified. Sign in with your password and verify it first."
+      );
+    }
+    if (!user) {
+      if (!oidcConfig().allowSignup) {
+        throw new OidcError("signup_disabled", "No Evenza account matches this email");
+      }
+      // Random password nobody knows: the account signs in through the provider (or a password reset)
+      const password = await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10);
+      const username = await uniqueUsername(conn, identity);
+      const userId = await conn.insert(
+        "users",
+        { username, email: identity.email, password, role: "user", email_verified: 1, email_verified_at: now },
+        "user_id"
+      );
+      user = { user_id: userId, username, email: identity.email, role: "user", totp_enabled: 0 };
+      created = true;
+    }
+
+    await conn.insert(
+      "user_identities",
+      {
+        user_id: user.user_id,
+        issuer: identity.issuer,
+        subject: identity.subject,
+        email: identity.email,
+        created_at: now,
+        last_login_at: now,
+      },
+      "identity_id"
+    );
+    return { user, linked: true, created };
+  });
+}
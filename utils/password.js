@@ -0,0 +1,8 @@
+// utils/password.js
+// Password strength rule shared by password change and reset.
+const PASSWORD_REGEX = /^(?=.*[A-Z])(?=.*[!@#$%^&*()_+\-=[\]{};':"\\|,.<>/?]).{8,}$/;
+
+export const PASSWORD_RULE_MESSAGE =
+  "Password must be at least 8 characters, include 1 uppercase letter and 1 symbol";
+
+export const isStrongPassword = (password) => PASSWORD_REGEX.test(String(password || ""));
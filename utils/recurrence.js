@@ -0,0 +1,148 @@
+// utils/recurrence.js
+// RRULE-style recurrence rules for event series (a subset of RFC 5545):
+//   FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY (weekly), BYMONTHDAY (monthly)
+//   and exactly one of COUNT or UNTIL.
+// Rules are accepted as a string ("FREQ=WEEKLY;BYDAY=TU;COUNT=10", an
+// optional "RRULE:" prefix is fine) or as an object
+// ({ freq, interval, by_day, by_month_day, count, until }) and stored in the
+// canonical string form. Occurrences are computed in UTC.
+
+export const MAX_OCCURRENCES = 100;
+const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY"];
+const WEEKDAYS = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class RecurrenceError extends Error {}
+
+const listOf = (value) =>
+  (Array.isArray(value) ? value : String(value).split(","))
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+
+// "20261231T235959Z", "20261231" or anything Date understands
+function parseUntil(value) {
+  const compact = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(String(value));
+  const d = compact
+    ? new Date(Date.UTC(+compact[1], +compact[2] - 1, +compact[3], +(compact[4] ?? 23), +(compact[5] ?? 59), +(compact[6] ?? 59)))
+    : new Date(value);
+  if (isNaN(d.getTime())) throw new RecurrenceError("UNTIL must be a date such as 20261231T235959Z");
+  return d;
+}
+
+function parseInteger(value, name, min, max) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) throw new RecurrenceError(`${name} must be a whole number between ${min} and ${max}`);
+  return n;
+}
+
+/**
+ * Validate a rule. Returns the normalized rule, or null for an empty value
+ * (no recurrence). Throws RecurrenceError for invalid rules.
+ */
+export function parseRecurrence(value) {
+  if (value === undefined || value === null || value === "") return null;
+  let parts = value;
+  if (typeof value === "string") {
+    parts = {};
+    for (const pair of value.trim().replace(/^RRULE:/i, "").split(";").filter(Boolean)) {
+      const [key, ...rest] = pair.split("=");
+      parts[key.trim().toLowerCase()] = rest.join("=").trim();
+    }
+  } else if (typeof value !== "object" || Array.isArray(value)) {
+    throw new RecurrenceError("recurrence must be an RRULE string or an object");
+  }
+  const get = (...names) => names.map((n) => parts[n]).find((v) => v !== undefined && v !== null && v !== "");
+  const known = ["freq", "interval", "count", "until", "byday", "by_day", "bymonthday", "by_month_day"];
+  const unknown = Object.keys(parts).filter((k) => !known.includes(k.toLowerCase()));
+  if (unknown.length > 0) throw new RecurrenceError(`Unsupported recurrence part: ${unknown.join(", ").toUpperCase()}`);
+
+  const freq = String(get("freq") ?? "").toUpperCase();
+  if (!FREQUENCIES.includes(freq)) throw new RecurrenceError(`FREQ must be one of ${FREQUENCIES.join(", ")}`);
+  const rule = { freq, interval: get("interval") === undefined ? 1 : parseInteger(get("interval"), "INTERVAL", 1, 99) };
+
+  const count = get("count");
+  const until = get("until");
+  if ((count === undefined) === (until === undefined)) throw new RecurrenceError("Give exactly one of COUNT or UNTIL");
+  if (count !== undefined) rule.count = parseInteger(count, "COUNT", 1, MAX_OCCURRENCES);
+  else rule.until = parseUntil(until);
+
+  const byDay = get("byday", "by_day");
+  if (byDay !== undefined) {
+    if (freq !== "WEEKLY") throw new RecurrenceError("BYDAY is only supported with FREQ=WEEKLY");
+    const days = listOf(byDay).map((d) => d.toUpperCase());
+    if (days.length === 0 || days.some((d) => !WEEKDAYS.includes(d))) {
+      throw new RecurrenceError(`BYDAY must list days among ${WEEKDAYS.join(", ")}`);
+    }
+    rule.byDay = WEEKDAYS.filter((d) => days.includes(d));
+  }
+  const byMonthDay = get("bymonthday", "by_month_day");
+  if (byMonthDay !== undefined) {
+    if (freq !== "MONTHLY") throw new RecurrenceError("BYMONTHDAY is only supported with FREQ=MONTHLY");
+    const days = listOf(byMonthDay).map((d) => parseInteger(d, "BYMONTHDAY", 1, 31));
+    if (days.length === 0) throw new RecurrenceError("BYMONTHDAY must list days of the month");
+    rule.byMonthDay = [...new Set(days)].sort((a, b) => a - b);
+  }
+  return rule;
+}
+
+const compactDate = (d) => d.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Canonical RRULE string (without the "RRULE:" prefix)
+export function formatRecurrence(rule) {
+  const parts = [`FREQ=${rule.freq}`, `INTERVAL=${rule.interval}`];
+  if (rule.byDay) parts.push(`BYDAY=${rule.byDay.join(",")}`);
+  if (rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(",")}`);
+  parts.push(rule.count ? `COUNT=${rule.count}` : `UNTIL=${compactDate(rule.until)}`);
+  return parts.join(";");
+}
+
+/**
+ * Start times of every occurrence. As in RFC 5545 `start` itself is always
+ * the first one (and counts towards COUNT); the rest keep its time of day.
+ * Throws RecurrenceError when UNTIL is before the start or the rule yields
+ * more than MAX_OCCURRENCES.
+ */
+export function expandRecurrence(rule, start) {
+  const first = new Date(start);
+  if (isNaN(first.getTime())) throw new RecurrenceError("A recurring event needs a valid start_time");
+  if (rule.until && rule.until < first) throw new RecurrenceError("UNTIL must not be before start_time");
+  const limit = rule.count ?? MAX_OCCURRENCES + 1;
+  const out = [first];
+  // false once the series is complete
+  const add = (d) => {
+    if (out.length >= limit) return false;
+    if (d <= first) return true;
+    if (rule.until && d > rule.until) return false;
+    out.push(d);
+    return out.length < limit;
+  };
+
+  const timeOfDay = first.getTime() - Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), first.getUTCDate());
+  if (rule.freq === "DAILY") {
+    for (let i = 0; add(new Date(first.getTime() + i * rule.interval * DAY_MS)); i++);
+  } else if (rule.freq === "WEEKLY") {
+    const weekday = (first.getUTCDay() + 6) % 7; // Monday = 0
+    const weekStart = first.getTime() - weekday * DAY_MS;
+    const days = (rule.byDay ?? [WEEKDAYS[weekday]]).map((d) => WEEKDAYS.indexOf(d));
+    weeks: for (let w = 0; ; w++) {
+      for (const day of days) {
+        if (!add(new Date(weekStart + (w * rule.interval * 7 + day) * DAY_MS))) break weeks;
+      }
+    }
+  } else {
+    const days = rule.byMonthDay ?? [first.getUTCDate()];
+    // Months without the day (e.g. the 31st) are skipped, as in RFC 5545
+    months: for (let m = 0; m < 1200; m++) {
+      const year = first.getUTCFullYear();
+      const month = first.getUTCMonth() + m * rule.interval;
+      const length = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+      for (const day of days) {
+        if (day > length) continue;
+        if (!add(new Date(Date.UTC(year, month, day) + timeOfDay))) break months;
+      }
+    }
+  }
+
+  if (out.length > MAX_OCCURRENCES) throw new RecurrenceError(`A series can have at most ${MAX_OCCURRENCES} occurrences`);
+  return out;
+}
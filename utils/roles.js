@@ -0,0 +1,38 @@
+// utils/roles.js
+// Every change to users.role goes through changeRole() so it lands in role_audit.
+
+/**
+ * Set a user's role and record it in role_audit. Runs on `conn` so callers
+ * can include it in a transaction. Returns the previous role, or null when
+ * the user does not exist.
+ */
+export async function changeRole(conn, { userId, newRole, changedBy, source, requestId = null, reason = null }) {
+  const [rows] = await conn.query("SELECT role FROM users WHERE user_id = ? FOR UPDATE", [userId]);
+  if (!rows[0]) return null;
+  const oldRole = rows[0].role;
+  if (oldRole === newRole) return oldRole;
+
+  await conn.query("UPDATE users SET role = ? WHERE user_id = ?", [newRole, userId]);
+  await conn.insert("role_audit", {
+    user_id: userId,
+    old_role: oldRole,
+    new_role: newRole,
+    changed_by: changedBy,
+    source,
+    request_id: requestId,
+    reason,
+    created_at: new Date(),
+  });
+  await conn.insert("notifications", {
+    user_id: userId,
+    type: "in-app",
+    title: "Your role has changed",
+    message: `Your account role is now "${newRole}". Sign in again or refresh the page to see your new options.`,
+    status: "sent",
+    is_read: 0,
+    scheduled_by: changedBy,
+    created_at: new Date(),
+    sent_at: new Date(),
+  });
+  return oldRole;
+}
@@ -0,0 +1,110 @@
+// utils/series.js
+// Recurring event series built from utils/recurrence.js rules. Occurrences
+// are copies of the first event that differ only in their times.
+import { parseRecurrence, formatRecurrence, expandRecurrence } from "./recurrence.js";
+import { copySessions } from "./eventSessions.js";
+import { copyTiers } from "./ticketTiers.js";
+
+// Columns every occurrence inherits from the first event
+const SERIES_COPY_COLUMNS = [
+  "title",
+  "description",
+  "capacity",
+  "location",
+  "locations",
+  "sessions",
+  "documents",
+  "category_id",
+  "latitude",
+  "longitude",
+  "image",
+  "price",
+  "attendance_required",
+  "ticket_transfers",
+  "status",
+  "created_by",
+];
+
+const time = (v) => (v ? new Date(v).getTime() : null);
+
+// Postgres returns JSON columns parsed; write them back as JSON text
+const storable = (v) => (v !== null && typeof v === "object" && !(v instanceof Date) ? JSON.stringify(v) : v);
+
+/**
+ * Turn event `eventId` into the first occurrence of a new series and insert
+ * the remaining occurrences. Runs on `conn` (use a transaction). Throws
+ * RecurrenceError for an invalid rule.
+ * Returns { series_id, recurrence, event_ids }.
+ */
+export async function createEventSeries(conn, eventId, recurrence, createdBy) {
+  const rule = parseRecurrence(recurrence);
+  const [rows] = await conn.query("SELECT * FROM events WHERE event_id = ?", [eventId]);
+  const template = rows[0];
+  const starts = expandRecurrence(rule, template.start_time);
+  const duration = template.end_time ? time(template.end_time) - time(template.start_time) : null;
+  const endFor = (start) => (duration === null ? null : new Date(start.getTime() + duration));
+
+  const canonical = formatRecurrence(rule);
+  const seriesId = await conn.insert(
+    "event_series",
+    { recurrence: canonical, created_by: createdBy, created_at: new Date() },
+    "series_id"
+  );
+  await conn.query(
+    "UPDATE events SET series_id = ?, series_index = 0, recurrence_id = ? WHERE event_id = ?",
+    [seriesId, starts[0], eventId]
+  );
+
+  const copied = {};
+  for (const column of SERIES_COPY_COLUMNS) if (column in template) copied[column] = storable(template[column]);
+  const eventIds = [Number(eventId)];
+  for (let i = 1; i < starts.length; i++) {
+    const occurrenceId = await conn.insert(
+      "events",
+      {
+        ...copied,
+        start_time: starts[i],
+        end_time: endFor(starts[i]),
+        series_id: seriesId,
+        series_index: i,
+        recurrence_id: starts[i],
+        created_at: new Date(),
+      },
+      "event_id"
+    );
+    await copySessions(conn, eventId, occurrenceId, starts[i].getTime() - starts[0].getTime());
+    await copyTiers(conn, eventId, occurrenceId, starts[i].getTime() - starts[0].getTime());
+    eventIds.push(occurrenceId);
+  }
+  return { series_id: seriesId, recurrence: canonical, event_ids: eventIds };
+}
+
+// Later occurrences of the event's series that can still be edited, locked
+export async function lockFutureOccurrences(conn, event) {
+  const [rows] = await conn.query(
+    `SELECT * FROM events
+     WHERE series_id = ? AND series_index > ? AND status NOT IN ('cancelled', 'completed')
+     ORDER BY series_index ASC FOR UPDATE`,
+    [event.series_id, event.series_index ?? 0]
+  );
+  return rows;
+}
+
+/**
+ * Changes made to `edited` carried over to a later `occurrence`: a new start
+ * moves every later occurrence by the same amount and the edited duration is
+ * kept, so "every Tuesday 18:00" becomes "every Tuesday 19:00", not one date.
+ */
+export function changesForOccurrence(changes, edited, occurrence) {
+  const { start_time, end_time, ...rest } = changes;
+  if (!("start_time" in changes) && !("end_time" in changes)) return rest;
+  const newStart = time("start_time" in changes ? start_time : edited.start_time);
+  const newEnd = time("end_time" in changes ? end_time : edited.end_time);
+  const shift = newStart !== null && time(edited.start_time) !== null ? newStart - time(edited.start_time) : 0;
+  const start = time(occurrence.start_time) === null ? null : time(occurrence.start_time) + shift;
+  return {
+    ...rest,
+    start_time: start === null ? null : new Date(start),
+    end_time: start === null || newStart === null || newEnd === null ? null : new Date(start + (newEnd - newStart)),
+  };
+}
@@ -0,0 +1,163 @@
+// utils/sessions.js
+// Login sessions. Each login creates a row in `sessions`; the client gets a
+// short-lived JWT access token carrying the session id (`sid`) and an opaque
+// refresh token that is rotated on every use. Only SHA-256 hashes of refresh
+// tokens are stored.
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import db from "../db.js";
+import { twoFactorRequired } from "./twoFactor.js";
+
+const JWT_SECRET = process.env.JWT_SECRET || "your_jwt_secret";
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+export const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const newRefreshToken = () => crypto.randomBytes(48).toString("base64url");
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+function clientInfo(req) {
+  return {
+    user_agent: String(req.get("user-agent") || "").slice(0, 255) || null,
+    ip_address: req.ip || null,
+  };
+}
+
+export function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { user_id: user.user_id, username: user.username, role: user.role, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+function tokenPair(user, sessionId, refreshToken, expiresAt) {
+  return {
+    token: signAccessToken(user, sessionId),
+    refresh_token: refreshToken,
+    refresh_expires_at: expiresAt,
+    session_id: sessionId,
+    role: user.role,
+  };
+}
+
+/**
+ * Start a session for `user` ({ user_id, username, role }) and return
+ * { token, refresh_token, refresh_expires_at, session_id, role }.
+ */
+export async function createSession(user, req) {
+  const refreshToken = newRefreshToken();
+  const expiresAt = refreshExpiry();
+  const now = new Date();
+  const sessionId = await db.insert(
+    "sessions",
+    {
+      user_id: user.user_id,
+      refresh_token_hash: hashToken(refreshToken),
+      ...clientInfo(req),
+      created_at: now,
+      last_used_at: now,
+      expires_at: expiresAt,
+    },
+    "session_id"
+  );
+  return tokenPair(user, sessionId, refreshToken, expiresAt);
+}
+
+/**
+ * Exchange a refresh token for a new token pair. Returns null when the token
+ * is unknown, expired or revoked. Presenting an already-rotated token revokes
+ * the whole session, since it means the token was copied. Staff accounts that
+ * the 2FA policy covers but have not enrolled get
+ * { two_factor_setup_required: true } and keep their current token.
+ */
+export async function rotateSession(refreshToken, req) {
+  const hash = hashToken(refreshToken);
+  return db.transaction(async (conn) => {
+    const [rows] = await conn.query(
+      `SELECT s.session_id, s.user_id, s.expires_at, s.revoked_at, u.username, u.role, u.totp_enabled
+       FROM sessions s
+       JOIN users u ON u.user_id = s.user_id
+       WHERE s.refresh_token_hash = ? FOR UPDATE`,
+      [hash]
+    );
+    const session = rows[0];
+
+    if (!session) {
+      await conn.query(
+        `UPDATE sessions SET revoked_at = ?, revoked_reason = 'refresh_token_reuse'
+         WHERE previous_token_hash = ? AND revoked_at IS NULL`,
+        [new Date(), hash]
+      );
+      return null;
+    }
+    if (session.revoked_at || new Date(session.expires_at) <= new Date()) return null;
+    if (twoFactorRequired(session.role) && !Number(session.totp_enabled)) return { two_factor_setup_required: true };
+
+    const next = newRefreshToken();
+    const expiresAt = refreshExpiry();
+    const { user_agent, ip_address } = clientInfo(req);
+    await conn.query(
+      `UPDATE sessions
+       SET refresh_token_hash = ?, previous_token_hash = ?, last_used_at = ?, expires_at = ?,
+           user_agent = ?, ip_address = ?
+       WHERE session_id = ?`,
+      [hashToken(next), hash, new Date(), expiresAt, user_agent, ip_address, session.session_id]
+    );
+    return tokenPair(session, session.session_id, next, expiresAt);
+  });
+}
+
+/**
+ * Return { session_id, user_id, role, two_factor_enabled } when the session
+ * exists, belongs to userId, is not revoked and not expired; otherwise null.
+ * `role` is the user's current role, which may differ from the one in an
+ * older access token.
+ */
+export async function getActiveSession(sessionId, userId) {
+  const [rows] = await db.query(
+    `SELECT s.session_id, s.user_id, s.expires_at, s.revoked_at, u.role, u.totp_enabled
+     FROM sessions s
+     JOIN users u ON u.user_id = s.user_id
+     WHERE s.session_id = ? LIMIT 1`,
+    [sessionId]
+  );
+  const s = rows[0];
+  if (!s || String(s.user_id) !== String(userId) || s.revoked_at || new Date(s.expires_at) <= new Date()) {
+    return null;
+  }
+  return { session_id: s.session_id, user_id: s.user_id, role: s.role, two_factor_enabled: Boolean(Number(s.totp_enabled)) };
+}
+
+// Revoke one session of a user; returns the number of sessions revoked (0 or 1)
+export async function revokeSession(sessionId, userId, reason = "logout") {
+  const [result] = await db.query(
+    "UPDATE sessions SET revoked_at = ?, revoked_reason = ? WHERE session_id = ? AND user_id = ? AND revoked_at IS NULL",
+    [new Date(), reason, sessionId, userId]
+  );
+  return result.affectedRows || 0;
+}
+
+// Revoke every active session of a user, optionally keeping one (e.g. the caller's)
+export async function revokeAllSessions(userId, { except = null, reason = "logout_all" } = {}) {
+  let sql = "UPDATE sessions SET revoked_at = ?, revoked_reason = ? WHERE user_id = ? AND revoked_at IS NULL";
+  const params = [new Date(), reason, userId];
+  if (except) {
+    sql += " AND session_id <> ?";
+    params.push(except);
+  }
+  const [result] = await db.query(sql, params);
+  return result.affectedRows || 0;
+}
+
+export async function listActiveSessions(userId) {
+  const [rows] = await db.query(
+    `SELECT session_id, user_agent, ip_address, created_at, last_used_at, expires_at
+     FROM sessions
+     WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+     ORDER BY last_used_at DESC`,
+    [userId, new Date()]
+  );
+  return rows;
+}
@@ -0,0 +1,190 @@
+// utils/ticketTiers.js
+// Ticket tiers of an event (ticket_tiers) and pricing of registrations. Stock
+// is not kept as a counter: a tier's sold quantity is the sum of
+// registrations.quantity over its registrations that still hold tickets
+// (confirmed, offered or waitlisted), so cancelling or letting a hold expire
+// releases the tickets by itself. Reservations are checked while the events
+// row is locked, which makes them atomic per event. events.price mirrors the
+// cheapest tier so search and listings keep working.
+
+export class TicketError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const HOLDING_STATUSES = "('confirmed', 'offered', 'waitlisted')";
+
+export const TIER_SELECT = `
+  SELECT t.*,
+    (SELECT COALESCE(SUM(r.quantity), 0) FROM registrations r
+     WHERE r.tier_id = t.tier_id AND r.status IN ${HOLDING_STATUSES}) AS quantity_sold
+  FROM ticket_tiers t`;
+
+function parseDate(value, field, errors) {
+  if (value === undefined || value === null || value === "") return null;
+  const d = new Date(value);
+  if (isNaN(d.getTime())) errors.push(`${field} must be a valid datetime`);
+  return d;
+}
+
+function parseCount(value, field, errors, max) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1 || n > max) errors.push(`${field} must be a whole number from 1 to ${max} (omit for no limit)`);
+  return n;
+}
+
+const TIER_PARSERS = {
+  name: (v, errors) => {
+    const s = String(v ?? "").trim();
+    if (!s || s.length > 100) errors.push("name is required (max 100 characters)");
+    return s;
+  },
+  description: (v) => (v === undefined || v === null ? null : String(v)),
+  price: (v, errors) => {
+    const n = Number(v ?? 0);
+    if (!Number.isFinite(n) || n < 0 || n > 1000000 || Math.abs(Math.round(n * 100) - n * 100) > 1e-6) {
+      errors.push("price must be an amount from 0 to 1000000 with at most 2 decimals");
+    }
+    return n;
+  },
+  quantity_total: (v, errors) => parseCount(v, "quantity_total", errors, 1000000),
+  max_per_user: (v, errors) => parseCount(v, "max_per_user", errors, 100),
+  sales_start: (v, errors) => parseDate(v, "sales_start", errors),
+  sales_end: (v, errors) => parseDate(v, "sales_end", errors),
+  sort_order: (v, errors) => {
+    const n = Number(v ?? 0);
+    if (!Number.isInteger(n)) errors.push("sort_order must be a whole number");
+    return n;
+  },
+};
+
+/**
+ * Validate a tier create/edit. `partial` (PATCH) only touches the fields
+ * present; otherwise omitted optional fields are cleared. Stock cannot drop
+ * below what is already sold. Returns { changes, errors }.
+ */
+export function validateTier(body, current, { partial }) {
+  const errors = [];
+  const changes = {};
+  if (!body || typeof body !== "object") return { changes, errors: ["Request body must be a JSON object"] };
+  for (const field of Object.keys(TIER_PARSERS)) {
+    if (field in body || !partial) changes[field] = TIER_PARSERS[field](body[field], errors);
+  }
+  if (errors.length > 0) return { changes, errors };
+
+  const start = "sales_start" in changes ? changes.sales_start : current?.sales_start;
+  const end = "sales_end" in changes ? changes.sales_end : current?.sales_end;
+  if (start && end && new Date(end) <= new Date(start)) errors.push("sales_end must be after sales_start");
+  const sold = Number(current?.quantity_sold ?? 0);
+  if (changes.quantity_total != null && changes.quantity_total < sold) {
+    errors.push(`quantity_total cannot be lower than the ${sold} tickets already sold`);
+  }
+  return { changes, errors };
+}
+
+// "scheduled", "on_sale", "sold_out" or "ended" at `now`
+export function saleState(tier, now = new Date()) {
+  if (tier.sales_start && new Date(tier.sales_start) > now) return "scheduled";
+  if (tier.sales_end && new Date(tier.sales_end) <= now) return "ended";
+  if (tier.quantity_total != null && Number(tier.quantity_sold ?? 0) >= Number(tier.quantity_total)) return "sold_out";
+  return "on_sale";
+}
+
+// API shape of a TIER_SELECT row
+export function formatTier(row, now = new Date()) {
+  const sold = Number(row.quantity_sold ?? 0);
+  return {
+    ...row,
+    price: Number(row.price),
+    quantity_total: row.quantity_total == null ? null : Number(row.quantity_total),
+    quantity_sold: sold,
+    quantity_available: row.quantity_total == null ? null : Math.max(0, Number(row.quantity_total) - sold),
+    sale_state: saleState(row, now),
+  };
+}
+
+export async function eventTiers(conn, eventId) {
+  const [rows] = await conn.query(`${TIER_SELECT} WHERE t.event_id = ? ORDER BY t.sort_order ASC, t.price ASC, t.tier_id ASC`, [
+    eventId,
+  ]);
+  return rows;
+}
+
+// events.price follows the cheapest tier; events without tiers keep their own price
+export async function syncEventPrice(conn, eventId) {
+  const [rows] = await conn.query("SELECT MIN(price) AS price FROM ticket_tiers WHERE event_id = ?", [eventId]);
+  if (rows[0]?.price == null) return;
+  await conn.query("UPDATE events SET price = ? WHERE event_id = ?", [Number(rows[0].price), eventId]);
+}
+
+/**
+ * Price a registration of `quantity` tickets for the (locked) event. The tier
+ * is chosen by tier_id, or by name through ticket_type, or is the event's only
+ * tier. Checks the sale window, the per-user limit and the remaining stock,
+ * throwing TicketError otherwise. Events without tiers sell one ticket at
+ * events.price. Returns the registrations columns { tier_id, ticket_type,
+ * quantity, amount }.
+ */
+export async function priceRegistration(conn, event, { tier_id, ticket_type, quantity } = {}) {
+  const count = quantity === undefined || quantity === null || quantity === "" ? 1 : Number(quantity);
+  if (!Number.isInteger(count) || count < 1) throw new TicketError("quantity must be a whole number of at least 1");
+
+  const tiers = await eventTiers(conn, event.event_id);
+  if (tiers.length === 0) {
+    if (tier_id != null) throw new TicketError("This event has no ticket tiers");
+    if (count > 1) throw new TicketError("This event sells one ticket per registration");
+    const price = Number(event.price || 0);
+    return { tier_id: null, ticket_type: price > 0 ? "General" : "Free", quantity: 1, amount: price };
+  }
+
+  let tier;
+  if (tier_id != null) tier = tiers.find((t) => String(t.tier_id) === String(tier_id));
+  else if (ticket_type) tier = tiers.find((t) => t.name.toLowerCase() === String(ticket_type).trim().toLowerCase());
+  else if (tiers.length === 1) tier = tiers[0];
+  else throw new TicketError("Choose a ticket tier (tier_id)");
+  if (!tier) throw new TicketError("Ticket tier not found for this event", 404);
+
+  const state = saleState(tier);
+  if (state === "scheduled") throw new TicketError(`Sales for ${tier.name} open ${new Date(tier.sales_start).toISOString()}`, 409);
+  if (state === "ended") throw new TicketError(`Sales for ${tier.name} have ended`, 409);
+  if (tier.max_per_user != null && count > Number(tier.max_per_user)) {
+    throw new TicketError(`At most ${tier.max_per_user} ${tier.name} tickets per person`);
+  }
+  const available = tier.quantity_total == null ? null : Number(tier.quantity_total) - Number(tier.quantity_sold);
+  if (available !== null && count > available) {
+    throw new TicketError(available > 0 ? `Only ${available} ${tier.name} tickets left` : `${tier.name} is sold out`, 409);
+  }
+  return {
+    tier_id: tier.tier_id,
+    ticket_type: tier.name,
+    quantity: count,
+    amount: Math.round(Number(tier.price) * count * 100) / 100,
+  };
+}
+
+// Copy the tiers of `fromEventId` to `toEventId` with sale windows moved by `shiftMs`
+export async function copyTiers(conn, fromEventId, toEventId, shiftMs) {
+  const [rows] = await conn.query("SELECT * FROM ticket_tiers WHERE event_id = ?", [fromEventId]);
+  const shift = (v) => (v ? new Date(new Date(v).getTime() + shiftMs) : null);
+  for (const r of rows) {
+    await conn.insert(
+      "ticket_tiers",
+      {
+        event_id: toEventId,
+        name: r.name,
+        description: r.description,
+        price: r.price,
+        quantity_total: r.quantity_total,
+        max_per_user: r.max_per_user,
+        sales_start: shift(r.sales_start),
+        sales_end: shift(r.sales_end),
+        sort_order: r.sort_order,
+        created_at: new Date(),
+      },
+      "tier_id"
+    );
+  }
+}
@@ -0,0 +1,174 @@
+// utils/ticketTransfers.js
+// Handing a ticket over to another user. The holder offers the ticket, the
+// recipient accepts, and - for events with ticket_transfers = 'approval' - the
+// organizer approves. On completion the seat moves to a confirmed
+// registration of the recipient and the ticket gets a new code, so the code
+// and QR the sender saw stop working. Every transfer stays in
+// ticket_transfers as the ticket's history.
+import { generateTicketCode } from "./tickets.js";
+
+// Transfers still waiting on the recipient or the organizer
+export const OPEN_TRANSFER_STATUSES = ["pending", "awaiting_approval"];
+
+export const TRANSFER_SELECT = `
+  SELECT x.*, e.title AS event_title, e.start_time, e.created_by AS event_created_by,
+    f.username AS from_username, tu.username AS to_username
+  FROM ticket_transfers x
+  JOIN events e ON e.event_id = x.event_id
+  LEFT JOIN users f ON f.user_id = x.from_user_id
+  LEFT JOIN users tu ON tu.user_id = x.to_user_id`;
+
+/**
+ * A transfer as returned by the API. Ticket codes are only shown to the
+ * event's managers: the new code is the recipient's ticket.
+ */
+export function formatTransfer(row, { showCodes = false } = {}) {
+  const out = {
+    transfer_id: row.transfer_id,
+    ticket_id: row.ticket_id,
+    event_id: row.event_id,
+    event_title: row.event_title,
+    start_time: row.start_time,
+    from: { user_id: row.from_user_id, username: row.from_username ?? null },
+    to: { user_id: row.to_user_id, username: row.to_username ?? null },
+    status: row.status,
+    note: row.note,
+    created_at: row.created_at,
+    accepted_at: row.accepted_at,
+    reviewed_by: row.reviewed_by,
+    reviewed_at: row.reviewed_at,
+    completed_at: row.completed_at,
+    closed_at: row.closed_at,
+    closed_reason: row.closed_reason,
+  };
+  if (showCodes) {
+    out.old_ticket_code = row.old_ticket_code;
+    out.new_ticket_code = row.new_ticket_code;
+  }
+  return out;
+}
+
+/**
+ * Why `ticket` of `event` cannot be transferred right now, or null. `ticket`
+ * needs status and checked_in_at.
+ */
+export function transferBlocker(ticket, event, now = new Date()) {
+  if ((event.ticket_transfers || "open") === "disabled") return "The organizer has disabled ticket transfers for this event";
+  if (event.status === "cancelled" || event.status === "completed") return `This event is ${event.status}`;
+  const end = event.end_time || event.start_time;
+  if (end && new Date(end) <= now) return "This event is over";
+  if (ticket.status !== "active") return `This ticket is ${ticket.status}`;
+  if (ticket.checked_in_at) return "This ticket was already checked in";
+  return null;
+}
+
+async function updateTransfer(conn, transferId, fields) {
+  const columns = Object.keys(fields);
+  await conn.query(`UPDATE ticket_transfers SET ${columns.map((c) => `${c} = ?`).join(", ")} WHERE transfer_id = ?`, [
+    ...columns.map((c) => fields[c]),
+    transferId,
+  ]);
+}
+
+// The organizer's decision, when the transfer needed one
+const review = (reviewedBy, now) => (reviewedBy ? { reviewed_by: reviewedBy, reviewed_at: now } : {});
+
+// Close an open transfer as declined, rejected or cancelled
+export async function closeTransfer(conn, transfer, status, { reason = null, reviewedBy = null } = {}) {
+  const now = new Date();
+  await updateTransfer(conn, transfer.transfer_id, { status, closed_at: now, closed_reason: reason, ...review(reviewedBy, now) });
+}
+
+// The recipient accepted; the organizer still has to approve
+export async function awaitApproval(conn, transfer) {
+  await updateTransfer(conn, transfer.transfer_id, { status: "awaiting_approval", accepted_at: new Date() });
+}
+
+/**
+ * Move the ticket of `transfer` to its recipient (inside the transaction that
+ * locked the event). The seat leaves the sender's registration - which is
+ * cancelled when it was their last one - and joins a confirmed registration
+ * of the recipient, reusing their old cancelled or expired one. Returns
+ * { ticket_id, registration_id, ticket_code } with the new code.
+ */
+export async function completeTransfer(conn, transfer, { reviewedBy = null } = {}) {
+  const [tickets] = await conn.query(
+    `SELECT t.ticket_id, t.ticket_code, r.registration_id, r.event_id, r.quantity, r.amount, r.tier_id, r.ticket_type
+     FROM tickets t JOIN registrations r ON r.registration_id = t.registration_id
+     WHERE t.ticket_id = ?`,
+    [transfer.ticket_id]
+  );
+  const ticket = tickets[0];
+  const now = new Date();
+  const quantity = Number(ticket.quantity || 1);
+  const seatAmount = Math.round((Number(ticket.amount || 0) / quantity) * 100) / 100;
+
+  if (quantity > 1) {
+    await conn.query("UPDATE registrations SET quantity = quantity - 1, amount = ? WHERE registration_id = ?", [
+      Math.max(0, Math.round((Number(ticket.amount || 0) - seatAmount) * 100) / 100),
+      ticket.registration_id,
+    ]);
+  } else {
+    await conn.query("UPDATE registrations SET status = 'cancelled', cancelled_at = ?, amount = 0 WHERE registration_id = ?", [
+      now,
+      ticket.registration_id,
+    ]);
+    // The sender no longer attends: free their places in the event's sessions
+    await conn.query(
+      "DELETE FROM session_attendees WHERE user_id = ? AND session_id IN (SELECT session_id FROM event_sessions WHERE event_id = ?)",
+      [transfer.from_user_id, ticket.event_id]
+    );
+  }
+
+  const row = {
+    status: "confirmed",
+    tier_id: ticket.tier_id,
+    ticket_type: ticket.ticket_type,
+    quantity: 1,
+    amount: seatAmount,
+    attended: 0,
+    series_id: null,
+    waitlisted_at: null,
+    hold_expires_at: null,
+    cancelled_at: null,
+    registered_at: now,
+    registration_time: now,
+  };
+  const [previous] = await conn.query(
+    "SELECT registration_id FROM registrations WHERE event_id = ? AND user_id = ? ORDER BY registration_id DESC LIMIT 1",
+    [ticket.event_id, transfer.to_user_id]
+  );
+  let registrationId;
+  if (previous[0]) {
+    registrationId = previous[0].registration_id;
+    const columns = Object.keys(row);
+    await conn.query(
+      `UPDATE registrations SET ${columns.map((c) => `${c} = ?`).join(", ")} WHERE registration_id = ?`,
+      [...columns.map((c) => row[c]), registrationId]
+    );
+  } else {
+    registrationId = await conn.insert(
+      "registrations",
+      { ...row, user_id: transfer.to_user_id, event_id: ticket.event_id },
+      "registration_id"
+    );
+  }
+
+  const code = generateTicketCode();
+  await conn.query("UPDATE tickets SET registration_id = ?, user_id = ?, ticket_code = ?, issue_time = ? WHERE ticket_id = ?", [
+    registrationId,
+    transfer.to_user_id,
+    code,
+    now,
+    ticket.ticket_id,
+  ]);
+  await updateTransfer(conn, transfer.transfer_id, {
+    status: "completed",
+    old_ticket_code: ticket.ticket_code,
+    new_ticket_code: code,
+    accepted_at: transfer.accepted_at || now,
+    completed_at: now,
+    ...review(reviewedBy, now),
+  });
+  return { ticket_id: ticket.ticket_id, registration_id: registrationId, ticket_code: code };
+}
@@ -0,0 +1,240 @@
+// utils/tickets.js
+// Tickets issued for confirmed registrations, one per seat
+// (registrations.quantity). A ticket carries an unguessable code and, for its
+// QR image, a token signed with the event's Ed25519 key so door scanners can
+// verify it offline with the event's public key. Tickets of registrations
+// that stop being confirmed are voided, never deleted.
+import crypto from "crypto";
+import QRCode from "qrcode";
+
+const SIGNING_SECRET = process.env.TICKET_SIGNING_SECRET || process.env.JWT_SECRET || "your_jwt_secret";
+const LEGACY_QR_PREFIX = "EVZ1";
+// EVZ1 payloads carry no expiry and cannot be verified offline; they are only
+// accepted for scans made before this date, and not at all when it is unset
+const LEGACY_QR_UNTIL = process.env.TICKET_LEGACY_QR_UNTIL ? new Date(process.env.TICKET_LEGACY_QR_UNTIL) : null;
+const TOKEN_PREFIX = "EVZ2";
+// Tokens stay valid this long after the event ends (or starts, without an end)
+const TOKEN_GRACE_MS = 12 * 60 * 60 * 1000;
+
+// Crockford base32 (no I, L, O, U), 20 characters = 100 random bits, grouped
+// as EVZ-XXXXX-XXXXX-XXXXX-XXXXX
+const CODE_ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+export function generateTicketCode() {
+  const bytes = crypto.randomBytes(20);
+  let code = "";
+  for (let i = 0; i < 20; i++) code += CODE_ALPHABET[bytes[i] % 32];
+  return `EVZ-${code.match(/.{5}/g).join("-")}`;
+}
+
+// Codes as typed at the door: case, spaces and dashes do not matter
+export function normalizeTicketCode(value) {
+  const raw = String(value ?? "").toUpperCase().replace(/[^0-9A-Z]/g, "").replace(/^EVZ/, "");
+  if (raw.length !== 20) return null;
+  return `EVZ-${raw.match(/.{5}/g).join("-")}`;
+}
+
+const hmac = (data) => crypto.createHmac("sha256", SIGNING_SECRET).update(data).digest("base64url");
+
+// HMAC-signed "EVZ1.<ticket>.<event>.<code>.<mac>" payloads shown before
+// tickets carried Ed25519 tokens
+function verifyLegacyQrPayload(payload) {
+  const parts = payload.split(".");
+  if (parts.length !== 5) return null;
+  const expected = Buffer.from(hmac(parts.slice(0, 4).join(".")));
+  const given = Buffer.from(parts[4]);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  return { ticket_id: Number(parts[1]), event_id: Number(parts[2]), ticket_code: parts[3], expires_at: null, legacy: true };
+}
+
+// Whether a legacy EVZ1 payload scanned at `at` is still accepted (TICKET_LEGACY_QR_UNTIL)
+export function legacyQrAccepted(at = new Date()) {
+  return Boolean(LEGACY_QR_UNTIL && !isNaN(LEGACY_QR_UNTIL.getTime()) && at < LEGACY_QR_UNTIL);
+}
+
+// The event's signing key row, or null before its first ticket was issued
+export async function findEventSigningKey(conn, eventId) {
+  const [rows] = await conn.query("SELECT * FROM ticket_signing_keys WHERE event_id = ?", [eventId]);
+  return rows[0] || null;
+}
+
+/**
+ * The event's signing key row, creating the key pair on first use (when the
+ * event's first ticket is issued). Keys are stored as PEM (SPKI public, PKCS8
+ * private).
+ */
+export async function eventSigningKey(conn, eventId) {
+  const existing = await findEventSigningKey(conn, eventId);
+  if (existing) return existing;
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+  await conn.upsert(
+    "ticket_signing_keys",
+    {
+      event_id: eventId,
+      algorithm: "Ed25519",
+      public_key: publicKey.export({ type: "spki", format: "pem" }),
+      private_key: privateKey.export({ type: "pkcs8", format: "pem" }),
+      created_at: new Date(),
+    },
+    { conflict: ["event_id"], update: [] }
+  );
+  // Another request may have created it first; theirs wins
+  const [created] = await conn.query("SELECT * FROM ticket_signing_keys WHERE event_id = ?", [eventId]);
+  return created[0];
+}
+
+// The public half of a signing key as published to scanners
+export function publicKeyInfo(key) {
+  const publicKey = crypto.createPublicKey(key.public_key);
+  return {
+    key_id: key.key_id,
+    algorithm: key.algorithm,
+    public_key: publicKey.export({ format: "jwk" }).x,
+    public_key_pem: key.public_key,
+    created_at: key.created_at,
+  };
+}
+
+// When a ticket's token stops being valid: after the event, or never for undated events
+export function ticketTokenExpiry(event) {
+  const end = event.end_time || event.start_time;
+  if (!end || isNaN(new Date(end).getTime())) return null;
+  return new Date(new Date(end).getTime() + TOKEN_GRACE_MS);
+}
+
+/**
+ * The token encoded in a ticket's QR image:
+ *   EVZ2.<base64url JSON {k, t, e, c, exp}>.<base64url Ed25519 signature>
+ * k is the key id, t the ticket id, e the event id, c the ticket code and exp
+ * the expiry in Unix seconds (absent for undated events); the signature
+ * covers everything before the last dot. `ticket` needs the event's
+ * start_time and end_time.
+ */
+export async function ticketToken(conn, ticket) {
+  const key = await eventSigningKey(conn, ticket.event_id);
+  const expiry = ticketTokenExpiry(ticket);
+  const claims = { k: key.key_id, t: ticket.ticket_id, e: ticket.event_id, c: ticket.ticket_code };
+  if (expiry) claims.exp = Math.floor(expiry.getTime() / 1000);
+  const data = `${TOKEN_PREFIX}.${Buffer.from(JSON.stringify(claims)).toString("base64url")}`;
+  const signature = crypto.sign(null, Buffer.from(data), crypto.createPrivateKey(key.private_key));
+  return `${data}.${signature.toString("base64url")}`;
+}
+
+/**
+ * Check a scanned QR token (or a legacy EVZ1 payload). Returns
+ * { ticket_id, event_id, ticket_code, expires_at, legacy } when the signature
+ * is valid, otherwise null. Expiry and the legacy cutoff are left to the
+ * caller.
+ */
+export async function verifyTicketToken(conn, token) {
+  const value = String(token ?? "").trim();
+  if (value.startsWith(`${LEGACY_QR_PREFIX}.`)) return verifyLegacyQrPayload(value);
+
+  const parts = value.split(".");
+  if (parts.length !== 3 || parts[0] !== TOKEN_PREFIX) return null;
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(parts[1], "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+  if (!claims || !Number.isInteger(claims.t) || !Number.isInteger(claims.e)) return null;
+
+  const [keys] = await conn.query("SELECT * FROM ticket_signing_keys WHERE event_id = ? AND key_id = ?", [claims.e, claims.k]);
+  if (!keys[0]) return null;
+  const valid = crypto.verify(
+    null,
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    crypto.createPublicKey(keys[0].public_key),
+    Buffer.from(parts[2], "base64url")
+  );
+  if (!valid) return null;
+  return {
+    ticket_id: claims.t,
+    event_id: claims.e,
+    ticket_code: claims.c,
+    expires_at: claims.exp ? new Date(claims.exp * 1000) : null,
+  };
+}
+
+// QR image of the payload as { contentType, body } (format "png" or "svg")
+export async function renderTicketQr(payload, format = "svg") {
+  if (format === "png") {
+    return { contentType: "image/png", body: await QRCode.toBuffer(payload, { type: "png", errorCorrectionLevel: "M", margin: 2, width: 320 }) };
+  }
+  return { contentType: "image/svg+xml", body: await QRCode.toString(payload, { type: "svg", errorCorrectionLevel: "M", margin: 2 }) };
+}
+
+// Transfers still waiting on someone cannot complete once their ticket is void
+const OPEN_TRANSFER_SQL = "status IN ('pending', 'awaiting_approval')";
+
+/**
+ * Bring the tickets of the given registrations in line with their status:
+ * confirmed registrations get one active ticket per seat, all others have
+ * their active tickets voided with `reason`. Runs on `conn`; returns
+ * { issued, voided } (ticket ids).
+ */
+export async function syncRegistrationTickets(conn, registrationIds, { reason = "cancelled" } = {}) {
+  const issued = [];
+  const voided = [];
+  for (const registrationId of registrationIds) {
+    const [registrations] = await conn.query(
+      "SELECT registration_id, user_id, event_id, status, quantity FROM registrations WHERE registration_id = ?",
+      [registrationId]
+    );
+    const registration = registrations[0];
+    if (!registration) continue;
+    const [tickets] = await conn.query(
+      "SELECT ticket_id FROM tickets WHERE registration_id = ? AND status = 'active' ORDER BY ticket_id ASC",
+      [registrationId]
+    );
+
+    const wanted = registration.status === "confirmed" ? Number(registration.quantity || 1) : 0;
+    const now = new Date();
+    // Scanners fetch the event's public key before the doors open
+    if (wanted > tickets.length) await eventSigningKey(conn, registration.event_id);
+    for (let i = tickets.length; i < wanted; i++) {
+      issued.push(
+        await conn.insert(
+          "tickets",
+          {
+            registration_id: registration.registration_id,
+            event_id: registration.event_id,
+            user_id: registration.user_id,
+            ticket_code: generateTicketCode(),
+            issue_time: now,
+            status: "active",
+          },
+          "ticket_id"
+        )
+      );
+    }
+    const extra = tickets.slice(wanted).map((t) => t.ticket_id);
+    if (extra.length > 0) {
+      await conn.query(
+        `UPDATE tickets SET status = 'void', voided_at = ?, void_reason = ? WHERE ticket_id IN (${extra.map(() => "?").join(", ")})`,
+        [now, reason, ...extra]
+      );
+      await conn.query(
+        `UPDATE ticket_transfers SET status = 'cancelled', closed_at = ?, closed_reason = ?
+         WHERE ticket_id IN (${extra.map(() => "?").join(", ")}) AND ${OPEN_TRANSFER_SQL}`,
+        [now, "ticket voided", ...extra]
+      );
+      voided.push(...extra);
+    }
+  }
+  return { issued, voided };
+}
+
+// Void every active ticket of an event (the event was cancelled)
+export async function voidEventTickets(conn, eventId, reason = "event cancelled") {
+  const now = new Date();
+  const [result] = await conn.query(
+    "UPDATE tickets SET status = 'void', voided_at = ?, void_reason = ? WHERE event_id = ? AND status = 'active'",
+    [now, reason, eventId]
+  );
+  await conn.query(
+    `UPDATE ticket_transfers SET status = 'cancelled', closed_at = ?, closed_reason = ? WHERE event_id = ? AND ${OPEN_TRANSFER_SQL}`,
+    [now, "ticket voided", eventId]
+  );
+  return result.affectedRows || 0;
+}
@@ -0,0 +1,121 @@
+// utils/twoFactor.js
+// Two-factor authentication helpers: policy, short-lived challenge tokens for
+// the two-step login, recovery codes and second-factor checks.
+// REQUIRE_2FA_FOR_STAFF=true makes 2FA mandatory for admin and owner accounts.
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import db from "../db.js";
+import { hashToken, createSession } from "./sessions.js";
+import { verifyCode } from "./totp.js";
+
+const JWT_SECRET = process.env.JWT_SECRET || "your_jwt_secret";
+const STAFF_ROLES = ["admin", "owner"];
+const RECOVERY_CODE_COUNT = 10;
+
+// How long each kind of challenge token stays valid
+const CHALLENGE_TTL = {
+  "2fa_login": "5m", // password accepted, waiting for the TOTP / recovery code
+  "2fa_setup": "15m", // password accepted, policy requires enrolling first
+};
+
+export const twoFactorRequired = (role) =>
+  process.env.REQUIRE_2FA_FOR_STAFF === "true" && STAFF_ROLES.includes(String(role || "").toLowerCase());
+
+export function signChallengeToken(user, purpose) {
+  return jwt.sign({ user_id: user.user_id, purpose }, JWT_SECRET, { expiresIn: CHALLENGE_TTL[purpose] });
+}
+
+// Returns the user_id carried by a valid challenge token of `purpose`, else null
+export function verifyChallengeToken(token, purpose) {
+  try {
+    const decoded = jwt.verify(String(token || ""), JWT_SECRET);
+    return decoded.purpose === purpose && decoded.user_id ? decoded.user_id : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Replace a user's recovery codes with a fresh set and return the raw codes
+ * (shown once; only hashes are stored).
+ */
+export async function regenerateRecoveryCodes(conn, userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  await conn.query("DELETE FROM recovery_codes WHERE user_id = ?", [userId]);
+  const now = new Date();
+  await conn.bulkInsert(
+    "recovery_codes",
+    ["user_id", "code_hash", "created_at"],
+    codes.map((code) => [userId, hashToken(code), now])
+  );
+  return codes;
+}
+
+const normalizeRecoveryCode = (code) => String(code || "").trim().toLowerCase();
+
+/**
+ * Check a TOTP `code` (against `secret`) or a `recovery_code` for userId.
+ * Accepted codes are burned: the TOTP step is remembered and recovery codes
+ * are marked used, both with conditional UPDATEs so concurrent replays fail.
+ */
+export async function checkSecondFactor(userId, secret, { code, recovery_code } = {}) {
+  if (recovery_code) {
+    const [result] = await db.query(
+      "UPDATE recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL",
+      [new Date(), userId, hashToken(normalizeRecoveryCode(recovery_code))]
+    );
+    return !!result.affectedRows;
+  }
+
+  const step = secret ? verifyCode(secret, code) : null;
+  if (step === null) return false;
+  const [result] = await db.query(
+    "UPDATE users SET totp_last_step = ? WHERE user_id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)",
+    [step, userId, step]
+  );
+  return !!result.affectedRows;
+}
+
+export async function remainingRecoveryCodes(userId) {
+  const [rows] = await db.query(
+    "SELECT COUNT(*) AS count FROM recovery_codes WHERE user_id = ? AND used_at IS NULL",
+    [userId]
+  );
+  return Number(rows[0]?.count || 0);
+}
+
+/**
+ * Finish a login whose first factor (password, identity provider) succeeded
+ * and return the response body: a 2FA challenge, a forced-enrollment setup
+ * token, or a new session.
+ */
+export async function beginLogin(user, req) {
+  // Two-step login: the client sends the code with the challenge token to /login/2fa
+  if (Number(user.totp_enabled)) {
+    return {
+      message: "Two-factor authentication code required",
+      two_factor_required: true,
+      challenge_token: signChallengeToken(user, "2fa_login"),
+    };
+  }
+  // Policy requires 2FA for this role: enroll via /2fa/setup + /2fa/enable with the setup token
+  if (twoFactorRequired(user.role)) {
+    return {
+      message: "Two-factor authentication must be set up for your role",
+      two_factor_setup_required: true,
+      setup_token: signChallengeToken(user, "2fa_setup"),
+    };
+  }
+
+  const tokens = await createSession(user, req);
+  return {
+    message: "Login successful",
+    username: user.username,
+    role: user.role,
+    user_id: user.user_id,
+    ...tokens,
+  };
+}
@@ -0,0 +1,55 @@
+// utils/userTokens.js
+// Single-use, expiring tokens mailed to users (password reset, email
+// verification) or handed over after an OIDC login. Only the SHA-256 hash is stored; issuing a new token for a
+// purpose invalidates the user's earlier unused ones.
+import crypto from "crypto";
+import db from "../db.js";
+import { hashToken } from "./sessions.js";
+
+export const TOKEN_TTL_MINUTES = {
+  password_reset: Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60),
+  email_verify: Number(process.env.EMAIL_VERIFY_TTL_MINUTES || 24 * 60),
+  oidc_login: 2, // handed to the frontend after an OIDC callback, exchanged right away
+};
+
+/**
+ * Create a token for userId and return the raw value (to be mailed).
+ */
+export async function issueUserToken(userId, purpose) {
+  const ttl = TOKEN_TTL_MINUTES[purpose];
+  if (!ttl) throw new Error(`Unknown token purpose "${purpose}"`);
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  const now = new Date();
+  await db.query(
+    "UPDATE user_tokens SET used_at = ? WHERE user_id = ? AND purpose = ? AND used_at IS NULL",
+    [now, userId, purpose]
+  );
+  await db.insert("user_tokens", {
+    user_id: userId,
+    purpose,
+    token_hash: hashToken(token),
+    created_at: now,
+    expires_at: new Date(now.getTime() + ttl * 60 * 1000),
+  });
+  return token;
+}
+
+/**
+ * Mark a token as used and return its user_id, or null when the token is
+ * unknown, expired or already used. The conditional UPDATE makes it single-use
+ * even under concurrent requests.
+ */
+export async function consumeUserToken(token, purpose) {
+  const hash = hashToken(token);
+  const now = new Date();
+  const [result] = await db.query(
+    `UPDATE user_tokens SET used_at = ?
+     WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > ?`,
+    [now, hash, purpose, now]
+  );
+  if (!result.affectedRows) return null;
+
+  const [rows] = await db.query("SELECT user_id FROM user_tokens WHERE token_hash = ? LIMIT 1", [hash]);
+  return rows[0] ? rows[0].user_id : null;
+}
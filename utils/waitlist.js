@@ -0,0 +1,202 @@
+// utils/waitlist.js
+// Event capacity and the waitlist. Seats are held by 'confirmed' and
+// 'offered' registrations, one per ticket (registrations.quantity); anyone
+// over capacity is 'waitlisted' in order of waitlisted_at. When seats free up
+// the next in line gets an 'offered' registration held until hold_expires_at,
+// and either accepts it or lets it lapse to 'expired'. Every function here
+// expects the events row to be locked (SELECT ... FOR UPDATE) in the caller's
+// transaction, so concurrent sign-ups for the same event are decided one at a
+// time.
+import db from "../db.js";
+import { isOpenForRegistration, formatEventTime } from "./events.js";
+import { notifyUsers } from "./notifications.js";
+
+export const SEAT_STATUSES = ["confirmed", "offered"];
+export const ACTIVE_STATUSES = ["confirmed", "offered", "waitlisted"];
+
+// How long a promoted registrant has to accept the seat
+const HOLD_MINUTES = Number(process.env.WAITLIST_HOLD_MINUTES || 24 * 60);
+
+// Null or 0 capacity means unlimited
+export const seatLimit = (event) => (Number(event.capacity) > 0 ? Number(event.capacity) : null);
+
+export async function seatsTaken(conn, eventId) {
+  const [rows] = await conn.query(
+    "SELECT COALESCE(SUM(quantity), 0) AS count FROM registrations WHERE event_id = ? AND status IN ('confirmed', 'offered')",
+    [eventId]
+  );
+  return Number(rows[0]?.count || 0);
+}
+
+// SQL for the 1-based waitlist position of registrations row `alias`
+export const waitlistPositionSql = (alias) =>
+  `(SELECT COUNT(*) FROM registrations w
+    WHERE w.event_id = ${alias}.event_id AND w.status = 'waitlisted'
+      AND (w.waitlisted_at < ${alias}.waitlisted_at
+        OR (w.waitlisted_at = ${alias}.waitlisted_at AND w.registration_id <= ${alias}.registration_id)))`;
+
+export async function waitlistPosition(conn, registrationId) {
+  const [rows] = await conn.query(
+    `SELECT ${waitlistPositionSql("r")} AS position FROM registrations r WHERE r.registration_id = ? AND r.status = 'waitlisted'`,
+    [registrationId]
+  );
+  return rows[0] ? Number(rows[0].position) : null;
+}
+
+// The user's registration for the event that still holds a seat or a waitlist place
+export async function activeRegistration(conn, eventId, userId) {
+  const [rows] = await conn.query(
+    "SELECT registration_id, status FROM registrations WHERE event_id = ? AND user_id = ? AND status IN ('confirmed', 'offered', 'waitlisted')",
+    [eventId, userId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Register userId for the (locked) event: confirmed while seats are free and
+ * nobody is waiting, waitlisted otherwise. A cancelled or expired registration
+ * of the user is reused and goes to the back of the queue. `fields` are extra
+ * registrations columns (tier_id, ticket_type, quantity, amount, series_id).
+ * Returns { registration_id, status, waitlist_position } or { already } when
+ * the user already holds an active registration.
+ */
+export async function placeRegistration(conn, event, userId, fields = {}) {
+  const [existing] = await conn.query(
+    "SELECT registration_id, status FROM registrations WHERE event_id = ? AND user_id = ? ORDER BY registration_id DESC LIMIT 1",
+    [event.event_id, userId]
+  );
+  if (existing[0] && ACTIVE_STATUSES.includes(existing[0].status)) return { already: existing[0] };
+
+  const limit = seatLimit(event);
+  let status = "confirmed";
+  if (limit !== null) {
+    const [waiting] = await conn.query(
+      "SELECT COUNT(*) AS count FROM registrations WHERE event_id = ? AND status = 'waitlisted'",
+      [event.event_id]
+    );
+    const seats = Number(fields.quantity || 1);
+    if (Number(waiting[0].count) > 0 || (await seatsTaken(conn, event.event_id)) + seats > limit) status = "waitlisted";
+  }
+
+  const now = new Date();
+  const row = {
+    ...fields,
+    status,
+    waitlisted_at: status === "waitlisted" ? now : null,
+    hold_expires_at: null,
+    cancelled_at: null,
+    registered_at: now,
+    registration_time: now,
+  };
+  let registrationId;
+  if (existing[0]) {
+    registrationId = existing[0].registration_id;
+    const columns = Object.keys(row);
+    await conn.query(
+      `UPDATE registrations SET ${columns.map((c) => `${c} = ?`).join(", ")} WHERE registration_id = ?`,
+      [...columns.map((c) => row[c]), registrationId]
+    );
+  } else {
+    registrationId = await conn.insert("registrations", { ...row, user_id: userId, event_id: event.event_id }, "registration_id");
+  }
+  return {
+    registration_id: registrationId,
+    status,
+    waitlist_position: status === "waitlisted" ? await waitlistPosition(conn, registrationId) : null,
+  };
+}
+
+/**
+ * Expire the event's lapsed holds, then offer every free seat to the next
+ * waitlisted registrants and notify them. Nothing is offered for events that
+ * no longer take registrations. Returns { expired, offered } (registration ids).
+ */
+export async function promoteFromWaitlist(conn, eventId, { now = new Date() } = {}) {
+  const [events] = await conn.query("SELECT event_id, title, status, capacity, start_time FROM events WHERE event_id = ?", [eventId]);
+  const event = events[0];
+  if (!event) return { expired: [], offered: [] };
+
+  const [lapsed] = await conn.query(
+    "SELECT registration_id, user_id FROM registrations WHERE event_id = ? AND status = 'offered' AND hold_expires_at <= ?",
+    [eventId, now]
+  );
+  if (lapsed.length > 0) {
+    const ids = lapsed.map((r) => r.registration_id);
+    await conn.query(`UPDATE registrations SET status = 'expired' WHERE registration_id IN (${db.inList(ids)})`, ids);
+    await notifyUsers(conn, lapsed.map((r) => r.user_id), {
+      eventId,
+      title: `Your held seat expired: ${event.title}`,
+      message: `The seat held for you at ${event.title} was not accepted in time and has gone to the next person on the waitlist.`,
+    });
+  }
+
+  if (!isOpenForRegistration(event)) return { expired: lapsed.map((r) => r.registration_id), offered: [] };
+  const limit = seatLimit(event);
+  const free = limit === null ? null : limit - (await seatsTaken(conn, eventId));
+  if (free !== null && free <= 0) return { expired: lapsed.map((r) => r.registration_id), offered: [] };
+
+  // Strictly in order: a group that does not fit yet is not skipped over
+  const [waiting] = await conn.query(
+    `SELECT registration_id, user_id, quantity FROM registrations WHERE event_id = ? AND status = 'waitlisted'
+     ORDER BY waitlisted_at ASC, registration_id ASC`,
+    [eventId]
+  );
+  const next = [];
+  let left = free;
+  for (const r of waiting) {
+    const seats = Number(r.quantity || 1);
+    if (left !== null && seats > left) break;
+    next.push(r);
+    if (left !== null) left -= seats;
+  }
+  if (next.length > 0) {
+    // The hold never runs past the start of the event
+    let holdUntil = new Date(now.getTime() + HOLD_MINUTES * 60 * 1000);
+    if (event.start_time && new Date(event.start_time) > now && new Date(event.start_time) < holdUntil) {
+      holdUntil = new Date(event.start_time);
+    }
+    const ids = next.map((r) => r.registration_id);
+    await conn.query(
+      `UPDATE registrations SET status = 'offered', hold_expires_at = ? WHERE registration_id IN (${db.inList(ids)})`,
+      [holdUntil, ...ids]
+    );
+    await notifyUsers(conn, next.map((r) => r.user_id), {
+      eventId,
+      title: `A seat opened up: ${event.title}`,
+      message: `A seat at ${event.title} (${formatEventTime(event.start_time)}) is held for you until ${formatEventTime(holdUntil)}. Accept it from your waitlist before then to confirm your registration.`,
+    });
+  }
+  return { expired: lapsed.map((r) => r.registration_id), offered: next.map((r) => r.registration_id) };
+}
+
+// Lock the event and run promoteFromWaitlist in its own transaction
+export function promoteFromWaitlistNow(eventId) {
+  return db.transaction(async (conn) => {
+    await conn.query("SELECT event_id FROM events WHERE event_id = ? FOR UPDATE", [eventId]);
+    return promoteFromWaitlist(conn, eventId);
+  });
+}
+
+// Periodically expire lapsed holds and pass their seats on
+let sweeperHandle = null;
+export function startWaitlistSweeper(intervalMs = 60 * 1000) {
+  if (sweeperHandle) return sweeperHandle;
+  sweeperHandle = setInterval(async () => {
+    try {
+      const [rows] = await db.query(
+        "SELECT DISTINCT event_id FROM registrations WHERE status = 'offered' AND hold_expires_at <= ?",
+        [new Date()]
+      );
+      for (const { event_id: eventId } of rows) {
+        try {
+          await promoteFromWaitlistNow(eventId);
+        } catch (e) {
+          console.error("[waitlist.sweeper] failed for event", eventId, e.message);
+        }
+      }
+    } catch (e) {
+      console.error("[waitlist.sweeper] error:", e.message);
+    }
+  }, intervalMs);
+  return sweeperHandle;
+}